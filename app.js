@@ -8,6 +8,13 @@ const indexRouter = require('./routes/index');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1, the number of proxy hops)
+// so req.ip is the client's address and rate limits apply per client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Serve static files from the "public" directory
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -1,48 +1,48 @@
 // Mixpanel Configuration and Utilities
-// This file should be included after the Mixpanel library is loaded
+// This file should be included after the Mixpanel library and consent.js are loaded
 
 // Configuration - Replace with your actual Mixpanel token
 const MIXPANEL_TOKEN = window.MIXPANEL_TOKEN || 'YOUR_MIXPANEL_TOKEN_HERE';
 const MIXPANEL_ENABLED = window.MIXPANEL_ENABLED !== false; // Default to true unless explicitly disabled
 
-// Initialize Mixpanel if enabled
-if (MIXPANEL_ENABLED && typeof mixpanel !== 'undefined') {
+// Analytics only start once the visitor consents (see /js/consent.js)
+function hasAnalyticsConsent() {
+    return !!window.analyticsConsent && window.analyticsConsent.get() === 'granted';
+}
+
+let mixpanelStarted = false;
+let mixpanelOptedOut = false;
+
+function startMixpanel() {
+    if (!MIXPANEL_ENABLED || typeof mixpanel === 'undefined' || !hasAnalyticsConsent()) {
+        return;
+    }
+    if (mixpanelStarted) {
+        // Consent was withdrawn earlier on this page and has been given again
+        if (mixpanelOptedOut) {
+            mixpanel.opt_in_tracking({ track: false });
+            mixpanelOptedOut = false;
+        }
+        return;
+    }
     try {
         mixpanel.init(MIXPANEL_TOKEN, {
             debug: window.location.hostname === 'localhost',
             track_pageview: true,
             persistence: 'localStorage',
             api_host: 'https://api.mixpanel.com',
-            ignore_dnt: true
+            // Mixpanel stores the visitor's IP address unless told not to
+            ip: false
         });
+        mixpanelStarted = true;
 
-        // Generate or retrieve a unique user ID
-        function getOrCreateUserId() {
-            let userId = localStorage.getItem('mp_user_id_v2');
-            if (!userId) {
-                userId = 'user_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
-                localStorage.setItem('mp_user_id_v2', userId);
-            }
-            return userId;
-        }
+        // Mixpanel keeps an opt-out from an earlier page in localStorage;
+        // consent has been given since, so clear it
+        mixpanel.opt_in_tracking({ track: false });
 
-        // Identify the user
-        const userId = getOrCreateUserId();
-        mixpanel.identify(userId);
-
-        // Set user properties
-        mixpanel.people.set({
-            '$first_seen': new Date().toISOString(),
-            'browser': navigator.userAgent,
-            'screen_resolution': window.screen.width + 'x' + window.screen.height,
-            'language': navigator.language
-        });
-
-        // Track initial page view
+        // Track initial page view, without the query string
         mixpanel.track('Page Viewed', {
             page: window.location.pathname,
-            referrer: document.referrer,
-            url: window.location.href,
             title: document.title
         });
 
@@ -50,24 +50,27 @@ if (MIXPANEL_ENABLED && typeof mixpanel !== 'undefined') {
     } catch (error) {
         console.error('Failed to initialize Mixpanel:', error);
     }
-} else {
-    console.log('Mixpanel is disabled or not loaded');
 }
 
+startMixpanel();
+document.addEventListener('analytics-consent', event => {
+    if (event.detail.status === 'granted') {
+        startMixpanel();
+    } else if (mixpanelStarted && !mixpanelOptedOut) {
+        mixpanel.opt_out_tracking();
+        mixpanelOptedOut = true;
+    }
+});
+
 // Safe tracking wrapper
 window.trackEvent = function(eventName, properties = {}) {
-    if (MIXPANEL_ENABLED && typeof mixpanel !== 'undefined') {
+    if (mixpanelStarted && hasAnalyticsConsent()) {
         try {
-            // Add common properties
-            const enrichedProperties = {
+            mixpanel.track(eventName, {
                 ...properties,
                 timestamp: new Date().toISOString(),
-                page: window.location.pathname,
-                user_id: localStorage.getItem('mp_user_id_v2') || 'user_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now()
-            };
-            
-            mixpanel.track(eventName, enrichedProperties);
-            console.log('Tracked event:', eventName, enrichedProperties);
+                page: window.location.pathname
+            });
         } catch (error) {
             console.error('Failed to track event:', eventName, error);
         }
@@ -78,7 +81,7 @@ window.trackEvent = function(eventName, properties = {}) {
 
 // Time tracking utilities
 window.startTimer = function(eventName) {
-    if (MIXPANEL_ENABLED && typeof mixpanel !== 'undefined') {
+    if (mixpanelStarted) {
         mixpanel.time_event(eventName);
     }
 };
@@ -0,0 +1,65 @@
+/**
+ * Analytics consent
+ * Shows a banner until the visitor accepts or declines analytics, and stores
+ * the answer in the analytics_consent cookie, which the server reads too.
+ * Global Privacy Control and Do Not Track count as declining, so the banner
+ * is never shown to those visitors.
+ */
+
+(function() {
+    const COOKIE = 'analytics_consent';
+    const MAX_AGE = 365 * 24 * 60 * 60; // One year, in seconds
+
+    function hasOptOutSignal() {
+        return navigator.globalPrivacyControl === true || navigator.doNotTrack === '1' || window.doNotTrack === '1';
+    }
+
+    function readCookie() {
+        const match = document.cookie.split(';').map(part => part.trim()).find(part => part.startsWith(COOKIE + '='));
+        return match ? decodeURIComponent(match.slice(COOKIE.length + 1)) : null;
+    }
+
+    // 'granted', 'denied', or null while the visitor hasn't answered
+    function get() {
+        if (hasOptOutSignal()) return 'denied';
+        const value = readCookie();
+        return value === 'granted' || value === 'denied' ? value : null;
+    }
+
+    function set(value) {
+        document.cookie = `${COOKIE}=${value}; Max-Age=${MAX_AGE}; Path=/; SameSite=Lax`;
+        document.dispatchEvent(new CustomEvent('analytics-consent', { detail: { status: value } }));
+    }
+
+    function showBanner() {
+        const banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-label', 'Analytics consent');
+        banner.style.cssText = 'position:fixed;left:1rem;right:1rem;bottom:1rem;z-index:10000;display:flex;flex-wrap:wrap;gap:0.75rem;align-items:center;justify-content:space-between;padding:1rem;border-radius:8px;background:#1f2937;color:#f9fafb;font:14px/1.4 system-ui,sans-serif;box-shadow:0 4px 16px rgba(0,0,0,0.3)';
+        banner.innerHTML = `
+            <span>We'd like to use analytics to see which features are used. Without your consent we only count page visits anonymously.</span>
+            <span>
+                <button type="button" data-consent="denied">Decline</button>
+                <button type="button" data-consent="granted">Accept</button>
+            </span>
+        `;
+        banner.addEventListener('click', event => {
+            const button = event.target.closest('[data-consent]');
+            if (!button) return;
+            set(button.getAttribute('data-consent'));
+            banner.remove();
+        });
+        document.body.appendChild(banner);
+    }
+
+    window.analyticsConsent = { get, set, hasOptOutSignal };
+
+    if (get() === null) {
+        if (document.body) {
+            showBanner();
+        } else {
+            document.addEventListener('DOMContentLoaded', showBanner);
+        }
+    }
+})();
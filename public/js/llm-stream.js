@@ -0,0 +1,74 @@
+// Streaming LLM answers over Server-Sent Events
+// The server sends `token` events ({ text }) as the model writes, then `done`
+// or `error`. `retract` means the content safety filter blocked the text so
+// far; it should be cleared, and a new answer may follow.
+// window.streamLLM() is used by the landing page joke widget; word pages
+// stream into any .gen-ai-section with a data-stream-url.
+(function () {
+    /**
+     * Open an event stream and forward its events. Returns the EventSource so
+     * callers can close it early.
+     */
+    function streamLLM(url, handlers) {
+        const source = new EventSource(url);
+        let finished = false;
+
+        function finish(callback, data) {
+            if (finished) return;
+            finished = true;
+            // EventSource reconnects on its own once the server closes
+            source.close();
+            if (callback) callback(data);
+        }
+
+        source.addEventListener('token', function (event) {
+            if (handlers.onToken) handlers.onToken(JSON.parse(event.data).text);
+        });
+        source.addEventListener('retract', function () {
+            if (handlers.onRetract) handlers.onRetract();
+        });
+        source.addEventListener('done', function (event) {
+            finish(handlers.onDone, JSON.parse(event.data));
+        });
+        source.addEventListener('error', function (event) {
+            // Server-sent error events carry a message that can be shown to
+            // the reader; connection failures don't
+            const error = new Error(event.data ? JSON.parse(event.data).message : 'Connection lost');
+            error.serverMessage = event.data ? error.message : null;
+            finish(handlers.onError, error);
+        });
+
+        return source;
+    }
+
+    function streamSection(section) {
+        const content = section.querySelector('.gen-ai-response-content');
+        let text = '';
+
+        streamLLM(section.dataset.streamUrl, {
+            onToken: function (token) {
+                text += token;
+                content.textContent = text;
+            },
+            onRetract: function () {
+                text = '';
+                content.textContent = '';
+            },
+            onDone: function (result) {
+                // Rendered and sanitized by the server's markdown renderer
+                content.innerHTML = result.html;
+            },
+            onError: function () {
+                if (text) return;
+                section.remove();
+            }
+        });
+    }
+
+    window.streamLLM = streamLLM;
+
+    document.addEventListener('DOMContentLoaded', function () {
+        if (!window.EventSource) return;
+        document.querySelectorAll('.gen-ai-section[data-stream-url]').forEach(streamSection);
+    });
+})();
@@ -0,0 +1,229 @@
+// Word Explorer history, favorites and word of the day
+// Lists live in localStorage and are synced through /api/words/lists/:syncId
+// when the server has Firebase configured. Word pages record the visit and
+// get a favorite toggle; the landing page shows the word of the day, recent
+// lookups and favorites.
+(function () {
+    const STORAGE_KEY = 'wordExplorer.lists';
+    const SYNC_ID_KEY = 'wordExplorer.syncId';
+    const HISTORY_LIMIT = 50;
+    const RECENT_SHOWN = 8;
+
+    let syncAvailable = true;
+
+    function loadLists() {
+        try {
+            const lists = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            return {
+                history: Array.isArray(lists.history) ? lists.history : [],
+                favorites: Array.isArray(lists.favorites) ? lists.favorites : [],
+                favoritesUpdatedAt: lists.favoritesUpdatedAt || 0
+            };
+        } catch (error) {
+            return { history: [], favorites: [], favoritesUpdatedAt: 0 };
+        }
+    }
+
+    function saveLists(lists) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+    }
+
+    function getSyncId() {
+        let syncId = localStorage.getItem(SYNC_ID_KEY);
+        if (!syncId) {
+            syncId = crypto.randomUUID();
+            localStorage.setItem(SYNC_ID_KEY, syncId);
+        }
+        return syncId;
+    }
+
+    function sameWord(a, b) {
+        return a.toLowerCase() === b.toLowerCase();
+    }
+
+    function isFavorite(lists, word) {
+        return lists.favorites.some(item => sameWord(item.word, word));
+    }
+
+    function recordVisit(word) {
+        const lists = loadLists();
+        lists.history = [{ word, viewedAt: Date.now() }]
+            .concat(lists.history.filter(item => !sameWord(item.word, word)))
+            .slice(0, HISTORY_LIMIT);
+        saveLists(lists);
+        return lists;
+    }
+
+    function toggleFavorite(word) {
+        const lists = loadLists();
+        lists.favorites = isFavorite(lists, word)
+            ? lists.favorites.filter(item => !sameWord(item.word, word))
+            : [{ word, addedAt: Date.now() }].concat(lists.favorites);
+        lists.favoritesUpdatedAt = Date.now();
+        saveLists(lists);
+        return lists;
+    }
+
+    // Push local lists and adopt the merged result. A 503 means the server
+    // has no Firebase configured, so stop trying for this page view.
+    async function sync(onSynced = () => {}) {
+        if (!syncAvailable) return;
+        try {
+            const response = await fetch(`/api/words/lists/${getSyncId()}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(loadLists())
+            });
+            if (response.status === 503) {
+                syncAvailable = false;
+                onSynced();
+                return;
+            }
+            if (!response.ok) return;
+            saveLists(await response.json());
+            onSynced();
+        } catch (error) {
+            console.error('Word list sync failed:', error);
+        }
+    }
+
+    function wordLink(word) {
+        const link = document.createElement('a');
+        link.href = `/word-usage?word=${encodeURIComponent(word)}`;
+        link.textContent = word;
+        return link;
+    }
+
+    // ---- Word page ----
+
+    function initWordPage(word) {
+        recordVisit(word);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'favorite-toggle';
+        button.style.cssText = 'margin-top: 0.5rem; background: none; border: 1px solid var(--accent-color); border-radius: 16px; padding: 0.25rem 0.9rem; cursor: pointer; font-size: 0.95rem;';
+
+        function render() {
+            const favorite = isFavorite(loadLists(), word);
+            button.textContent = favorite ? '★ Favorite' : '☆ Add to favorites';
+            button.setAttribute('aria-pressed', String(favorite));
+        }
+
+        button.addEventListener('click', () => {
+            toggleFavorite(word);
+            render();
+            sync(render);
+        });
+
+        render();
+        document.querySelector('header h1').insertAdjacentElement('afterend', button);
+        sync(render);
+    }
+
+    // ---- Landing page ----
+
+    function renderWordList(container, title, items, emptyText) {
+        const heading = document.createElement('h6');
+        heading.className = 'text-muted mt-3 mb-2';
+        heading.textContent = title;
+        container.appendChild(heading);
+
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'small text-muted mb-0';
+            empty.textContent = emptyText;
+            container.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('div');
+        items.forEach(item => {
+            const link = wordLink(item.word);
+            link.className = 'badge badge-light mr-2 mb-2 p-2';
+            list.appendChild(link);
+        });
+        container.appendChild(list);
+    }
+
+    function renderLists(container) {
+        const lists = loadLists();
+        container.textContent = '';
+        renderWordList(container, 'Recent lookups', lists.history.slice(0, RECENT_SHOWN), 'Words you look up will appear here.');
+        renderWordList(container, 'Favorites', lists.favorites, 'Star a word on its page to keep it here.');
+
+        if (!syncAvailable) return;
+        const syncRow = document.createElement('p');
+        syncRow.className = 'small text-muted mt-2 mb-0';
+        syncRow.textContent = `Sync code: ${getSyncId()} `;
+        const useCode = document.createElement('a');
+        useCode.href = '#';
+        useCode.textContent = 'Use a code from another device';
+        useCode.addEventListener('click', (e) => {
+            e.preventDefault();
+            const code = (window.prompt('Paste the sync code from your other device') || '').trim().toLowerCase();
+            if (!code) return;
+            localStorage.setItem(SYNC_ID_KEY, code);
+            sync(() => renderLists(container));
+        });
+        syncRow.appendChild(useCode);
+        container.appendChild(syncRow);
+    }
+
+    async function renderWordOfTheDay(container) {
+        try {
+            const response = await fetch('/api/words/of-the-day');
+            if (!response.ok) return;
+            const data = await response.json();
+
+            const label = document.createElement('h6');
+            label.className = 'text-muted mb-1';
+            label.textContent = 'Word of the day';
+
+            const title = document.createElement('h4');
+            title.className = 'mb-1';
+            title.appendChild(wordLink(data.word));
+            if (data.phonetic) {
+                const phonetic = document.createElement('small');
+                phonetic.className = 'text-muted ml-2';
+                phonetic.textContent = data.phonetic;
+                title.appendChild(phonetic);
+            }
+
+            container.textContent = '';
+            container.append(label, title);
+            if (data.definition) {
+                const definition = document.createElement('p');
+                definition.className = 'mb-0';
+                definition.textContent = data.partOfSpeech ? `(${data.partOfSpeech}) ${data.definition}` : data.definition;
+                container.appendChild(definition);
+            }
+            container.hidden = false;
+        } catch (error) {
+            console.error('Word of the day failed:', error);
+        }
+    }
+
+    function initLandingPage(root) {
+        const wordOfTheDay = document.createElement('div');
+        wordOfTheDay.className = 'word-of-the-day mb-3';
+        wordOfTheDay.hidden = true;
+        const lists = document.createElement('div');
+        lists.className = 'word-lists';
+        root.append(wordOfTheDay, lists);
+
+        renderWordOfTheDay(wordOfTheDay);
+        renderLists(lists);
+        sync(() => renderLists(lists));
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const word = document.body.dataset.word;
+        if (word) {
+            initWordPage(word);
+            return;
+        }
+        const root = document.getElementById('word-explorer-extras');
+        if (root) initLandingPage(root);
+    });
+})();
@@ -0,0 +1,177 @@
+// Word Explorer type-ahead
+// Attaches to every form that submits to /word-usage and suggests words from
+// /api/words/suggest, so most typos are fixed before the lookup (and its
+// LLM spelling fallback) ever runs.
+(function () {
+    const DEBOUNCE_MS = 150;
+    const MIN_PREFIX_LENGTH = 2;
+
+    const styles = `
+        .word-suggest-wrapper { position: relative; flex: 1; }
+        .word-suggest-wrapper > input { width: 100%; }
+        .word-suggest-list {
+            position: absolute; top: 100%; left: 0; right: 0; z-index: 1000;
+            margin: 2px 0 0; padding: 0.25rem 0; list-style: none;
+            background: #fff; border: 1px solid #e9ecef; border-radius: 4px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1); text-align: left;
+        }
+        .word-suggest-list[hidden] { display: none; }
+        .word-suggest-heading { padding: 0.25rem 0.8rem; font-size: 0.8rem; color: #666; }
+        .word-suggest-item { padding: 0.35rem 0.8rem; cursor: pointer; color: #333; }
+        .word-suggest-item.active, .word-suggest-item:hover { background: #f1f4f8; }
+    `;
+
+    function injectStyles() {
+        const style = document.createElement('style');
+        style.textContent = styles;
+        document.head.appendChild(style);
+    }
+
+    function attach(input) {
+        const form = input.form;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'word-suggest-wrapper';
+        input.parentNode.insertBefore(wrapper, input);
+        wrapper.appendChild(input);
+
+        const list = document.createElement('ul');
+        list.className = 'word-suggest-list';
+        list.id = `word-suggest-${Math.random().toString(36).slice(2, 8)}`;
+        list.setAttribute('role', 'listbox');
+        list.hidden = true;
+        wrapper.appendChild(list);
+
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', list.id);
+        input.setAttribute('aria-expanded', 'false');
+
+        let debounceTimer = null;
+        let controller = null;
+        let activeIndex = -1;
+
+        function items() {
+            return Array.from(list.querySelectorAll('.word-suggest-item'));
+        }
+
+        function close() {
+            list.hidden = true;
+            activeIndex = -1;
+            input.setAttribute('aria-expanded', 'false');
+        }
+
+        function choose(word) {
+            input.value = word;
+            close();
+            form.submit();
+        }
+
+        function addHeading(text) {
+            const heading = document.createElement('li');
+            heading.className = 'word-suggest-heading';
+            heading.textContent = text;
+            list.appendChild(heading);
+        }
+
+        function addItem(word) {
+            const item = document.createElement('li');
+            item.className = 'word-suggest-item';
+            item.setAttribute('role', 'option');
+            item.textContent = word;
+            // mousedown fires before the input loses focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                choose(word);
+            });
+            list.appendChild(item);
+        }
+
+        function render(data) {
+            list.innerHTML = '';
+            activeIndex = -1;
+            const corrections = data.corrections.map(c => c.word);
+
+            if (corrections.length > 0) {
+                addHeading('Did you mean');
+                corrections.forEach(addItem);
+            }
+            const completions = data.completions.filter(word => !corrections.includes(word));
+            if (completions.length > 0) {
+                if (corrections.length > 0) addHeading('Words starting with "' + data.prefix + '"');
+                completions.forEach(addItem);
+            }
+
+            const hasItems = items().length > 0;
+            list.hidden = !hasItems;
+            input.setAttribute('aria-expanded', String(hasItems));
+        }
+
+        async function fetchSuggestions(prefix) {
+            if (controller) controller.abort();
+            controller = new AbortController();
+            try {
+                const response = await fetch(`/api/words/suggest?prefix=${encodeURIComponent(prefix)}`, {
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    close();
+                    return;
+                }
+                const data = await response.json();
+                // Ignore responses for text the user has already changed
+                if (input.value.trim().toLowerCase() === data.prefix) render(data);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Word suggestions failed:', error);
+                    close();
+                }
+            }
+        }
+
+        function highlight(index) {
+            const all = items();
+            if (all.length === 0) return;
+            activeIndex = (index + all.length) % all.length;
+            all.forEach((item, i) => {
+                item.classList.toggle('active', i === activeIndex);
+                item.setAttribute('aria-selected', String(i === activeIndex));
+            });
+        }
+
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            const prefix = input.value.trim();
+            if (prefix.length < MIN_PREFIX_LENGTH) {
+                close();
+                return;
+            }
+            debounceTimer = setTimeout(() => fetchSuggestions(prefix), DEBOUNCE_MS);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (list.hidden) return;
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                highlight(activeIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                highlight(activeIndex - 1);
+            } else if (e.key === 'Enter' && activeIndex >= 0) {
+                e.preventDefault();
+                choose(items()[activeIndex].textContent);
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        input.addEventListener('blur', close);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const inputs = document.querySelectorAll('form[action="/word-usage"] input[name="word"]');
+        if (inputs.length === 0) return;
+        injectStyles();
+        inputs.forEach(attach);
+    });
+})();
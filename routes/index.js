@@ -3,283 +3,55 @@ const path = require('path');
 const { spawn } = require('child_process');
 const dnsPromises = require('dns').promises;
 const router = express.Router();
-const { contentstackRedirectFragment, dynamicWordFragement, inputTextFragment } = require('../services/html-fragments');
-const { generateContent, generateJoke } = require('../services/gen-ai');
-const { getCompletionForWrongWord, getJokeFromGroq } = require('../services/groq-ai-client');
-const mixpanel = require('../services/mixpanel');
-const { getSampleData } = require('../services/firebase.service');
+const {
+  contentstackRedirectFragment,
+  dynamicWordFragement,
+  errorPageFragment,
+  etymologyStreamFragment,
+  genAiSectionFragment,
+  inputTextFragment,
+  languageFragment,
+  meaningsFragment,
+  pageEndFragment,
+  pronunciationFragment,
+  sourcesFragment
+} = require('../services/html-fragments');
+const { html, renderMarkdown } = require('../services/html-template');
+const { MAX_TOPIC_LENGTH, normalizeUserText } = require('../services/user-input');
+const { rateLimit } = require('../services/rate-limit');
+const { egressFetch } = require('../services/http-client');
+const { EVENTS } = require('../services/analytics-events');
+const { trackRequests, annotateRequest, skipTracking, holdTracking } = require('../services/request-tracking');
+const { generateDeviceFingerprint, getBehaviorFingerprint } = require('../services/request-profile');
+const { generateJoke, generateEtymology, isGeminiConfigured, isGeminiWithinBudget } = require('../services/gen-ai');
+const { getJokeFromGroq } = require('../services/groq-ai-client');
+const { getModelRouter } = require('../services/model-router');
+const { LLMConfigError, ContentBlockedError, LLMBudgetError, getLLMClient } = require('../services/llm-client');
+const { trackLLMRoute } = require('../services/llm-usage');
+const { requireAdmin } = require('../services/admin-auth');
+const { MAX_REPORT_DAYS, buildAnalyticsReport } = require('../services/analytics-report');
+const { openEventStream } = require('../services/sse');
+const { RATINGS, publicJoke, getTopicHistory, getShownJokes, saveJoke, getFallbackJoke, rateJoke } = require('../services/joke-store');
+const { lookupWord, getCacheSize } = require('../services/word-lookup');
+const { getCacheStats } = require('../services/cache');
+const { parseWordList, lookupWords, batchResultsToCsv, BATCH_MAX_WORDS } = require('../services/word-batch');
+const { suggestWords } = require('../services/word-suggest');
+const { getSampleData, isFirebaseInitialized, getWordLists, saveWordLists } = require('../services/firebase.service');
+const { getWordOfTheDay, prewarmNextWordOfTheDay } = require('../services/word-of-the-day');
+const { normalizeWordLists, mergeWordLists } = require('../services/word-lists');
+const { SUPPORTED_LANGUAGES, normalizeLanguage, resolveLanguage, getLanguageName } = require('../services/language');
+const { WORD_PAGE_CACHE, HOMEPAGE_CACHE, sendCacheable, sendUncacheable, readStaticPage } = require('../services/http-cache');
 const { StatusAggregator } = require('../services/status-aggregator');
-const crypto = require('crypto');
-
-const api_key = process.env.GEMINI_API_KEY;
 
 // Initialize status aggregator
 const statusAggregator = new StatusAggregator();
 
-// Aggressive user profiling and fingerprinting
-function generateDeviceFingerprint(req) {
-  const userAgent = req.get('user-agent') || '';
-  const acceptLanguage = req.get('accept-language') || '';
-  const acceptEncoding = req.get('accept-encoding') || '';
-  const ip = req.ip || '';
-  
-  const fingerprint = crypto.createHash('sha256')
-    .update(userAgent + acceptLanguage + acceptEncoding + ip)
-    .digest('hex');
-  
-  return fingerprint.substring(0, 16); // Shortened for readability
-}
+// Attribute LLM token usage and cost to the route that caused it
+router.use(trackLLMRoute);
 
-function parseUserAgent(userAgent) {
-  if (!userAgent) return {};
-  
-  // Basic browser detection
-  const browsers = {
-    chrome: /chrome\/(\d+)/i,
-    firefox: /firefox\/(\d+)/i,
-    safari: /safari\/(\d+)/i,
-    edge: /edg\/(\d+)/i,
-    opera: /opera\/(\d+)/i
-  };
-  
-  // OS detection
-  const os = {
-    windows: /windows nt (\d+\.\d+)/i,
-    mac: /mac os x (\d+[._]\d+)/i,
-    linux: /linux/i,
-    android: /android (\d+\.\d+)/i,
-    ios: /os (\d+_\d+)/i
-  };
-  
-  // Device detection
-  const devices = {
-    mobile: /mobile/i,
-    tablet: /tablet|ipad/i,
-    desktop: !(/mobile|tablet|ipad/i.test(userAgent))
-  };
-  
-  let browserInfo = { name: 'unknown', version: 'unknown' };
-  let osInfo = { name: 'unknown', version: 'unknown' };
-  let deviceType = 'unknown';
-  
-  // Parse browser
-  for (const [name, regex] of Object.entries(browsers)) {
-    const match = userAgent.match(regex);
-    if (match) {
-      browserInfo = { name, version: match[1] };
-      break;
-    }
-  }
-  
-  // Parse OS
-  for (const [name, regex] of Object.entries(os)) {
-    const match = userAgent.match(regex);
-    if (match) {
-      osInfo = { name, version: match[1] || 'unknown' };
-      break;
-    }
-  }
-  
-  // Parse device type
-  if (devices.mobile.test(userAgent)) deviceType = 'mobile';
-  else if (devices.tablet.test(userAgent)) deviceType = 'tablet';
-  else if (devices.desktop) deviceType = 'desktop';
-  
-  return {
-    browser: browserInfo,
-    os: osInfo,
-    deviceType,
-    isBot: /bot|crawl|spider|scrape/i.test(userAgent),
-    isMobile: deviceType === 'mobile',
-    isTablet: deviceType === 'tablet',
-    isDesktop: deviceType === 'desktop'
-  };
-}
-
-function getNetworkFingerprint(req) {
-  return {
-    ip: req.ip,
-    ipHash: crypto.createHash('md5').update(req.ip).digest('hex').substring(0, 8),
-    forwardedIps: req.get('x-forwarded-for') || '',
-    cfCountry: req.get('visitor-ip-country') || '',
-    cfRegion: req.get('visitor-ip-region') || '',
-    cfCity: req.get('visitor-ip-city') || '',
-    connection: req.get('connection') || '',
-    protocol: req.protocol,
-    hostname: req.hostname,
-    port: req.get('x-forwarded-port') || req.socket?.remotePort || 'unknown'
-  };
-}
-
-function getBrowserFingerprint(req) {
-  const userAgent = req.get('user-agent') || '';
-  const acceptLanguage = req.get('accept-language') || '';
-  const acceptEncoding = req.get('accept-encoding') || '';
-  
-  return {
-    acceptLanguage,
-    acceptEncoding,
-    acceptCharset: req.get('accept-charset') || '',
-    accept: req.get('accept') || '',
-    cacheControl: req.get('cache-control') || '',
-    pragma: req.get('pragma') || '',
-    upgradeInsecureRequests: req.get('upgrade-insecure-requests') || '',
-    dnt: req.get('dnt') || '', // Do Not Track
-    secFetchDest: req.get('sec-fetch-dest') || '',
-    secFetchMode: req.get('sec-fetch-mode') || '',
-    secFetchSite: req.get('sec-fetch-site') || '',
-    secFetchUser: req.get('sec-fetch-user') || '',
-    xRequestedWith: req.get('x-requested-with') || ''
-  };
-}
-
-function getTimingFingerprint(req) {
-  const now = new Date();
-  return {
-    timestamp: now.toISOString(),
-    timestampUnix: now.getTime(),
-    localTime: now.toLocaleString(),
-    utcTime: now.toUTCString(),
-    timezone: now.getTimezoneOffset(),
-    dayOfWeek: now.getDay(),
-    hourOfDay: now.getHours(),
-    isWeekend: now.getDay() === 0 || now.getDay() === 6,
-    isBusinessHours: now.getHours() >= 9 && now.getHours() <= 17,
-    requestTime: Date.now()
-  };
-}
-
-function getSessionFingerprint(req) {
-  return {
-    sessionId: req.sessionID || 'no-session',
-    sessionExists: !!req.session,
-    isNewSession: !req.session || Object.keys(req.session).length <= 1,
-    cookieEnabled: !!req.get('cookie'),
-    cookies: req.get('cookie') ? req.get('cookie').split(';').length : 0
-  };
-}
-
-function getTrafficFingerprint(req) {
-  const referer = req.get('referer') || '';
-  let refererDomain = 'direct';
-  let isSearchEngine = false;
-  let searchEngine = '';
-  
-  if (referer) {
-    try {
-      const url = new URL(referer);
-      refererDomain = url.hostname;
-      
-      // Detect search engines
-      const searchEngines = {
-        google: /google\./,
-        bing: /bing\./,
-        yahoo: /yahoo\./,
-        duckduckgo: /duckduckgo\./,
-        yandex: /yandex\./,
-        baidu: /baidu\./
-      };
-      
-      for (const [engine, regex] of Object.entries(searchEngines)) {
-        if (regex.test(refererDomain)) {
-          isSearchEngine = true;
-          searchEngine = engine;
-          break;
-        }
-      }
-    } catch (e) {
-      refererDomain = 'invalid-url';
-    }
-  }
-  
-  return {
-    referer,
-    refererDomain,
-    isSearchEngine,
-    searchEngine,
-    isDirect: !referer,
-    utmSource: req.query.utm_source || '',
-    utmMedium: req.query.utm_medium || '',
-    utmCampaign: req.query.utm_campaign || '',
-    utmTerm: req.query.utm_term || '',
-    utmContent: req.query.utm_content || '',
-    fbclid: req.query.fbclid || '', // Facebook click ID
-    gclid: req.query.gclid || '', // Google click ID
-  };
-}
-
-function getBehaviorFingerprint(req, word = '') {
-  return {
-    searchTerm: word.toLowerCase(),
-    searchLength: word.length,
-    hasNumbers: /\d/.test(word),
-    hasSpecialChars: /[^a-zA-Z0-9\s]/.test(word),
-    isAllCaps: word === word.toUpperCase(),
-    isAllLower: word === word.toLowerCase(),
-    hasSpaces: /\s/.test(word),
-    wordCount: word.split(/\s+/).length,
-    startsWithVowel: /^[aeiou]/i.test(word),
-    isCommonWord: ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for'].includes(word.toLowerCase()),
-    containsProfanity: /damn|hell|shit|fuck|ass|bitch/i.test(word)
-  };
-}
-
-function getSystemFingerprint() {
-  return {
-    nodeVersion: process.version,
-    platform: process.platform,
-    arch: process.arch,
-    memoryUsage: process.memoryUsage(),
-    cpuUsage: process.cpuUsage(),
-    serverTime: new Date().toISOString(),
-    pid: process.pid
-  };
-}
-
-function getComprehensiveUserProfile(req, additionalData = {}) {
-  const userAgent = parseUserAgent(req.get('user-agent'));
-  const network = getNetworkFingerprint(req);
-  const browser = getBrowserFingerprint(req);
-  const timing = getTimingFingerprint(req);
-  const session = getSessionFingerprint(req);
-  const traffic = getTrafficFingerprint(req);
-  const system = getSystemFingerprint();
-  
-  return {
-    // Unique identifiers
-    deviceFingerprint: generateDeviceFingerprint(req),
-    sessionFingerprint: req.sessionID || 'anonymous',
-    
-    // User agent analysis
-    ...userAgent,
-    userAgentRaw: req.get('user-agent') || '',
-    
-    // Network fingerprinting
-    ...network,
-    
-    // Browser fingerprinting
-    ...browser,
-    
-    // Timing analysis
-    ...timing,
-    
-    // Session analysis
-    ...session,
-    
-    // Traffic analysis
-    ...traffic,
-    
-    // System information
-    ...system,
-    
-    // Additional custom data
-    ...additionalData
-  };
-}
-
-// Add a simple in-memory cache
-const wordCache = new Map();
-const CACHE_MAX_SIZE = 1000; // Maximum number of entries to prevent memory issues
+// One analytics event per request, with the route, status and latency.
+// Handlers name the event and add their own properties with annotateRequest().
+router.use(trackRequests());
 
 // Tech news cache
 const techNewsCache = {
@@ -288,47 +60,18 @@ const techNewsCache = {
   CACHE_DURATION: 10 * 60 * 1000 // 10 minutes in milliseconds
 };
 
-// Cache cleanup function
-function cleanupCache() {
-  if (wordCache.size > CACHE_MAX_SIZE) {
-    // Remove oldest 20% of entries when cache gets too large
-    const keysToDelete = [...wordCache.keys()]
-      .sort((a, b) => wordCache.get(a).timestamp - wordCache.get(b).timestamp)
-      .slice(0, Math.floor(CACHE_MAX_SIZE * 0.2));
-
-    keysToDelete.forEach(key => wordCache.delete(key));
-    console.log(`Cache cleanup: removed ${keysToDelete.length} oldest entries`);
-  }
-}
-
-// Periodically clean cache (every hour)
-setInterval(cleanupCache, 60 * 60 * 1000);
-
 // Serve the index.html file for the root route
 router.get('/', (req, res) => {
-  // Track page view with comprehensive user profiling
-  mixpanel.track(mixpanel.EVENTS.PAGE_VIEW, getComprehensiveUserProfile(req, {
+  annotateRequest(res, EVENTS.PAGE_VIEW, {
     page: 'home',
     path: req.path,
-    cacheSize: wordCache.size,
-    eventType: 'landing_page',
+    cacheSize: getCacheSize(),
     serverLoad: process.cpuUsage().user
-  }));
-
-  // Calculate expiration one year from now
-  const oneYearFromNow = new Date();
-  oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
-  
-  // Set aggressive caching headers
-  res.set({
-    'Cache-Control': 'public, max-age=31536000', // Cache for 1 year (in seconds)
-    'Expires': oneYearFromNow.toUTCString(),
-    'ETag': '"homepage-v1"', // Simple version-based ETag
-    'X-Content-Type-Options': 'nosniff'
   });
-  
-  res.sendFile(path.join(__dirname, '../views/index.html'));
-  return;
+
+  // Content-hash ETag, so a deploy that changes the page invalidates it
+  res.set('X-Content-Type-Options', 'nosniff');
+  sendCacheable(req, res, readStaticPage(path.join(__dirname, '../views/index.html')), HOMEPAGE_CACHE);
 });
 
 // New route for animations
@@ -338,28 +81,17 @@ router.get('/animations', (req, res) => {
 
 // Sticky Notes Board
 router.get('/stickies', (req, res) => {
-  // Track sticky notes page access
-  mixpanel.track('STICKIES_PAGE_ACCESS', getComprehensiveUserProfile(req, {
-    page: 'stickies',
-    eventType: 'stickies_page_access'
-  }));
-
+  annotateRequest(res, EVENTS.STICKIES_PAGE_ACCESS, { page: 'stickies' });
   res.sendFile(path.join(__dirname, '../views/stickies.html'));
 });
 
 // Status Dashboard Page
 router.get('/status', (req, res) => {
-  // Track status dashboard access with comprehensive profiling
-  mixpanel.track('STATUS_DASHBOARD_ACCESS', getComprehensiveUserProfile(req, {
-    page: 'status-dashboard',
-    eventType: 'status_dashboard_access'
-  }));
-
+  annotateRequest(res, EVENTS.STATUS_DASHBOARD_ACCESS, { page: 'status-dashboard' });
   res.sendFile(path.join(__dirname, '../views/status-dashboard.html'));
 });
 
-router.get('/word-usage', async (req, res) => {
-  const startTime = Date.now(); // Track timing
+router.get('/word-usage', rateLimit('llm'), async (req, res) => {
   let word = req.query.word;
   console.log('Word:', word);
   if (!word || word.trim().length === 0) {
@@ -369,16 +101,19 @@ router.get('/word-usage', async (req, res) => {
     return; // Add return to prevent further execution
   }
 
-  // Track word search event with comprehensive user profiling
-  const behaviorProfile = getBehaviorFingerprint(req, word);
-  mixpanel.track(mixpanel.EVENTS.WORD_SEARCHED, getComprehensiveUserProfile(req, {
+  // Empty means auto-detect; anything else must be a supported language
+  const lang = getRequestedLanguage(req);
+  if (lang === null) {
+    return res.status(400).send(errorPageFragment(`Unsupported language "${req.query.lang}"`).toString());
+  }
+
+  annotateRequest(res, EVENTS.WORD_SEARCHED, {
     word: word.trim().toLowerCase(),
     originalWord: word,
-    cacheHit: wordCache.has(word),
-    cacheSize: wordCache.size,
-    eventType: 'word_search',
-    ...behaviorProfile
-  }));
+    lang: lang || 'auto',
+    cacheSize: getCacheSize(),
+    ...getBehaviorFingerprint(req, word)
+  });
 
    // Fix the contentstack check and add redirection
   // In your word-usage route handler
@@ -387,293 +122,635 @@ router.get('/word-usage', async (req, res) => {
 if(word.toLowerCase() === 'contentstack') {
   console.log('Showing loader before redirecting to Contentstack website');
   
-  // Track Contentstack redirect with comprehensive user profiling
-  const redirectBehavior = getBehaviorFingerprint(req, word);
-  mixpanel.track(mixpanel.EVENTS.CONTENTSTACK_REDIRECT, getComprehensiveUserProfile(req, {
-    word: word,
+  annotateRequest(res, EVENTS.CONTENTSTACK_REDIRECT, {
     triggerWord: 'contentstack',
-    eventType: 'special_redirect',
-    redirectType: 'contentstack_easter_egg',
-    ...redirectBehavior
-  }));
+    redirectType: 'contentstack_easter_egg'
+  });
   
   // Send an HTML page with loader and auto-redirect
-  return res.send(contentstackRedirectFragment());
+  return res.send(contentstackRedirectFragment().toString());
 }
 
   try {
-    let data;
-    // Check if word is in cache
-    if (wordCache.has(word)) {
-      console.log(`Cache hit for word: ${word}`);
-      const cacheEntry = wordCache.get(word);
-      // Update timestamp to mark as recently used
-      cacheEntry.timestamp = Date.now();
-      data = cacheEntry.data;
-    } else {
-      console.log(`Cache miss for word: ${word}, fetching from API`);
-      
-      // Run API calls in parallel
-      const dictionaryPromise = fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word}`);
-      const genAIPromise = api_key ? generateContent(api_key, word) : Promise.resolve(null);
-      
-      const [response, genAIResponse] = await Promise.all([
-        dictionaryPromise,
-        genAIPromise
-      ]);
-      
-      data = await response.json();
-      data.genAIResponse = genAIResponse;
-      
-      console.log('genAIResponse', genAIResponse);
-      
-      // Track API response quality with comprehensive profiling
-      const apiResponseProfile = getBehaviorFingerprint(req, word);
-      mixpanel.track('API_RESPONSE', getComprehensiveUserProfile(req, {
-        word: word.trim().toLowerCase(),
-        responseTime: Date.now() - startTime,
-        apiSuccess: !!data[0]?.meanings,
-        hasAiResponse: !!genAIResponse,
-        definitionCount: data[0]?.meanings?.length || 0,
-        hasExamples: data[0]?.meanings?.some(m => m.definitions.some(d => d.example)) || false,
-        partOfSpeechCount: data[0]?.meanings?.length || 0,
-        eventType: 'api_response',
-        cacheHit: false, // This is always a cache miss
-        ...apiResponseProfile
-      }));
-      
-      // Store in cache with timestamp
-      wordCache.set(word, {
-        data: data,
-        timestamp: Date.now()
-      });
+    // Don't hold the page for Gemini: an etymology that isn't cached yet is
+    // streamed into the page by /js/llm-stream.js
+    const result = await lookupWord(word, { lang, etymology: false });
+
+    annotateRequest(res, EVENTS.WORD_SEARCHED, {
+      lang: result.lang,
+      langSource: result.langSource,
+      found: result.found,
+      cacheHit: result.cached
+    });
 
-      // Cleanup cache if needed
-      if (wordCache.size > CACHE_MAX_SIZE) {
-        cleanupCache();
-      }
-    }
-    let html = dynamicWordFragement(word);
-    if (!data || data.length === 0 || !data[0] || !data[0].meanings || !data[0].meanings[0] || !data[0].meanings[0].definitions || !data[0].meanings[0].definitions[0]) {
+    if (!result.found) {
       console.log('No data found');
-      
-      // Track word not found with comprehensive profiling
-      const notFoundProfile = getBehaviorFingerprint(req, word);
-      mixpanel.track('WORD_NOT_FOUND', getComprehensiveUserProfile(req, {
-        word: word.trim().toLowerCase(),
-        eventType: 'word_not_found',
-        apiFailure: true,
-        fallbackUsed: true,
-        ...notFoundProfile
-      }));
-      
-      console.log('req.headers ###############', req);
-      const completion = await getCompletionForWrongWord(word, req);
-      html += `
-        <div class="gen-ai-section" style="margin-top: 2rem; background-color: var(--light-bg); border-radius: 8px; box-shadow: var(--shadow); padding: 1.5rem; border-left: 4px solid var(--accent-color);">
-          <h3 class="gen-ai-response-title" style="color: var(--primary-color); margin-bottom: 1rem; font-size: 1.4rem;">${word} may not be spelled correctly, or is not an English word</h3>
-          <div class="gen-ai-response-content" style="line-height: 1.7; color: var(--text-color);">${completion.choices[0]?.message?.content || ""}</div>
-        </div>
-      `;
-      html += `
-        </div>
-        <a href="/" class="back-link">Back to Home</a>
-      </body>
-      </html>
-      `;
-      res.send(html);
-      return
+      annotateRequest(res, EVENTS.WORD_NOT_FOUND, { fallbackUsed: true });
+
+      const notFoundPage = html`${dynamicWordFragement(word, languageFragment(result))}${genAiSectionFragment(
+        `${word} may not be spelled correctly, or is not ${getLanguageName(result.lang)}`,
+        renderMarkdown(result.suggestion)
+      )}${pageEndFragment()}`;
+      // The Groq fallback is generated per request, so never store it
+      return sendUncacheable(res, notFoundPage.toString());
     }
 
-    // Create HTML response
-    
-
-    // Add this before the closing </div> tag and the back link
-    html += inputTextFragment();
-
-    if (data.genAIResponse?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      const aiText = data.genAIResponse.candidates[0].content.parts[0].text;
-      html += `
-        <div class="gen-ai-section" style="margin-top: 2rem; background-color: var(--light-bg); border-radius: 8px; box-shadow: var(--shadow); padding: 1.5rem; border-left: 4px solid var(--accent-color);">
-          <h3 class="gen-ai-response-title" style="color: var(--primary-color); margin-bottom: 1rem; font-size: 1.4rem;">${word} etymology and historical fact</h3>
-          <div class="gen-ai-response-content" style="line-height: 1.7; color: var(--text-color);">${aiText}</div>
-        </div>
-      `;
+    // Every interpolated value is escaped; LLM output goes through the
+    // markdown renderer, which only emits an allowlisted set of tags
+    let etymologySection = '';
+    if (result.etymology) {
+      etymologySection = genAiSectionFragment(`${word} etymology and historical fact`, renderMarkdown(result.etymology));
+    } else if (result.etymologyDeferred) {
+      etymologySection = etymologyStreamFragment(word, result.lang);
+    }
+    annotateRequest(res, EVENTS.WORD_SEARCHED, {
+      definitionCount: result.meanings.length,
+      partOfSpeechCount: result.meanings.length,
+      hasExamples: result.meanings.some(m => m.definitions.some(d => d.example))
+    });
+    const page = html`${dynamicWordFragement(word, html`${languageFragment(result)}${pronunciationFragment(result)}`)}${inputTextFragment()}${
+      etymologySection
+    }${meaningsFragment(result.meanings, result.lang)}${sourcesFragment(result.sourceUrls)}${pageEndFragment()}`;
+
+    // A page missing the etymology or built from a fallback provider must
+    // not outlive the outage that caused it
+    if (result.degraded) {
+      return sendUncacheable(res, page.toString());
     }
+    return sendCacheable(req, res, page.toString(), WORD_PAGE_CACHE);
 
-    // Add all meanings and definitions
-    data[0].meanings.forEach(meaning => {
-      html += `<h3 class="part-of-speech">${meaning.partOfSpeech}</h3>`;
+  } catch (error) {
+    console.error('Error fetching word data:', error);
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.API_ERROR);
 
-      meaning.definitions.forEach((def, index) => {
-        html += `
-          <div class="definition">
-            <strong>${index + 1}.</strong> ${def.definition}
-            ${def.example ? `<div class="example"><strong>Example:</strong> "${def.example}"</div>` : ''}
-          </div>`;
+    // Don't cache error responses
+    sendUncacheable(res, errorPageFragment(error.message).toString(), 500);
+  }
+});
+
+
+// ------------------------------
+// Word Lookup JSON API
+// ------------------------------
+/**
+ * Read the optional ?lang= parameter. Returns undefined for auto-detect and
+ * null for an unsupported language.
+ */
+function getRequestedLanguage(req) {
+  return req.query.lang ? normalizeLanguage(req.query.lang) : undefined;
+}
+
+function unsupportedLanguageResponse(req, res) {
+  return res.status(400).json({
+    error: 'Unsupported language',
+    message: `lang must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`,
+    provided: String(req.query.lang)
+  });
+}
+
+// Type-ahead and spelling suggestions from the local word list. Registered
+// before /api/words/:word so "suggest" isn't treated as a word. Not tracked
+// in analytics: the search box calls it on every keystroke.
+const SUGGEST_PREFIX_REGEX = /^[\p{L}][\p{L}'\- ]{0,49}$/u;
+
+router.get('/api/words/suggest', skipTracking, rateLimit('suggest'), (req, res) => {
+  const prefix = String(req.query.prefix || '').trim();
+  const limit = Math.min(Math.max(parseInt(String(req.query.limit || '8'), 10) || 8, 1), 20);
+
+  if (!SUGGEST_PREFIX_REGEX.test(prefix)) {
+    return res.status(400).json({
+      error: 'Invalid prefix',
+      message: 'prefix must start with a letter and be at most 50 characters'
+    });
+  }
+
+  try {
+    const suggestions = suggestWords(prefix, { limit });
+    res.set('Cache-Control', 'public, max-age=86400'); // Word list only changes on deploy
+    return res.json(suggestions);
+  } catch (error) {
+    console.error('Word suggestion error:', error);
+    return res.status(500).json({ error: 'Word suggestions failed', message: error.message });
+  }
+});
+
+// Batch lookup for vocabulary lists. Accepts JSON ({ "words": [...] } or a
+// comma/newline separated string), a plain-text glossary or a CSV upload
+// whose first column holds the words. ?format=csv exports the results.
+const batchBodyParsers = [
+  express.json({ limit: '100kb' }),
+  express.text({ type: ['text/plain', 'text/csv'], limit: '100kb' })
+];
+
+function batchWords(req) {
+  const input = typeof req.body === 'string' ? req.body : req.body?.words;
+  return parseWordList(input, { csv: req.is('text/csv') === 'text/csv' });
+}
+
+// Charged per word, since every uncached word may call Gemini and Groq.
+// Oversized batches are rejected before any lookup, so they cost one.
+const batchRateLimit = rateLimit('batch', {
+  cost: req => {
+    const count = batchWords(req).length;
+    return count > BATCH_MAX_WORDS ? 1 : count;
+  }
+});
+
+router.post('/api/words/batch', batchBodyParsers, batchRateLimit, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Unsupported format', message: 'format must be json or csv' });
+  }
+
+  const lang = getRequestedLanguage(req);
+  if (lang === null) {
+    return unsupportedLanguageResponse(req, res);
+  }
+
+  const isCsv = req.is('text/csv') === 'text/csv';
+  const words = batchWords(req);
+
+  if (words.length === 0) {
+    return res.status(400).json({
+      error: 'No words provided',
+      message: 'Send { "words": ["..."] } as JSON, or a plain-text/CSV word list'
+    });
+  }
+  if (words.length > BATCH_MAX_WORDS) {
+    return res.status(400).json({
+      error: 'Too many words',
+      message: `A batch may contain at most ${BATCH_MAX_WORDS} words`,
+      provided: words.length
+    });
+  }
+
+  annotateRequest(res, EVENTS.WORD_BATCH_SUCCESS, {
+    wordCount: words.length,
+    format,
+    lang: lang || 'auto',
+    inputType: typeof req.body === 'string' ? (isCsv ? 'csv' : 'text') : 'json'
+  });
+
+  try {
+    const batch = await lookupWords(words, { lang });
+
+    annotateRequest(res, EVENTS.WORD_BATCH_SUCCESS, {
+      foundCount: batch.found,
+      notFoundCount: batch.notFound,
+      failedCount: batch.failed
+    });
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="word-lookup.csv"'
       });
+      return res.send(batchResultsToCsv(batch));
+    }
+
+    return res.json(batch);
+  } catch (error) {
+    console.error('Word batch error:', error);
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.WORD_BATCH_ERROR);
+
+    return res.status(500).json({
+      error: 'Batch lookup failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
     });
+  }
+});
 
-    html += `
-        </div>
-        <a href="/" class="back-link">Back to Home</a>
-      </body>
-      </html>
-      `;
+// Deterministic daily word for the landing page. Registered before
+// /api/words/:word for the same reason as /api/words/suggest.
+router.get('/api/words/of-the-day', async (req, res) => {
+  try {
+    const wordOfTheDay = await getWordOfTheDay();
+    prewarmNextWordOfTheDay();
 
-    // Set aggressive caching headers
-    // Calculate expiration one year from now
-    const oneYearFromNow = new Date();
-    oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
+    annotateRequest(res, EVENTS.WORD_OF_THE_DAY_VIEW, {
+      word: wordOfTheDay.word,
+      date: wordOfTheDay.date
+    });
 
-    res.set({
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'public, max-age=31536000', // Cache for 1 year (in seconds)
-      'Expires': oneYearFromNow.toUTCString(),
-      'ETag': `"${Buffer.from(word).toString('base64')}"`, // Simple ETag based on the word
+    res.set('Cache-Control', 'public, max-age=600');
+    return res.json(wordOfTheDay);
+  } catch (error) {
+    console.error('Word of the day error:', error);
+    res.locals.error = error;
+    return res.status(500).json({
+      error: 'Failed to fetch word of the day',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Optional Firebase sync for the lookup history and favorites kept in the
+// browser. The sync id is a random UUID generated client-side; anyone who
+// knows it can read the lists, which is how a second device is linked.
+const SYNC_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+function validateSyncRequest(req, res, next) {
+  if (!SYNC_ID_REGEX.test(req.params.syncId)) {
+    return res.status(400).json({ error: 'Invalid sync id', message: 'syncId must be a version 4 UUID' });
+  }
+  if (!isFirebaseInitialized()) {
+    return res.status(503).json({ error: 'Sync unavailable', message: 'Firebase is not configured on this server' });
+  }
+  next();
+}
+
+router.get('/api/words/lists/:syncId', validateSyncRequest, async (req, res) => {
+  try {
+    const stored = await getWordLists(req.params.syncId);
+    return res.json(normalizeWordLists(stored || {}));
+  } catch (error) {
+    console.error('Word lists fetch error:', error);
+    res.locals.error = error;
+    return res.status(500).json({
+      error: 'Failed to fetch word lists',
+      message: error.message,
+      timestamp: new Date().toISOString()
     });
+  }
+});
 
-    // Send HTML response
-    res.send(html);
+router.put('/api/words/lists/:syncId', express.json({ limit: '100kb' }), validateSyncRequest, async (req, res) => {
+  try {
+    const stored = await getWordLists(req.params.syncId);
+    const merged = mergeWordLists(stored && normalizeWordLists(stored), normalizeWordLists(req.body));
+    await saveWordLists(req.params.syncId, merged);
+
+    annotateRequest(res, EVENTS.WORD_LISTS_SYNC, {
+      historyCount: merged.history.length,
+      favoritesCount: merged.favorites.length
+    });
 
+    return res.json(merged);
   } catch (error) {
-    console.error('Error fetching word data:', error);
-    
-    // Track API error with comprehensive profiling
-    const errorProfile = word ? getBehaviorFingerprint(req, word) : {};
-    mixpanel.track('API_ERROR', getComprehensiveUserProfile(req, {
-      word: word ? word.trim().toLowerCase() : 'unknown',
-      errorType: error.name,
-      errorMessage: error.message,
-      errorStack: error.stack ? error.stack.substring(0, 500) : '', // First 500 chars
-      eventType: 'api_error',
-      criticalError: true,
-      ...errorProfile
-    }));
-    
-    // Don't cache error responses
-    res.set({
-      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'no-store, must-revalidate'
+    console.error('Word lists sync error:', error);
+    res.locals.error = error;
+    return res.status(500).json({
+      error: 'Failed to sync word lists',
+      message: error.message,
+      timestamp: new Date().toISOString()
     });
-    res.status(500).send(`
-        <html>
-          <head><title>Error</title></head>
-          <body>
-            <h1>Error</h1>
-            <p>Failed to fetch word data: ${error.message}</p>
-            <p><a href="/">Back to Home</a></p>
-          </body>
-        </html>
-      `);
   }
 });
 
+router.get('/api/words/:word', rateLimit('llm'), async (req, res) => {
+  const word = String(req.params.word || '').trim();
+  if (!word) {
+    return res.status(400).json({ error: 'Word is required' });
+  }
+  const lang = getRequestedLanguage(req);
+  if (lang === null) {
+    return unsupportedLanguageResponse(req, res);
+  }
 
-router.get('/joke', async (req, res) => {
-  const startTime = Date.now(); // Track timing for jokes
-  // get the topic from the query params
-  const topic = req.query.topic;
-  if (!topic || topic.trim().length === 0) {
+  annotateRequest(res, EVENTS.WORD_API_SUCCESS, {
+    word: word.toLowerCase(),
+    lang: lang || 'auto',
+    cacheSize: getCacheSize(),
+    ...getBehaviorFingerprint(req, word)
+  });
+
+  try {
+    const result = await lookupWord(word, { lang });
+
+    annotateRequest(res, EVENTS.WORD_API_SUCCESS, {
+      lang: result.lang,
+      langSource: result.langSource,
+      found: result.found,
+      cacheHit: result.cached
+    });
+
+    return res.status(result.found ? 200 : 404).json(result);
+  } catch (error) {
+    console.error('Word API error:', error);
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.WORD_API_ERROR);
+
+    return res.status(500).json({
+      error: 'Failed to fetch word data',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Streams the Gemini etymology for word pages as Server-Sent Events: `token`
+// events ({ text }) as it is written, then `done` ({ html }) with the
+// rendered markdown, or `error` ({ message }). `retract` clears text the
+// content safety filter blocked.
+router.get('/api/words/:word/etymology/stream', rateLimit('llm'), async (req, res) => {
+  const word = String(req.params.word || '').trim();
+  if (!word) {
+    return res.status(400).json({ error: 'Word is required' });
+  }
+  const lang = getRequestedLanguage(req);
+  if (lang === null) {
+    return unsupportedLanguageResponse(req, res);
+  }
+  if (!isGeminiConfigured()) {
+    return res.status(503).json({
+      error: 'Etymology unavailable',
+      message: 'Gemini is not configured on this server',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (!isGeminiWithinBudget()) {
+    return res.status(503).json({
+      error: 'Etymology unavailable',
+      message: 'The daily LLM budget has been used up',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const language = resolveLanguage(word, lang);
+  annotateRequest(res, EVENTS.ETYMOLOGY_STREAM_SUCCESS, { word: word.toLowerCase(), lang: language.lang });
+  // Generation ends after a disconnect, so wait for it before tracking
+  const releaseTracking = holdTracking(res);
+  const stream = openEventStream(req, res);
+  try {
+    const etymology = await generateEtymology(word, language.lang, {
+      signal: stream.signal,
+      onToken: text => stream.send('token', { text }),
+      onRetract: () => stream.send('retract', {})
+    });
+    // The page swaps the raw streamed text for the sanitized markdown
+    stream.send('done', { html: renderMarkdown(etymology.text).toString() });
+    annotateRequest(res, EVENTS.ETYMOLOGY_STREAM_SUCCESS, { llmModel: etymology.model });
+  } catch (error) {
+    console.error('Etymology stream failed:', error);
+    stream.send('error', { message: 'Failed to get the etymology' });
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.ETYMOLOGY_STREAM_ERROR, { contentBlocked: error instanceof ContentBlockedError });
+  } finally {
+    stream.close();
+    releaseTracking();
+  }
+});
+
+const jokeGenerators = { groq: getJokeFromGroq, gemini: generateJoke };
+
+// Sent when every answer for a topic was withheld by the content safety filter
+const BLOCKED_JOKE_MESSAGE = "Our comedian couldn't come up with a clean joke about that. Try another topic!";
+
+/**
+ * Ask the joke generator for a routed target
+ * @param {Object} target - Model router target
+ * @param {Object} options - model is filled in; onToken and signal stream the joke
+ */
+function generateJokeFor(target, topic, options = {}) {
+  const generate = jokeGenerators[target.provider];
+  if (!generate) {
+    throw new LLMConfigError(`No joke generator for provider '${target.provider}'`, { provider: target.provider });
+  }
+  return generate(topic, { ...options, model: target.model });
+}
+
+/**
+ * Validate the topic and optional ?model=provider[:model] pin shared by the
+ * joke endpoints. The model router picks the provider and model unless a
+ * pin names one. With ?another=true the cache is skipped and the model is
+ * told which jokes were already shown for the topic. The topic is
+ * normalized (control characters stripped, whitespace collapsed) before it
+ * reaches the model. Sends a 400 and returns null when the topic or pin is
+ * invalid.
+ */
+function parseJokeRequest(req, res) {
+  const topic = typeof req.query.topic === 'string' ? normalizeUserText(req.query.topic, { maxLength: Infinity }) : '';
+  if (topic.length === 0) {
     res.status(400).send('Topic is required');
-    return;
+    return null;
+  }
+  if ([...topic].length > MAX_TOPIC_LENGTH) {
+    res.status(400).send(`Topic must be at most ${MAX_TOPIC_LENGTH} characters`);
+    return null;
   }
 
-  
-  // randomly call gemini or groq api
-  const random = Math.random();
-  console.log(`Headers::::`)
-  console.log(req.headers)
-  console.log(req.headers['accept-encoding'])
-  // Track joke request with comprehensive user profiling
-  const selectedModel = random < 0.5 ? 'groq' : 'gemini';
-  const jokeProfile = getBehaviorFingerprint(req, topic);
-  mixpanel.track(mixpanel.EVENTS.JOKE_REQUESTED, getComprehensiveUserProfile(req, {
-    topic: topic.trim(),
-    model: selectedModel,
-    modelSelectionRandom: random,
-    eventType: 'joke_request',
-    hasApiKey: !!api_key,
-    ...jokeProfile
-  }));
-  if (random < 0.5) {
-    console.log('Using Groq API for joke');
-    const joke = await getJokeFromGroq(topic);
-    if(!joke){
-      res.status(500).send('Failed to get joke from Groq');
-      return;
+  const jokeRouter = getModelRouter('joke');
+  const pin = typeof req.query.model === 'string' ? req.query.model.trim() : '';
+  if (pin && !jokeRouter.findTarget(pin)) {
+    res.status(400).send(`Unknown model '${pin}'. Available models: ${jokeRouter.targets.map(t => t.id).join(', ')}`);
+    return null;
+  }
+
+  const another = req.query.another === 'true' || req.query.another === '1';
+  return {
+    topic,
+    jokeRouter,
+    pin,
+    another,
+    previousJokes: another ? getShownJokes(topic) : undefined,
+    routingPolicy: pin ? 'pinned' : jokeRouter.policy,
+    routingContext: {
+      requestKey: topic.trim().toLowerCase(),
+      userKey: generateDeviceFingerprint(req),
+      pin
     }
-    let jokeText = joke.choices[0]?.message?.content;
+  };
+}
 
-    // if joke contains the tag <think> then remove all contents between <think> and </think>
-    jokeText = jokeText.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
-    
-    // Track successful joke response with comprehensive profiling
-    const jokeSuccessProfile = getBehaviorFingerprint(req, topic);
-    mixpanel.track('JOKE_SUCCESS', getComprehensiveUserProfile(req, {
-      topic: topic.trim(),
-      model: 'groq',
+// Analytics properties shared by the joke endpoints
+function jokeAnalytics(req, jokeRequest) {
+  return {
+    topic: jokeRequest.topic.trim(),
+    routingPolicy: jokeRequest.routingPolicy,
+    pinnedModel: jokeRequest.pin || undefined,
+    another: jokeRequest.another,
+    ...getBehaviorFingerprint(req, jokeRequest.topic)
+  };
+}
+
+function jokeSuccessAnalytics(saved, routing) {
+  return {
+    jokeId: saved.id,
+    model: routing.provider,
+    llmModel: routing.model,
+    promptTemplate: saved.template,
+    routingPolicy: routing.policy,
+    failedModels: routing.failures.map(f => f.target),
+    jokeLength: saved.text.length
+  };
+}
+
+function jokeErrorAnalytics(error) {
+  return {
+    model: error.provider,
+    contentBlocked: error instanceof ContentBlockedError,
+    overBudget: error instanceof LLMBudgetError
+  };
+}
+
+router.get('/joke', rateLimit('llm'), async (req, res) => {
+  // get the topic from the query params
+  const jokeRequest = parseJokeRequest(req, res);
+  if (!jokeRequest) return;
+  const { topic, jokeRouter, previousJokes, routingContext } = jokeRequest;
+
+  annotateRequest(res, EVENTS.JOKE_SUCCESS, jokeAnalytics(req, jokeRequest));
+
+  try {
+    const { response: joke, routing } = await jokeRouter.run(target => generateJokeFor(target, topic, { previousJokes }), routingContext);
+    const jokeText = joke.text;
+    const saved = saveJoke({ topic, text: jokeText, provider: routing.provider, model: routing.model, target: routing.target, template: joke.template });
+
+    annotateRequest(res, EVENTS.JOKE_SUCCESS, {
+      ...jokeSuccessAnalytics(saved, routing),
       jokeText: jokeText,
-      jokeLength: jokeText.length,
-      jokeQuality: jokeText.length > 50 ? 'good' : 'short',
-      eventType: 'joke_success',
-      responseTime: Date.now() - startTime,
-      ...jokeSuccessProfile
-    }));
-    
-    console.log(jokeText);
-    res.send(jokeText);
-  } else {
-    console.log('Using Gemini API for joke');
-    const joke = await generateJoke(api_key, topic);
-    // console.log('joke', joke);
-    if(!joke){
-      res.status(500).send('Failed to get joke from Gemini');
-      return;
+      jokeQuality: jokeText.length > 50 ? 'good' : 'short'
+    });
+
+    res.set({
+      'X-LLM-Provider': routing.provider,
+      'X-LLM-Model': routing.model,
+      'X-Prompt-Template': joke.template,
+      'X-Joke-Id': saved.id
+    });
+    // Plain text by default; the id and model come along in JSON
+    if (req.accepts(['text', 'json']) === 'json') {
+      return res.json(publicJoke(saved));
     }
-    const jokeText = joke.candidates[0].content.parts[0].text;
-    
-    // Track successful joke response with comprehensive profiling
-    const jokeSuccessProfile = getBehaviorFingerprint(req, topic);
-    mixpanel.track('JOKE_SUCCESS', getComprehensiveUserProfile(req, {
-      topic: topic.trim(),
-      model: 'gemini',
-      jokeText: jokeText,
-      jokeLength: jokeText.length,
-      jokeQuality: jokeText.length > 50 ? 'good' : 'short',
-      eventType: 'joke_success',
-      responseTime: Date.now() - startTime,
-      ...jokeSuccessProfile
-    }));
-    
     res.send(jokeText);
+  } catch (error) {
+    console.error('Joke failed on every model:', error);
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.JOKE_ERROR, jokeErrorAnalytics(error));
+
+    if (error instanceof LLMBudgetError) {
+      // Out of budget for the day: repeat a joke instead of failing
+      const fallback = getFallbackJoke(topic);
+      res.set('X-LLM-Budget', 'exceeded');
+      if (fallback.id) res.set('X-Joke-Id', fallback.id);
+      if (req.accepts(['text', 'json']) === 'json') {
+        return res.json(publicJoke(fallback));
+      }
+      return res.send(fallback.text);
+    }
+    if (error instanceof ContentBlockedError) {
+      return res.status(422).send(BLOCKED_JOKE_MESSAGE);
+    }
+    res.status(500).send('Failed to get a joke');
   }
-  
+});
+
+// Server-Sent Events version of /joke. Sends `token` events ({ text }) as
+// the model writes, then `done` ({ id, provider, model, template }) or `error`
+// ({ message }). `retract` means the text so far was blocked by the content
+// safety filter and should be cleared; a new answer may follow.
+router.get('/joke/stream', rateLimit('llm'), async (req, res) => {
+  const jokeRequest = parseJokeRequest(req, res);
+  if (!jokeRequest) return;
+  const { topic, jokeRouter, previousJokes, routingContext } = jokeRequest;
+
+  annotateRequest(res, EVENTS.JOKE_SUCCESS, { ...jokeAnalytics(req, jokeRequest), streaming: true });
+  // Generation ends after a disconnect, so wait for it before tracking
+  const releaseTracking = holdTracking(res);
+  const stream = openEventStream(req, res);
+  let streamed = false;
+  const onToken = text => {
+    streamed = true;
+    stream.send('token', { text });
+  };
+  // Retracted text is gone from the page, so falling back is fine again
+  const onRetract = () => {
+    streamed = false;
+    stream.send('retract', {});
+  };
+
+  try {
+    const { response: joke, routing } = await jokeRouter.run(
+      target => generateJokeFor(target, topic, { onToken, onRetract, signal: stream.signal, previousJokes }),
+      // Once the client has part of a joke, another model can't finish it
+      { ...routingContext, canFallback: () => !streamed }
+    );
+    const saved = saveJoke({ topic, text: joke.text, provider: routing.provider, model: routing.model, target: routing.target, template: joke.template });
+    stream.send('done', { id: saved.id, provider: routing.provider, model: routing.model, template: joke.template });
+    annotateRequest(res, EVENTS.JOKE_SUCCESS, jokeSuccessAnalytics(saved, routing));
+  } catch (error) {
+    console.error('Joke stream failed:', error);
+    if (error instanceof LLMBudgetError && !streamed) {
+      const fallback = getFallbackJoke(topic);
+      stream.send('token', { text: fallback.text });
+      stream.send('done', { id: fallback.id, fallback: true });
+    } else {
+      stream.send('error', { message: error instanceof ContentBlockedError ? BLOCKED_JOKE_MESSAGE : 'Failed to get a joke' });
+    }
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.JOKE_ERROR, { ...jokeErrorAnalytics(error), partial: streamed });
+  } finally {
+    stream.close();
+    releaseTracking();
+  }
+});
+
+// Jokes recently served for a topic, newest first, with their ratings
+router.get('/api/jokes', (req, res) => {
+  const topic = typeof req.query.topic === 'string' ? req.query.topic.trim() : '';
+  if (!topic) {
+    return res.status(400).json({ error: 'Topic is required' });
+  }
+  return res.json({ topic, jokes: getTopicHistory(topic).map(publicJoke) });
+});
+
+// Served and failed counts and ratings per joke model target
+router.get('/api/jokes/stats', (req, res) => {
+  const jokeRouter = getModelRouter('joke');
+  return res.json({ policy: jokeRouter.policy, targets: jokeRouter.getStats() });
+});
+
+// Thumbs up or down for a served joke. One vote per visitor (device
+// fingerprint); voting again replaces it. Ratings count towards the model
+// that told the joke in the routing stats.
+router.post('/api/jokes/:id/rating', express.json({ limit: '1kb' }), (req, res) => {
+  const rating = req.body?.rating;
+  if (!RATINGS.includes(rating)) {
+    return res.status(400).json({ error: 'Invalid rating', message: `rating must be one of: ${RATINGS.join(', ')}` });
+  }
+
+  const result = rateJoke(req.params.id, generateDeviceFingerprint(req), rating);
+  if (!result) {
+    return res.status(404).json({ error: 'Joke not found' });
+  }
+  const { joke, previous } = result;
+  getModelRouter('joke').recordRating(joke.target, rating, previous);
+
+  annotateRequest(res, EVENTS.JOKE_RATED, {
+    jokeId: joke.id,
+    topic: joke.topic,
+    rating,
+    previousRating: previous,
+    model: joke.provider,
+    llmModel: joke.model
+  });
+
+  return res.json({ id: joke.id, rating, ratings: joke.ratings });
 });
 
 router.get('/dev-tools', (req, res) => {
-  // Track dev tools access with comprehensive profiling
-  mixpanel.track('DEV_TOOLS_ACCESS', getComprehensiveUserProfile(req, {
+  annotateRequest(res, EVENTS.DEV_TOOLS_ACCESS, {
     page: 'dev-tools',
-    eventType: 'dev_tools_access',
     isDeveloper: true,
     toolsAccessed: ['dev-tools'],
     technicalUser: true
-  }));
+  });
   
   res.sendFile(path.join(__dirname, '../views/dev-tools.html'));
 });
 
 router.get('/data-analysis', async (req, res) => {
   try {
-    // Track data analysis access with comprehensive profiling
-    mixpanel.track('DATA_ANALYSIS_ACCESS', getComprehensiveUserProfile(req, {
+    annotateRequest(res, EVENTS.DATA_ANALYSIS_ACCESS, {
       page: 'data-analysis',
-      eventType: 'data_analysis_access',
       hasFirebaseKey: !!process.env.FIREBASE_SERVICE_ACCOUNT_KEY,
       isAnalyst: true,
       technicalAccess: true
-    }));
+    });
     
     if(!process.env.FIREBASE_SERVICE_ACCOUNT_KEY){
       res.status(404).send()
@@ -682,13 +759,8 @@ router.get('/data-analysis', async (req, res) => {
     const data = await getSampleData();
     res.status(200).json(data);
   } catch (error) {
-    // Track data analysis error
-    mixpanel.track('DATA_ANALYSIS_ERROR', getComprehensiveUserProfile(req, {
-      errorType: error.name,
-      errorMessage: error.message,
-      eventType: 'data_analysis_error'
-    }));
-    
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.DATA_ANALYSIS_ERROR);
     res.status(500).json({ error: error.message });
   }
 });
@@ -697,10 +769,7 @@ router.get('/data-analysis', async (req, res) => {
 // Network Tools UI
 // ------------------------------
 router.get('/network-tools', (req, res) => {
-  mixpanel.track('NETWORK_TOOLS_ACCESS', getComprehensiveUserProfile(req, {
-    page: 'network-tools',
-    eventType: 'network_tools_access'
-  }));
+  annotateRequest(res, EVENTS.NETWORK_TOOLS_ACCESS, { page: 'network-tools' });
   res.sendFile(path.join(__dirname, '../views/network-tools.html'));
 });
 
@@ -708,10 +777,7 @@ router.get('/network-tools', (req, res) => {
 // Pomodoro Timer
 // ------------------------------
 router.get('/pomodoro', (req, res) => {
-  mixpanel.track('POMODORO_ACCESS', getComprehensiveUserProfile(req, {
-    page: 'pomodoro',
-    eventType: 'pomodoro_access'
-  }));
+  annotateRequest(res, EVENTS.POMODORO_ACCESS, { page: 'pomodoro' });
   res.sendFile(path.join(__dirname, '../views/pomodoro.html'));
 });
 
@@ -751,7 +817,8 @@ async function httpPingHost(host, timeoutMs = 5000) {
   for (const url of urlCandidates) {
     try {
       const response = await withTimeout(
-        fetch(url, { method: 'HEAD', signal: controller.signal }),
+        // The visitor picks the host, so this is the one call outside the allowlist
+        egressFetch(url, { method: 'HEAD', signal: controller.signal, allowUnlisted: true }),
         timeoutMs,
         () => controller.abort()
       );
@@ -803,7 +870,7 @@ function runTraceroute(host, maxHops = 15, perHopProbes = 1, timeoutMs = 8000) {
 // ------------------------------
 // Network Tools APIs (secured)
 // ------------------------------
-router.get('/api/network/dns-lookup', async (req, res) => {
+router.get('/api/network/dns-lookup', rateLimit('network'), async (req, res) => {
   try {
     const host = String(req.query.host || '').trim();
     const type = String(req.query.type || 'A').toUpperCase();
@@ -811,7 +878,7 @@ router.get('/api/network/dns-lookup', async (req, res) => {
     if (!isValidHostnameOrIp(host)) return res.status(400).json({ error: 'Invalid host' });
     if (!allowed.has(type)) return res.status(400).json({ error: 'Unsupported DNS type' });
 
-    mixpanel.track('NETWORK_DNS_LOOKUP', getComprehensiveUserProfile(req, { host, type, eventType: 'dns_lookup' }));
+    annotateRequest(res, EVENTS.NETWORK_DNS_LOOKUP, { host, type });
 
     const resolverMap = {
       A: () => dnsPromises.resolve4(host),
@@ -825,52 +892,56 @@ router.get('/api/network/dns-lookup', async (req, res) => {
     const result = await withTimeout(resolverMap[type](), 5000);
     return res.json({ host, type, result });
   } catch (err) {
-    mixpanel.track('NETWORK_DNS_LOOKUP_ERROR', getComprehensiveUserProfile(req, { error: String(err.message), eventType: 'dns_lookup_error' }));
+    res.locals.error = err;
+    annotateRequest(res, EVENTS.NETWORK_DNS_LOOKUP_ERROR);
     return res.status(500).json({ error: 'DNS lookup failed', message: String(err.message) });
   }
 });
 
-router.get('/api/network/reverse-dns', async (req, res) => {
+router.get('/api/network/reverse-dns', rateLimit('network'), async (req, res) => {
   try {
     const ip = String(req.query.ip || '').trim();
     if (!(IPV4_REGEX.test(ip) || IPV6_REGEX.test(ip))) return res.status(400).json({ error: 'Invalid IP' });
 
-    mixpanel.track('NETWORK_REVERSE_DNS', getComprehensiveUserProfile(req, { ip, eventType: 'reverse_dns' }));
+    annotateRequest(res, EVENTS.NETWORK_REVERSE_DNS, { ip });
     const result = await withTimeout(dnsPromises.reverse(ip), 5000);
     return res.json({ ip, result });
   } catch (err) {
-    mixpanel.track('NETWORK_REVERSE_DNS_ERROR', getComprehensiveUserProfile(req, { error: String(err.message), eventType: 'reverse_dns_error' }));
+    res.locals.error = err;
+    annotateRequest(res, EVENTS.NETWORK_REVERSE_DNS_ERROR);
     return res.status(500).json({ error: 'Reverse DNS failed', message: String(err.message) });
   }
 });
 
-router.get('/api/network/http-ping', async (req, res) => {
+router.get('/api/network/http-ping', rateLimit('network'), async (req, res) => {
   try {
     const host = String(req.query.host || '').trim();
     if (!isValidHostnameOrIp(host)) return res.status(400).json({ error: 'Invalid host' });
     const timeoutMs = Math.min(Math.max(parseInt(String(req.query.timeoutMs || '5000'), 10) || 5000, 1000), 15000);
 
-    mixpanel.track('NETWORK_HTTP_PING', getComprehensiveUserProfile(req, { host, timeoutMs, eventType: 'http_ping' }));
+    annotateRequest(res, EVENTS.NETWORK_HTTP_PING, { host, timeoutMs });
     const result = await httpPingHost(host, timeoutMs);
     return res.json({ host, ...result });
   } catch (err) {
-    mixpanel.track('NETWORK_HTTP_PING_ERROR', getComprehensiveUserProfile(req, { error: String(err.message), eventType: 'http_ping_error' }));
+    res.locals.error = err;
+    annotateRequest(res, EVENTS.NETWORK_HTTP_PING_ERROR);
     return res.status(500).json({ error: 'HTTP ping failed', message: String(err.message) });
   }
 });
 
-router.get('/api/network/traceroute', async (req, res) => {
+router.get('/api/network/traceroute', rateLimit('network'), async (req, res) => {
   try {
     const host = String(req.query.host || '').trim();
     const maxHops = Math.min(Math.max(parseInt(String(req.query.maxHops || '12'), 10) || 12, 3), 20);
     if (!isValidHostnameOrIp(host)) return res.status(400).json({ error: 'Invalid host' });
 
-    mixpanel.track('NETWORK_TRACEROUTE', getComprehensiveUserProfile(req, { host, maxHops, eventType: 'traceroute' }));
+    annotateRequest(res, EVENTS.NETWORK_TRACEROUTE, { host, maxHops });
     const resTrace = await runTraceroute(host, maxHops, 1, 8000);
     if (!resTrace) return res.status(503).json({ error: 'Traceroute not available in this environment' });
     return res.json({ host, cmd: resTrace.cmd, args: resTrace.args, output: resTrace.stdout });
   } catch (err) {
-    mixpanel.track('NETWORK_TRACEROUTE_ERROR', getComprehensiveUserProfile(req, { error: String(err.message), eventType: 'traceroute_error' }));
+    res.locals.error = err;
+    annotateRequest(res, EVENTS.NETWORK_TRACEROUTE_ERROR);
     return res.status(500).json({ error: 'Traceroute failed', message: String(err.message) });
   }
 });
@@ -883,7 +954,7 @@ router.get('/reverse-geocode-demo', (req, res) => {
 
 // Reverse Geocoding API Route
 // Converts latitude and longitude coordinates to city and country information
-router.get('/api/reverse-geocode', async (req, res) => {
+router.get('/api/reverse-geocode', rateLimit('geocode'), async (req, res) => {
   try {
     // Extract and validate query parameters
     const { lat, lon, lng } = req.query;
@@ -928,19 +999,13 @@ router.get('/api/reverse-geocode', async (req, res) => {
       });
     }
     
-    // Track API usage with Mixpanel
-    mixpanel.track('REVERSE_GEOCODE_REQUEST', getComprehensiveUserProfile(req, {
-      latitude,
-      longitude,
-      timestamp: new Date().toISOString(),
-      eventType: 'reverse_geocode'
-    }));
+    annotateRequest(res, EVENTS.REVERSE_GEOCODE_SUCCESS, { latitude, longitude });
     
     // Call OpenStreetMap Nominatim API for reverse geocoding
     // Free service, no API key required, but includes User-Agent header per their requirements
     const nominatimUrl = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`;
     
-    const response = await fetch(nominatimUrl, {
+    const response = await egressFetch(nominatimUrl, {
       headers: {
         'User-Agent': 'ContentstackDictionary/1.0 (https://github.com/yourusername/contentstack-dictionary)'
       }
@@ -1003,32 +1068,21 @@ router.get('/api/reverse-geocode', async (req, res) => {
       attribution: data.licence || 'Data © OpenStreetMap contributors'
     };
     
-    // Track successful geocoding
-    mixpanel.track('REVERSE_GEOCODE_SUCCESS', getComprehensiveUserProfile(req, {
-      latitude,
-      longitude,
+    annotateRequest(res, EVENTS.REVERSE_GEOCODE_SUCCESS, {
       city,
       country,
       countryCode,
       hasCity: !!city,
-      hasCountry: !!country,
-      eventType: 'reverse_geocode_success'
-    }));
+      hasCountry: !!country
+    });
     
     // Send successful response
     res.json(locationInfo);
     
   } catch (error) {
     console.error('Reverse geocoding error:', error);
-    
-    // Track error with Mixpanel
-    mixpanel.track('REVERSE_GEOCODE_ERROR', getComprehensiveUserProfile(req, {
-      errorType: error.name,
-      errorMessage: error.message,
-      latitude: req.query.lat,
-      longitude: req.query.lon || req.query.lng,
-      eventType: 'reverse_geocode_error'
-    }));
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.REVERSE_GEOCODE_ERROR);
     
     // Send error response
     res.status(500).json({
@@ -1049,13 +1103,10 @@ router.get('/api/status/aggregate', async (req, res) => {
       statusAggregator.clearCache();
     }
 
-    // Track status aggregation request with comprehensive profiling
-    mixpanel.track('STATUS_AGGREGATION_REQUEST', getComprehensiveUserProfile(req, {
-      eventType: 'status_aggregation',
-      endpoint: 'aggregate',
+    annotateRequest(res, EVENTS.STATUS_AGGREGATION_SUCCESS, {
       requestedServices: req.query.services || 'all',
       refreshRequested: req.query.refresh === 'true'
-    }));
+    });
 
     const data = await statusAggregator.getAggregatedStatus();
 
@@ -1067,26 +1118,18 @@ router.get('/api/status/aggregate', async (req, res) => {
       'X-Last-Updated': data.timestamp
     });
 
-    // Track successful response
-    mixpanel.track('STATUS_AGGREGATION_SUCCESS', getComprehensiveUserProfile(req, {
-      eventType: 'status_aggregation_success',
+    annotateRequest(res, EVENTS.STATUS_AGGREGATION_SUCCESS, {
       servicesCount: data.summary.total_services,
       operationalCount: data.summary.operational,
-      errorCount: data.summary.errors,
-      responseTime: Date.now() - Date.parse(data.timestamp)
-    }));
+      errorCount: data.summary.errors
+    });
 
     res.json(data);
 
   } catch (error) {
     console.error('Status aggregation error:', error);
-
-    // Track error
-    mixpanel.track('STATUS_AGGREGATION_ERROR', getComprehensiveUserProfile(req, {
-      eventType: 'status_aggregation_error',
-      errorType: error.name,
-      errorMessage: error.message
-    }));
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.STATUS_AGGREGATION_ERROR);
 
     res.status(500).json({
       error: 'Status aggregation failed',
@@ -1116,18 +1159,66 @@ router.get('/api/status/health', async (req, res) => {
   res.json(health);
 });
 
+// LLM token usage, latency and estimated cost, rolled up per day, route and
+// model, with the daily budgets. ?days=N picks how many days (default 7).
+router.get('/api/admin/llm-usage', requireAdmin, (req, res) => {
+  const usage = getLLMClient().usage;
+  if (!usage) {
+    return res.status(503).json({
+      error: 'Usage accounting unavailable',
+      message: 'The LLM client has no usage store',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), usage.retentionDays);
+  res.set('Cache-Control', 'no-store');
+  res.json(usage.getSummary({ days }));
+});
+
+// Usage dashboard built from the local event log (ANALYTICS_SINK=jsonl)
+router.get('/admin/analytics', requireAdmin, (req, res) => {
+  res.sendFile(path.join(__dirname, '../views/analytics-dashboard.html'));
+});
+
+// Numbers behind the dashboard for the last `days` days (default 7)
+router.get('/api/admin/analytics', requireAdmin, async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), MAX_REPORT_DAYS);
+  try {
+    const report = await buildAnalyticsReport({ days });
+    res.set('Cache-Control', 'no-store');
+    res.json(report);
+  } catch (error) {
+    console.error('Analytics report failed:', error);
+    res.locals.error = error;
+    res.status(500).json({
+      error: 'Analytics report failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Cache metrics for the word, Gemini and Groq caches
+router.get('/api/cache/stats', (req, res) => {
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-cache'
+  });
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    caches: getCacheStats()
+  });
+});
+
 // Get status for specific service
 router.get('/api/status/:service', async (req, res) => {
   try {
     const { service } = req.params;
     const { refresh } = req.query;
 
-    // Track individual service status request
-    mixpanel.track('STATUS_SERVICE_REQUEST', getComprehensiveUserProfile(req, {
-      eventType: 'status_service_request',
-      service: service,
-      refreshRequested: !!refresh
-    }));
+    annotateRequest(res, EVENTS.STATUS_SERVICE_SUCCESS, { service, refreshRequested: refresh === 'true' });
 
     // Support cache refresh
     if (refresh === 'true') {
@@ -1144,27 +1235,18 @@ router.get('/api/status/:service', async (req, res) => {
       'X-Last-Updated': data.updated_at
     });
 
-    // Track successful response
-    mixpanel.track('STATUS_SERVICE_SUCCESS', getComprehensiveUserProfile(req, {
-      eventType: 'status_service_success',
-      service: service,
+    annotateRequest(res, EVENTS.STATUS_SERVICE_SUCCESS, {
       status: data.overall_status,
       componentsCount: data.components.length,
       incidentsCount: data.incidents.length
-    }));
+    });
 
     res.json(data);
 
   } catch (error) {
     console.error(`Status service error for ${req.params.service}:`, error);
-
-    // Track error
-    mixpanel.track('STATUS_SERVICE_ERROR', getComprehensiveUserProfile(req, {
-      eventType: 'status_service_error',
-      service: req.params.service,
-      errorType: error.name,
-      errorMessage: error.message
-    }));
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.STATUS_SERVICE_ERROR);
 
     res.status(500).json({
       error: `Failed to fetch ${req.params.service} status`,
@@ -1182,7 +1264,7 @@ router.get('/api/status/:service', async (req, res) => {
 async function fetchHackerNewsStories() {
   try {
     console.log('Fetching from Hacker News...');
-    const topStoriesResponse = await fetch('https://hacker-news.firebaseio.com/v0/topstories.json');
+    const topStoriesResponse = await egressFetch('https://hacker-news.firebaseio.com/v0/topstories.json');
     if (!topStoriesResponse.ok) {
       throw new Error(`Hacker News API returned status ${topStoriesResponse.status}`);
     }
@@ -1191,7 +1273,7 @@ async function fetchHackerNewsStories() {
     const storyIds = topStoryIds.slice(0, 8); // Get top 8 stories
 
     const storyPromises = storyIds.map(id =>
-      fetch(`https://hacker-news.firebaseio.com/v0/item/${id}.json`).then(r => r.json())
+      egressFetch(`https://hacker-news.firebaseio.com/v0/item/${id}.json`).then(r => r.json())
     );
 
     const stories = await Promise.all(storyPromises);
@@ -1225,7 +1307,7 @@ async function fetchHackerNewsStories() {
 async function fetchLobstersStories() {
   try {
     console.log('Fetching from Lobsters...');
-    const response = await fetch('https://lobste.rs/hottest.json');
+    const response = await egressFetch('https://lobste.rs/hottest.json');
     if (!response.ok) {
       throw new Error(`Lobsters API returned status ${response.status}`);
     }
@@ -1256,7 +1338,7 @@ async function fetchLobstersStories() {
 async function fetchDevToArticles() {
   try {
     console.log('Fetching from Dev.to...');
-    const response = await fetch('https://dev.to/api/articles?tag=javascript&tag=python&tag=webdev&tag=ai&tag=programming&per_page=5');
+    const response = await egressFetch('https://dev.to/api/articles?tag=javascript&tag=python&tag=webdev&tag=ai&tag=programming&per_page=5');
     if (!response.ok) {
       throw new Error(`Dev.to API returned status ${response.status}`);
     }
@@ -1291,7 +1373,7 @@ async function fetchRedditStories() {
 
     for (const subreddit of subreddits) {
       try {
-        const response = await fetch(`https://www.reddit.com/r/${subreddit}/hot.json?limit=5`, {
+        const response = await egressFetch(`https://www.reddit.com/r/${subreddit}/hot.json?limit=5`, {
           headers: {
             'User-Agent': 'ContentstackDictionary/1.0'
           }
@@ -1343,7 +1425,7 @@ async function fetchGitHubTrending() {
     oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
     const dateFilter = oneMonthAgo.toISOString().split('T')[0];
     
-    const response = await fetch(`https://api.github.com/search/repositories?q=stars:>500+pushed:>${dateFilter}&sort=stars&order=desc&per_page=8`, {
+    const response = await egressFetch(`https://api.github.com/search/repositories?q=stars:>500+pushed:>${dateFilter}&sort=stars&order=desc&per_page=8`, {
       headers: {
         'Accept': 'application/vnd.github.v3+json',
         'User-Agent': 'ContentstackDictionary/1.0'
@@ -1398,7 +1480,7 @@ async function fetchArsTechnica() {
   try {
     console.log('Fetching from Ars Technica...');
     // Using a simple RSS-to-JSON converter service
-    const response = await fetch('https://api.rss2json.com/v1/api.json?rss_url=https://feeds.arstechnica.com/arstechnica/index', {
+    const response = await egressFetch('https://api.rss2json.com/v1/api.json?rss_url=https://feeds.arstechnica.com/arstechnica/index', {
       headers: {
         'User-Agent': 'ContentstackDictionary/1.0'
       }
@@ -1436,7 +1518,7 @@ async function fetchArsTechnica() {
 async function fetchTheVerge() {
   try {
     console.log('Fetching from The Verge...');
-    const response = await fetch('https://api.rss2json.com/v1/api.json?rss_url=https://www.theverge.com/rss/index.xml', {
+    const response = await egressFetch('https://api.rss2json.com/v1/api.json?rss_url=https://www.theverge.com/rss/index.xml', {
       headers: {
         'User-Agent': 'ContentstackDictionary/1.0'
       }
@@ -1472,15 +1554,9 @@ async function fetchTheVerge() {
 
 router.get('/api/tech-news', async (req, res) => {
   try {
-    const startTime = Date.now();
     const { refresh } = req.query;
 
-    // Track tech news request
-    mixpanel.track('TECH_NEWS_REQUEST', getComprehensiveUserProfile(req, {
-      eventType: 'tech_news_request',
-      endpoint: 'tech-news',
-      refreshRequested: !!refresh
-    }));
+    annotateRequest(res, EVENTS.TECH_NEWS_SUCCESS, { refreshRequested: refresh === 'true' });
 
     // Clear cache if refresh is requested
     if (refresh === 'true') {
@@ -1495,11 +1571,7 @@ router.get('/api/tech-news', async (req, res) => {
         (now - techNewsCache.timestamp) < techNewsCache.CACHE_DURATION) {
       console.log('Tech news cache hit');
 
-      // Track cache hit
-      mixpanel.track('TECH_NEWS_CACHE_HIT', getComprehensiveUserProfile(req, {
-        eventType: 'tech_news_cache_hit',
-        cacheAge: now - techNewsCache.timestamp
-      }));
+      annotateRequest(res, EVENTS.TECH_NEWS_CACHE_HIT, { cacheHit: true, cacheAge: now - techNewsCache.timestamp });
 
       res.set({
         'Content-Type': 'application/json; charset=utf-8',
@@ -1594,15 +1666,12 @@ router.get('/api/tech-news', async (req, res) => {
     techNewsCache.data = responseData;
     techNewsCache.timestamp = now;
 
-    // Track successful response
-    mixpanel.track('TECH_NEWS_SUCCESS', getComprehensiveUserProfile(req, {
-      eventType: 'tech_news_success',
+    annotateRequest(res, EVENTS.TECH_NEWS_SUCCESS, {
       storiesCount: sortedStories.length,
       sourcesFetched: Object.values(responseData.sourcesFetched).filter(Boolean).length,
-      responseTime: Date.now() - startTime,
       cacheHit: false,
       sourceBreakdown: responseData.sourceBreakdown
-    }));
+    });
 
     res.set({
       'Content-Type': 'application/json; charset=utf-8',
@@ -1615,13 +1684,8 @@ router.get('/api/tech-news', async (req, res) => {
 
   } catch (error) {
     console.error('Tech news error:', error);
-
-    // Track error
-    mixpanel.track('TECH_NEWS_ERROR', getComprehensiveUserProfile(req, {
-      eventType: 'tech_news_error',
-      errorType: error.name,
-      errorMessage: error.message
-    }));
+    res.locals.error = error;
+    annotateRequest(res, EVENTS.TECH_NEWS_ERROR);
 
     // Return cached data if available, even if expired
     if (techNewsCache.data) {
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// Offline prompt template eval: renders each version of a template for every
+// fixture in prompts/fixtures/, runs it against the mock LLM provider and
+// prints the outputs side by side with a per-version summary.
+//
+//   node scripts/eval-prompts.js etymology
+//   node scripts/eval-prompts.js joke --versions 1,2 --fixtures my-topics.json --json
+const fs = require('fs');
+const path = require('path');
+
+const { LLMClient, MockLLMProvider } = require('../services/llm-client');
+const { createContentModeratorFromEnv } = require('../services/content-safety');
+const { DEFAULT_PROMPTS_DIR, createPromptRegistryFromEnv } = require('../services/prompt-templates');
+
+/**
+ * Run template versions over fixtures
+ * @param {Object} options
+ * @param {PromptRegistry} options.registry
+ * @param {LLMClient} options.client
+ * @param {string} options.provider - Provider name registered on the client
+ * @param {string} options.name - Template name
+ * @param {number[]} options.versions - Defaults to every version
+ * @param {Object[]} options.fixtures - Template variables, one object per case
+ * @returns {Promise<Object>} { name, versions, cases: [{ variables, results }], summary }
+ */
+async function evaluateTemplate({ registry, client, provider = 'mock', name, versions, fixtures }) {
+  const evaluated = versions && versions.length > 0 ? versions : registry.listVersions(name);
+  const cases = [];
+
+  for (const variables of fixtures) {
+    const results = {};
+    for (const version of evaluated) {
+      try {
+        const request = registry.render(name, variables, { version });
+        const response = await client.complete({ provider, ...request });
+        results[version] = {
+          text: response.text,
+          promptLength: request.prompt.length + (request.system || '').length,
+          outputTokens: response.usage.outputTokens,
+          latencyMs: response.latencyMs
+        };
+      } catch (error) {
+        results[version] = { error: `${error.name}: ${error.message}` };
+      }
+    }
+    cases.push({ variables, results });
+  }
+
+  const summary = evaluated.map(version => {
+    const answered = cases.map(c => c.results[version]).filter(result => !result.error);
+    const average = field => (answered.length === 0
+      ? null
+      : Math.round(answered.reduce((sum, result) => sum + result[field], 0) / answered.length));
+    return {
+      template: `${name}@${version}`,
+      cases: cases.length,
+      errors: cases.length - answered.length,
+      avgPromptLength: average('promptLength'),
+      avgOutputTokens: average('outputTokens'),
+      avgLatencyMs: average('latencyMs')
+    };
+  });
+
+  return { name, versions: evaluated, cases, summary };
+}
+
+function parseArgs(argv) {
+  const args = { name: null, versions: [], fixtures: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--versions') {
+      args.versions = argv[++i].split(',').map(v => parseInt(v, 10));
+    } else if (arg === '--fixtures') {
+      args.fixtures = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (!args.name) {
+      args.name = arg;
+    } else {
+      throw new Error(`Unexpected argument '${arg}'`);
+    }
+  }
+  if (!args.name) {
+    throw new Error('Usage: node scripts/eval-prompts.js <template> [--versions 1,2] [--fixtures file.json] [--json]');
+  }
+  return args;
+}
+
+function printReport(report) {
+  for (const { variables, results } of report.cases) {
+    console.log(`\n=== ${JSON.stringify(variables)}`);
+    for (const version of report.versions) {
+      const result = results[version];
+      console.log(`--- ${report.name}@${version}`);
+      console.log(result.error ? `ERROR ${result.error}` : result.text);
+    }
+  }
+  console.log('\nSummary');
+  console.table(report.summary);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const registry = createPromptRegistryFromEnv();
+  const template = registry.get(args.name);
+  const fixturesPath = args.fixtures
+    || path.join(process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR, 'fixtures', `${template.fixtures}.json`);
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+  // Same content safety settings as the app, so blocked outputs show up as errors
+  const client = new LLMClient([new MockLLMProvider({ name: 'mock' })], { maxRetries: 0 });
+  client.moderator = createContentModeratorFromEnv(process.env);
+
+  const report = await evaluateTemplate({ registry, client, name: args.name, versions: args.versions, fixtures });
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { evaluateTemplate };
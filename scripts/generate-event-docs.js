@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Writes the analytics event catalog (services/analytics-events.js) to
+// docs/analytics-events.md. Run after changing the catalog.
+//
+//   npm run docs:events
+//   node scripts/generate-event-docs.js --check   # fail if the doc is stale
+const fs = require('fs');
+const path = require('path');
+
+const { renderEventCatalog } = require('../services/analytics-events');
+
+const DOC_PATH = path.join(__dirname, '..', 'docs', 'analytics-events.md');
+
+function main() {
+  const markdown = renderEventCatalog();
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(DOC_PATH) ? fs.readFileSync(DOC_PATH, 'utf8') : '';
+    if (current !== markdown) {
+      console.error(`${path.relative(process.cwd(), DOC_PATH)} is out of date. Run npm run docs:events`);
+      process.exit(1);
+    }
+    return;
+  }
+  fs.mkdirSync(path.dirname(DOC_PATH), { recursive: true });
+  fs.writeFileSync(DOC_PATH, markdown);
+  console.log(`Wrote ${path.relative(process.cwd(), DOC_PATH)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { DOC_PATH };
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Read "Authorization: Basic base64(user:password)"
+ * @returns {{username: string, password: string}|null}
+ */
+function parseBasicAuth(header) {
+  const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(header || '');
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+  return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+/**
+ * Build middleware that protects admin endpoints with HTTP basic auth:
+ * - ADMIN_USERNAME: defaults to 'admin'
+ * - ADMIN_PASSWORD: without it admin endpoints return 503
+ * - ADMIN_AUTH_DISABLED=true: open admin endpoints without a password, for
+ *   local development. Ignored when NODE_ENV=production
+ *
+ * @param {Object} options
+ * @param {Object} options.env - Environment; process.env is read on every
+ *   request when omitted
+ */
+function createAdminAuth(options = {}) {
+  return (req, res, next) => {
+    const env = options.env || process.env;
+    const password = env.ADMIN_PASSWORD;
+    if (!password) {
+      if (env.ADMIN_AUTH_DISABLED === 'true' && env.NODE_ENV !== 'production') return next();
+      return res.status(503).json({
+        error: 'Admin disabled',
+        message: 'Set ADMIN_PASSWORD to enable admin endpoints',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const credentials = parseBasicAuth(req.get('Authorization'));
+    if (credentials && safeEqual(credentials.username, env.ADMIN_USERNAME || 'admin') && safeEqual(credentials.password, password)) {
+      return next();
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin credentials required',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+const requireAdmin = createAdminAuth();
+
+module.exports = {
+  parseBasicAuth,
+  createAdminAuth,
+  requireAdmin
+};
@@ -0,0 +1,489 @@
+const { RATINGS } = require('./joke-store');
+
+// Every property an event may carry, with one type and meaning wherever it
+// appears. Types: string, number, boolean, object, string[]; an array allows
+// any of them. `values` restricts a property to fixed values.
+const PROPERTIES = {
+  // Pages
+  page: { type: 'string', description: 'Page that was viewed' },
+  path: { type: 'string', description: 'Request path' },
+
+  // Words
+  word: { type: 'string', description: 'Word, trimmed and lower-cased' },
+  originalWord: { type: 'string', description: 'Word as the visitor typed it' },
+  triggerWord: { type: 'string', description: 'Word that triggered a special redirect' },
+  redirectType: { type: 'string', description: 'Kind of special redirect' },
+  lang: { type: 'string', description: 'Language code, or auto when detected' },
+  langSource: { type: 'string', description: 'How the language was chosen' },
+  found: { type: 'boolean', description: 'The dictionary had the word' },
+  definitionCount: { type: 'number', description: 'Meanings returned' },
+  partOfSpeechCount: { type: 'number', description: 'Parts of speech returned' },
+  hasExamples: { type: 'boolean', description: 'At least one definition has an example' },
+  fallbackUsed: { type: 'boolean', description: 'A fallback answer was served' },
+  date: { type: 'string', description: 'Day of the word of the day (YYYY-MM-DD)' },
+  historyCount: { type: 'number', description: 'Words in the synced history' },
+  favoritesCount: { type: 'number', description: 'Words in the synced favorites' },
+
+  // Batch lookups
+  wordCount: { type: 'number', description: 'Words in the request' },
+  foundCount: { type: 'number', description: 'Words found' },
+  notFoundCount: { type: 'number', description: 'Words not found' },
+  failedCount: { type: 'number', description: 'Words whose lookup failed' },
+  format: { type: 'string', values: ['json', 'csv'], description: 'Response format' },
+  inputType: { type: 'string', values: ['json', 'csv', 'text'], description: 'Request body format' },
+
+  // Search behavior (getBehaviorFingerprint)
+  searchTerm: { type: 'string', description: 'Searched word or topic, lower-cased' },
+  searchLength: { type: 'number', description: 'Length of the search term' },
+  hasNumbers: { type: 'boolean', description: 'Search term contains digits' },
+  hasSpecialChars: { type: 'boolean', description: 'Search term contains punctuation or symbols' },
+  isAllCaps: { type: 'boolean', description: 'Search term is upper case' },
+  isAllLower: { type: 'boolean', description: 'Search term is lower case' },
+  hasSpaces: { type: 'boolean', description: 'Search term contains spaces' },
+  startsWithVowel: { type: 'boolean', description: 'Search term starts with a vowel' },
+  isCommonWord: { type: 'boolean', description: 'Search term is a stop word' },
+  containsProfanity: { type: 'boolean', description: 'Search term was classified as profane' },
+
+  // Caches
+  cacheSize: { type: 'number', description: 'Entries in the word cache' },
+  cacheAge: { type: 'number', description: 'Age of the cached response in ms' },
+
+  // Jokes and LLMs
+  topic: { type: 'string', description: 'Joke topic' },
+  jokeId: { type: 'string', description: 'Id of the served joke' },
+  jokeText: { type: 'string', description: 'Text of the joke' },
+  jokeLength: { type: 'number', description: 'Length of the joke in characters' },
+  jokeQuality: { type: 'string', values: ['good', 'short'], description: 'Jokes over 50 characters are good' },
+  rating: { type: 'string', values: RATINGS, description: 'Rating given' },
+  previousRating: { type: 'string', values: RATINGS, description: "The visitor's earlier rating of the same joke" },
+  another: { type: 'boolean', description: 'The visitor asked for another joke on the same topic' },
+  streaming: { type: 'boolean', description: 'Served over server-sent events' },
+  partial: { type: 'boolean', description: 'Part of the answer was streamed before the error' },
+  model: { type: 'string', description: 'LLM provider' },
+  llmModel: { type: 'string', description: 'LLM model id' },
+  pinnedModel: { type: 'string', description: 'Model target the request was pinned to' },
+  failedModels: { type: 'string[]', description: 'Model targets that failed before one succeeded' },
+  routingPolicy: { type: 'string', description: 'Model routing policy' },
+  promptTemplate: { type: 'string', description: 'Prompt template and version, e.g. joke@2' },
+  contentBlocked: { type: 'boolean', description: 'The answer was blocked by content safety' },
+  overBudget: { type: 'boolean', description: 'The daily LLM budget was used up' },
+
+  // Tools pages
+  isDeveloper: { type: 'boolean', description: 'Visited a developer tool' },
+  toolsAccessed: { type: 'string[]', description: 'Developer tools visited' },
+  technicalUser: { type: 'boolean', description: 'Visited a developer tool' },
+  hasFirebaseKey: { type: 'boolean', description: 'Firebase is configured' },
+  isAnalyst: { type: 'boolean', description: 'Visited the data analysis page' },
+  technicalAccess: { type: 'boolean', description: 'Visited the data analysis page' },
+
+  // Network tools
+  host: { type: 'string', description: 'Host the visitor asked about' },
+  ip: { type: 'string', description: 'IP address the visitor asked about' },
+  type: { type: 'string', description: 'DNS record type' },
+  timeoutMs: { type: 'number', description: 'Ping timeout in ms' },
+  maxHops: { type: 'number', description: 'Traceroute hop limit' },
+
+  // Reverse geocoding
+  latitude: { type: 'number', description: 'Latitude' },
+  longitude: { type: 'number', description: 'Longitude' },
+  city: { type: 'string', description: 'City found' },
+  country: { type: 'string', description: 'Country found' },
+  countryCode: { type: 'string', description: 'ISO country code found' },
+  hasCity: { type: 'boolean', description: 'A city was found' },
+  hasCountry: { type: 'boolean', description: 'A country was found' },
+
+  // Status pages
+  service: { type: 'string', description: 'Status page id' },
+  status: { type: 'string', description: 'Overall status of the service' },
+  requestedServices: { type: 'string', description: 'Comma-separated service ids, or all' },
+  refreshRequested: { type: 'boolean', description: 'The visitor asked to bypass the cache' },
+  servicesCount: { type: 'number', description: 'Services checked' },
+  operationalCount: { type: 'number', description: 'Services operational' },
+  errorCount: { type: 'number', description: 'Services that could not be checked' },
+  componentsCount: { type: 'number', description: 'Components on the status page' },
+  incidentsCount: { type: 'number', description: 'Open incidents' },
+
+  // Tech news
+  storiesCount: { type: 'number', description: 'Stories returned' },
+  sourcesFetched: { type: 'number', description: 'News sources that answered' },
+  sourceBreakdown: { type: 'object', description: 'Stories per source' },
+
+  // Request (added to every event by services/request-tracking.js)
+  route: { type: 'string', description: 'Route pattern, e.g. /api/words/:word' },
+  method: { type: 'string', description: 'HTTP method' },
+  statusCode: { type: 'number', description: 'HTTP status of the response' },
+  responseTime: { type: 'number', description: 'Time to answer in ms' },
+  cacheHit: { type: 'boolean', description: 'Served from cache' },
+  clientDisconnected: { type: 'boolean', description: 'The visitor disconnected before the response was complete' },
+  errorType: { type: 'string', description: 'Class of the error that failed the request' },
+  errorMessage: { type: 'string', description: 'Message of the error that failed the request' },
+  serverLoad: { type: 'number', description: 'Process CPU time in microseconds' },
+
+  // Set on every event from its catalog entry
+  eventType: { type: 'string', description: 'Snake-case event id' }
+};
+
+// Properties every event may carry, set from the request and response
+const REQUEST_PROPERTIES = [
+  'route', 'method', 'statusCode', 'responseTime', 'cacheHit', 'errorType', 'errorMessage', 'clientDisconnected'
+];
+
+// Properties sent together
+const SEARCH_BEHAVIOR = [
+  'searchTerm', 'searchLength', 'hasNumbers', 'hasSpecialChars', 'isAllCaps', 'isAllLower',
+  'hasSpaces', 'wordCount', 'startsWithVowel', 'isCommonWord', 'containsProfanity'
+];
+const WORD_SEARCH = ['word', 'originalWord', 'lang', 'cacheSize', ...SEARCH_BEHAVIOR];
+const WORD_API = ['word', 'lang', 'cacheSize', ...SEARCH_BEHAVIOR];
+const WORD_BATCH = ['wordCount', 'format', 'lang', 'inputType'];
+const JOKE = ['topic', 'routingPolicy', 'pinnedModel', 'another', 'streaming', ...SEARCH_BEHAVIOR];
+const STATUS_AGGREGATION = ['requestedServices', 'refreshRequested'];
+const STATUS_SERVICE = ['service', 'refreshRequested'];
+
+// Every event the server sends, one per request. `name` is what analytics
+// receives and must not change once dashboards use it. `eventType` is the
+// value of the eventType property. `properties` lists the PROPERTIES the
+// event may carry on top of REQUEST_PROPERTIES and the request context;
+// `required` ones must be present. Error events carry the properties their
+// success event starts with, since handlers describe a request up front and
+// switch to the error event when it fails.
+const EVENT_CATALOG = {
+  REQUEST_COMPLETED: {
+    name: 'Request Completed',
+    eventType: 'request_completed',
+    description: "Request to a route that doesn't name its own event, or that failed validation",
+    properties: []
+  },
+
+  // Pages
+  PAGE_VIEW: {
+    name: 'Page Viewed',
+    eventType: 'landing_page',
+    description: 'Landing page viewed',
+    properties: ['page', 'path', 'cacheSize', 'serverLoad']
+  },
+  STICKIES_PAGE_ACCESS: { eventType: 'stickies_page_access', description: 'Stickies page viewed', properties: ['page'] },
+  STATUS_DASHBOARD_ACCESS: { eventType: 'status_dashboard_access', description: 'Status dashboard viewed', properties: ['page'] },
+  DEV_TOOLS_ACCESS: {
+    eventType: 'dev_tools_access',
+    description: 'Developer tools page viewed',
+    properties: ['page', 'isDeveloper', 'toolsAccessed', 'technicalUser']
+  },
+  DATA_ANALYSIS_ACCESS: {
+    eventType: 'data_analysis_access',
+    description: 'Data analysis data requested',
+    properties: ['page', 'hasFirebaseKey', 'isAnalyst', 'technicalAccess']
+  },
+  DATA_ANALYSIS_ERROR: {
+    eventType: 'data_analysis_error',
+    description: 'Data analysis data failed to load',
+    properties: ['page', 'hasFirebaseKey', 'isAnalyst', 'technicalAccess']
+  },
+  NETWORK_TOOLS_ACCESS: { eventType: 'network_tools_access', description: 'Network tools page viewed', properties: ['page'] },
+  POMODORO_ACCESS: { eventType: 'pomodoro_access', description: 'Pomodoro timer page viewed', properties: ['page'] },
+
+  // Word pages
+  WORD_SEARCHED: {
+    name: 'Word Searched',
+    eventType: 'word_search',
+    description: 'Word page served',
+    properties: [...WORD_SEARCH, 'langSource', 'found', 'definitionCount', 'partOfSpeechCount', 'hasExamples'],
+    required: ['word']
+  },
+  CONTENTSTACK_REDIRECT: {
+    name: 'Contentstack Redirect',
+    eventType: 'special_redirect',
+    description: 'Visitor looked up "contentstack" and was redirected',
+    properties: [...WORD_SEARCH, 'triggerWord', 'redirectType']
+  },
+  WORD_NOT_FOUND: {
+    eventType: 'word_not_found',
+    description: 'Word page served for a word the dictionary lacks',
+    properties: [...WORD_SEARCH, 'langSource', 'found', 'fallbackUsed'],
+    required: ['word']
+  },
+  API_ERROR: { eventType: 'api_error', description: 'Word page failed', properties: WORD_SEARCH },
+  WORD_OF_THE_DAY_VIEW: { eventType: 'word_of_the_day_view', description: 'Word of the day served', properties: ['word', 'date'] },
+  WORD_LISTS_SYNC: {
+    eventType: 'word_lists_sync',
+    description: 'History and favorites synced',
+    properties: ['historyCount', 'favoritesCount']
+  },
+
+  // Word API
+  WORD_API_SUCCESS: {
+    eventType: 'word_api_success',
+    description: 'Word served by the JSON API',
+    properties: [...WORD_API, 'langSource', 'found'],
+    required: ['word']
+  },
+  WORD_API_ERROR: { eventType: 'word_api_error', description: 'Word lookup through the JSON API failed', properties: WORD_API },
+  WORD_BATCH_SUCCESS: {
+    eventType: 'word_batch_success',
+    description: 'Batch lookup answered',
+    properties: [...WORD_BATCH, 'foundCount', 'notFoundCount', 'failedCount']
+  },
+  WORD_BATCH_ERROR: { eventType: 'word_batch_error', description: 'Batch lookup failed', properties: WORD_BATCH },
+  ETYMOLOGY_STREAM_SUCCESS: {
+    eventType: 'etymology_stream_success',
+    description: 'Etymology streamed',
+    properties: ['word', 'lang', 'llmModel']
+  },
+  ETYMOLOGY_STREAM_ERROR: {
+    eventType: 'etymology_stream_error',
+    description: 'Etymology stream failed or was blocked',
+    properties: ['word', 'lang', 'contentBlocked']
+  },
+
+  // Jokes
+  JOKE_SUCCESS: {
+    eventType: 'joke_success',
+    description: 'Joke served, streamed or not',
+    properties: [
+      ...JOKE, 'jokeId', 'model', 'llmModel', 'promptTemplate', 'failedModels', 'jokeText', 'jokeLength', 'jokeQuality'
+    ],
+    required: ['jokeId']
+  },
+  JOKE_ERROR: {
+    eventType: 'joke_error',
+    description: 'Joke failed or was blocked. Over budget, a repeated joke is served instead',
+    properties: [...JOKE, 'model', 'partial', 'contentBlocked', 'overBudget']
+  },
+  JOKE_RATED: {
+    eventType: 'joke_rating',
+    description: 'Joke rated up or down',
+    properties: ['jokeId', 'topic', 'rating', 'previousRating', 'model', 'llmModel'],
+    required: ['jokeId', 'rating']
+  },
+
+  // Network tools
+  NETWORK_DNS_LOOKUP: { eventType: 'dns_lookup', description: 'DNS lookup answered', properties: ['host', 'type'] },
+  NETWORK_DNS_LOOKUP_ERROR: { eventType: 'dns_lookup_error', description: 'DNS lookup failed', properties: ['host', 'type'] },
+  NETWORK_REVERSE_DNS: { eventType: 'reverse_dns', description: 'Reverse DNS lookup answered', properties: ['ip'] },
+  NETWORK_REVERSE_DNS_ERROR: { eventType: 'reverse_dns_error', description: 'Reverse DNS lookup failed', properties: ['ip'] },
+  NETWORK_HTTP_PING: { eventType: 'http_ping', description: 'HTTP ping answered', properties: ['host', 'timeoutMs'] },
+  NETWORK_HTTP_PING_ERROR: { eventType: 'http_ping_error', description: 'HTTP ping failed', properties: ['host', 'timeoutMs'] },
+  NETWORK_TRACEROUTE: { eventType: 'traceroute', description: 'Traceroute answered', properties: ['host', 'maxHops'] },
+  NETWORK_TRACEROUTE_ERROR: { eventType: 'traceroute_error', description: 'Traceroute failed', properties: ['host', 'maxHops'] },
+
+  // Reverse geocoding
+  REVERSE_GEOCODE_SUCCESS: {
+    eventType: 'reverse_geocode_success',
+    description: 'Coordinates resolved to a place',
+    properties: ['latitude', 'longitude', 'city', 'country', 'countryCode', 'hasCity', 'hasCountry']
+  },
+  REVERSE_GEOCODE_ERROR: { eventType: 'reverse_geocode_error', description: 'Reverse geocoding failed', properties: ['latitude', 'longitude'] },
+
+  // Status pages
+  STATUS_AGGREGATION_SUCCESS: {
+    eventType: 'status_aggregation_success',
+    description: 'Status of all services served',
+    properties: [...STATUS_AGGREGATION, 'servicesCount', 'operationalCount', 'errorCount']
+  },
+  STATUS_AGGREGATION_ERROR: { eventType: 'status_aggregation_error', description: 'Status aggregation failed', properties: STATUS_AGGREGATION },
+  STATUS_SERVICE_SUCCESS: {
+    eventType: 'status_service_success',
+    description: 'Status of one service served',
+    properties: [...STATUS_SERVICE, 'status', 'componentsCount', 'incidentsCount']
+  },
+  STATUS_SERVICE_ERROR: { eventType: 'status_service_error', description: 'Status of one service failed', properties: STATUS_SERVICE },
+
+  // Tech news
+  TECH_NEWS_CACHE_HIT: {
+    eventType: 'tech_news_cache_hit',
+    description: 'Tech news served from cache',
+    properties: ['refreshRequested', 'cacheAge']
+  },
+  TECH_NEWS_SUCCESS: {
+    eventType: 'tech_news_success',
+    description: 'Tech news fetched and served',
+    properties: ['refreshRequested', 'storiesCount', 'sourcesFetched', 'sourceBreakdown']
+  },
+  TECH_NEWS_ERROR: {
+    eventType: 'tech_news_error',
+    description: 'Tech news failed. Stale stories are served when there are any',
+    properties: ['refreshRequested']
+  }
+};
+
+// Entries without a name are sent under their key
+for (const [key, entry] of Object.entries(EVENT_CATALOG)) {
+  entry.name = entry.name || key;
+}
+
+// Event names to pass to annotateRequest(), e.g. EVENTS.JOKE_SUCCESS
+const EVENTS = Object.fromEntries(Object.entries(EVENT_CATALOG).map(([key, entry]) => [key, entry.name]));
+
+const EVENTS_BY_NAME = new Map(Object.values(EVENT_CATALOG).map(entry => [entry.name, entry]));
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => typeof item === 'string') ? 'string[]' : 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Check event properties against the catalog. Properties that are null or
+ * undefined count as absent.
+ * @param {string} eventName - Name the event is sent under
+ * @param {Object} properties - Event properties, without the request context
+ * @returns {{known: boolean, problems: string[], invalidFields: string[]}}
+ */
+function validateEvent(eventName, properties) {
+  const entry = EVENTS_BY_NAME.get(eventName);
+  if (!entry) {
+    return { known: false, problems: ['not in the event catalog'], invalidFields: [] };
+  }
+
+  const problems = [];
+  const invalidFields = [];
+  const allowed = new Set([...REQUEST_PROPERTIES, ...entry.properties, 'eventType']);
+  for (const [field, value] of Object.entries(properties)) {
+    if (value === undefined || value === null) continue;
+    const definition = PROPERTIES[field];
+    const types = definition && [].concat(definition.type);
+    let problem = null;
+    if (!allowed.has(field) || !definition) {
+      problem = `unknown property '${field}'`;
+    } else if (!types.includes(typeOf(value))) {
+      problem = `'${field}' should be ${types.join(' or ')}, got ${typeOf(value)}`;
+    } else if (field === 'eventType' && value !== entry.eventType) {
+      problem = `eventType should be '${entry.eventType}', got '${value}'`;
+    } else if (definition.values && !definition.values.includes(value)) {
+      problem = `'${field}' should be one of ${definition.values.join(', ')}, got '${value}'`;
+    }
+    if (problem) {
+      problems.push(problem);
+      invalidFields.push(field);
+    }
+  }
+  for (const field of entry.required || []) {
+    if (properties[field] === undefined || properties[field] === null) {
+      problems.push(`missing required property '${field}'`);
+    }
+  }
+  return { known: true, problems, invalidFields };
+}
+
+// Applies the catalog when events are tracked. 'warn' logs events that don't
+// match and sends them unchanged, so mistakes show up during development.
+// 'drop' also removes invalid properties and uncatalogued events, so what
+// reaches dashboards always matches the catalog; it warns once per event.
+class EventSchema {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'warn' or 'drop'
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'warn';
+    this.warned = new Set();
+    this.violations = new Map();
+  }
+
+  /**
+   * @param {string} eventName
+   * @param {Object} properties - Event properties, without the request context
+   * @returns {Object|null} Properties to send (with eventType set), or null
+   *   when the event should be dropped
+   */
+  check(eventName, properties) {
+    const entry = EVENTS_BY_NAME.get(eventName);
+    const withType = entry ? { eventType: entry.eventType, ...properties } : properties;
+    const { known, problems, invalidFields } = validateEvent(eventName, withType);
+    if (problems.length === 0) return withType;
+
+    this.violations.set(eventName, (this.violations.get(eventName) || 0) + 1);
+    if (this.mode !== 'drop' || !this.warned.has(eventName)) {
+      this.warned.add(eventName);
+      console.warn(`Analytics event '${eventName}' doesn't match the catalog: ${problems.join('; ')}`);
+    }
+    if (this.mode !== 'drop') return withType;
+    if (!known) return null;
+    return Object.fromEntries(Object.entries(withType).filter(([field]) => !invalidFields.includes(field)));
+  }
+}
+
+/**
+ * Build the schema check from environment variables:
+ * - ANALYTICS_SCHEMA_MODE: 'warn' or 'drop'; drop in production, warn elsewhere
+ */
+function createEventSchemaFromEnv(env = process.env) {
+  const mode = env.ANALYTICS_SCHEMA_MODE || (env.NODE_ENV === 'production' ? 'drop' : 'warn');
+  if (mode !== 'warn' && mode !== 'drop') {
+    throw new Error(`Invalid ANALYTICS_SCHEMA_MODE '${mode}'. Expected warn or drop`);
+  }
+  return new EventSchema({ mode });
+}
+
+// Shared schema check, created from the environment on first use
+let eventSchema = null;
+
+function getEventSchema() {
+  if (!eventSchema) {
+    eventSchema = createEventSchemaFromEnv();
+  }
+  return eventSchema;
+}
+
+/**
+ * Replace the shared schema check (tests and local tooling)
+ */
+function setEventSchema(schema) {
+  eventSchema = schema;
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * The catalog as Markdown, written to docs/analytics-events.md by
+ * `npm run docs:events`
+ */
+function renderEventCatalog() {
+  const propertyRow = (field, required) => {
+    const { type, values, description } = PROPERTIES[field];
+    const typeText = values ? values.map(value => `\`${value}\``).join(' \\| ') : [].concat(type).join(' \\| ');
+    return `| \`${field}\` | ${typeText} | ${required ? '**Required.** ' : ''}${escapeCell(description)} |`;
+  };
+  const lines = [
+    '# Analytics Events',
+    '',
+    '<!-- Generated from services/analytics-events.js by `npm run docs:events`. Do not edit. -->',
+    '',
+    'Every analytics event the server sends, with the properties it may carry. Each request sends one event when its response is done (`services/request-tracking.js`). Events also carry request context (browser, device type, referrer, UTM parameters and similar). The privacy policy in `services/analytics-privacy.js` decides which fields leave the server.',
+    '',
+    '| Event | `eventType` | Description |',
+    '|-------|-------------|-------------|'
+  ];
+  for (const entry of Object.values(EVENT_CATALOG)) {
+    lines.push(`| [${entry.name}](#${entry.eventType.replace(/_/g, '-')}) | \`${entry.eventType}\` | ${escapeCell(entry.description)} |`);
+  }
+  lines.push('', '## Request properties', '', 'Every event may carry these, taken from the request and response.', '');
+  lines.push('| Property | Type | Description |', '|----------|------|-------------|');
+  lines.push(...REQUEST_PROPERTIES.map(field => propertyRow(field, false)));
+  for (const entry of Object.values(EVENT_CATALOG)) {
+    lines.push('', `<a id="${entry.eventType.replace(/_/g, '-')}"></a>`, `## ${entry.name}`, '', entry.description, '');
+    if (entry.properties.length === 0) {
+      lines.push('Request properties only.');
+      continue;
+    }
+    lines.push('| Property | Type | Description |', '|----------|------|-------------|');
+    lines.push(...entry.properties.map(field => propertyRow(field, (entry.required || []).includes(field))));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  PROPERTIES,
+  REQUEST_PROPERTIES,
+  EVENT_CATALOG,
+  EVENTS,
+  validateEvent,
+  EventSchema,
+  createEventSchemaFromEnv,
+  getEventSchema,
+  setEventSchema,
+  renderEventCatalog
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const mixpanel = require('./mixpanel');
+const { LOCAL_PROPERTIES } = require('./analytics');
+const { EVENTS } = require('./analytics-events');
+
+// Set to 'granted' or 'denied' by the consent banner (public/js/consent.js)
+const CONSENT_COOKIE = 'analytics_consent';
+
+// Properties a consented event may carry. '*' applies to every event; other
+// keys add fields for one event. Anything not listed is dropped, so new
+// properties stay out of analytics until someone decides they are safe.
+const DEFAULT_EVENT_FIELDS = {
+  '*': [
+    // Request context, without raw identifiers
+    'eventType', 'browser', 'os', 'deviceType', 'isBot', 'isMobile', 'isTablet', 'isDesktop',
+    'refererDomain', 'isSearchEngine', 'searchEngine', 'isDirect',
+    'utmSource', 'utmMedium', 'utmCampaign', 'cfCountry',
+    // Event details that describe the app, not the visitor
+    'route', 'method', 'statusCode', 'clientDisconnected',
+    'page', 'lang', 'langSource', 'found', 'cacheHit', 'responseTime', 'errorType',
+    'streaming', 'another', 'model', 'llmModel', 'routingPolicy', 'promptTemplate',
+    'contentBlocked', 'overBudget', 'fallbackUsed', 'format', 'inputType', 'status', 'service',
+    'wordCount', 'foundCount', 'notFoundCount', 'failedCount'
+  ],
+  JOKE_RATED: ['jokeId', 'rating', 'previousRating'],
+  JOKE_SUCCESS: ['jokeId', 'jokeLength'],
+  NETWORK_DNS_LOOKUP: ['type'],
+  NETWORK_TRACEROUTE: ['maxHops'],
+  REVERSE_GEOCODE_SUCCESS: ['countryCode', 'hasCity', 'hasCountry'],
+  TECH_NEWS_SUCCESS: ['storiesCount', 'sourcesFetched'],
+  WORD_LISTS_SYNC: ['historyCount', 'favoritesCount']
+};
+
+// Fields a consented event also keeps for the local event log (the jsonl
+// sink), which the admin dashboard ranks words and joke topics from. They
+// never reach Mixpanel.
+const DEFAULT_LOCAL_FIELDS = {
+  [EVENTS.WORD_SEARCHED]: ['word'],
+  [EVENTS.WORD_NOT_FOUND]: ['word'],
+  [EVENTS.JOKE_SUCCESS]: ['topic'],
+  [EVENTS.JOKE_ERROR]: ['topic']
+};
+
+// Sent in place of events from visitors who haven't consented
+const AGGREGATE_EVENT = 'Anonymous Event Count';
+
+// How often anonymous counts are sent
+const DEFAULT_FLUSH_INTERVAL = 60 * 1000;
+
+// How long a hash salt is used before it changes
+const DEFAULT_SALT_ROTATION = 24 * 60 * 60 * 1000;
+
+/**
+ * Read one cookie from the request's Cookie header
+ * @returns {string|null} The value, or null when it's missing or can't be decoded
+ */
+function readCookie(req, name) {
+  for (const part of String(req.get('cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The visitor's analytics consent. Global Privacy Control and Do Not Track
+ * count as a refusal, whatever the cookie says.
+ * @returns {{status: 'granted'|'denied'|'unknown', source: 'gpc'|'dnt'|'cookie'|null}}
+ */
+function getConsent(req) {
+  if (req.get('sec-gpc') === '1') return { status: 'denied', source: 'gpc' };
+  if (req.get('dnt') === '1') return { status: 'denied', source: 'dnt' };
+  const cookie = readCookie(req, CONSENT_COOKIE);
+  if (cookie === 'granted' || cookie === 'denied') return { status: cookie, source: 'cookie' };
+  return { status: 'unknown', source: null };
+}
+
+/**
+ * Drop the host part of an IP address: the last octet of IPv4, everything
+ * after the first 48 bits of IPv6. Enough for country-level geolocation.
+ */
+function truncateIp(ip) {
+  if (!ip) return null;
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    return address.replace(/\.\d+$/, '.0');
+  }
+  if (address.includes(':')) {
+    const [head] = address.split('::');
+    return `${head.split(':').slice(0, 3).join(':')}::`;
+  }
+  return null;
+}
+
+// HMAC keys that change every rotation period, so a hashed identifier can
+// link events within a period but not across periods
+class RotatingSalt {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Key the per-period salts are derived from;
+   *   random per process when omitted
+   * @param {number} options.rotationMs - How long each salt is used
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.rotationMs = options.rotationMs || DEFAULT_SALT_ROTATION;
+    this.now = options.now || Date.now;
+  }
+
+  current() {
+    const period = Math.floor(this.now() / this.rotationMs);
+    return crypto.createHmac('sha256', this.secret).update(String(period)).digest();
+  }
+
+  hash(value) {
+    return crypto.createHmac('sha256', this.current()).update(String(value)).digest('hex').substring(0, 16);
+  }
+}
+
+/**
+ * Parse ANALYTICS_EVENT_FIELDS, a JSON object of extra fields per event,
+ * e.g. {"JOKE_SUCCESS": ["topic"]}
+ */
+function parseEventFields(spec) {
+  if (!spec) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(spec);
+  } catch (error) {
+    throw new Error(`Invalid ANALYTICS_EVENT_FIELDS: ${error.message}`);
+  }
+  const valid = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+    && Object.values(parsed).every(fields => Array.isArray(fields) && fields.every(field => typeof field === 'string'));
+  if (!valid) {
+    throw new Error('Invalid ANALYTICS_EVENT_FIELDS. Expected {"EVENT": ["field", ...]}');
+  }
+  return parsed;
+}
+
+// Merge field lists per event, keeping every field from both
+function mergeEventFields(base, extra) {
+  const merged = { ...base };
+  for (const [event, fields] of Object.entries(extra)) {
+    merged[event] = [...new Set([...(merged[event] || []), ...fields])];
+  }
+  return merged;
+}
+
+// Decides what an analytics event may contain. Visitors who consented send
+// allowlisted fields with a truncated IP and a rotating hashed id. Everyone
+// else is only counted: per-event totals sent without any identifier.
+class AnalyticsPrivacy {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'strict' applies the policy; 'off' sends full profiles
+   * @param {Object} options.eventFields - Allowed fields per event ('*' = every event)
+   * @param {Object} options.localFields - Fields per event for the local event log only
+   * @param {RotatingSalt} options.salt - Salt for hashed identifiers
+   * @param {Function} options.send - Sends an aggregate event: (name, properties)
+   * @param {number} options.flushInterval - How often counts are sent in ms (0 = only on flush())
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'strict';
+    this.eventFields = options.eventFields || DEFAULT_EVENT_FIELDS;
+    this.localFields = options.localFields || DEFAULT_LOCAL_FIELDS;
+    this.salt = options.salt || new RotatingSalt();
+    this.send = options.send || ((name, properties) => mixpanel.track(name, properties));
+    this.now = options.now || Date.now;
+    this.counts = new Map();
+    this.periodStart = this.now();
+
+    const flushInterval = options.flushInterval ?? DEFAULT_FLUSH_INTERVAL;
+    if (flushInterval > 0) {
+      setInterval(() => this.flush(), flushInterval).unref();
+    }
+  }
+
+  allowedFields(eventName) {
+    return new Set([...(this.eventFields['*'] || []), ...(this.eventFields[eventName] || [])]);
+  }
+
+  /**
+   * Apply the policy to an event
+   * @param {Object} req - Incoming request, for consent and identifiers
+   * @param {string} eventName
+   * @param {Object} profile - Full event properties (getComprehensiveUserProfile)
+   * @returns {Object|null} Properties to send, or null when the event was
+   *   only counted
+   */
+  apply(req, eventName, profile) {
+    if (this.mode === 'off') return profile;
+
+    if (getConsent(req).status !== 'granted') {
+      this.counts.set(eventName, (this.counts.get(eventName) || 0) + 1);
+      return null;
+    }
+
+    const allowed = this.allowedFields(eventName);
+    const properties = Object.fromEntries(Object.entries(profile).filter(([field]) => allowed.has(field)));
+    const local = Object.fromEntries(
+      (this.localFields[eventName] || []).filter(field => !allowed.has(field) && profile[field] != null).map(field => [field, profile[field]])
+    );
+    return {
+      ...properties,
+      distinct_id: this.salt.hash(profile.deviceFingerprint || req.ip || ''),
+      ip: truncateIp(req.ip),
+      ...(Object.keys(local).length > 0 ? { [LOCAL_PROPERTIES]: local } : {})
+    };
+  }
+
+  /**
+   * Send the anonymous counts collected since the last flush, one event per
+   * event name
+   */
+  flush() {
+    const periodEnd = this.now();
+    for (const [event, count] of this.counts) {
+      this.send(AGGREGATE_EVENT, {
+        event,
+        count,
+        periodStart: new Date(this.periodStart).toISOString(),
+        periodEnd: new Date(periodEnd).toISOString()
+      });
+    }
+    this.counts.clear();
+    this.periodStart = periodEnd;
+  }
+}
+
+/**
+ * Build the privacy policy from environment variables:
+ * - ANALYTICS_PRIVACY_MODE: 'strict' (default) or 'off' to send full profiles
+ * - ANALYTICS_EVENT_FIELDS: extra allowed fields per event, as JSON
+ * - ANALYTICS_HASH_SECRET: key for hashed ids; random per process when unset
+ * - ANALYTICS_SALT_ROTATION_HOURS: how often hashed ids change (default 24)
+ * - ANALYTICS_AGGREGATE_FLUSH_MS: how often anonymous counts are sent (default 60000)
+ */
+function createAnalyticsPrivacyFromEnv(env = process.env) {
+  const mode = env.ANALYTICS_PRIVACY_MODE || 'strict';
+  if (mode !== 'strict' && mode !== 'off') {
+    throw new Error(`Invalid ANALYTICS_PRIVACY_MODE '${mode}'. Expected strict or off`);
+  }
+  const rotationHours = parseFloat(env.ANALYTICS_SALT_ROTATION_HOURS);
+  const flushInterval = parseInt(env.ANALYTICS_AGGREGATE_FLUSH_MS, 10);
+  return new AnalyticsPrivacy({
+    mode,
+    eventFields: mergeEventFields(DEFAULT_EVENT_FIELDS, parseEventFields(env.ANALYTICS_EVENT_FIELDS)),
+    salt: new RotatingSalt({
+      secret: env.ANALYTICS_HASH_SECRET,
+      rotationMs: rotationHours > 0 ? rotationHours * 60 * 60 * 1000 : DEFAULT_SALT_ROTATION
+    }),
+    flushInterval: Number.isFinite(flushInterval) ? flushInterval : DEFAULT_FLUSH_INTERVAL
+  });
+}
+
+// Shared policy, created from the environment on first use
+let analyticsPrivacy = null;
+
+function getAnalyticsPrivacy() {
+  if (!analyticsPrivacy) {
+    analyticsPrivacy = createAnalyticsPrivacyFromEnv();
+  }
+  return analyticsPrivacy;
+}
+
+/**
+ * Replace the shared policy (tests and local tooling)
+ */
+function setAnalyticsPrivacy(privacy) {
+  analyticsPrivacy = privacy;
+}
+
+module.exports = {
+  CONSENT_COOKIE,
+  DEFAULT_EVENT_FIELDS,
+  DEFAULT_LOCAL_FIELDS,
+  AGGREGATE_EVENT,
+  readCookie,
+  getConsent,
+  truncateIp,
+  RotatingSalt,
+  AnalyticsPrivacy,
+  parseEventFields,
+  createAnalyticsPrivacyFromEnv,
+  getAnalyticsPrivacy,
+  setAnalyticsPrivacy
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const readline = require('readline');
+const { EVENTS, EVENT_CATALOG } = require('./analytics-events');
+const { AGGREGATE_EVENT } = require('./analytics-privacy');
+const { getEventLogPath } = require('./analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period a report covers
+const MAX_REPORT_DAYS = 90;
+
+// Entries in each "top" list
+const TOP_LIMIT = 20;
+
+// Events that describe a failed request
+const ERROR_EVENTS = new Set(
+  Object.entries(EVENT_CATALOG).filter(([key]) => key.endsWith('_ERROR')).map(([, entry]) => entry.name)
+);
+
+const NETWORK_TOOLS = {
+  dnsLookup: [EVENTS.NETWORK_DNS_LOOKUP, EVENTS.NETWORK_DNS_LOOKUP_ERROR],
+  reverseDns: [EVENTS.NETWORK_REVERSE_DNS, EVENTS.NETWORK_REVERSE_DNS_ERROR],
+  httpPing: [EVENTS.NETWORK_HTTP_PING, EVENTS.NETWORK_HTTP_PING_ERROR],
+  traceroute: [EVENTS.NETWORK_TRACEROUTE, EVENTS.NETWORK_TRACEROUTE_ERROR]
+};
+
+function rate(part, total) {
+  return total > 0 ? part / total : null;
+}
+
+function increment(counts, key, by = 1) {
+  counts.set(key, (counts.get(key) || 0) + by);
+}
+
+function top(counts, key) {
+  return [...counts]
+    .sort(([a, countA], [b, countB]) => countB - countA || String(a).localeCompare(String(b)))
+    .slice(0, TOP_LIMIT)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Read the event log written by the jsonl sink, one { event, properties }
+ * object per line. Lines that aren't JSON are counted and skipped.
+ * @param {string} filePath
+ * @param {Object} stats - Receives skippedLines
+ */
+async function* readEventLog(filePath, stats = {}) {
+  stats.skippedLines = 0;
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      stats.skippedLines++;
+    }
+  }
+}
+
+// Rolls events up into the numbers the admin dashboard shows. Counts come
+// from both full events and the anonymous per-event counts the privacy policy
+// sends for visitors without consent. Words, topics and providers are only
+// known from consented visitors' events, where words and topics are
+// local-only fields (DEFAULT_LOCAL_FIELDS) that the jsonl sink writes.
+class AnalyticsReport {
+  /**
+   * @param {Object} options
+   * @param {number} options.days - Days covered, ending today (UTC)
+   * @param {number} options.now - Current time in ms
+   */
+  constructor(options = {}) {
+    this.days = options.days || 7;
+    this.now = options.now || Date.now();
+    this.since = Date.parse(dayOf(this.now)) - (this.days - 1) * DAY_MS;
+
+    this.events = 0;
+    this.anonymousEvents = 0;
+    this.counts = new Map();
+    this.words = new Map();
+    this.topics = new Map();
+    this.providers = new Map();
+    this.errorsByDay = new Map();
+    this.errorsByEvent = new Map();
+  }
+
+  /**
+   * Count one event from the log. Events outside the period are ignored.
+   * @param {{event: string, properties: Object}} entry
+   */
+  add({ event, properties = {} }) {
+    if (!(properties.time >= this.since)) return;
+
+    if (event === AGGREGATE_EVENT) {
+      this.anonymousEvents += properties.count;
+      this.countEvent(properties.event, properties.time, properties.count);
+      return;
+    }
+
+    this.events++;
+    this.countEvent(event, properties.time, 1, properties.statusCode >= 500);
+    if ((event === EVENTS.WORD_SEARCHED || event === EVENTS.WORD_NOT_FOUND) && properties.word) {
+      increment(this.words, properties.word);
+    }
+    if (event === EVENTS.JOKE_SUCCESS || event === EVENTS.JOKE_ERROR) {
+      if (properties.topic) {
+        increment(this.topics, properties.topic.toLowerCase());
+      }
+      const provider = this.providers.get(properties.model || 'unknown') || { successes: 0, errors: 0 };
+      provider[event === EVENTS.JOKE_SUCCESS ? 'successes' : 'errors']++;
+      this.providers.set(properties.model || 'unknown', provider);
+    }
+  }
+
+  countEvent(event, time, count, serverError = false) {
+    increment(this.counts, event, count);
+    if (ERROR_EVENTS.has(event) || serverError) {
+      increment(this.errorsByDay, dayOf(time), count);
+      increment(this.errorsByEvent, event, count);
+    }
+  }
+
+  count(...events) {
+    return events.reduce((total, event) => total + (this.counts.get(event) || 0), 0);
+  }
+
+  toJSON() {
+    const searches = this.count(EVENTS.WORD_SEARCHED, EVENTS.WORD_NOT_FOUND);
+    const notFound = this.count(EVENTS.WORD_NOT_FOUND);
+    const jokeSuccesses = this.count(EVENTS.JOKE_SUCCESS);
+    const jokeErrors = this.count(EVENTS.JOKE_ERROR);
+    const cacheHits = this.count(EVENTS.TECH_NEWS_CACHE_HIT);
+    const techNewsRequests = this.count(EVENTS.TECH_NEWS_CACHE_HIT, EVENTS.TECH_NEWS_SUCCESS, EVENTS.TECH_NEWS_ERROR);
+
+    const byDay = [];
+    for (let day = this.since; day <= this.now; day += DAY_MS) {
+      byDay.push({ date: dayOf(day), count: this.errorsByDay.get(dayOf(day)) || 0 });
+    }
+
+    return {
+      generatedAt: new Date(this.now).toISOString(),
+      days: this.days,
+      since: new Date(this.since).toISOString(),
+      totals: { events: this.events + this.anonymousEvents, anonymousEvents: this.anonymousEvents },
+      words: { searches, notFound, notFoundRate: rate(notFound, searches), top: top(this.words, 'word') },
+      jokes: {
+        requests: jokeSuccesses + jokeErrors,
+        successes: jokeSuccesses,
+        errors: jokeErrors,
+        successRate: rate(jokeSuccesses, jokeSuccesses + jokeErrors),
+        topTopics: top(this.topics, 'topic'),
+        byProvider: Object.fromEntries([...this.providers].map(([provider, { successes, errors }]) => (
+          [provider, { successes, errors, successRate: rate(successes, successes + errors) }]
+        )))
+      },
+      networkTools: Object.fromEntries(Object.entries(NETWORK_TOOLS).map(([tool, [success, error]]) => (
+        [tool, { uses: this.count(success, error), errors: this.count(error) }]
+      ))),
+      techNews: { requests: techNewsRequests, cacheHits, cacheHitRate: rate(cacheHits, techNewsRequests) },
+      errors: {
+        total: byDay.reduce((total, day) => total + day.count, 0),
+        byDay,
+        byEvent: Object.fromEntries(top(this.errorsByEvent, 'event').map(({ event, count }) => [event, count]))
+      }
+    };
+  }
+}
+
+/**
+ * Build the dashboard report from the event log
+ * @param {Object} options
+ * @param {string} options.filePath - Event log (default: the jsonl sink's file)
+ * @param {number} options.days - Days covered, ending today (UTC)
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<Object>} Report; `logFound` is false when there's no log yet
+ */
+async function buildAnalyticsReport(options = {}) {
+  const filePath = options.filePath || getEventLogPath();
+  const report = new AnalyticsReport(options);
+  const stats = { skippedLines: 0 };
+  const logFound = fs.existsSync(filePath);
+  if (logFound) {
+    for await (const entry of readEventLog(filePath, stats)) {
+      report.add(entry);
+    }
+  }
+  return { ...report.toJSON(), logPath: filePath, logFound, skippedLines: stats.skippedLines };
+}
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  readEventLog,
+  AnalyticsReport,
+  buildAnalyticsReport
+};
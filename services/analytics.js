@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const { egressFetch } = require('./http-client');
+
+// Where the jsonl sink writes when ANALYTICS_LOG_PATH isn't set
+const DEFAULT_LOG_PATH = path.join(process.cwd(), '.analytics', 'events.jsonl');
+
+// Events sent per batch (Mixpanel accepts at most 50 per request)
+const DEFAULT_BATCH_SIZE = 50;
+
+// How often queued events are sent
+const DEFAULT_FLUSH_INTERVAL = 2000;
+
+// Where the mixpanel sink sends batches, and how long one may take
+const MIXPANEL_API_HOST = 'https://api.mixpanel.com';
+const MIXPANEL_TIMEOUT = 10000;
+
+// Events held while waiting to be sent. Newer events are dropped beyond this,
+// so a slow or unreachable sink can't grow memory without bound.
+const DEFAULT_MAX_QUEUE_SIZE = 1000;
+
+// A sink receives batches of events and resolves once they're delivered.
+// Each event is { event, properties }.
+
+// Events may carry properties meant for the local event log only, under this
+// key. Sinks that send events to a third party leave them out.
+const LOCAL_PROPERTIES = 'localOnly';
+
+// The event as a third party may receive it
+function withoutLocalProperties({ event, properties }) {
+  const { [LOCAL_PROPERTIES]: local, ...rest } = properties;
+  return { event, properties: rest };
+}
+
+// The event with its local-only properties merged in
+function withLocalProperties({ event, properties }) {
+  const { [LOCAL_PROPERTIES]: local, ...rest } = properties;
+  return { event, properties: { ...rest, ...local } };
+}
+
+// Sends batches to Mixpanel's /track endpoint through the egress client
+class MixpanelSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Mixpanel project token
+   * @param {string} options.apiHost - Mixpanel API origin (default https://api.mixpanel.com)
+   * @param {number} options.timeout - How long one batch may take in ms
+   * @param {Function} options.fetch - Sends the request; egressFetch by default
+   */
+  constructor(options = {}) {
+    this.name = 'mixpanel';
+    this.token = options.token;
+    this.apiHost = options.apiHost || MIXPANEL_API_HOST;
+    this.timeout = options.timeout || MIXPANEL_TIMEOUT;
+    this.fetch = options.fetch || egressFetch;
+  }
+
+  async send(events) {
+    const batch = events.map(withoutLocalProperties).map(({ event, properties }) => ({
+      event,
+      properties: { ...properties, token: this.token }
+    }));
+    // ip=0 stops Mixpanel locating events by the server's own address;
+    // verbose=1 returns why a batch was rejected
+    const response = await this.fetch(`${this.apiHost}/track?ip=0&verbose=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(batch),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`Mixpanel returned status ${response.status}`);
+    }
+    const result = await response.json();
+    if (result.status !== 1) {
+      throw new Error(`Mixpanel rejected the batch: ${result.error || 'no reason given'}`);
+    }
+  }
+}
+
+// Appends one JSON object per line to a local file, to see exactly which
+// events the app emits: `tail -f .analytics/events.jsonl`. Local-only
+// properties are written with the rest.
+class JsonlFileSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - File to append to; its directory is created if needed
+   */
+  constructor(options = {}) {
+    this.name = 'jsonl';
+    this.filePath = options.filePath || DEFAULT_LOG_PATH;
+  }
+
+  async send(events) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, events.map(event => `${JSON.stringify(withLocalProperties(event))}\n`).join(''));
+  }
+}
+
+// Keeps events in an array, for tests
+class MemorySink {
+  constructor() {
+    this.name = 'memory';
+    this.events = [];
+  }
+
+  async send(events) {
+    this.events.push(...events);
+  }
+
+  clear() {
+    this.events = [];
+  }
+}
+
+// Sends every batch to several sinks, e.g. Mixpanel and a local log. The
+// batch counts as failed when any of them fails.
+class FanoutSink {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.sinks
+   */
+  constructor(options = {}) {
+    this.sinks = options.sinks || [];
+    this.name = this.sinks.map(sink => sink.name).join('+');
+  }
+
+  async send(events) {
+    const results = await Promise.allSettled(this.sinks.map(sink => sink.send(events)));
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+}
+
+// Discards events (analytics turned off)
+class NullSink {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {}
+}
+
+// Queues events and sends them to a sink in batches. track() never blocks or
+// throws: events are sent in the background, a full queue drops new events and
+// failed batches are logged and counted, not retried.
+class AnalyticsQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sink - Where events go: { name, send(events) => Promise }
+   * @param {number} options.batchSize - Most events per send
+   * @param {number} options.flushInterval - How often to send in ms (0 = only on flush())
+   * @param {number} options.maxQueueSize - Most events waiting to be sent
+   */
+  constructor(options = {}) {
+    this.sink = options.sink || new NullSink();
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.maxQueueSize = options.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+    this.queue = [];
+    this.flushing = null;
+    this.counts = { sent: 0, dropped: 0, failed: 0 };
+
+    const flushInterval = options.flushInterval ?? DEFAULT_FLUSH_INTERVAL;
+    if (flushInterval > 0) {
+      setInterval(() => this.flush(), flushInterval).unref();
+    }
+  }
+
+  /**
+   * Queue an event to be sent
+   * @param {string} eventName
+   * @param {Object} properties
+   * @returns {boolean} false when the queue was full and the event was dropped
+   */
+  track(eventName, properties = {}) {
+    if (this.queue.length >= this.maxQueueSize) {
+      this.counts.dropped++;
+      return false;
+    }
+    this.queue.push({ event: eventName, properties });
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+    return true;
+  }
+
+  /**
+   * Send everything queued so far, one batch at a time. Calls made while a
+   * flush is running share it.
+   * @returns {Promise<void>} Never rejects
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.sendQueued().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async sendQueued() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      try {
+        await this.sink.send(batch);
+        this.counts.sent += batch.length;
+      } catch (error) {
+        this.counts.failed += batch.length;
+        console.error(`Analytics: ${this.sink.name} sink failed to send ${batch.length} events:`, error.message);
+      }
+    }
+  }
+
+  stats() {
+    return { sink: this.sink.name, queued: this.queue.length, ...this.counts };
+  }
+}
+
+/**
+ * File the jsonl sink writes to (ANALYTICS_LOG_PATH or .analytics/events.jsonl)
+ */
+function getEventLogPath(env = process.env) {
+  return env.ANALYTICS_LOG_PATH || DEFAULT_LOG_PATH;
+}
+
+function createSink(sink, env) {
+  switch (sink) {
+    case 'mixpanel':
+      if (!env.MIXPANEL_TOKEN) {
+        throw new Error('ANALYTICS_SINK=mixpanel requires MIXPANEL_TOKEN');
+      }
+      return new MixpanelSink({ token: env.MIXPANEL_TOKEN });
+    case 'jsonl':
+      return new JsonlFileSink({ filePath: getEventLogPath(env) });
+    case 'memory':
+      return new MemorySink();
+    case 'none':
+      return new NullSink();
+    default:
+      throw new Error(`Invalid ANALYTICS_SINK '${sink}'. Expected mixpanel, jsonl, memory or none`);
+  }
+}
+
+/**
+ * Build the sink from environment variables:
+ * - ANALYTICS_SINK: mixpanel, jsonl, memory or none, or several separated by
+ *   commas (mixpanel,jsonl). Defaults to mixpanel when MIXPANEL_TOKEN is set
+ *   and MIXPANEL_ENABLED=true, otherwise none
+ * - ANALYTICS_LOG_PATH: file for the jsonl sink (default .analytics/events.jsonl)
+ */
+function createSinkFromEnv(env = process.env) {
+  const mixpanelConfigured = Boolean(env.MIXPANEL_TOKEN) && env.MIXPANEL_ENABLED === 'true';
+  const names = (env.ANALYTICS_SINK || (mixpanelConfigured ? 'mixpanel' : 'none')).split(',').map(name => name.trim());
+  if (names.length === 1) {
+    return createSink(names[0], env);
+  }
+  return new FanoutSink({ sinks: names.map(name => createSink(name, env)) });
+}
+
+/**
+ * Build the queue from environment variables: the sink (see createSinkFromEnv)
+ * and ANALYTICS_BATCH_SIZE, ANALYTICS_FLUSH_MS, ANALYTICS_MAX_QUEUE_SIZE
+ */
+function createAnalyticsFromEnv(env = process.env) {
+  const flushInterval = parseInt(env.ANALYTICS_FLUSH_MS, 10);
+  const analytics = new AnalyticsQueue({
+    sink: createSinkFromEnv(env),
+    batchSize: parseInt(env.ANALYTICS_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE,
+    flushInterval: Number.isFinite(flushInterval) ? flushInterval : DEFAULT_FLUSH_INTERVAL,
+    maxQueueSize: parseInt(env.ANALYTICS_MAX_QUEUE_SIZE, 10) || DEFAULT_MAX_QUEUE_SIZE
+  });
+  console.log(`Analytics sink: ${analytics.sink.name}`);
+  return analytics;
+}
+
+// Shared queue, created from the environment on first use
+let analytics = null;
+
+function getAnalytics() {
+  if (!analytics) {
+    analytics = createAnalyticsFromEnv();
+  }
+  return analytics;
+}
+
+/**
+ * Replace the shared queue (tests and local tooling)
+ */
+function setAnalytics(queue) {
+  analytics = queue;
+}
+
+module.exports = {
+  LOCAL_PROPERTIES,
+  MixpanelSink,
+  JsonlFileSink,
+  MemorySink,
+  FanoutSink,
+  NullSink,
+  AnalyticsQueue,
+  createSinkFromEnv,
+  createAnalyticsFromEnv,
+  getEventLogPath,
+  getAnalytics,
+  setAnalytics
+};
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+
+// How long to wait before writing changes to the backing store
+const PERSIST_DEBOUNCE = 1000;
+
+// How often expired entries are pruned (every 10 minutes)
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Backing store that keeps every cache namespace in a single JSON file
+class FileCacheStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    // Background write in progress, and whether changes arrived during it
+    this.writing = null;
+    this.writeAgain = false;
+  }
+
+  readAll() {
+    if (!this.data) {
+      try {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to read cache file ${this.filePath}:`, error.message);
+        }
+        this.data = {};
+      }
+    }
+    return this.data;
+  }
+
+  /**
+   * Load the persisted entries for a namespace
+   * @returns {Array} [key, entry] pairs, least recently used first
+   */
+  load(namespace) {
+    return this.readAll()[namespace] || [];
+  }
+
+  save(namespace, entries) {
+    const data = this.readAll();
+    data[namespace] = entries;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file first so a crash never leaves a truncated cache
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to write cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * save() without blocking the event loop, for the debounced writes. One
+   * write runs at a time; changes made during it are written once it ends.
+   * @returns {Promise<void>} Never rejects
+   */
+  saveAsync(namespace, entries) {
+    this.readAll()[namespace] = entries;
+    if (this.writing) {
+      this.writeAgain = true;
+    } else {
+      this.writing = this.writeInBackground().finally(() => {
+        this.writing = null;
+      });
+    }
+    return this.writing;
+  }
+
+  async writeInBackground() {
+    do {
+      this.writeAgain = false;
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        // Not the temp file save() uses, which may run at exit mid-write
+        const tempPath = `${this.filePath}.async.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.data));
+        await fs.promises.rename(tempPath, this.filePath);
+      } catch (error) {
+        console.error(`Failed to write cache file ${this.filePath}:`, error.message);
+      }
+    } while (this.writeAgain);
+  }
+}
+
+// LRU cache with per-entry TTLs, negative caching and hit/miss metrics
+class TTLCache {
+  /**
+   * @param {string} name - Namespace, also used as the key in the backing store
+   * @param {Object} options
+   * @param {number} options.maxSize - Maximum number of entries before LRU eviction
+   * @param {number} options.ttl - Default time to live in ms (0 = never expires)
+   * @param {number} options.negativeTtl - Time to live for negative entries in ms
+   * @param {Object} options.store - Optional backing store with load()/save(),
+   *   and saveAsync() for debounced writes if it has one
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.maxSize = options.maxSize || 1000;
+    this.ttl = options.ttl || 0;
+    this.negativeTtl = options.negativeTtl || this.ttl;
+    this.store = options.store || null;
+    this.entries = new Map();
+    this.persistTimer = null;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      negativeHits: 0,
+      sets: 0,
+      evictions: 0,
+      expirations: 0
+    };
+
+    if (this.store) {
+      const now = Date.now();
+      this.store.load(name)
+        .filter(([, entry]) => !entry.expiresAt || entry.expiresAt > now)
+        .slice(-this.maxSize)
+        .forEach(([key, entry]) => this.entries.set(key, entry));
+    }
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return !!entry.expiresAt && entry.expiresAt <= now;
+  }
+
+  /**
+   * Check for a live entry without touching metrics or LRU order
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    return !!entry && !this.isExpired(entry);
+  }
+
+  /**
+   * Get a cached value, marking it as most recently used
+   * @returns {*} The cached value, or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      this.schedulePersist();
+      return undefined;
+    }
+
+    // Re-insert so the Map keeps least recently used entries first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    if (entry.negative) this.stats.negativeHits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {Object} options
+   * @param {number} options.ttl - Override the default time to live
+   * @param {boolean} options.negative - Cache a "not found" result with the negative TTL
+   */
+  set(key, value, options = {}) {
+    const ttl = options.ttl ?? (options.negative ? this.negativeTtl : this.ttl);
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      negative: !!options.negative,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+    this.stats.sets++;
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    this.schedulePersist();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = this.entries.delete(key);
+    if (deleted) this.schedulePersist();
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.schedulePersist();
+  }
+
+  /**
+   * Remove every expired entry
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry, now)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    this.stats.expirations += removed;
+    if (removed > 0) this.schedulePersist();
+    return removed;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      name: this.name,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      persistent: !!this.store
+    };
+  }
+
+  schedulePersist() {
+    if (!this.store || this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persist(), PERSIST_DEBOUNCE);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write pending changes in the background where the store supports it
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.store?.saveAsync) return this.flush();
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    await this.store.saveAsync(this.name, [...this.entries]);
+  }
+
+  /**
+   * Write pending changes to the backing store immediately
+   */
+  flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    if (this.store) {
+      this.store.save(this.name, [...this.entries]);
+    }
+  }
+}
+
+// Registry of every cache created through createCache()
+const caches = new Map();
+let defaultStore;
+
+/**
+ * Backing store selected by CACHE_STORE ('memory' or 'file').
+ * The file store writes to CACHE_FILE_PATH (default .cache/cache.json).
+ */
+function getDefaultStore() {
+  if (defaultStore === undefined) {
+    if (process.env.CACHE_STORE === 'file') {
+      const filePath = path.resolve(process.env.CACHE_FILE_PATH || '.cache/cache.json');
+      console.log(`Using file cache store at ${filePath}`);
+      defaultStore = new FileCacheStore(filePath);
+    } else {
+      defaultStore = null;
+    }
+  }
+  return defaultStore;
+}
+
+/**
+ * Create (or return the existing) named cache using the default store
+ */
+function createCache(name, options = {}) {
+  if (!caches.has(name)) {
+    caches.set(name, new TTLCache(name, { store: getDefaultStore(), ...options }));
+  }
+  return caches.get(name);
+}
+
+function getCacheStats() {
+  return [...caches.values()].map(cache => cache.getStats());
+}
+
+function flushAll() {
+  caches.forEach(cache => cache.flush());
+}
+
+// Periodically prune expired entries
+setInterval(() => caches.forEach(cache => cache.prune()), PRUNE_INTERVAL).unref();
+
+/**
+ * Write the caches that have changes waiting on the persist debounce or on a
+ * background write, synchronously
+ */
+function flushPending() {
+  caches.forEach(cache => {
+    if (cache.persistTimer || cache.store?.writing) cache.flush();
+  });
+}
+
+// Save pending writes when the process exits normally
+process.on('exit', flushPending);
+
+// SIGTERM (how Railway stops a deploy) and SIGINT end the process without
+// 'exit', so save first, then let the signal terminate the process as it
+// would have, unless something else has taken over shutdown
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.once(signal, () => {
+    try {
+      flushPending();
+    } catch (error) {
+      console.error(`Failed to save the cache on ${signal}:`, error.message);
+    }
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  });
+});
+
+module.exports = {
+  TTLCache,
+  FileCacheStore,
+  createCache,
+  getCacheStats,
+  flushAll,
+  flushPending
+};
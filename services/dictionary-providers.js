@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE } = require('./language');
+const { egressFetch } = require('./http-client');
+
+// Default per-provider timeout (5 seconds)
+const DEFAULT_PROVIDER_TIMEOUT = 5000;
+
+/**
+ * Build an empty entry in the stable word schema
+ */
+function createEntry(word) {
+  return {
+    word,
+    phonetic: null,
+    phonetics: [],
+    meanings: [],
+    sourceUrls: []
+  };
+}
+
+// Wiktionary accent tags mapped to the region labels used in the word schema
+const WIKTIONARY_REGION_TAGS = {
+  UK: 'UK',
+  'Received-Pronunciation': 'UK',
+  US: 'US',
+  'General-American': 'US',
+  Australia: 'AU',
+  Canada: 'CA',
+  'New-Zealand': 'NZ',
+  Ireland: 'IE',
+  India: 'IN'
+};
+
+// kaikki.org language codes that differ from the dictionaryapi.dev ones
+const WIKTIONARY_LANG_CODES = {
+  pt: 'pt-BR'
+};
+
+/**
+ * Work out the accent of a dictionaryapi.dev recording from its file name,
+ * e.g. .../pronunciations/en/hello-uk.mp3
+ */
+function detectRegion(audioUrl) {
+  const match = /-(uk|us|au|ca|nz|ie|in)\.(mp3|ogg|wav)$/i.exec(audioUrl || '');
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Normalize a dictionaryapi.dev style entry into the stable word schema
+ */
+function normalizeEntry(word, entry) {
+  return {
+    word: entry?.word || word,
+    phonetic: entry?.phonetic || null,
+    phonetics: (entry?.phonetics || []).map(phonetic => ({
+      text: phonetic.text || null,
+      audio: phonetic.audio || null,
+      region: phonetic.region || detectRegion(phonetic.audio),
+      sourceUrl: phonetic.sourceUrl || null
+    })),
+    meanings: (entry?.meanings || []).map(meaning => ({
+      partOfSpeech: meaning.partOfSpeech,
+      // Providers occasionally send definitions without any text
+      definitions: (meaning.definitions || []).filter(def => typeof def?.definition === 'string').map(def => ({
+        definition: def.definition,
+        example: def.example || null,
+        synonyms: def.synonyms || [],
+        antonyms: def.antonyms || []
+      })),
+      synonyms: meaning.synonyms || [],
+      antonyms: meaning.antonyms || []
+    })),
+    sourceUrls: entry?.sourceUrls || []
+  };
+}
+
+/**
+ * True when an entry has at least one definition
+ */
+function hasDefinitions(entry) {
+  return !!entry?.meanings?.some(meaning => meaning.definitions?.length > 0);
+}
+
+/**
+ * Merge entries from several providers. The first entry wins for scalar
+ * fields; phonetics, meanings and source URLs are combined without duplicates.
+ */
+function mergeEntries(entries) {
+  const [first] = entries;
+  const merged = {
+    ...createEntry(first.word),
+    phonetic: entries.map(e => e.phonetic).find(Boolean) || null
+  };
+
+  const seenPhonetics = new Set();
+  const meaningsByPos = new Map();
+  const seenUrls = new Set();
+
+  entries.forEach(entry => {
+    entry.phonetics.forEach(phonetic => {
+      const key = `${phonetic.text}|${phonetic.audio}`;
+      if (!seenPhonetics.has(key)) {
+        seenPhonetics.add(key);
+        merged.phonetics.push(phonetic);
+      }
+    });
+
+    entry.meanings.forEach(meaning => {
+      if (!meaningsByPos.has(meaning.partOfSpeech)) {
+        const copy = { ...meaning, definitions: [] };
+        meaningsByPos.set(meaning.partOfSpeech, copy);
+        merged.meanings.push(copy);
+      }
+      const target = meaningsByPos.get(meaning.partOfSpeech);
+      meaning.definitions.forEach(def => {
+        if (typeof def?.definition !== 'string') return;
+        const duplicate = target.definitions.some(d =>
+          d.definition.toLowerCase() === def.definition.toLowerCase()
+        );
+        if (!duplicate) target.definitions.push(def);
+      });
+      target.synonyms = [...new Set([...target.synonyms, ...meaning.synonyms])];
+      target.antonyms = [...new Set([...target.antonyms, ...meaning.antonyms])];
+    });
+
+    entry.sourceUrls.forEach(url => {
+      if (!seenUrls.has(url)) {
+        seenUrls.add(url);
+        merged.sourceUrls.push(url);
+      }
+    });
+  });
+
+  return merged;
+}
+
+// Base class for dictionary providers
+class DictionaryProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.timeout = options.timeout || DEFAULT_PROVIDER_TIMEOUT;
+  }
+
+  /**
+   * Look up a word
+   * @param {string} word - The word to look up
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborted when the provider times out
+   * @param {string} options.lang - Language code, e.g. 'en' or 'pt-BR'
+   * @returns {Promise<Object|null>} Normalized entry, or null if the word is unknown
+   */
+  async lookup(word, options = {}) {
+    throw new Error(`${this.name} provider does not implement lookup()`);
+  }
+}
+
+// dictionaryapi.dev provider
+class DictionaryApiProvider extends DictionaryProvider {
+  constructor(options = {}) {
+    super('dictionaryapi', options);
+    this.baseUrl = options.baseUrl || 'https://api.dictionaryapi.dev/api/v2/entries';
+  }
+
+  async lookup(word, { signal, lang = DEFAULT_LANGUAGE } = {}) {
+    const response = await egressFetch(`${this.baseUrl}/${encodeURIComponent(lang)}/${encodeURIComponent(word)}`, { signal });
+
+    // The API answers unknown words with a 404 and an error object
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Dictionary API returned status ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) {
+      return null;
+    }
+
+    const entries = data.map(entry => normalizeEntry(word, entry));
+    return entries.length > 1 ? mergeEntries(entries) : entries[0];
+  }
+}
+
+// File indexes are keyed by language and lower-cased word
+function indexKey(lang, word) {
+  return `${lang}|${word.toLowerCase()}`;
+}
+
+// Base class for providers that load a file into an in-memory index once
+class FileDictionaryProvider extends DictionaryProvider {
+  constructor(name, filePath, options = {}) {
+    super(name, options);
+    this.filePath = filePath;
+    this.index = null;
+    this.indexLoad = null;
+  }
+
+  // Lookups that arrive while the file loads wait for the same read; a
+  // failed read is forgotten so the next lookup tries again
+  loadIndex() {
+    if (!this.indexLoad) {
+      this.indexLoad = this.readIndex().catch(error => {
+        this.indexLoad = null;
+        throw error;
+      });
+    }
+    return this.indexLoad;
+  }
+
+  async readIndex() {
+    const contents = await fs.promises.readFile(this.filePath, 'utf8');
+    this.index = this.buildIndex(contents);
+    console.log(`${this.name} dictionary loaded ${this.index.size} words from ${this.filePath}`);
+    return this.index;
+  }
+
+  buildIndex(contents) {
+    throw new Error(`${this.name} provider does not implement buildIndex()`);
+  }
+
+  async lookup(word, { lang = DEFAULT_LANGUAGE } = {}) {
+    const index = await this.loadIndex();
+    return index.get(indexKey(lang, word)) || null;
+  }
+}
+
+/**
+ * Local word list provider. The file is a JSON array of entries in the
+ * dictionaryapi.dev format, so saved API responses can be used as-is.
+ * Entries may carry a `lang` code; those without one are English.
+ */
+class LocalWordListProvider extends FileDictionaryProvider {
+  constructor(filePath, options = {}) {
+    super('local', filePath, options);
+  }
+
+  buildIndex(contents) {
+    const index = new Map();
+    JSON.parse(contents)
+      .filter(entry => entry && entry.word)
+      .forEach(entry => {
+        const key = indexKey(entry.lang || DEFAULT_LANGUAGE, entry.word);
+        const normalized = normalizeEntry(entry.word, entry);
+        index.set(key, index.has(key) ? mergeEntries([index.get(key), normalized]) : normalized);
+      });
+    return index;
+  }
+}
+
+/**
+ * Wiktionary dump provider. Reads a JSONL extract in the kaikki.org
+ * format (one { word, lang_code, pos, senses, sounds } object per line).
+ * Use a filtered extract; the full dump is too large to hold in memory.
+ */
+class WiktionaryDumpProvider extends FileDictionaryProvider {
+  constructor(filePath, options = {}) {
+    super('wiktionary', filePath, options);
+  }
+
+  buildIndex(contents) {
+    const index = new Map();
+    contents.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        return; // skip malformed lines
+      }
+      if (!record.word || !Array.isArray(record.senses)) return;
+
+      const entry = createEntry(record.word);
+      (record.sounds || []).forEach(sound => {
+        if (sound.ipa || sound.mp3_url) {
+          const regionTag = (sound.tags || []).find(tag => WIKTIONARY_REGION_TAGS[tag]);
+          entry.phonetics.push({
+            text: sound.ipa || null,
+            audio: sound.mp3_url || null,
+            region: regionTag ? WIKTIONARY_REGION_TAGS[regionTag] : null,
+            sourceUrl: null
+          });
+        }
+      });
+      entry.phonetic = entry.phonetics.map(p => p.text).find(Boolean) || null;
+      entry.meanings.push({
+        partOfSpeech: record.pos || 'unknown',
+        definitions: record.senses
+          .filter(sense => sense.glosses && sense.glosses.length > 0)
+          .map(sense => ({
+            definition: sense.glosses.join('; '),
+            example: sense.examples?.[0]?.text || null,
+            synonyms: (sense.synonyms || []).map(s => s.word).filter(Boolean),
+            antonyms: (sense.antonyms || []).map(a => a.word).filter(Boolean)
+          })),
+        synonyms: [],
+        antonyms: []
+      });
+      entry.sourceUrls.push(`https://en.wiktionary.org/wiki/${encodeURIComponent(record.word)}`);
+
+      const key = indexKey(WIKTIONARY_LANG_CODES[record.lang_code] || record.lang_code || DEFAULT_LANGUAGE, record.word);
+      index.set(key, index.has(key) ? mergeEntries([index.get(key), entry]) : entry);
+    });
+    return index;
+  }
+}
+
+// Ordered fallback chain of dictionary providers
+class DictionaryProviderChain {
+  constructor(providers, options = {}) {
+    if (!providers || providers.length === 0) {
+      throw new Error('At least one dictionary provider is required');
+    }
+    this.providers = providers;
+    this.mergeResults = !!options.mergeResults;
+  }
+
+  /**
+   * Run a single provider, aborting it when its timeout elapses
+   */
+  async lookupWithProvider(provider, word, lang) {
+    const controller = new AbortController();
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`${provider.name} provider timed out after ${provider.timeout}ms`));
+      }, provider.timeout);
+    });
+
+    try {
+      return await Promise.race([provider.lookup(word, { signal: controller.signal, lang }), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Look up a word, trying providers in order. Without merging the first
+   * provider that knows the word wins; with merging every provider is asked
+   * and their entries are combined.
+   *
+   * Throws only when every provider failed, so a word that is merely unknown
+   * is never confused with an upstream outage.
+   *
+   * @param {string} word
+   * @param {Object} options
+   * @param {string} options.lang - Language code passed to every provider
+   * @returns {Promise<{entry: Object|null, providers: string[], errors: Object[]}>}
+   */
+  async lookup(word, { lang = DEFAULT_LANGUAGE } = {}) {
+    const found = [];
+    const errors = [];
+
+    for (const provider of this.providers) {
+      try {
+        const entry = await this.lookupWithProvider(provider, word, lang);
+        if (hasDefinitions(entry)) {
+          found.push({ provider: provider.name, entry });
+          if (!this.mergeResults) break;
+        }
+      } catch (error) {
+        console.error(`Dictionary provider ${provider.name} failed for "${word}" (${lang}):`, error.message);
+        errors.push({ provider: provider.name, message: error.message });
+      }
+    }
+
+    if (found.length === 0 && errors.length === this.providers.length) {
+      throw new Error(`All dictionary providers failed: ${errors.map(e => `${e.provider} (${e.message})`).join(', ')}`);
+    }
+
+    return {
+      entry: found.length > 0 ? mergeEntries(found.map(f => f.entry)) : null,
+      providers: found.map(f => f.provider),
+      errors
+    };
+  }
+}
+
+/**
+ * Build the provider chain from environment variables:
+ * - DICTIONARY_PROVIDERS: comma-separated order (dictionaryapi, wiktionary, local)
+ * - DICTIONARY_PROVIDER_TIMEOUT_MS: per-provider timeout
+ * - DICTIONARY_MERGE_RESULTS: 'true' to merge entries from every provider
+ * - DICTIONARY_WORDLIST_PATH: JSON word list for the local provider
+ * - WIKTIONARY_DUMP_PATH: JSONL extract for the wiktionary provider
+ */
+function createProviderChainFromEnv(env = process.env) {
+  const timeout = parseInt(env.DICTIONARY_PROVIDER_TIMEOUT_MS, 10) || DEFAULT_PROVIDER_TIMEOUT;
+  const names = (env.DICTIONARY_PROVIDERS || 'dictionaryapi')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names.map(name => {
+    switch (name) {
+      case 'dictionaryapi':
+        return new DictionaryApiProvider({ timeout });
+      case 'wiktionary':
+        if (!env.WIKTIONARY_DUMP_PATH) {
+          throw new Error('WIKTIONARY_DUMP_PATH is required for the wiktionary provider');
+        }
+        return new WiktionaryDumpProvider(path.resolve(env.WIKTIONARY_DUMP_PATH), { timeout });
+      case 'local':
+        if (!env.DICTIONARY_WORDLIST_PATH) {
+          throw new Error('DICTIONARY_WORDLIST_PATH is required for the local provider');
+        }
+        return new LocalWordListProvider(path.resolve(env.DICTIONARY_WORDLIST_PATH), { timeout });
+      default:
+        throw new Error(`Unknown dictionary provider '${name}'. Available providers: dictionaryapi, wiktionary, local`);
+    }
+  });
+
+  return new DictionaryProviderChain(providers, {
+    mergeResults: env.DICTIONARY_MERGE_RESULTS === 'true'
+  });
+}
+
+module.exports = {
+  DictionaryProvider,
+  DictionaryApiProvider,
+  LocalWordListProvider,
+  WiktionaryDumpProvider,
+  DictionaryProviderChain,
+  createProviderChainFromEnv,
+  normalizeEntry,
+  mergeEntries,
+  detectRegion
+};
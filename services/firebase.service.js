@@ -54,6 +54,54 @@ async function getSampleData() {
   }
 }
 
+// Per-browser word history and favorites, one document per sync id
+const WORD_LISTS_COLLECTION = 'word-lists';
+
+function isFirebaseInitialized() {
+  return !!db;
+}
+
+/**
+ * Fetches the stored word lists for a browser.
+ * @param {string} syncId - Random id generated by the browser
+ * @returns {Promise<Object|null>} The stored lists, or null if none exist.
+ */
+async function getWordLists(syncId) {
+  if (!db) {
+    throw new Error('Firebase is not initialized.');
+  }
+
+  try {
+    const doc = await db.collection(WORD_LISTS_COLLECTION).doc(syncId).get();
+    return doc.exists ? doc.data() : null;
+  } catch (error) {
+    console.error('Error fetching word lists from Firestore:', error);
+    throw new Error('Could not fetch word lists from Firestore.');
+  }
+}
+
+/**
+ * Replaces the stored word lists for a browser.
+ * @param {string} syncId - Random id generated by the browser
+ * @param {Object} lists - { history, favorites, updatedAt }
+ * @returns {Promise<void>}
+ */
+async function saveWordLists(syncId, lists) {
+  if (!db) {
+    throw new Error('Firebase is not initialized.');
+  }
+
+  try {
+    await db.collection(WORD_LISTS_COLLECTION).doc(syncId).set(lists);
+  } catch (error) {
+    console.error('Error saving word lists to Firestore:', error);
+    throw new Error('Could not save word lists to Firestore.');
+  }
+}
+
 module.exports = {
-  getSampleData
+  getSampleData,
+  isFirebaseInitialized,
+  getWordLists,
+  saveWordLists
 }; 
\ No newline at end of file
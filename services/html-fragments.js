@@ -1,6 +1,26 @@
+const { html, safeUrl } = require('./html-template');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, getLanguageName } = require('./language');
+
+// Link to a word page, keeping the language unless it is the default
+function wordUsageUrl(word, lang = DEFAULT_LANGUAGE) {
+  const query = `word=${encodeURIComponent(word)}`;
+  return lang === DEFAULT_LANGUAGE ? `/word-usage?${query}` : `/word-usage?${query}&lang=${encodeURIComponent(lang)}`;
+}
+
+function etymologyStreamUrl(word, lang = DEFAULT_LANGUAGE) {
+  return `/api/words/${encodeURIComponent(word)}/etymology/stream?lang=${encodeURIComponent(lang)}`;
+}
+
+function languageSelectFragment(style = '', className = '') {
+  return html`<select name="lang" aria-label="Language" class="${className}" style="${style}">
+        <option value="">Auto-detect</option>
+        ${Object.entries(SUPPORTED_LANGUAGES).map(([code, name]) => html`<option value="${code}">${name}</option>`)}
+      </select>`
+}
+
 
 function inputTextFragment() {
-  return `
+  return html`
   </div>
   
   <div class="search-container" style="margin-top: 3rem; padding: 1.5rem; background-color: var(--light-bg); border-radius: 8px; box-shadow: var(--shadow);">
@@ -13,6 +33,7 @@ function inputTextFragment() {
         style="flex: 1; padding: 0.6rem; border: 1px solid var(--border-color); border-radius: 4px; font-size: 1rem;"
         required
       >
+      ${languageSelectFragment('padding: 0.6rem; border: 1px solid var(--border-color); border-radius: 4px; font-size: 1rem;')}
       <button 
         type="submit" 
         style="background-color: var(--primary-color); color: white; border: none; border-radius: 4px; padding: 0.6rem 1.2rem; cursor: pointer; transition: background-color 0.3s ease;"
@@ -25,13 +46,16 @@ function inputTextFragment() {
   </div>
   
   <a href="/" class="back-link">Back to Home</a>
+  <script src="/js/word-suggest.js"></script>
+  <script src="/js/word-history.js"></script>
+  <script src="/js/llm-stream.js"></script>
 </body>
 </html>
 `
 }
 
-function dynamicWordFragement(word) {
-  return `
+function dynamicWordFragement(word, headerExtra = '') {
+  return html`
       <!DOCTYPE html>
       <html lang="en">
       <head>
@@ -139,11 +163,85 @@ function dynamicWordFragement(word) {
           .back-link:hover {
             background-color: #3a5a80;
           }
+          
+          .phonetic {
+            font-size: 1.2rem;
+            color: #666;
+            margin-bottom: 0.5rem;
+          }
+          
+          .language-label {
+            display: inline-block;
+            font-size: 0.85rem;
+            color: var(--secondary-color);
+            border: 1px solid var(--secondary-color);
+            border-radius: 12px;
+            padding: 0 0.6rem;
+            margin-bottom: 0.5rem;
+          }
+          
+          .pronunciations {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 0.8rem;
+            margin-top: 0.8rem;
+          }
+          
+          .pronunciation {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            background-color: var(--light-bg);
+            border-radius: 20px;
+            padding: 0.3rem 0.8rem;
+          }
+          
+          .region-label {
+            font-weight: 600;
+            color: var(--secondary-color);
+            font-size: 0.85rem;
+          }
+          
+          .pronunciation audio {
+            height: 32px;
+          }
+          
+          .word-relations {
+            margin: 0.5rem 0 1rem 0;
+            font-size: 0.95rem;
+          }
+          
+          .relation-chip {
+            display: inline-block;
+            margin: 0.2rem 0.3rem 0.2rem 0;
+            padding: 0.1rem 0.6rem;
+            border: 1px solid var(--border-color);
+            border-radius: 12px;
+            color: var(--primary-color);
+            text-decoration: none;
+          }
+          
+          .relation-chip:hover {
+            background-color: var(--light-bg);
+          }
+          
+          .sources {
+            margin-top: 2rem;
+            font-size: 0.85rem;
+            color: #666;
+          }
+          
+          .sources a {
+            color: var(--primary-color);
+            word-break: break-all;
+          }
         </style>
       </head>
-      <body>
+      <body data-word="${word}">
         <header>
           <h1>${word}</h1>
+          ${headerExtra}
           <p class="subtitle">Analyzing usage and definitions</p>
         </header>
         
@@ -153,7 +251,7 @@ function dynamicWordFragement(word) {
 }
 
 function contentstackRedirectFragment() {
-  return `
+  return html`
     <!DOCTYPE html>
     <html lang="en">
     <head>
@@ -239,8 +337,115 @@ function contentstackRedirectFragment() {
   `
 }
 
+// With a streamUrl, /js/llm-stream.js replaces the content with the
+// Server-Sent Events answer from that URL as it arrives
+function genAiSectionFragment(title, content, streamUrl = null) {
+  return html`
+        <div class="gen-ai-section"${streamUrl ? html` data-stream-url="${streamUrl}"` : ''} style="margin-top: 2rem; background-color: var(--light-bg); border-radius: 8px; box-shadow: var(--shadow); padding: 1.5rem; border-left: 4px solid var(--accent-color);">
+          <h3 class="gen-ai-response-title" style="color: var(--primary-color); margin-bottom: 1rem; font-size: 1.4rem;">${title}</h3>
+          <div class="gen-ai-response-content" aria-live="polite" style="line-height: 1.7; color: var(--text-color);">${content}</div>
+        </div>
+      `
+}
+
+function etymologyStreamFragment(word, lang) {
+  return genAiSectionFragment(
+    `${word} etymology and historical fact`,
+    html`<p class="gen-ai-loading" style="color: #6c757d; font-style: italic;">Looking into the history of ${word}…</p>`,
+    etymologyStreamUrl(word, lang)
+  )
+}
+
+function pronunciationFragment(entry) {
+  const variants = entry.phonetics.filter(phonetic => phonetic.text || safeUrl(phonetic.audio));
+  return html`
+          ${entry.phonetic ? html`<p class="phonetic">${entry.phonetic}</p>` : ''}
+          ${variants.length > 0 ? html`<div class="pronunciations">${variants.map(phonetic => html`
+            <div class="pronunciation">
+              ${phonetic.region ? html`<span class="region-label">${phonetic.region}</span>` : ''}
+              ${phonetic.text ? html`<span class="phonetic-text">${phonetic.text}</span>` : ''}
+              ${safeUrl(phonetic.audio) ? html`<audio controls preload="none" src="${safeUrl(phonetic.audio)}"></audio>` : ''}
+            </div>`)}
+          </div>` : ''}`
+}
+
+function languageFragment(entry) {
+  if (entry.lang === DEFAULT_LANGUAGE && entry.langSource !== 'param') return ''
+  return html`<p class="language-label">${getLanguageName(entry.lang)}${entry.langSource === 'detected' ? ' (detected)' : ''}</p>`
+}
+
+function relatedWordsFragment(label, words, lang) {
+  if (words.length === 0) return ''
+  return html`
+          <div class="word-relations">
+            <strong>${label}:</strong>
+            ${words.map(word => html`<a class="relation-chip" href="${wordUsageUrl(word, lang)}">${word}</a>`)}
+          </div>`
+}
+
+function definitionFragment(def, index) {
+  return html`
+          <div class="definition">
+            <strong>${index + 1}.</strong> ${def.definition}
+            ${def.example ? html`<div class="example"><strong>Example:</strong> "${def.example}"</div>` : ''}
+          </div>`
+}
+
+function meaningFragment(meaning, lang) {
+  // Collect meaning-level and definition-level relations without duplicates
+  const synonyms = [...new Set([...meaning.synonyms, ...meaning.definitions.flatMap(def => def.synonyms)])]
+  const antonyms = [...new Set([...meaning.antonyms, ...meaning.definitions.flatMap(def => def.antonyms)])]
+  return html`<h3 class="part-of-speech">${meaning.partOfSpeech}</h3>${meaning.definitions.map(definitionFragment)}${
+    relatedWordsFragment('Synonyms', synonyms, lang)}${relatedWordsFragment('Antonyms', antonyms, lang)}`
+}
+
+function meaningsFragment(meanings, lang = DEFAULT_LANGUAGE) {
+  return html`${meanings.map(meaning => meaningFragment(meaning, lang))}`
+}
+
+function sourcesFragment(sourceUrls) {
+  const urls = sourceUrls.map(safeUrl).filter(Boolean)
+  if (urls.length === 0) return ''
+  return html`
+          <div class="sources">
+            <strong>Sources:</strong>
+            ${urls.map(url => html`<div><a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a></div>`)}
+          </div>`
+}
+
+function pageEndFragment() {
+  return html`
+        </div>
+        <a href="/" class="back-link">Back to Home</a>
+        <script src="/js/consent.js"></script>
+      </body>
+      </html>
+      `
+}
+
+function errorPageFragment(message) {
+  return html`
+        <html>
+          <head><title>Error</title></head>
+          <body>
+            <h1>Error</h1>
+            <p>Failed to fetch word data: ${message}</p>
+            <p><a href="/">Back to Home</a></p>
+          </body>
+        </html>
+      `
+}
+
 module.exports = {
   contentstackRedirectFragment,
   dynamicWordFragement,
-  inputTextFragment
-}
\ No newline at end of file
+  errorPageFragment,
+  etymologyStreamFragment,
+  genAiSectionFragment,
+  inputTextFragment,
+  languageFragment,
+  meaningsFragment,
+  pageEndFragment,
+  pronunciationFragment,
+  sourcesFragment
+}
@@ -0,0 +1,131 @@
+// Characters that must be escaped in HTML text and attribute values
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+// Tags renderMarkdown() is allowed to produce. Everything else in LLM output
+// is escaped before any markdown is converted, so this list is exhaustive.
+const MARKDOWN_ALLOWED_TAGS = ['p', 'br', 'strong', 'em', 'code', 'ul', 'ol', 'li'];
+
+/**
+ * Markup that is already safe and must not be escaped again
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Return the URL if it is an absolute http(s) URL, otherwise null. Use for
+ * every href/src built from upstream data so javascript: and data: URLs
+ * can never reach the page.
+ */
+function safeUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Mark a trusted string as safe. Only use for markup written in this
+ * codebase, never for user input or upstream API data.
+ */
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value unless it is
+ * SafeHtml (the result of another html`` template, raw() or renderMarkdown()).
+ * Arrays are rendered item by item; null, undefined and false render nothing.
+ *
+ * @example
+ * html`<h1>${word}</h1>${items.map(item => html`<li>${item}</li>`)}`
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, index) => {
+    out += renderValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(out);
+}
+
+function renderInlineMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/&#96;(.+?)&#96;/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Convert the small subset of markdown LLMs use (paragraphs, line breaks,
+ * bullet and numbered lists, bold, italic, inline code) to HTML. The input
+ * is escaped first, so only MARKDOWN_ALLOWED_TAGS can appear in the output.
+ *
+ * @param {string} text - Untrusted markdown, e.g. a Gemini or Groq response
+ * @returns {SafeHtml}
+ */
+function renderMarkdown(text) {
+  if (!text) return new SafeHtml('');
+
+  const blocks = String(text).replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+  const rendered = blocks.map(block => {
+    const lines = block.split('\n').filter(line => line.trim().length > 0);
+
+    if (lines.every(line => /^\s*[-*+]\s+/.test(line))) {
+      const items = lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*[-*+]\s+/, ''))}</li>`);
+      return `<ul>${items.join('')}</ul>`;
+    }
+
+    if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+      const items = lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`);
+      return `<ol>${items.join('')}</ol>`;
+    }
+
+    // Headings are rendered as bold paragraphs to keep the allowlist small
+    const paragraph = lines
+      .map(line => line.replace(/^\s*#{1,6}\s+(.*)$/, '**$1**'))
+      .map(renderInlineMarkdown)
+      .join('<br>');
+    return `<p>${paragraph}</p>`;
+  });
+
+  return new SafeHtml(rendered.join(''));
+}
+
+module.exports = {
+  SafeHtml,
+  html,
+  raw,
+  escapeHtml,
+  safeUrl,
+  renderMarkdown,
+  MARKDOWN_ALLOWED_TAGS
+};
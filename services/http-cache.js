@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Read a Cache-Control duration in seconds from the environment
+ */
+function secondsFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Word pages change when the dictionary or Gemini answer changes, so keep
+// browser and CDN copies short and refresh them in the background
+const WORD_PAGE_CACHE = {
+  maxAge: secondsFromEnv('WORD_PAGE_MAX_AGE', 60 * 60),
+  staleWhileRevalidate: secondsFromEnv('WORD_PAGE_STALE_WHILE_REVALIDATE', 24 * 60 * 60)
+};
+
+const HOMEPAGE_CACHE = {
+  maxAge: secondsFromEnv('HOMEPAGE_MAX_AGE', 5 * 60),
+  staleWhileRevalidate: secondsFromEnv('HOMEPAGE_STALE_WHILE_REVALIDATE', 60 * 60)
+};
+
+/**
+ * Strong ETag derived from the response body, so it changes exactly when
+ * the content does
+ */
+function contentEtag(body) {
+  return `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+function cacheControl({ maxAge, staleWhileRevalidate }) {
+  const directives = ['public', `max-age=${maxAge}`];
+  if (staleWhileRevalidate > 0) directives.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+  return directives.join(', ');
+}
+
+/**
+ * Send a cacheable HTML response with a content-hash ETag. Answers
+ * If-None-Match requests for the same content with 304 and no body.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} body - Rendered HTML
+ * @param {Object} policy - { maxAge, staleWhileRevalidate } in seconds
+ */
+function sendCacheable(req, res, body, policy) {
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': cacheControl(policy),
+    'ETag': contentEtag(body)
+  });
+
+  // req.fresh compares If-None-Match with the ETag set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  return res.send(body);
+}
+
+/**
+ * Send a response that must never be stored, e.g. a page rendered while an
+ * upstream service was failing
+ */
+function sendUncacheable(res, body, status = 200) {
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  return res.status(status).send(body);
+}
+
+// Static pages read from disk, re-read when the file changes
+const staticPages = new Map();
+
+/**
+ * Contents of a static HTML file, cached until its mtime changes
+ */
+function readStaticPage(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = staticPages.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.body;
+
+  const body = fs.readFileSync(filePath, 'utf8');
+  staticPages.set(filePath, { mtimeMs, body });
+  return body;
+}
+
+module.exports = {
+  WORD_PAGE_CACHE,
+  HOMEPAGE_CACHE,
+  contentEtag,
+  cacheControl,
+  sendCacheable,
+  sendUncacheable,
+  readStaticPage
+};
@@ -0,0 +1,209 @@
+// Hosts the server may call. Entries starting with "*." also match subdomains.
+const DEFAULT_ALLOWED_HOSTS = [
+  // Dictionary
+  'api.dictionaryapi.dev',
+  // LLMs
+  'generativelanguage.googleapis.com',
+  'api.groq.com',
+  // Reverse geocoding
+  'nominatim.openstreetmap.org',
+  // Server-side analytics (the mixpanel sink)
+  'api.mixpanel.com',
+  // Status pages
+  'status.openai.com',
+  'status.anthropic.com',
+  'www.cloudflarestatus.com',
+  // Tech news sources
+  'hacker-news.firebaseio.com',
+  'lobste.rs',
+  'dev.to',
+  'www.reddit.com',
+  'api.github.com',
+  'api.rss2json.com'
+];
+
+// Headers that describe our visitors or our own deployment. They are never
+// forwarded to another host, even if a caller copies them from a request.
+const SCRUBBED_HEADERS = new Set([
+  'host',
+  'cookie',
+  'referer',
+  'forwarded',
+  'x-forwarded-for',
+  'x-forwarded-host',
+  'x-forwarded-proto',
+  'x-forwarded-port',
+  'x-real-ip',
+  'x-client-ip',
+  'true-client-ip',
+  'cf-connecting-ip'
+]);
+
+// Redirects followed before giving up, each checked against the allowlist
+const MAX_REDIRECTS = 5;
+
+class EgressBlockedError extends Error {
+  constructor(host) {
+    super(`Outbound request to '${host}' is not allowed. Add it to EGRESS_ALLOWED_HOSTS to allow it`);
+    this.name = 'EgressBlockedError';
+    this.host = host;
+  }
+}
+
+/**
+ * Whether a host matches an allowlist entry
+ * @param {string} host - Hostname, without port
+ * @param {string[]} allowedHosts - Hostnames, or "*.example.com" for subdomains
+ */
+function isHostAllowed(host, allowedHosts) {
+  const hostname = host.toLowerCase();
+  return allowedHosts.some(entry => {
+    const allowed = entry.toLowerCase();
+    return allowed.startsWith('*.') ? hostname.endsWith(allowed.slice(1)) : hostname === allowed;
+  });
+}
+
+/**
+ * Copy request headers without the ones in SCRUBBED_HEADERS. Accepts a
+ * Headers object, a plain object or [name, value] pairs.
+ * @returns {Object} Plain header object
+ */
+function scrubHeaders(headers) {
+  const pairs = Array.isArray(headers) ? headers
+    : typeof headers.entries === 'function' ? [...headers.entries()]
+      : Object.entries(headers);
+  return Object.fromEntries(pairs.filter(([name, value]) => value !== undefined && !SCRUBBED_HEADERS.has(name.toLowerCase())));
+}
+
+// Host and path of a URL for logs. The query string is left out because it
+// may hold API keys (Gemini takes ?key=).
+function describeUrl(url) {
+  return `${url.host}${url.pathname}`;
+}
+
+// The one way the server makes outbound HTTP requests: every call is checked
+// against a host allowlist, has visitor-identifying headers removed and is
+// logged. Redirects are followed by hand so each hop is checked too.
+class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.allowedHosts - Hosts that may be called
+   * @param {boolean} options.enforce - false logs blocked hosts but still calls them
+   * @param {Function} options.fetch - Underlying fetch; the global one by default
+   */
+  constructor(options = {}) {
+    this.allowedHosts = options.allowedHosts || DEFAULT_ALLOWED_HOSTS;
+    this.enforce = options.enforce !== false;
+    this.fetchImpl = options.fetch || null;
+  }
+
+  /**
+   * Throw EgressBlockedError unless the URL's host is allowed
+   * @param {URL} url
+   * @param {Object} options
+   * @param {boolean} options.allowUnlisted - Skip the allowlist (see fetch())
+   */
+  check(url, { allowUnlisted = false } = {}) {
+    if (allowUnlisted || isHostAllowed(url.hostname, this.allowedHosts)) return;
+    if (this.enforce) {
+      console.warn(`Egress blocked: ${describeUrl(url)}`);
+      throw new EgressBlockedError(url.hostname);
+    }
+    console.warn(`Egress to unlisted host allowed (EGRESS_ENFORCE=false): ${describeUrl(url)}`);
+  }
+
+  /**
+   * fetch() with the egress policy applied. Takes the same arguments.
+   * @param {string|URL} input - Request URL
+   * @param {Object} init - fetch options, plus:
+   * @param {boolean} init.allowUnlisted - Skip the allowlist. Only for the
+   *   network tools, where the visitor chooses the host on purpose.
+   * @returns {Promise<Response>}
+   * @throws {EgressBlockedError}
+   */
+  async fetch(input, init = {}) {
+    const { allowUnlisted, ...options } = init;
+    const method = (options.method || 'GET').toUpperCase();
+    const fetchImpl = this.fetchImpl || globalThis.fetch;
+    if (options.headers) {
+      options.headers = scrubHeaders(options.headers);
+    }
+    // Redirects of other methods are returned as they are
+    const followRedirects = (method === 'GET' || method === 'HEAD') && options.redirect !== 'manual';
+    if (followRedirects) {
+      options.redirect = 'manual';
+    }
+
+    let target = String(input);
+    for (let redirects = 0; ; redirects++) {
+      const url = new URL(target);
+      this.check(url, { allowUnlisted });
+
+      const start = Date.now();
+      let response;
+      try {
+        response = await fetchImpl(target, options);
+      } catch (error) {
+        console.log(`Egress ${method} ${describeUrl(url)} failed after ${Date.now() - start}ms: ${error.message}`);
+        throw error;
+      }
+      console.log(`Egress ${method} ${describeUrl(url)} ${response.status} ${Date.now() - start}ms`);
+
+      const location = response.status >= 300 && response.status < 400 && response.headers?.get?.('location');
+      if (!followRedirects || !location) return response;
+      if (redirects === MAX_REDIRECTS) {
+        throw new Error(`Too many redirects from ${describeUrl(url)}`);
+      }
+      target = new URL(location, target).toString();
+    }
+  }
+}
+
+/**
+ * Build the client from environment variables:
+ * - EGRESS_ALLOWED_HOSTS: hosts allowed on top of the defaults, e.g. "api.example.com,*.example.org"
+ * - EGRESS_ENFORCE: 'false' only logs calls to unlisted hosts instead of blocking them
+ */
+function createHttpClientFromEnv(env = process.env) {
+  const extraHosts = String(env.EGRESS_ALLOWED_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean);
+  return new HttpClient({
+    allowedHosts: [...DEFAULT_ALLOWED_HOSTS, ...extraHosts],
+    enforce: env.EGRESS_ENFORCE !== 'false'
+  });
+}
+
+// Shared client, created from the environment on first use
+let httpClient = null;
+
+function getHttpClient() {
+  if (!httpClient) {
+    httpClient = createHttpClientFromEnv();
+  }
+  return httpClient;
+}
+
+/**
+ * Replace the shared client (tests and local tooling)
+ */
+function setHttpClient(client) {
+  httpClient = client;
+}
+
+/**
+ * fetch() through the shared client. Use this instead of the global fetch.
+ */
+function egressFetch(input, init) {
+  return getHttpClient().fetch(input, init);
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_HOSTS,
+  EgressBlockedError,
+  HttpClient,
+  isHostAllowed,
+  scrubHeaders,
+  createHttpClientFromEnv,
+  getHttpClient,
+  setHttpClient,
+  egressFetch
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { createCache } = require('./cache');
+
+// Jokes most recently served per topic
+const TOPIC_HISTORY_LIMIT = 20;
+
+// Previous jokes sent to the model in "another" mode so it doesn't repeat them
+const AVOID_LIMIT = 5;
+
+const RATINGS = ['up', 'down'];
+
+// Served when no model can be asked (e.g. the daily LLM budget is used up)
+// and the topic has no jokes yet
+const FALLBACK_JOKES = [
+  "I told my dictionary a joke. It didn't get it, so I had to look it up.",
+  "Why don't skeletons fight each other? They don't have the guts.",
+  "I'm reading a book about anti-gravity. It's impossible to put down.",
+  "Parallel lines have so much in common. It's a shame they'll never meet.",
+  "Why did the scarecrow win an award? He was outstanding in his field."
+];
+
+// Served jokes by id, with their ratings. Kept long enough for people to
+// come back and rate them.
+const jokes = createCache('jokes', {
+  maxSize: 2000,
+  ttl: 30 * 24 * 60 * 60 * 1000
+});
+
+// Joke ids per normalized topic, newest first
+const topics = createCache('joke-topics', {
+  maxSize: 500,
+  ttl: 30 * 24 * 60 * 60 * 1000
+});
+
+/**
+ * Topics differing only in case or spacing share one history
+ */
+function normalizeTopic(topic) {
+  return String(topic || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Joke as returned by the API, without who voted
+ */
+function publicJoke(joke) {
+  const { votes, ...rest } = joke;
+  return rest;
+}
+
+/**
+ * Jokes recently served for a topic, newest first
+ * @returns {Object[]} Stored jokes, including votes
+ */
+function getTopicHistory(topic, { limit = TOPIC_HISTORY_LIMIT } = {}) {
+  const ids = topics.get(normalizeTopic(topic)) || [];
+  return ids.map(id => jokes.get(id)).filter(Boolean).slice(0, limit);
+}
+
+/**
+ * Texts of the jokes already shown for a topic, for "another" prompts
+ */
+function getShownJokes(topic) {
+  return getTopicHistory(topic, { limit: AVOID_LIMIT }).map(joke => joke.text);
+}
+
+/**
+ * Record a served joke and give it an id. Serving the same cached text for
+ * a topic again reuses the existing joke, so ratings stay together.
+ *
+ * @param {Object} joke - { topic, text, provider, model, target, template },
+ *   where target is the model router target id that served it and template
+ *   the prompt template id that produced it
+ * @returns {Object} The stored joke
+ */
+function saveJoke({ topic, text, provider, model, target, template = null }) {
+  const key = normalizeTopic(topic);
+  const existing = getTopicHistory(key).find(joke => joke.text === text && joke.target === target);
+  if (existing) return existing;
+
+  const joke = {
+    id: crypto.randomUUID(),
+    topic: key,
+    text,
+    provider,
+    model,
+    target,
+    template,
+    createdAt: new Date().toISOString(),
+    ratings: { up: 0, down: 0 },
+    votes: {}
+  };
+  jokes.set(joke.id, joke);
+
+  const ids = topics.get(key) || [];
+  topics.set(key, [joke.id, ...ids.filter(id => jokes.has(id))].slice(0, TOPIC_HISTORY_LIMIT));
+  return joke;
+}
+
+/**
+ * A joke to serve without asking a model: one already told for the topic,
+ * or a stock joke. Stock jokes have no id and can't be rated.
+ * @returns {Object} Stored joke, or { id: null, topic, text, fallback: true }
+ */
+function getFallbackJoke(topic) {
+  const history = getTopicHistory(topic);
+  const pick = list => list[Math.floor(Math.random() * list.length)];
+  if (history.length > 0) {
+    return { ...pick(history), fallback: true };
+  }
+  return { id: null, topic: normalizeTopic(topic), text: pick(FALLBACK_JOKES), fallback: true };
+}
+
+function getJoke(id) {
+  return jokes.get(id) || null;
+}
+
+/**
+ * Rate a joke thumbs up or down. Each voter has one vote per joke; voting
+ * again replaces it.
+ *
+ * @param {string} id - Joke id
+ * @param {string} voter - Stable key for the voter
+ * @param {string} rating - 'up' or 'down'
+ * @returns {{joke: Object, previous: string|null}|null} null when the joke is unknown
+ */
+function rateJoke(id, voter, rating) {
+  if (!RATINGS.includes(rating)) {
+    throw new Error(`Rating must be one of: ${RATINGS.join(', ')}`);
+  }
+  const joke = jokes.get(id);
+  if (!joke) return null;
+
+  const previous = joke.votes[voter] || null;
+  if (previous !== rating) {
+    if (previous) joke.ratings[previous]--;
+    joke.ratings[rating]++;
+    joke.votes[voter] = rating;
+    // Store again so persistent cache stores pick up the change
+    jokes.set(id, joke);
+  }
+  return { joke, previous };
+}
+
+module.exports = {
+  RATINGS,
+  TOPIC_HISTORY_LIMIT,
+  normalizeTopic,
+  publicJoke,
+  getTopicHistory,
+  getShownJokes,
+  saveJoke,
+  getFallbackJoke,
+  getJoke,
+  rateJoke
+};
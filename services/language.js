@@ -0,0 +1,93 @@
+// Languages the dictionary lookup accepts, keyed by the code dictionaryapi.dev
+// uses in /entries/:lang/:word
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  'pt-BR': 'Brazilian Portuguese',
+  tr: 'Turkish',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  ja: 'Japanese',
+  ko: 'Korean'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Scripts that identify a supported language on their own
+const SCRIPT_RULES = [
+  { lang: 'ko', pattern: /\p{Script=Hangul}/u },
+  { lang: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u },
+  { lang: 'ru', pattern: /\p{Script=Cyrillic}/u },
+  { lang: 'ar', pattern: /\p{Script=Arabic}/u },
+  { lang: 'hi', pattern: /\p{Script=Devanagari}/u }
+];
+
+// Latin letters that (almost) only occur in one supported language, checked
+// in order. Shared accents like é or ü are left to the weaker rules below.
+const LETTER_RULES = [
+  { lang: 'tr', pattern: /[ğışİĞŞ]/ },
+  { lang: 'de', pattern: /ß/ },
+  { lang: 'es', pattern: /[ñÑ¿¡]/ },
+  { lang: 'pt-BR', pattern: /[ãõÃÕ]/ },
+  { lang: 'fr', pattern: /[œæçèêëîïûùÿŒÆÇÈÊËÎÏÛÙŸ]/ },
+  { lang: 'de', pattern: /[äöüÄÖÜ]/ },
+  { lang: 'es', pattern: /[áíóúÁÍÓÚ]/ },
+  { lang: 'it', pattern: /[àìòÀÌÒ]/ }
+];
+
+/**
+ * Resolve a user-supplied language code to a supported one, ignoring case
+ * (`pt-br` -> `pt-BR`). Returns null when the language is not supported.
+ */
+function normalizeLanguage(lang) {
+  if (!lang) return null;
+  const wanted = String(lang).trim().toLowerCase();
+  return Object.keys(SUPPORTED_LANGUAGES).find(code => code.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Guess the language of a word from its script and accented letters, so
+ * words like "niño" or "straße" go to the right dictionary instead of being
+ * treated as English misspellings. Plain ASCII words can't be told apart
+ * and return null.
+ *
+ * @param {string} word
+ * @returns {string|null} A SUPPORTED_LANGUAGES code, or null if unknown
+ */
+function detectLanguage(word) {
+  const text = String(word || '');
+  const rule = SCRIPT_RULES.find(r => r.pattern.test(text)) || LETTER_RULES.find(r => r.pattern.test(text));
+  return rule ? rule.lang : null;
+}
+
+/**
+ * Pick the language for a lookup: an explicit `lang` wins, then detection,
+ * then English.
+ * @returns {{lang: string, source: 'param'|'detected'|'default'}}
+ */
+function resolveLanguage(word, lang) {
+  const explicit = normalizeLanguage(lang);
+  if (explicit) return { lang: explicit, source: 'param' };
+
+  const detected = detectLanguage(word);
+  if (detected) return { lang: detected, source: 'detected' };
+
+  return { lang: DEFAULT_LANGUAGE, source: 'default' };
+}
+
+function getLanguageName(lang) {
+  return SUPPORTED_LANGUAGES[lang] || lang;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  detectLanguage,
+  resolveLanguage,
+  getLanguageName
+};
@@ -0,0 +1,873 @@
+const Groq = require('groq-sdk');
+const { createContentModeratorFromEnv } = require('./content-safety');
+const { createUsageStoreFromEnv } = require('./llm-usage');
+const { egressFetch } = require('./http-client');
+
+// Default time allowed for a single attempt (15 seconds)
+const DEFAULT_LLM_TIMEOUT = 15000;
+
+// Retries after the first attempt, for retryable errors only
+const DEFAULT_MAX_RETRIES = 2;
+
+// First retry waits this long; each further retry doubles it
+const DEFAULT_RETRY_DELAY = 250;
+
+// Upper bound on any single wait, including server-provided Retry-After
+const MAX_RETRY_DELAY = 5000;
+
+// ------------------------------
+// Errors
+// ------------------------------
+
+// Base class for every error the LLM client throws
+class LLMError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.provider - Provider name, e.g. 'gemini'
+   * @param {number} options.status - HTTP status from the provider, if any
+   * @param {boolean} options.retryable - Whether retrying may succeed
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { provider = null, status = null, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// The provider is not configured (e.g. missing API key)
+class LLMConfigError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'LLMConfigError';
+  }
+}
+
+// The provider rejected our credentials
+class LLMAuthError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'LLMAuthError';
+  }
+}
+
+// The provider is throttling us; retryAfterMs is set when it says how long
+class LLMRateLimitError extends LLMError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'LLMRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// An attempt took longer than the client timeout
+class LLMTimeoutError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'LLMTimeoutError';
+  }
+}
+
+// The provider answered, but without usable text (blocked, empty, malformed)
+class LLMResponseError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'LLMResponseError';
+  }
+}
+
+// The content safety filter withheld the answer; reasons lists the checks that flagged it
+class ContentBlockedError extends LLMResponseError {
+  constructor(message, { reasons = [], ...options } = {}) {
+    super(message, options);
+    this.name = 'ContentBlockedError';
+    this.reasons = reasons;
+  }
+}
+
+// A daily budget cap has been reached; budget is { scope, limitUsd, spentUsd }
+class LLMBudgetError extends LLMError {
+  constructor(message, { budget, ...options } = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'LLMBudgetError';
+    this.budget = budget;
+  }
+}
+
+/**
+ * Map an HTTP status from a provider to the matching error class
+ */
+function errorFromStatus(provider, status, message, retryAfterMs = null) {
+  if (status === 401 || status === 403) {
+    return new LLMAuthError(message, { provider, status });
+  }
+  if (status === 429) {
+    return new LLMRateLimitError(message, { provider, status, retryAfterMs });
+  }
+  return new LLMError(message, { provider, status, retryable: status >= 500 });
+}
+
+/**
+ * Parse a Retry-After header (seconds) into milliseconds
+ */
+function parseRetryAfter(value) {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Some models wrap their reasoning in <think> tags; callers only want the answer
+ */
+function stripThinking(text) {
+  return text.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+}
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+/**
+ * Streaming version of stripThinking. Tags can be split across chunks, so
+ * text that might be the start of a tag is held back until the next chunk
+ * shows whether it is one.
+ *
+ * @returns {{push: function(string): string, flush: function(): string}}
+ *   push() returns the visible part of a chunk; flush() whatever is left
+ *   once the stream ends
+ */
+function createThinkingFilter() {
+  let buffer = '';
+  let thinking = false;
+  let started = false;
+
+  // Length of the longest suffix of `text` that is a prefix of `tag`
+  function partialTagLength(text, tag) {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+      if (text.endsWith(tag.slice(0, length))) return length;
+    }
+    return 0;
+  }
+
+  // Like stripThinking, drop whitespace before the answer
+  function visible(text) {
+    if (!started) {
+      text = text.replace(/^\s+/, '');
+      started = text.length > 0;
+    }
+    return text;
+  }
+
+  function push(chunk) {
+    buffer += chunk;
+    let output = '';
+
+    for (;;) {
+      if (thinking) {
+        const end = buffer.indexOf(THINK_CLOSE);
+        if (end === -1) {
+          buffer = buffer.slice(buffer.length - partialTagLength(buffer, THINK_CLOSE));
+          break;
+        }
+        buffer = buffer.slice(end + THINK_CLOSE.length);
+        thinking = false;
+      } else {
+        const start = buffer.indexOf(THINK_OPEN);
+        if (start === -1) {
+          const held = partialTagLength(buffer, THINK_OPEN);
+          output += buffer.slice(0, buffer.length - held);
+          buffer = buffer.slice(buffer.length - held);
+          break;
+        }
+        output += buffer.slice(0, start);
+        buffer = buffer.slice(start + THINK_OPEN.length);
+        thinking = true;
+      }
+    }
+
+    return visible(output);
+  }
+
+  function flush() {
+    // An unterminated <think> block never reaches the reader
+    const rest = thinking ? '' : buffer;
+    buffer = '';
+    return visible(rest);
+  }
+
+  return { push, flush };
+}
+
+// ------------------------------
+// Providers
+// ------------------------------
+
+// Base class for LLM providers
+class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.defaultModel = options.defaultModel || null;
+  }
+
+  /**
+   * Run a single completion
+   * @param {Object} request
+   * @param {string} request.prompt - User message
+   * @param {string} request.system - Optional system instruction
+   * @param {string} request.model - Model id; defaults to the provider's default model
+   * @param {AbortSignal} request.signal - Aborted when the attempt times out
+   * @returns {Promise<Object>} { text, model, finishReason, usage: { inputTokens, outputTokens, totalTokens } }
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Stream a completion as it is generated. Takes the same request as
+   * complete(). Providers without streaming answer in one chunk.
+   * @returns {AsyncGenerator<Object>} Chunks of { text }, with `model`,
+   *   `finishReason` and `usage` on the chunks that carry them
+   */
+  async *stream(request) {
+    yield await this.complete(request);
+  }
+}
+
+/**
+ * Parse the `data:` payloads of a server-sent event stream from a fetch body
+ * @returns {AsyncGenerator<Object>} One parsed JSON payload per event
+ */
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) {
+        const data = line.slice(5).trim();
+        if (data && data !== '[DONE]') yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+// Google Gemini generateContent REST API
+class GeminiProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('gemini', { defaultModel: 'gemini-2.0-flash', ...options });
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta/models';
+  }
+
+  requestBody(prompt, system) {
+    const body = {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }]
+    };
+    if (system) {
+      body.system_instruction = { parts: [{ text: system }] };
+    }
+    return JSON.stringify(body);
+  }
+
+  async post(url, body, signal) {
+    const response = await egressFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      signal
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      const message = data?.error?.message || `Gemini returned status ${response.status}`;
+      throw errorFromStatus(this.name, response.status, message, parseRetryAfter(response.headers?.get?.('retry-after')));
+    }
+    return response;
+  }
+
+  async complete({ prompt, system, model = this.defaultModel, signal }) {
+    const response = await this.post(
+      `${this.baseUrl}/${model}:generateContent?key=${this.apiKey}`,
+      this.requestBody(prompt, system),
+      signal
+    );
+    const data = await response.json().catch(() => null);
+
+    const candidate = data?.candidates?.[0];
+    const text = candidate?.content?.parts?.map(part => part.text || '').join('') || '';
+    if (!text) {
+      const reason = data?.promptFeedback?.blockReason || candidate?.finishReason || 'empty response';
+      throw new LLMResponseError(`Gemini returned no text (${reason})`, { provider: this.name });
+    }
+
+    return {
+      text,
+      model: data.modelVersion || model,
+      finishReason: candidate.finishReason || null,
+      usage: {
+        inputTokens: data.usageMetadata?.promptTokenCount || 0,
+        outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+        totalTokens: data.usageMetadata?.totalTokenCount || 0
+      }
+    };
+  }
+
+  // streamGenerateContent with alt=sse sends one GenerateContentResponse per event
+  async *stream({ prompt, system, model = this.defaultModel, signal }) {
+    const response = await this.post(
+      `${this.baseUrl}/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`,
+      this.requestBody(prompt, system),
+      signal
+    );
+
+    for await (const data of readEventStream(response.body)) {
+      const candidate = data.candidates?.[0];
+      if (data.promptFeedback?.blockReason) {
+        throw new LLMResponseError(`Gemini returned no text (${data.promptFeedback.blockReason})`, { provider: this.name });
+      }
+      const chunk = {
+        text: candidate?.content?.parts?.map(part => part.text || '').join('') || '',
+        model: data.modelVersion || model,
+        finishReason: candidate?.finishReason || null
+      };
+      if (data.usageMetadata) {
+        chunk.usage = {
+          inputTokens: data.usageMetadata.promptTokenCount || 0,
+          outputTokens: data.usageMetadata.candidatesTokenCount || 0,
+          totalTokens: data.usageMetadata.totalTokenCount || 0
+        };
+      }
+      yield chunk;
+    }
+  }
+}
+
+// Groq chat completions through groq-sdk
+class GroqProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('groq', { defaultModel: 'llama-3.3-70b-versatile', ...options });
+    // Retries and timeouts are handled by LLMClient, not the SDK
+    this.client = options.client || new Groq({ apiKey: options.apiKey, maxRetries: 0, fetch: egressFetch });
+  }
+
+  async create(body, signal) {
+    try {
+      return await this.client.chat.completions.create(body, { signal });
+    } catch (error) {
+      if (error.status) {
+        throw errorFromStatus(this.name, error.status, error.message, parseRetryAfter(error.headers?.['retry-after']));
+      }
+      throw error;
+    }
+  }
+
+  messages(prompt, system) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+    return messages;
+  }
+
+  async complete({ prompt, system, model = this.defaultModel, signal }) {
+    const completion = await this.create({ messages: this.messages(prompt, system), model }, signal);
+
+    const choice = completion?.choices?.[0];
+    const text = choice?.message?.content || '';
+    if (!text.trim()) {
+      throw new LLMResponseError('Groq returned no text', { provider: this.name });
+    }
+
+    return {
+      text,
+      model: completion.model || model,
+      finishReason: choice.finish_reason || null,
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  async *stream({ prompt, system, model = this.defaultModel, signal }) {
+    const completion = await this.create({ messages: this.messages(prompt, system), model, stream: true }, signal);
+
+    for await (const data of completion) {
+      const choice = data.choices?.[0];
+      const chunk = {
+        text: choice?.delta?.content || '',
+        model: data.model || model,
+        finishReason: choice?.finish_reason || null
+      };
+      // Groq reports usage on the last chunk
+      const usage = data.x_groq?.usage || data.usage;
+      if (usage) {
+        chunk.usage = {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        };
+      }
+      yield chunk;
+    }
+  }
+}
+
+/**
+ * Offline provider for local development and tests. Answers with the
+ * result of `respond(request)`, or a canned echo of the prompt. `respond`
+ * may return an array of strings, which stream() yields as separate chunks.
+ */
+class MockLLMProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options.name || 'mock', { defaultModel: 'mock-1', ...options });
+    this.respond = options.respond || (({ prompt }) => `Mock response to: ${prompt}`);
+  }
+
+  async chunks(request) {
+    const answer = await this.respond(request);
+    // Without explicit chunks, stream word by word
+    return Array.isArray(answer) ? answer : answer.split(/(?<=\s)/);
+  }
+
+  async complete(request) {
+    const model = request.model || this.defaultModel;
+    const text = (await this.chunks({ ...request, model })).join('');
+    return {
+      text,
+      model,
+      finishReason: 'stop',
+      usage: {
+        inputTokens: Math.ceil(request.prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4),
+        totalTokens: Math.ceil(request.prompt.length / 4) + Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  async *stream(request) {
+    const model = request.model || this.defaultModel;
+    for (const text of await this.chunks({ ...request, model })) {
+      yield { text, model };
+    }
+    yield { text: '', model, finishReason: 'stop' };
+  }
+}
+
+// ------------------------------
+// Client
+// ------------------------------
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    timer.unref?.();
+  });
+}
+
+// Single entry point for every LLM call: provider lookup, timeouts,
+// retries with exponential backoff and a common response shape
+class LLMClient {
+  /**
+   * @param {LLMProvider[]} providers
+   * @param {Object} options
+   * @param {number} options.timeout - Per-attempt timeout in ms
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryDelay - Base backoff in ms
+   * @param {ContentModerator} options.moderator - Content safety checks run on every answer
+   * @param {LLMUsageStore} options.usage - Records tokens, latency and cost of every
+   *   provider call, and enforces its daily budgets
+   */
+  constructor(providers = [], options = {}) {
+    this.providers = new Map(providers.map(provider => [provider.name, provider]));
+    this.timeout = options.timeout || DEFAULT_LLM_TIMEOUT;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.moderator = options.moderator || null;
+    this.usage = options.usage || null;
+  }
+
+  hasProvider(name) {
+    return this.providers.has(name);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new LLMConfigError(`LLM provider '${name}' is not configured`, { provider: name });
+    }
+    return provider;
+  }
+
+  /**
+   * True when a daily budget covering the provider has been used up
+   */
+  overBudget(name) {
+    return !!this.usage?.exceededBudget(name);
+  }
+
+  /**
+   * @throws {LLMBudgetError} When a daily budget covering the provider is used up
+   */
+  checkBudget(provider) {
+    const budget = this.usage?.exceededBudget(provider.name);
+    if (!budget) return;
+    throw new LLMBudgetError(`Daily LLM budget for ${budget.scope} reached ($${budget.spentUsd} of $${budget.limitUsd})`, {
+      provider: provider.name,
+      budget
+    });
+  }
+
+  /**
+   * Record one provider call in the usage store, failed or not
+   */
+  recordUsage(provider, request, template, startTime, result, error = null) {
+    this.usage?.record({
+      provider: provider.name,
+      model: result?.model || request.model || provider.defaultModel,
+      usage: result?.usage,
+      latencyMs: Date.now() - startTime,
+      template,
+      error
+    });
+  }
+
+  /**
+   * Run one attempt, aborting it when the timeout elapses
+   */
+  async attempt(provider, request, template = null) {
+    const startTime = Date.now();
+    const controller = new AbortController();
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        controller.abort();
+        reject(new LLMTimeoutError(`${provider.name} timed out after ${this.timeout}ms`, { provider: provider.name }));
+      }, this.timeout);
+    });
+
+    try {
+      const result = await Promise.race([provider.complete({ ...request, signal: controller.signal }), timeout]);
+      this.recordUsage(provider, request, template, startTime, result);
+      return result;
+    } catch (error) {
+      // Network failures and other unexpected errors are worth retrying
+      const failure = error instanceof LLMError ? error : new LLMError(`${provider.name} request failed: ${error.message}`, {
+        provider: provider.name,
+        retryable: true,
+        cause: error
+      });
+      this.recordUsage(provider, request, template, startTime, null, failure);
+      throw failure;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  backoff(attempt, error) {
+    if (error.retryAfterMs) return Math.min(error.retryAfterMs, MAX_RETRY_DELAY);
+    const delay = this.retryDelay * 2 ** attempt;
+    // Jitter spreads out retries from concurrent requests
+    return Math.min(delay + Math.random() * this.retryDelay, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Run the content safety checks on an answer
+   * @throws {ContentBlockedError} When a check flags it
+   */
+  async moderate(provider, text) {
+    const reasons = await this.moderator.check(text);
+    if (reasons.length > 0) throw this.blocked(provider, text, reasons);
+  }
+
+  /**
+   * Log what was blocked and why, and build the error for it
+   */
+  blocked(provider, text, reasons) {
+    const flagged = reasons.map(reason => `${reason.check}: ${reason.detail}`).join('; ');
+    console.warn(`Content safety blocked ${provider.name} output (${flagged}): ${JSON.stringify(text.slice(0, 200))}`);
+    return new ContentBlockedError(`${provider.name} answer was blocked by the content safety filter`, {
+      provider: provider.name,
+      reasons
+    });
+  }
+
+  /**
+   * Whether a blocked answer should be asked for again
+   */
+  shouldRegenerate(error, regenerations) {
+    if (!(error instanceof ContentBlockedError) || !this.moderator.canRegenerate(regenerations)) return false;
+    console.warn(`Content safety: regenerating (${regenerations + 1}/${this.moderator.maxRegenerations})`);
+    return true;
+  }
+
+  /**
+   * Run a completion against a named provider
+   *
+   * @param {Object} request
+   * @param {string} request.provider - Provider name, e.g. 'gemini' or 'groq'
+   * @param {string} request.prompt - User message
+   * @param {string} request.system - Optional system instruction
+   * @param {string} request.model - Optional model id
+   * @param {boolean} request.moderate - false skips the content safety checks
+   *   (used by the moderation model itself)
+   * @param {string} request.template - Prompt template id, e.g. 'joke@1',
+   *   copied to the response so it records which prompt produced it
+   * @returns {Promise<Object>} { text, provider, model, finishReason, usage, latencyMs, attempts, template }
+   * @throws {LLMError} After the last attempt, or immediately for non-retryable
+   *   errors. LLMBudgetError when the provider's daily budget is used up.
+   */
+  async complete({ provider: providerName, moderate = true, template = null, ...request }) {
+    const provider = this.getProvider(providerName);
+    this.checkBudget(provider);
+    const moderated = moderate && !!this.moderator;
+    const startTime = Date.now();
+    let attempt = 0;
+    let regenerations = 0;
+
+    for (;;) {
+      try {
+        const result = await this.attempt(provider, request, template);
+        const text = stripThinking(result.text);
+        if (moderated) await this.moderate(provider, text);
+        return {
+          ...result,
+          text,
+          provider: provider.name,
+          latencyMs: Date.now() - startTime,
+          attempts: attempt + regenerations + 1,
+          template
+        };
+      } catch (error) {
+        if (moderated && this.shouldRegenerate(error, regenerations)) {
+          regenerations++;
+          continue;
+        }
+        if (!error.retryable || attempt >= this.maxRetries) throw error;
+        const delay = this.backoff(attempt, error);
+        console.warn(`LLM ${provider.name} attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Run one streaming attempt. The timeout applies to the wait for each
+   * chunk rather than the whole answer, so long answers keep streaming.
+   */
+  async streamAttempt(provider, request, template, signal, onToken) {
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    const filter = createThinkingFilter();
+    const result = {
+      text: '',
+      model: request.model || provider.defaultModel,
+      finishReason: null,
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+    };
+    const emit = text => {
+      if (!text) return;
+      result.text += text;
+      onToken(text);
+    };
+
+    const iterator = provider.stream({ ...request, signal: controller.signal })[Symbol.asyncIterator]();
+    let timeoutId;
+    const next = () => Promise.race([
+      iterator.next(),
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+          controller.abort();
+          reject(new LLMTimeoutError(`${provider.name} sent nothing for ${this.timeout}ms`, { provider: provider.name }));
+        }, this.timeout);
+      })
+    ]).finally(() => clearTimeout(timeoutId));
+
+    try {
+      for (;;) {
+        const { value: chunk, done } = await next();
+        if (done) break;
+        if (chunk.model) result.model = chunk.model;
+        if (chunk.finishReason) result.finishReason = chunk.finishReason;
+        if (chunk.usage) result.usage = chunk.usage;
+        emit(filter.push(chunk.text || ''));
+      }
+      emit(filter.flush());
+    } catch (error) {
+      iterator.return?.().catch(() => {});
+      let failure = error;
+      if (!(error instanceof LLMError)) {
+        failure = signal?.aborted
+          ? new LLMError(`${provider.name} stream was cancelled`, { provider: provider.name, cause: error })
+          : new LLMError(`${provider.name} request failed: ${error.message}`, { provider: provider.name, retryable: true, cause: error });
+      }
+      // Tokens already streamed are billed too, so keep whatever usage arrived
+      this.recordUsage(provider, request, template, startTime, result, failure);
+      throw failure;
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+    }
+
+    result.text = result.text.trimEnd();
+    if (!result.text) {
+      const failure = new LLMResponseError(`${provider.name} returned no text`, { provider: provider.name });
+      this.recordUsage(provider, request, template, startTime, result, failure);
+      throw failure;
+    }
+    this.recordUsage(provider, request, template, startTime, result);
+    return result;
+  }
+
+  /**
+   * Stream a completion from a named provider. Text reaches `onToken` as it
+   * arrives, with <think> reasoning removed. Attempts are retried like
+   * complete() until the first token has been passed on, never after.
+   *
+   * With content safety on, each chunk is scanned before it is passed on,
+   * holding back a trailing partial word so a blocked term split across
+   * chunks is still caught. The complete answer gets every check. If a
+   * blocked answer was partly shown, `onRetract` is called so the caller
+   * can take it back before a regenerated answer streams.
+   *
+   * @param {Object} request - Same as complete(), plus:
+   * @param {function(string)} request.onToken - Called with each piece of visible text
+   * @param {function()} request.onRetract - Called when text already passed to onToken was blocked
+   * @param {AbortSignal} request.signal - Cancels the stream, e.g. when the client disconnects
+   * @returns {Promise<Object>} The full response, same shape as complete()
+   * @throws {LLMError}
+   */
+  async stream({ provider: providerName, onToken, onRetract, signal, moderate = true, template = null, ...request }) {
+    const provider = this.getProvider(providerName);
+    this.checkBudget(provider);
+    const moderated = moderate && !!this.moderator;
+    const startTime = Date.now();
+    let attempt = 0;
+    let regenerations = 0;
+
+    for (;;) {
+      let streamed = false;
+      let sent = '';
+      let held = '';
+      const forward = text => {
+        streamed = true;
+        sent += text;
+        onToken(text);
+      };
+      const gate = text => {
+        if (!moderated) return forward(text);
+        held += text;
+        const boundary = held.search(/\S*$/);
+        if (boundary === 0) return;
+        const ready = held.slice(0, boundary);
+        const reasons = this.moderator.scan(sent + ready);
+        if (reasons.length > 0) throw this.blocked(provider, sent + ready, reasons);
+        held = held.slice(boundary);
+        forward(ready);
+      };
+
+      try {
+        const result = await this.streamAttempt(provider, request, template, signal, gate);
+        if (moderated) {
+          await this.moderate(provider, result.text);
+          if (held) forward(held);
+        }
+        return {
+          ...result,
+          provider: provider.name,
+          latencyMs: Date.now() - startTime,
+          attempts: attempt + regenerations + 1,
+          template
+        };
+      } catch (error) {
+        if (error instanceof ContentBlockedError) {
+          if (streamed) onRetract?.();
+          if (moderated && this.shouldRegenerate(error, regenerations)) {
+            regenerations++;
+            continue;
+          }
+          throw error;
+        }
+        if (streamed || signal?.aborted || !error.retryable || attempt >= this.maxRetries) throw error;
+        const delay = this.backoff(attempt, error);
+        console.warn(`LLM ${provider.name} stream attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        attempt++;
+      }
+    }
+  }
+}
+
+/**
+ * Build the client from environment variables:
+ * - GEMINI_API_KEY / GROQ_API_KEY: register the provider when set
+ * - LLM_MOCK=true: answer every provider name with the mock provider (offline development)
+ * - LLM_TIMEOUT_MS, LLM_MAX_RETRIES, LLM_RETRY_DELAY_MS: client options
+ * - CONTENT_SAFETY_*: content safety checks, see createContentModeratorFromEnv()
+ * - LLM_*_BUDGET*: usage accounting and daily budgets, see createUsageStoreFromEnv()
+ */
+function createLLMClientFromEnv(env = process.env) {
+  const providers = [];
+  if (env.LLM_MOCK === 'true') {
+    providers.push(new MockLLMProvider({ name: 'gemini' }), new MockLLMProvider({ name: 'groq' }));
+  } else {
+    if (env.GEMINI_API_KEY) providers.push(new GeminiProvider({ apiKey: env.GEMINI_API_KEY }));
+    if (env.GROQ_API_KEY) providers.push(new GroqProvider({ apiKey: env.GROQ_API_KEY }));
+  }
+
+  const maxRetries = parseInt(env.LLM_MAX_RETRIES, 10);
+  const retryDelay = parseInt(env.LLM_RETRY_DELAY_MS, 10);
+  const client = new LLMClient(providers, {
+    timeout: parseInt(env.LLM_TIMEOUT_MS, 10) || DEFAULT_LLM_TIMEOUT,
+    maxRetries: Number.isFinite(maxRetries) ? maxRetries : DEFAULT_MAX_RETRIES,
+    retryDelay: Number.isFinite(retryDelay) ? retryDelay : DEFAULT_RETRY_DELAY,
+    usage: createUsageStoreFromEnv(env)
+  });
+  // The optional moderation model goes through the same client, unmoderated
+  client.moderator = createContentModeratorFromEnv(env, request => client.complete({ ...request, moderate: false }));
+  return client;
+}
+
+// Shared client, built from the environment on first use
+let llmClient = null;
+
+function getLLMClient() {
+  if (!llmClient) {
+    llmClient = createLLMClientFromEnv();
+  }
+  return llmClient;
+}
+
+/**
+ * Replace the shared client (tests and local tooling)
+ */
+function setLLMClient(client) {
+  llmClient = client;
+}
+
+module.exports = {
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMResponseError,
+  ContentBlockedError,
+  LLMBudgetError,
+  LLMProvider,
+  GeminiProvider,
+  GroqProvider,
+  MockLLMProvider,
+  LLMClient,
+  createLLMClientFromEnv,
+  getLLMClient,
+  setLLMClient,
+  stripThinking,
+  createThinkingFilter
+};
@@ -0,0 +1,276 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Published list prices per million tokens (USD). Costs are estimates for
+// spotting overspend early, not a replacement for the provider bill.
+const MODEL_PRICES = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'openai/gpt-oss-120b': { input: 0.15, output: 0.75 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 }
+};
+
+// Days of rollups kept in memory
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Individual calls kept for the "recent" list
+const RECENT_CALLS = 50;
+
+// The route that triggered an LLM call, set per request by trackLLMRoute()
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Express middleware that lets LLM usage be attributed to the route that
+ * caused it. Register it before the routes.
+ */
+function trackLLMRoute(req, res, next) {
+  requestContext.run({ req }, next);
+}
+
+/**
+ * Route pattern of the request being served, e.g. "GET /joke", or null
+ * outside a request (startup, scripts)
+ */
+function currentRoute() {
+  const req = requestContext.getStore()?.req;
+  if (!req) return null;
+  // req.route is only set once a handler matched; fall back to the raw path
+  return `${req.method} ${req.baseUrl || ''}${req.route?.path || req.path}`;
+}
+
+/**
+ * Estimated cost in USD, or null when the model has no known price
+ */
+function estimateCost(model, usage, prices = MODEL_PRICES) {
+  const price = prices[model];
+  if (!price) return null;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+function emptyRollup() {
+  return { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0, totalLatencyMs: 0 };
+}
+
+function addToRollup(rollup, call) {
+  rollup.calls++;
+  if (!call.ok) rollup.errors++;
+  rollup.inputTokens += call.inputTokens;
+  rollup.outputTokens += call.outputTokens;
+  rollup.totalTokens += call.inputTokens + call.outputTokens;
+  if (call.costUsd === null) {
+    rollup.unpricedCalls++;
+  } else {
+    rollup.costUsd += call.costUsd;
+  }
+  rollup.totalLatencyMs += call.latencyMs;
+}
+
+function addToGroup(group, key, call) {
+  if (!group[key]) group[key] = emptyRollup();
+  addToRollup(group[key], call);
+}
+
+function roundUsd(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+// Rollup as shown by the API: average latency instead of the running total
+function formatRollup({ totalLatencyMs, ...rollup }) {
+  return {
+    ...rollup,
+    costUsd: roundUsd(rollup.costUsd),
+    avgLatencyMs: rollup.calls > 0 ? Math.round(totalLatencyMs / rollup.calls) : null
+  };
+}
+
+function formatGroup(group) {
+  return Object.fromEntries(Object.entries(group).map(([key, rollup]) => [key, formatRollup(rollup)]));
+}
+
+function mergeRollup(target, rollup) {
+  for (const field of Object.keys(rollup)) target[field] += rollup[field];
+}
+
+function mergeGroup(target, group) {
+  for (const [key, rollup] of Object.entries(group)) {
+    if (!target[key]) target[key] = emptyRollup();
+    mergeRollup(target[key], rollup);
+  }
+}
+
+function dayOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse "provider=amount" budget entries, e.g. "gemini=2,groq=0.5"
+ */
+function parseBudgets(spec) {
+  const budgets = {};
+  for (const entry of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [provider, amount] = entry.split('=').map(s => s.trim());
+    const parsed = parseFloat(amount);
+    if (!provider || !Number.isFinite(parsed)) {
+      throw new Error(`Invalid LLM budget '${entry}'. Expected provider=amount`);
+    }
+    budgets[provider] = parsed;
+  }
+  return budgets;
+}
+
+// In-process record of every LLM call: tokens, latency and estimated cost,
+// rolled up per UTC day by provider, model and route, with daily budget caps
+class LLMUsageStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.dailyBudget - Daily cap in USD across providers (null = none)
+   * @param {Object} options.providerBudgets - Daily cap in USD per provider
+   * @param {Object} options.prices - Per-million-token prices by model
+   * @param {number} options.retentionDays - Days of rollups to keep
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.dailyBudget = options.dailyBudget ?? null;
+    this.providerBudgets = options.providerBudgets || {};
+    this.prices = options.prices || MODEL_PRICES;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.now = options.now || Date.now;
+    this.days = new Map();
+    this.recent = [];
+  }
+
+  /**
+   * Record one provider call
+   * @param {Object} call - { provider, model, usage, latencyMs, template, error }
+   * @returns {Object} The stored call, with route and estimated cost
+   */
+  record({ provider, model, usage = {}, latencyMs = 0, template = null, error = null }) {
+    const timestamp = this.now();
+    const call = {
+      timestamp: new Date(timestamp).toISOString(),
+      provider,
+      model,
+      route: currentRoute() || 'other',
+      template,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      latencyMs,
+      costUsd: estimateCost(model, usage, this.prices),
+      ok: !error,
+      error: error ? error.name : null
+    };
+
+    const day = this.getDay(dayOf(timestamp));
+    addToRollup(day.total, call);
+    addToGroup(day.byProvider, provider, call);
+    addToGroup(day.byModel, `${provider}:${model}`, call);
+    addToGroup(day.byRoute, call.route, call);
+
+    this.recent.unshift(call);
+    this.recent.length = Math.min(this.recent.length, RECENT_CALLS);
+    return call;
+  }
+
+  getDay(date) {
+    if (!this.days.has(date)) {
+      this.days.set(date, { date, total: emptyRollup(), byProvider: {}, byModel: {}, byRoute: {} });
+      // Dates are added in order, so the oldest come first
+      for (const old of [...this.days.keys()].slice(0, -this.retentionDays)) {
+        this.days.delete(old);
+      }
+    }
+    return this.days.get(date);
+  }
+
+  /**
+   * Estimated spend today (UTC) in USD, for one provider or all of them
+   */
+  spentToday(provider = null) {
+    const day = this.days.get(dayOf(this.now()));
+    if (!day) return 0;
+    return provider ? day.byProvider[provider]?.costUsd || 0 : day.total.costUsd;
+  }
+
+  /**
+   * The daily budget a provider has used up, if any. Without a provider
+   * only the total budget is checked.
+   * @returns {{scope: string, limitUsd: number, spentUsd: number}|null}
+   */
+  exceededBudget(provider) {
+    const providerLimit = this.providerBudgets[provider];
+    if (providerLimit !== undefined && this.spentToday(provider) >= providerLimit) {
+      return { scope: provider, limitUsd: providerLimit, spentUsd: roundUsd(this.spentToday(provider)) };
+    }
+    if (this.dailyBudget !== null && this.spentToday() >= this.dailyBudget) {
+      return { scope: 'total', limitUsd: this.dailyBudget, spentUsd: roundUsd(this.spentToday()) };
+    }
+    return null;
+  }
+
+  /**
+   * Per-day and per-route rollups for the admin endpoint
+   * @param {Object} options
+   * @param {number} options.days - Most recent days to include
+   */
+  getSummary({ days = 7 } = {}) {
+    const selected = [...this.days.values()].slice(-days).reverse();
+    const byRoute = {};
+    const byModel = {};
+    const total = emptyRollup();
+    for (const day of selected) {
+      mergeGroup(byRoute, day.byRoute);
+      mergeGroup(byModel, day.byModel);
+      mergeRollup(total, day.total);
+    }
+
+    // The total budget is checked for every provider, so list it once
+    const exceeded = [
+      ...Object.keys(this.providerBudgets).map(provider => this.exceededBudget(provider)),
+      this.exceededBudget(null)
+    ].filter((budget, index, all) => budget && all.findIndex(other => other?.scope === budget.scope) === index);
+    return {
+      generatedAt: new Date(this.now()).toISOString(),
+      budgets: {
+        dailyUsd: this.dailyBudget,
+        providersUsd: this.providerBudgets,
+        spentTodayUsd: roundUsd(this.spentToday()),
+        exceeded
+      },
+      total: formatRollup(total),
+      byRoute: formatGroup(byRoute),
+      byModel: formatGroup(byModel),
+      days: selected.map(day => ({
+        date: day.date,
+        total: formatRollup(day.total),
+        byProvider: formatGroup(day.byProvider),
+        byModel: formatGroup(day.byModel),
+        byRoute: formatGroup(day.byRoute)
+      })),
+      recent: this.recent.slice(0, 20)
+    };
+  }
+}
+
+/**
+ * Build the usage store from environment variables:
+ * - LLM_DAILY_BUDGET_USD: daily cap across providers
+ * - LLM_PROVIDER_BUDGETS_USD: daily caps per provider, e.g. "gemini=2,groq=0.5"
+ * - LLM_USAGE_RETENTION_DAYS: days of rollups to keep (default 30)
+ */
+function createUsageStoreFromEnv(env = process.env) {
+  const dailyBudget = parseFloat(env.LLM_DAILY_BUDGET_USD);
+  return new LLMUsageStore({
+    dailyBudget: Number.isFinite(dailyBudget) ? dailyBudget : null,
+    providerBudgets: parseBudgets(env.LLM_PROVIDER_BUDGETS_USD),
+    retentionDays: parseInt(env.LLM_USAGE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS
+  });
+}
+
+module.exports = {
+  MODEL_PRICES,
+  LLMUsageStore,
+  trackLLMRoute,
+  currentRoute,
+  estimateCost,
+  parseBudgets,
+  createUsageStoreFromEnv
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { LLMConfigError } = require('./llm-client');
+
+const ROUTING_POLICIES = ['weighted', 'sticky', 'cheapest', 'fallback'];
+
+// Approximate blended price per million tokens (USD), used only to order
+// targets for the cheapest-first policy
+const MODEL_COSTS = {
+  'llama-3.3-70b-versatile': 0.69,
+  'openai/gpt-oss-120b': 0.45,
+  'gemini-2.0-flash': 0.17,
+  'gemini-2.5-flash': 0.85
+};
+
+// Targets per task when <TASK>_MODEL_TARGETS is not set. The joke models
+// used to be picked with Math.random(), so they start evenly weighted.
+const DEFAULT_TARGETS = {
+  joke: 'groq:llama-3.3-70b-versatile=1,groq:openai/gpt-oss-120b=1,gemini:gemini-2.0-flash=1,gemini:gemini-2.5-flash=1'
+};
+
+/**
+ * Parse "provider:model=weight" entries separated by commas. The weight is
+ * optional and defaults to 1.
+ * @returns {Object[]} [{ provider, model, weight, id }]
+ */
+function parseTargets(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = /^([\w-]+):([^=\s]+)(?:=(\d+(?:\.\d+)?))?$/.exec(entry);
+      if (!match) {
+        throw new Error(`Invalid model target '${entry}'. Expected provider:model=weight`);
+      }
+      const [, provider, model, weight = '1'] = match;
+      return { provider, model, weight: parseFloat(weight), id: `${provider}:${model}` };
+    });
+}
+
+/**
+ * Map a string onto [0, 1) with a stable hash, so the same key always lands
+ * on the same target
+ */
+function hashToUnit(key) {
+  const digest = crypto.createHash('sha256').update(String(key)).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+function pickWeighted(targets, key) {
+  const total = targets.reduce((sum, target) => sum + target.weight, 0);
+  let point = hashToUnit(key) * total;
+  return targets.find(target => (point -= target.weight) < 0) || targets[targets.length - 1];
+}
+
+// Chooses which provider/model serves a request and falls back to the
+// remaining targets when it fails
+class ModelRouter {
+  /**
+   * @param {string} name - Task name used in logs, e.g. 'joke'
+   * @param {Object[]} targets - From parseTargets()
+   * @param {Object} options
+   * @param {string} options.policy - weighted, sticky, cheapest or fallback
+   * @param {boolean} options.fallback - Try the other targets when the chosen one fails
+   * @param {string} options.pin - Target id (or bare provider) that always serves
+   */
+  constructor(name, targets, options = {}) {
+    if (!targets || targets.length === 0) {
+      throw new Error(`Model router '${name}' needs at least one target`);
+    }
+    const policy = options.policy || 'weighted';
+    if (!ROUTING_POLICIES.includes(policy)) {
+      throw new Error(`Unknown routing policy '${policy}'. Available policies: ${ROUTING_POLICIES.join(', ')}`);
+    }
+    this.name = name;
+    this.targets = targets;
+    this.policy = policy;
+    this.fallback = options.fallback !== false;
+    this.pin = options.pin || null;
+    // Per-target counters since startup, including user ratings
+    this.stats = new Map(targets.map(target => [target.id, { served: 0, failed: 0, up: 0, down: 0 }]));
+  }
+
+  /**
+   * Count a thumbs up/down for the target that served an answer. Pass the
+   * voter's previous rating when they change their mind.
+   */
+  recordRating(targetId, rating, previous = null) {
+    const stats = this.stats.get(targetId);
+    if (!stats || rating === previous) return;
+    if (previous) stats[previous]--;
+    stats[rating]++;
+  }
+
+  /**
+   * Routing stats per target: requests served and failed, ratings and the
+   * share of ratings that were thumbs up (null before any rating)
+   */
+  getStats() {
+    return this.targets.map(target => {
+      const stats = this.stats.get(target.id);
+      const rated = stats.up + stats.down;
+      return {
+        target: target.id,
+        provider: target.provider,
+        model: target.model,
+        weight: target.weight,
+        ...stats,
+        approval: rated > 0 ? stats.up / rated : null
+      };
+    });
+  }
+
+  /**
+   * Find a configured target by id ("groq:llama-3.3-70b-versatile") or by
+   * provider ("groq", first matching target). Pins can only select targets
+   * that are already configured.
+   */
+  findTarget(pin) {
+    return this.targets.find(target => target.id === pin) ||
+      this.targets.find(target => target.provider === pin) ||
+      null;
+  }
+
+  /**
+   * Targets in the order they should be tried
+   * @param {Object} context
+   * @param {string} context.requestKey - Stable key for the request (weighted)
+   * @param {string} context.userKey - Stable key for the user (sticky)
+   * @param {string} context.pin - Per-request pin, overrides the configured one
+   */
+  plan({ requestKey = '', userKey = '', pin } = {}) {
+    const pinned = pin || this.pin;
+    if (pinned) {
+      const target = this.findTarget(pinned);
+      if (!target) {
+        throw new LLMConfigError(`No ${this.name} model target matches '${pinned}'`);
+      }
+      // A pin is for debugging one model, so never fall back
+      return { policy: 'pinned', targets: [target] };
+    }
+
+    let first;
+    let ordered = this.targets;
+    switch (this.policy) {
+      case 'weighted':
+        first = pickWeighted(this.targets, requestKey);
+        break;
+      case 'sticky':
+        first = pickWeighted(this.targets, userKey);
+        break;
+      case 'cheapest':
+        ordered = [...this.targets].sort((a, b) => (MODEL_COSTS[a.model] ?? Infinity) - (MODEL_COSTS[b.model] ?? Infinity));
+        first = ordered[0];
+        break;
+      case 'fallback':
+        first = this.targets[0];
+        break;
+    }
+
+    // Fall back to other providers before other models of the same one,
+    // since an outage usually takes out the whole provider
+    const rest = ordered.filter(target => target !== first);
+    const fallbacks = [
+      ...rest.filter(target => target.provider !== first.provider),
+      ...rest.filter(target => target.provider === first.provider)
+    ];
+    return { policy: this.policy, targets: this.fallback ? [first, ...fallbacks] : [first] };
+  }
+
+  /**
+   * Run `call(target)` against the planned targets until one succeeds
+   * @param {Function} call - (target) => Promise<LLM response>
+   * @param {Object} context - See plan(), plus:
+   * @param {Function} context.canFallback - Return false to stop falling back,
+   *   e.g. once part of a streamed answer reached the client
+   * @returns {Promise<{response: Object, target: Object, routing: Object}>}
+   * @throws The last error when every target failed
+   */
+  async run(call, context = {}) {
+    const { policy, targets } = this.plan(context);
+    const failures = [];
+
+    for (const target of targets) {
+      try {
+        const response = await call(target);
+        this.stats.get(target.id).served++;
+        const routing = { task: this.name, policy, target: target.id, provider: target.provider, model: target.model, failures };
+        console.log(`Model routing [${this.name}] policy=${policy} served by ${target.id}` +
+          (failures.length > 0 ? ` after ${failures.map(f => f.target).join(', ')} failed` : ''));
+        return { response, target, routing };
+      } catch (error) {
+        console.error(`Model routing [${this.name}] ${target.id} failed:`, error.message);
+        this.stats.get(target.id).failed++;
+        failures.push({ target: target.id, error: error.name, message: error.message });
+        if (targets.indexOf(target) === targets.length - 1 || context.canFallback?.() === false) throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Build a router for a task from environment variables, e.g. for 'joke':
+ * - JOKE_MODEL_TARGETS: provider:model=weight list
+ * - JOKE_ROUTING_POLICY: weighted (default), sticky, cheapest or fallback
+ * - JOKE_ROUTING_FALLBACK: 'false' to disable falling back on errors
+ * - JOKE_MODEL_PIN: target id or provider that serves every request
+ */
+function createRouterFromEnv(name, env = process.env) {
+  const prefix = name.toUpperCase();
+  return new ModelRouter(name, parseTargets(env[`${prefix}_MODEL_TARGETS`] || DEFAULT_TARGETS[name]), {
+    policy: env[`${prefix}_ROUTING_POLICY`] || 'weighted',
+    fallback: env[`${prefix}_ROUTING_FALLBACK`] !== 'false',
+    pin: env[`${prefix}_MODEL_PIN`] || null
+  });
+}
+
+const routers = new Map();
+
+/**
+ * Shared router for a task, created from the environment on first use
+ */
+function getModelRouter(name) {
+  if (!routers.has(name)) {
+    routers.set(name, createRouterFromEnv(name));
+  }
+  return routers.get(name);
+}
+
+/**
+ * Replace the router for a task, e.g. with a fixed policy in tests.
+ * Pass null to go back to the environment configuration.
+ */
+function setModelRouter(name, router) {
+  if (router) {
+    routers.set(name, router);
+  } else {
+    routers.delete(name);
+  }
+}
+
+module.exports = {
+  ROUTING_POLICIES,
+  MODEL_COSTS,
+  DEFAULT_TARGETS,
+  ModelRouter,
+  parseTargets,
+  createRouterFromEnv,
+  getModelRouter,
+  setModelRouter
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeUserText, fenceUserText } = require('./user-input');
+
+// Templates live in prompts/<name>/v<version>.json
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+const TEMPLATE_FILE = /^v(\d+)\.json$/;
+
+// {{#name}}...{{/name}} is only rendered when `name` is set and not empty
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Fill in a template string. Arrays become one "- item" line each. Missing
+ * variables throw instead of leaving a literal {{name}} in the prompt.
+ */
+function renderString(source, variables, id) {
+  return source
+    .replace(SECTION, (_, name, body) => (isEmpty(variables[name]) ? '' : body))
+    .replace(VARIABLE, (_, name) => {
+      if (isEmpty(variables[name])) {
+        throw new PromptTemplateError(`Prompt template ${id} needs the variable '${name}'`);
+      }
+      const value = variables[name];
+      return Array.isArray(value) ? value.map(item => `- ${item}`).join('\n') : String(value);
+    });
+}
+
+/**
+ * Normalize and fence the user-supplied variables a template declares in
+ * "inputs", e.g. { "topic": { "maxLength": 200 } } renders {{topic}} as
+ * <topic>...</topic>. Array items are fenced one by one, in a tag named by
+ * the input's "tag". Text that normalizes to nothing counts as missing.
+ */
+function fenceInputs(inputs, variables) {
+  const fenced = { ...variables };
+  for (const [name, { maxLength, tag = name }] of Object.entries(inputs)) {
+    if (isEmpty(variables[name])) continue;
+    const fence = text => {
+      const normalized = normalizeUserText(text, { maxLength });
+      return normalized ? fenceUserText(tag, normalized) : '';
+    };
+    const value = variables[name];
+    fenced[name] = Array.isArray(value) ? value.map(fence).filter(Boolean) : fence(value);
+  }
+  return fenced;
+}
+
+/**
+ * Read every template version from a prompts directory
+ * @returns {Object[]} [{ name, version, id, description, fixtures, inputs, system, prompt }]
+ */
+function loadTemplates(dir = DEFAULT_PROMPTS_DIR) {
+  const templates = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    // fixtures/ holds the eval inputs, not templates
+    if (!entry.isDirectory() || entry.name === 'fixtures') continue;
+
+    for (const file of fs.readdirSync(path.join(dir, entry.name))) {
+      const match = TEMPLATE_FILE.exec(file);
+      if (!match) continue;
+
+      const definition = JSON.parse(fs.readFileSync(path.join(dir, entry.name, file), 'utf8'));
+      if (typeof definition.prompt !== 'string') {
+        throw new PromptTemplateError(`Prompt template ${entry.name}/${file} has no prompt`);
+      }
+      const version = parseInt(match[1], 10);
+      templates.push({
+        name: entry.name,
+        version,
+        id: `${entry.name}@${version}`,
+        description: definition.description || '',
+        fixtures: definition.fixtures || null,
+        inputs: definition.inputs || {},
+        system: definition.system || null,
+        prompt: definition.prompt
+      });
+    }
+  }
+  return templates;
+}
+
+/**
+ * Parse "name=version,name=version" pins, e.g. "etymology=1,joke=2"
+ */
+function parseVersionPins(spec) {
+  const pins = {};
+  for (const entry of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, version] = entry.split('=').map(s => s.trim());
+    const parsed = parseInt(version, 10);
+    if (!name || !Number.isFinite(parsed)) {
+      throw new PromptTemplateError(`Invalid prompt version pin '${entry}'. Expected name=version`);
+    }
+    pins[name] = parsed;
+  }
+  return pins;
+}
+
+// Versioned prompt templates. Each name serves its newest version unless a
+// pin chooses an older one; every version stays loadable for evals.
+class PromptRegistry {
+  /**
+   * @param {Object[]} templates - From loadTemplates()
+   * @param {Object} options
+   * @param {Object} options.versions - Pinned version per template name
+   */
+  constructor(templates, options = {}) {
+    this.templates = new Map();
+    for (const template of templates) {
+      if (!this.templates.has(template.name)) this.templates.set(template.name, new Map());
+      this.templates.get(template.name).set(template.version, template);
+    }
+    this.versions = options.versions || {};
+
+    for (const [name, version] of Object.entries(this.versions)) {
+      this.get(name, version);
+    }
+  }
+
+  /**
+   * Versions available for a template, oldest first
+   */
+  listVersions(name) {
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new PromptTemplateError(`Unknown prompt template '${name}'. Available templates: ${[...this.templates.keys()].join(', ')}`);
+    }
+    return [...versions.keys()].sort((a, b) => a - b);
+  }
+
+  /**
+   * Version served when none is asked for: the pin, or the newest
+   */
+  activeVersion(name) {
+    return this.versions[name] ?? this.listVersions(name).slice(-1)[0];
+  }
+
+  /**
+   * @param {string} name - Template name, e.g. 'joke'
+   * @param {number} version - Defaults to the active version
+   */
+  get(name, version = this.activeVersion(name)) {
+    const template = this.templates.get(name)?.get(version);
+    if (!template) {
+      throw new PromptTemplateError(`Unknown prompt template version ${name}@${version}. Available versions: ${this.listVersions(name).join(', ')}`);
+    }
+    return template;
+  }
+
+  /**
+   * Render a template into LLM request fields. Variables the template
+   * declares as inputs are normalized and fenced first.
+   * @param {string} name - Template name
+   * @param {Object} variables - Values for {{variables}}
+   * @param {Object} options
+   * @param {number} options.version - Render a specific version (evals)
+   * @returns {{system: string|undefined, prompt: string, template: string}}
+   *   template is the id, e.g. 'joke@2', recorded on the LLM response
+   */
+  render(name, variables = {}, { version } = {}) {
+    const template = this.get(name, version);
+    variables = fenceInputs(template.inputs || {}, variables);
+    return {
+      system: template.system ? renderString(template.system, variables, template.id) : undefined,
+      prompt: renderString(template.prompt, variables, template.id),
+      template: template.id
+    };
+  }
+}
+
+/**
+ * Build the registry from environment variables:
+ * - PROMPTS_DIR: template directory (default prompts/)
+ * - PROMPT_VERSIONS: pins, e.g. "etymology=1,joke=2"; other templates use their newest version
+ */
+function createPromptRegistryFromEnv(env = process.env) {
+  return new PromptRegistry(loadTemplates(env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR), {
+    versions: parseVersionPins(env.PROMPT_VERSIONS)
+  });
+}
+
+// Shared registry, loaded from the environment on first use
+let promptRegistry = null;
+
+function getPromptRegistry() {
+  if (!promptRegistry) {
+    promptRegistry = createPromptRegistryFromEnv();
+  }
+  return promptRegistry;
+}
+
+/**
+ * Replace the shared registry (tests and local tooling)
+ */
+function setPromptRegistry(registry) {
+  promptRegistry = registry;
+}
+
+module.exports = {
+  DEFAULT_PROMPTS_DIR,
+  PromptTemplateError,
+  PromptRegistry,
+  loadTemplates,
+  parseVersionPins,
+  createPromptRegistryFromEnv,
+  getPromptRegistry,
+  setPromptRegistry
+};
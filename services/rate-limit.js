@@ -0,0 +1,193 @@
+// Default limits per policy: a bucket holds `capacity` requests and refills
+// completely over `periodMs`. Each client IP gets one bucket per route.
+const DEFAULT_LIMITS = {
+  // Routes that may call Gemini or Groq
+  llm: { capacity: 20, periodMs: 60 * 1000 },
+  // Batch word lookups, charged per word since each may call Gemini and
+  // Groq: a full batch at once, then the llm rate of 20 words a minute
+  batch: { capacity: 100, periodMs: 5 * 60 * 1000 },
+  // DNS lookups, pings and traceroutes to hosts the caller chooses
+  network: { capacity: 10, periodMs: 60 * 1000 },
+  // Reverse geocoding, backed by a rate-limited third-party API
+  geocode: { capacity: 30, periodMs: 60 * 1000 },
+  // Type-ahead suggestions: one request per debounced keystroke, and a
+  // spelling correction scan when nothing completes the prefix
+  suggest: { capacity: 120, periodMs: 60 * 1000 }
+};
+
+// How often idle buckets are dropped from the memory store
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Token buckets kept in process memory. Another backend (e.g. Redis, to
+// share limits across instances) only needs the same async take() method.
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.buckets = new Map();
+    this.lastPrune = this.now();
+  }
+
+  /**
+   * Take tokens from a bucket, refilling it for the time since the last take
+   * @param {string} key - Bucket key
+   * @param {{capacity: number, periodMs: number}} limit
+   * @param {number} cost - Tokens to take; more than the capacity takes a full bucket
+   * @returns {Promise<{allowed: boolean, remaining: number, retryAfterMs: number}>}
+   */
+  async take(key, { capacity, periodMs }, cost = 1) {
+    const tokens = Math.min(cost, capacity);
+    const now = this.now();
+    this.prune(now);
+
+    const refillPerMs = capacity / periodMs;
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < tokens) {
+      return { allowed: false, remaining: Math.floor(bucket.tokens), retryAfterMs: Math.ceil((tokens - bucket.tokens) / refillPerMs) };
+    }
+    bucket.tokens -= tokens;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  // A bucket that has been idle long enough is full again, so forgetting it
+  // changes nothing
+  prune(now) {
+    if (now - this.lastPrune < PRUNE_INTERVAL) return;
+    this.lastPrune = now;
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt >= PRUNE_INTERVAL) this.buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Parse "policy=requests/seconds" limits, e.g. "llm=20/60,network=5/60"
+ */
+function parseRateLimits(spec) {
+  const limits = {};
+  for (const entry of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = /^([\w-]+)\s*=\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(entry);
+    if (!match || parseInt(match[2], 10) < 1 || parseFloat(match[3]) <= 0) {
+      throw new Error(`Invalid rate limit '${entry}'. Expected policy=requests/seconds`);
+    }
+    limits[match[1]] = { capacity: parseInt(match[2], 10), periodMs: parseFloat(match[3]) * 1000 };
+  }
+  return limits;
+}
+
+// Per-IP, per-route token bucket limits grouped into named policies
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.limits - { policy: { capacity, periodMs } }
+   * @param {Object} options.store - Bucket store with take(); in memory by default
+   * @param {boolean} options.enabled - false lets every request through
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || DEFAULT_LIMITS;
+    this.store = options.store || new MemoryRateLimitStore();
+    this.enabled = options.enabled !== false;
+  }
+
+  /**
+   * Count a request against a policy
+   * @param {string} policy - Policy name, e.g. 'llm'
+   * @param {string} key - Who is asking for what, e.g. route and IP
+   * @param {number} cost - Tokens the request uses (default 1)
+   * @returns {Promise<Object|null>} take() result with the limit, or null
+   *   when limiting is off or the policy has no limit
+   */
+  async consume(policy, key, cost = 1) {
+    const limit = this.limits[policy];
+    if (!this.enabled || !limit) return null;
+    const result = await this.store.take(`${policy}|${key}`, limit, cost);
+    return { ...result, limit };
+  }
+}
+
+/**
+ * Build the rate limiter from environment variables:
+ * - RATE_LIMIT_ENABLED: 'false' turns limiting off
+ * - RATE_LIMITS: overrides per policy, e.g. "llm=20/60,network=10/60,geocode=30/60"
+ *   (requests per that many seconds)
+ */
+function createRateLimiterFromEnv(env = process.env) {
+  return new RateLimiter({
+    limits: { ...DEFAULT_LIMITS, ...parseRateLimits(env.RATE_LIMITS) },
+    enabled: env.RATE_LIMIT_ENABLED !== 'false'
+  });
+}
+
+// Shared limiter, created from the environment on first use
+let rateLimiter = null;
+
+function getRateLimiter() {
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiterFromEnv();
+  }
+  return rateLimiter;
+}
+
+/**
+ * Replace the shared limiter (tests and local tooling)
+ */
+function setRateLimiter(limiter) {
+  rateLimiter = limiter;
+}
+
+/**
+ * Express middleware that limits each client IP per route under a policy.
+ * Sets RateLimit-Limit and RateLimit-Remaining, and answers 429 with
+ * Retry-After once the bucket is empty. If the store fails, the request is
+ * let through rather than taking the site down with it.
+ *
+ * @param {string} policy - Policy name, e.g. 'llm'
+ * @param {Object} options
+ * @param {Function} options.cost - Tokens a request uses, from the request
+ *   (default 1). Register the middleware after any body parser it needs.
+ */
+function rateLimit(policy, options = {}) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      const route = `${req.method} ${req.baseUrl || ''}${req.route?.path || req.path}`;
+      const cost = options.cost ? Math.max(1, options.cost(req)) : 1;
+      result = await getRateLimiter().consume(policy, `${route}|${req.ip}`, cost);
+    } catch (error) {
+      console.error(`Rate limit store failed for '${policy}':`, error.message);
+      return next();
+    }
+    if (!result) return next();
+
+    res.set('RateLimit-Limit', String(result.limit.capacity));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (result.allowed) return next();
+
+    const retryAfterSeconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+      error: 'Too many requests',
+      message: `Rate limit exceeded. Try again in ${retryAfterSeconds} seconds`,
+      retryAfter: retryAfterSeconds,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  MemoryRateLimitStore,
+  RateLimiter,
+  parseRateLimits,
+  createRateLimiterFromEnv,
+  getRateLimiter,
+  setRateLimiter,
+  rateLimit
+};
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { classifyProfanity } = require('./content-safety');
+
+// Request profiling for analytics. Profiles are filtered by the privacy
+// policy in services/analytics-privacy.js before they are sent.
+
+function generateDeviceFingerprint(req) {
+  const userAgent = req.get('user-agent') || '';
+  const acceptLanguage = req.get('accept-language') || '';
+  const acceptEncoding = req.get('accept-encoding') || '';
+  const ip = req.ip || '';
+  
+  const fingerprint = crypto.createHash('sha256')
+    .update(userAgent + acceptLanguage + acceptEncoding + ip)
+    .digest('hex');
+  
+  return fingerprint.substring(0, 16); // Shortened for readability
+}
+
+function parseUserAgent(userAgent) {
+  if (!userAgent) return {};
+  
+  // Basic browser detection
+  const browsers = {
+    chrome: /chrome\/(\d+)/i,
+    firefox: /firefox\/(\d+)/i,
+    safari: /safari\/(\d+)/i,
+    edge: /edg\/(\d+)/i,
+    opera: /opera\/(\d+)/i
+  };
+  
+  // OS detection
+  const os = {
+    windows: /windows nt (\d+\.\d+)/i,
+    mac: /mac os x (\d+[._]\d+)/i,
+    linux: /linux/i,
+    android: /android (\d+\.\d+)/i,
+    ios: /os (\d+_\d+)/i
+  };
+  
+  // Device detection
+  const devices = {
+    mobile: /mobile/i,
+    tablet: /tablet|ipad/i,
+    desktop: !(/mobile|tablet|ipad/i.test(userAgent))
+  };
+  
+  let browserInfo = { name: 'unknown', version: 'unknown' };
+  let osInfo = { name: 'unknown', version: 'unknown' };
+  let deviceType = 'unknown';
+  
+  // Parse browser
+  for (const [name, regex] of Object.entries(browsers)) {
+    const match = userAgent.match(regex);
+    if (match) {
+      browserInfo = { name, version: match[1] };
+      break;
+    }
+  }
+  
+  // Parse OS
+  for (const [name, regex] of Object.entries(os)) {
+    const match = userAgent.match(regex);
+    if (match) {
+      osInfo = { name, version: match[1] || 'unknown' };
+      break;
+    }
+  }
+  
+  // Parse device type
+  if (devices.mobile.test(userAgent)) deviceType = 'mobile';
+  else if (devices.tablet.test(userAgent)) deviceType = 'tablet';
+  else if (devices.desktop) deviceType = 'desktop';
+  
+  return {
+    browser: browserInfo,
+    os: osInfo,
+    deviceType,
+    isBot: /bot|crawl|spider|scrape/i.test(userAgent),
+    isMobile: deviceType === 'mobile',
+    isTablet: deviceType === 'tablet',
+    isDesktop: deviceType === 'desktop'
+  };
+}
+
+function getNetworkFingerprint(req) {
+  return {
+    ip: req.ip,
+    ipHash: crypto.createHash('md5').update(req.ip).digest('hex').substring(0, 8),
+    forwardedIps: req.get('x-forwarded-for') || '',
+    cfCountry: req.get('visitor-ip-country') || '',
+    cfRegion: req.get('visitor-ip-region') || '',
+    cfCity: req.get('visitor-ip-city') || '',
+    connection: req.get('connection') || '',
+    protocol: req.protocol,
+    hostname: req.hostname,
+    port: req.get('x-forwarded-port') || req.socket?.remotePort || 'unknown'
+  };
+}
+
+function getBrowserFingerprint(req) {
+  const userAgent = req.get('user-agent') || '';
+  const acceptLanguage = req.get('accept-language') || '';
+  const acceptEncoding = req.get('accept-encoding') || '';
+  
+  return {
+    acceptLanguage,
+    acceptEncoding,
+    acceptCharset: req.get('accept-charset') || '',
+    accept: req.get('accept') || '',
+    cacheControl: req.get('cache-control') || '',
+    pragma: req.get('pragma') || '',
+    upgradeInsecureRequests: req.get('upgrade-insecure-requests') || '',
+    dnt: req.get('dnt') || '', // Do Not Track
+    secFetchDest: req.get('sec-fetch-dest') || '',
+    secFetchMode: req.get('sec-fetch-mode') || '',
+    secFetchSite: req.get('sec-fetch-site') || '',
+    secFetchUser: req.get('sec-fetch-user') || '',
+    xRequestedWith: req.get('x-requested-with') || ''
+  };
+}
+
+function getTimingFingerprint(req) {
+  const now = new Date();
+  return {
+    timestamp: now.toISOString(),
+    timestampUnix: now.getTime(),
+    localTime: now.toLocaleString(),
+    utcTime: now.toUTCString(),
+    timezone: now.getTimezoneOffset(),
+    dayOfWeek: now.getDay(),
+    hourOfDay: now.getHours(),
+    isWeekend: now.getDay() === 0 || now.getDay() === 6,
+    isBusinessHours: now.getHours() >= 9 && now.getHours() <= 17,
+    requestTime: Date.now()
+  };
+}
+
+function getSessionFingerprint(req) {
+  return {
+    sessionId: req.sessionID || 'no-session',
+    sessionExists: !!req.session,
+    isNewSession: !req.session || Object.keys(req.session).length <= 1,
+    cookieEnabled: !!req.get('cookie'),
+    cookies: req.get('cookie') ? req.get('cookie').split(';').length : 0
+  };
+}
+
+function getTrafficFingerprint(req) {
+  const referer = req.get('referer') || '';
+  let refererDomain = 'direct';
+  let isSearchEngine = false;
+  let searchEngine = '';
+  
+  if (referer) {
+    try {
+      const url = new URL(referer);
+      refererDomain = url.hostname;
+      
+      // Detect search engines
+      const searchEngines = {
+        google: /google\./,
+        bing: /bing\./,
+        yahoo: /yahoo\./,
+        duckduckgo: /duckduckgo\./,
+        yandex: /yandex\./,
+        baidu: /baidu\./
+      };
+      
+      for (const [engine, regex] of Object.entries(searchEngines)) {
+        if (regex.test(refererDomain)) {
+          isSearchEngine = true;
+          searchEngine = engine;
+          break;
+        }
+      }
+    } catch (e) {
+      refererDomain = 'invalid-url';
+    }
+  }
+  
+  return {
+    referer,
+    refererDomain,
+    isSearchEngine,
+    searchEngine,
+    isDirect: !referer,
+    utmSource: req.query.utm_source || '',
+    utmMedium: req.query.utm_medium || '',
+    utmCampaign: req.query.utm_campaign || '',
+    utmTerm: req.query.utm_term || '',
+    utmContent: req.query.utm_content || '',
+    fbclid: req.query.fbclid || '', // Facebook click ID
+    gclid: req.query.gclid || '', // Google click ID
+  };
+}
+
+function getBehaviorFingerprint(req, word = '') {
+  return {
+    searchTerm: word.toLowerCase(),
+    searchLength: word.length,
+    hasNumbers: /\d/.test(word),
+    hasSpecialChars: /[^a-zA-Z0-9\s]/.test(word),
+    isAllCaps: word === word.toUpperCase(),
+    isAllLower: word === word.toLowerCase(),
+    hasSpaces: /\s/.test(word),
+    wordCount: word.split(/\s+/).length,
+    startsWithVowel: /^[aeiou]/i.test(word),
+    isCommonWord: ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for'].includes(word.toLowerCase()),
+    containsProfanity: classifyProfanity(word).severity !== null
+  };
+}
+
+function getSystemFingerprint() {
+  return {
+    nodeVersion: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    memoryUsage: process.memoryUsage(),
+    cpuUsage: process.cpuUsage(),
+    serverTime: new Date().toISOString(),
+    pid: process.pid
+  };
+}
+
+function getComprehensiveUserProfile(req, additionalData = {}) {
+  const userAgent = parseUserAgent(req.get('user-agent'));
+  const network = getNetworkFingerprint(req);
+  const browser = getBrowserFingerprint(req);
+  const timing = getTimingFingerprint(req);
+  const session = getSessionFingerprint(req);
+  const traffic = getTrafficFingerprint(req);
+  const system = getSystemFingerprint();
+  
+  return {
+    // Unique identifiers
+    deviceFingerprint: generateDeviceFingerprint(req),
+    sessionFingerprint: req.sessionID || 'anonymous',
+    
+    // User agent analysis
+    ...userAgent,
+    userAgentRaw: req.get('user-agent') || '',
+    
+    // Network fingerprinting
+    ...network,
+    
+    // Browser fingerprinting
+    ...browser,
+    
+    // Timing analysis
+    ...timing,
+    
+    // Session analysis
+    ...session,
+    
+    // Traffic analysis
+    ...traffic,
+    
+    // System information
+    ...system,
+    
+    // Additional custom data
+    ...additionalData
+  };
+}
+
+module.exports = {
+  generateDeviceFingerprint,
+  parseUserAgent,
+  getNetworkFingerprint,
+  getBrowserFingerprint,
+  getTimingFingerprint,
+  getSessionFingerprint,
+  getTrafficFingerprint,
+  getBehaviorFingerprint,
+  getSystemFingerprint,
+  getComprehensiveUserProfile
+};
@@ -0,0 +1,135 @@
+const mixpanel = require('./mixpanel');
+const { EVENTS, getEventSchema } = require('./analytics-events');
+const { getAnalyticsPrivacy } = require('./analytics-privacy');
+const { getComprehensiveUserProfile } = require('./request-profile');
+
+/**
+ * Send an analytics event. Its properties are checked against the event
+ * catalog (services/analytics-events.js), then the privacy policy decides
+ * what leaves the server: allowlisted fields for visitors who consented, an
+ * anonymous count for everyone else.
+ * @param {string} eventName - One of EVENTS
+ */
+function trackEvent(req, eventName, additionalData = {}) {
+  const eventData = getEventSchema().check(eventName, additionalData);
+  if (!eventData) return;
+  const properties = getAnalyticsPrivacy().apply(req, eventName, getComprehensiveUserProfile(req, eventData));
+  if (properties) {
+    mixpanel.track(eventName, properties);
+  }
+}
+
+/**
+ * Name the event sent for this request and add properties to it. Later
+ * calls replace the name and add to the properties, so a handler can
+ * describe the request up front and switch to the error event in its catch
+ * block. Set res.locals.error to the caught error to record its class.
+ * @param {Object} res - Express response
+ * @param {string} eventName - One of EVENTS
+ * @param {Object} properties - Domain properties from the catalog
+ */
+function annotateRequest(res, eventName, properties = {}) {
+  res.locals.analyticsEvent = eventName;
+  res.locals.analytics = { ...res.locals.analytics, ...properties };
+}
+
+/**
+ * Route middleware for requests that shouldn't be tracked at all
+ */
+function skipTracking(req, res, next) {
+  res.locals.analyticsEvent = null;
+  next();
+}
+
+/**
+ * Keep the request's event until release() is called, for handlers that
+ * keep working after the client has gone (streams). Without a hold the
+ * event is sent as soon as the response closes.
+ * @returns {Function} release
+ */
+function holdTracking(res) {
+  const tracking = res.locals.requestTracking;
+  if (!tracking) return () => {};
+  tracking.holds++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    tracking.holds--;
+    tracking.sendWhenDone();
+  };
+}
+
+// Properties every request event carries, whatever the handler adds
+function requestProperties(req, res, responseTime, clientDisconnected) {
+  const error = res.locals.error;
+  return {
+    route: `${req.baseUrl || ''}${req.route.path}`,
+    method: req.method,
+    statusCode: res.statusCode,
+    responseTime,
+    cacheHit: res.statusCode === 304 ? true : undefined,
+    errorType: error?.name,
+    errorMessage: error?.message,
+    clientDisconnected: clientDisconnected || undefined
+  };
+}
+
+/**
+ * Express middleware that sends one analytics event per request once the
+ * response is done: the event the handler named with annotateRequest(), or
+ * Request Completed. Register it before the routes. Requests that matched no
+ * route aren't tracked.
+ * @param {Object} options
+ * @param {Function} options.now - Clock, for tests
+ */
+function trackRequests(options = {}) {
+  const now = options.now || Date.now;
+
+  return function requestTracking(req, res, next) {
+    const startTime = now();
+    // req.ip reads the socket, which has no address once the client is gone,
+    // and held events are sent after that
+    Object.defineProperty(req, 'ip', { value: req.ip, configurable: true });
+    let responseTime = null;
+    let clientDisconnected = false;
+    let sent = false;
+
+    const tracking = {
+      holds: 0,
+      sendWhenDone() {
+        if (sent || responseTime === null || tracking.holds > 0) return;
+        sent = true;
+        const eventName = res.locals.analyticsEvent === undefined ? EVENTS.REQUEST_COMPLETED : res.locals.analyticsEvent;
+        if (!eventName || !req.route) return;
+        try {
+          trackEvent(req, eventName, {
+            ...requestProperties(req, res, responseTime, clientDisconnected),
+            ...res.locals.analytics
+          });
+        } catch (error) {
+          console.error(`Failed to track ${req.method} ${req.originalUrl}:`, error.message);
+        }
+      }
+    };
+    res.locals.requestTracking = tracking;
+    res.locals.analytics = {};
+
+    // 'close' follows 'finish' for complete responses and comes alone when
+    // the client disconnects first
+    res.once('close', () => {
+      responseTime = now() - startTime;
+      clientDisconnected = !res.writableFinished;
+      tracking.sendWhenDone();
+    });
+    next();
+  };
+}
+
+module.exports = {
+  trackEvent,
+  annotateRequest,
+  skipTracking,
+  holdTracking,
+  trackRequests
+};
@@ -0,0 +1,52 @@
+// Comment lines keep proxies from closing a quiet stream while the model thinks
+const KEEP_ALIVE_INTERVAL = 15000;
+
+/**
+ * Start a Server-Sent Events response.
+ *
+ * @param {Object} req - Express request; a client disconnect aborts `signal`
+ * @param {Object} res - Express response
+ * @returns {{send: function(string, *), close: function(), signal: AbortSignal}}
+ *   send(event, data) writes one event with JSON data; close() ends the stream
+ */
+function openEventStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream into one response
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  let closed = false;
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+  keepAlive.unref?.();
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    res.end();
+  }
+
+  res.on('close', () => {
+    if (!closed) {
+      controller.abort();
+      close();
+    }
+  });
+
+  function send(event, data) {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  return { send, close, signal: controller.signal };
+}
+
+module.exports = {
+  openEventStream
+};
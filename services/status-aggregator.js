@@ -1,3 +1,5 @@
+const { egressFetch } = require('./http-client');
+
 // Status mapping for consistent API responses
 // Maps StatusPage.io status indicators to normalized status values
 const STATUS_MAPPING = {
@@ -31,7 +33,7 @@ async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT) {
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
-    const response = await fetch(url, {
+    const response = await egressFetch(url, {
       ...options,
       signal: controller.signal
     });
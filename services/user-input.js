@@ -0,0 +1,51 @@
+// Normalization for user-supplied text (joke topics, looked-up words) before
+// it goes into an LLM prompt. Prompts put it in a fenced slot such as
+// <topic>...</topic>, and the system prompt tells the model that whatever is
+// inside is data, never instructions.
+
+// Joke topics longer than this are rejected by the joke endpoints
+const MAX_TOPIC_LENGTH = 200;
+
+// Control characters, plus invisible format characters (zero-width spaces,
+// bidi overrides) that can hide instructions from a human reader
+const CONTROL_CHARACTERS = /[\p{Cc}\p{Cf}]/gu;
+
+// Stand-ins for characters that could open or close a fence
+const DELIMITER_REPLACEMENTS = { '<': '‹', '>': '›', '`': "'" };
+
+/**
+ * Normalize user text for a prompt:
+ * - NFKC normalization, so full-width or styled look-alikes become plain text
+ * - control and invisible characters replaced by spaces
+ * - whitespace, including newlines, collapsed to single spaces
+ * - capped at maxLength characters
+ * - characters that could break out of a fence replaced by look-alikes
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxLength - Characters to keep (default 200)
+ * @returns {string}
+ */
+function normalizeUserText(text, { maxLength = MAX_TOPIC_LENGTH } = {}) {
+  const normalized = String(text ?? '')
+    .normalize('NFKC')
+    .replace(CONTROL_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  // Slice by code point so an emoji is never cut in half
+  return [...normalized].slice(0, maxLength).join('').trim()
+    .replace(/[<>`]/g, char => DELIMITER_REPLACEMENTS[char]);
+}
+
+/**
+ * Wrap normalized user text in a named fence: <name>text</name>
+ */
+function fenceUserText(name, text) {
+  return `<${name}>${text}</${name}>`;
+}
+
+module.exports = {
+  MAX_TOPIC_LENGTH,
+  normalizeUserText,
+  fenceUserText
+};
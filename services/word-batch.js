@@ -0,0 +1,143 @@
+const { lookupWord } = require('./word-lookup');
+
+// Upper bound on words per batch request
+const BATCH_MAX_WORDS = parseInt(process.env.BATCH_MAX_WORDS, 10) || 100;
+
+// Number of lookups run at the same time
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+
+const CSV_COLUMNS = ['word', 'status', 'phonetic', 'partsOfSpeech', 'definition', 'example', 'synonyms', 'suggestion', 'error'];
+
+/**
+ * Split a pasted glossary or uploaded file into words. Plain text may
+ * separate words with newlines, commas, semicolons or tabs; for CSV only the
+ * first column of each row is used and a "word" header row is skipped.
+ * Duplicates are removed case-insensitively.
+ *
+ * @param {string|string[]} input - Array of words, or the raw text body
+ * @param {Object} options
+ * @param {boolean} options.csv - Treat text input as CSV
+ */
+function parseWordList(input, { csv = false } = {}) {
+  let rawWords;
+  if (Array.isArray(input)) {
+    rawWords = input.map(word => String(word));
+  } else if (csv) {
+    rawWords = String(input || '')
+      .split(/\r?\n/)
+      .map(line => line.split(',')[0].replace(/^\s*"|"\s*$/g, ''));
+    if (rawWords[0] && rawWords[0].trim().toLowerCase() === 'word') {
+      rawWords.shift();
+    }
+  } else {
+    rawWords = String(input || '').split(/[\r\n,;\t]+/);
+  }
+
+  const seen = new Set();
+  return rawWords
+    .map(word => word.trim())
+    .filter(word => {
+      const key = word.toLowerCase();
+      if (!word || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Map over items with at most `concurrency` promises in flight.
+ * Results keep the order of the input.
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Look up every word through the regular lookup pipeline and cache
+ * @param {string[]} words - Words to look up (see parseWordList)
+ * @param {Object} options
+ * @param {string} options.lang - Language for every word; detected per word when omitted
+ * @param {number} options.concurrency - Maximum lookups in flight
+ * @returns {Promise<Object>} Summary counts, per-word results and not-found words
+ */
+async function lookupWords(words, { lang, concurrency = BATCH_CONCURRENCY } = {}) {
+  const results = await mapWithConcurrency(words, concurrency, async (word) => {
+    try {
+      const result = await lookupWord(word, { lang });
+      return { status: result.found ? 'found' : 'not_found', ...result };
+    } catch (error) {
+      console.error(`Batch lookup failed for "${word}":`, error.message);
+      return { word, status: 'error', error: error.message };
+    }
+  });
+
+  return {
+    total: results.length,
+    found: results.filter(r => r.status === 'found').length,
+    notFound: results.filter(r => r.status === 'not_found').length,
+    failed: results.filter(r => r.status === 'error').length,
+    notFoundWords: results
+      .filter(r => r.status === 'not_found')
+      .map(r => ({ word: r.word, suggestion: r.suggestion })),
+    results
+  };
+}
+
+/**
+ * Quote a CSV cell. Cells starting with a formula character are prefixed
+ * with a quote so spreadsheets don't execute them.
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export batch results as CSV, one row per word
+ */
+function batchResultsToCsv(batch) {
+  const rows = batch.results.map(result => {
+    const meanings = result.meanings || [];
+    const firstDefinition = meanings[0]?.definitions?.[0];
+    return {
+      word: result.word,
+      status: result.status,
+      phonetic: result.phonetic,
+      partsOfSpeech: meanings.map(m => m.partOfSpeech).join('; '),
+      definition: firstDefinition?.definition,
+      example: firstDefinition?.example,
+      synonyms: [...new Set(meanings.flatMap(m => m.synonyms))].join('; '),
+      suggestion: result.suggestion,
+      error: result.error
+    };
+  });
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseWordList,
+  mapWithConcurrency,
+  lookupWords,
+  batchResultsToCsv,
+  BATCH_MAX_WORDS,
+  BATCH_CONCURRENCY
+};
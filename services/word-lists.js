@@ -0,0 +1,84 @@
+// Most recent lookups kept per browser
+const HISTORY_LIMIT = 50;
+
+// Favorites are explicit, so allow more of them
+const FAVORITES_LIMIT = 200;
+
+const MAX_WORD_LENGTH = 100;
+
+function toTimestamp(value) {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : 0;
+}
+
+function cleanWord(value) {
+  if (typeof value !== 'string') return null;
+  const word = value.trim();
+  return word && word.length <= MAX_WORD_LENGTH ? word : null;
+}
+
+/**
+ * Validate and normalize word lists sent by a browser. Unknown fields and
+ * malformed entries are dropped rather than rejected so an old client can
+ * always sync.
+ *
+ * @param {Object} lists - { history: [{word, viewedAt}], favorites: [{word, addedAt}], favoritesUpdatedAt }
+ * @returns {Object} Lists in the stored shape, newest history first
+ */
+function normalizeWordLists(lists = {}) {
+  const history = (Array.isArray(lists.history) ? lists.history : [])
+    .map(item => ({ word: cleanWord(item?.word), viewedAt: toTimestamp(item?.viewedAt) }))
+    .filter(item => item.word);
+
+  const favorites = (Array.isArray(lists.favorites) ? lists.favorites : [])
+    .map(item => ({ word: cleanWord(item?.word), addedAt: toTimestamp(item?.addedAt) }))
+    .filter(item => item.word);
+
+  return {
+    history: dedupeHistory(history),
+    favorites: dedupeByWord(favorites).slice(0, FAVORITES_LIMIT),
+    favoritesUpdatedAt: toTimestamp(lists.favoritesUpdatedAt)
+  };
+}
+
+function dedupeByWord(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.word.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function dedupeHistory(history) {
+  return dedupeByWord([...history].sort((a, b) => b.viewedAt - a.viewedAt)).slice(0, HISTORY_LIMIT);
+}
+
+/**
+ * Merge the stored lists with the ones a browser just sent. History is a
+ * union keeping the latest view of each word. Favorites can be removed, so
+ * a union would resurrect them; whichever side changed its favorites most
+ * recently wins instead.
+ *
+ * @param {Object|null} stored - Normalized lists from storage, if any
+ * @param {Object} incoming - Normalized lists from the browser
+ * @returns {Object} Merged lists
+ */
+function mergeWordLists(stored, incoming) {
+  if (!stored) return incoming;
+
+  const favoritesSource = incoming.favoritesUpdatedAt >= stored.favoritesUpdatedAt ? incoming : stored;
+  return {
+    history: dedupeHistory([...stored.history, ...incoming.history]),
+    favorites: favoritesSource.favorites,
+    favoritesUpdatedAt: favoritesSource.favoritesUpdatedAt
+  };
+}
+
+module.exports = {
+  normalizeWordLists,
+  mergeWordLists,
+  HISTORY_LIMIT,
+  FAVORITES_LIMIT
+};
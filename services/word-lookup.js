@@ -0,0 +1,158 @@
+const { generateEtymology, getCachedEtymology, isGeminiConfigured, isGeminiWithinBudget } = require('./gen-ai');
+const { getCompletionForWrongWord } = require('./groq-ai-client');
+const { createProviderChainFromEnv } = require('./dictionary-providers');
+const { createCache } = require('./cache');
+const { resolveLanguage } = require('./language');
+
+// Dictionary provider chain, built from the environment on first use
+let dictionaryChain = null;
+
+function getDictionaryChain() {
+  if (!dictionaryChain) {
+    dictionaryChain = createProviderChainFromEnv();
+  }
+  return dictionaryChain;
+}
+
+// Dictionary results are cached for a day; unknown words for an hour so
+// newly added dictionary entries are picked up reasonably quickly
+const wordCache = createCache('words', {
+  maxSize: 1000,
+  ttl: 24 * 60 * 60 * 1000,
+  negativeTtl: 60 * 60 * 1000
+});
+
+// Entries assembled while Gemini or a dictionary provider was failing are
+// only kept briefly so the full entry replaces them soon
+const DEGRADED_TTL = 10 * 60 * 1000;
+
+/**
+ * Run an optional LLM call, turning failures into null so the dictionary
+ * result is still shown
+ */
+async function optionalLLMText(label, call) {
+  try {
+    const response = await call();
+    return response.text;
+  } catch (error) {
+    console.error(`${label} failed (${error.name}):`, error.message);
+    return null;
+  }
+}
+
+function cacheEntry(key, entry) {
+  wordCache.set(key, entry, {
+    negative: !entry.found,
+    ttl: entry.degraded ? DEGRADED_TTL : undefined
+  });
+}
+
+/**
+ * Entries looked up for a streaming word page have no etymology yet. Pick it
+ * up from the Gemini cache once the stream has filled it, or generate it
+ * when the caller needs it now.
+ */
+async function fillDeferredEtymology(entry, key, word, generate) {
+  const etymology = generate
+    ? await optionalLLMText('Etymology', () => generateEtymology(word, entry.lang))
+    : getCachedEtymology(word, entry.lang);
+  if (!etymology) {
+    return generate ? { ...entry, degraded: true } : entry;
+  }
+
+  const filled = { ...entry, etymology, etymologyDeferred: false };
+  cacheEntry(key, filled);
+  return filled;
+}
+
+// Cache keys include the language: "gift" means something else in German.
+// Case is folded so "Test", "TEST" and "test" share one entry.
+function cacheKey(word, lang) {
+  return `${lang}:${word.toLowerCase()}`;
+}
+
+/**
+ * Look up a word through the dictionary provider chain and ask Gemini for
+ * its etymology. Results are cached per language and word; the Groq
+ * spelling suggestion is only requested when no provider has definitions
+ * for the word.
+ *
+ * @param {string} word - The word to look up (already trimmed)
+ * @param {Object} options
+ * @param {string} options.lang - Language code; detected from the word when omitted
+ * @param {boolean} options.etymology - When false, don't wait for Gemini: use a
+ *   cached etymology if there is one, otherwise set `etymologyDeferred` so the
+ *   caller can stream it
+ * @returns {Promise<Object>} Normalized word data plus `lang`, `langSource`, `providers`, `degraded`, `etymologyDeferred`, `cached` and `suggestion`
+ */
+async function lookupWord(word, { lang, etymology: waitForEtymology = true } = {}) {
+  const language = resolveLanguage(word, lang);
+  const key = cacheKey(word, language.lang);
+  let entry = wordCache.get(key);
+  const cached = !!entry;
+
+  if (cached) {
+    console.log(`Cache hit for word: ${word}`);
+    if (entry.etymologyDeferred) {
+      entry = await fillDeferredEtymology(entry, key, word, waitForEtymology);
+    }
+  } else {
+    console.log(`Cache miss for word: ${word}, fetching from API`);
+    const geminiConfigured = isGeminiConfigured();
+    // Over the daily budget, only etymologies Gemini already wrote are shown
+    const withinBudget = geminiConfigured && isGeminiWithinBudget();
+
+    // Run API calls in parallel
+    const dictionaryPromise = getDictionaryChain().lookup(word, { lang: language.lang });
+    let etymologyPromise = Promise.resolve(null);
+    if (geminiConfigured) {
+      etymologyPromise = waitForEtymology && withinBudget
+        ? optionalLLMText('Etymology', () => generateEtymology(word, language.lang))
+        : Promise.resolve(getCachedEtymology(word, language.lang));
+    }
+
+    const [dictionaryResult, etymology] = await Promise.all([
+      dictionaryPromise,
+      etymologyPromise
+    ]);
+
+    entry = {
+      word,
+      phonetic: null,
+      phonetics: [],
+      meanings: [],
+      sourceUrls: [],
+      ...dictionaryResult.entry,
+      found: !!dictionaryResult.entry,
+      lang: language.lang,
+      providers: dictionaryResult.providers,
+      etymology
+    };
+    entry.etymologyDeferred = withinBudget && !waitForEtymology && !entry.etymology;
+    entry.degraded = (geminiConfigured && !entry.etymology && !entry.etymologyDeferred) || dictionaryResult.errors.length > 0;
+
+    cacheEntry(key, entry);
+  }
+
+  let suggestion = null;
+  if (!entry.found) {
+    suggestion = await optionalLLMText('Spelling suggestion', () => getCompletionForWrongWord(word));
+  }
+
+  return { ...entry, langSource: language.source, suggestion, cached };
+}
+
+function isWordCached(word, lang) {
+  return wordCache.has(cacheKey(word, resolveLanguage(word, lang).lang));
+}
+
+function getCacheSize() {
+  return wordCache.size;
+}
+
+module.exports = {
+  DEGRADED_TTL,
+  lookupWord,
+  isWordCached,
+  getCacheSize
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { lookupWord, DEGRADED_TTL } = require('./word-lookup');
+const { createCache } = require('./cache');
+
+// Curated pool the daily word is drawn from: standard dictionary words, so
+// the landing page almost always has a definition to show
+const WORD_OF_THE_DAY_POOL = [
+  'serendipity', 'ephemeral', 'petrichor', 'mellifluous', 'eloquent',
+  'quintessential', 'halcyon', 'luminous', 'resilience', 'ineffable', 'labyrinth',
+  'nostalgia', 'ebullient', 'gossamer', 'wanderlust', 'epiphany', 'solitude',
+  'cacophony', 'zenith', 'sanguine', 'effervescent', 'ubiquitous', 'ethereal',
+  'lagniappe', 'panacea', 'quixotic', 'sycophant', 'vicarious', 'juxtaposition',
+  'ameliorate', 'benevolent', 'cognizant', 'diaphanous', 'enigma', 'felicity',
+  'garrulous', 'idyllic', 'jubilant', 'kaleidoscope', 'languid', 'meander',
+  'nebulous', 'obfuscate', 'palimpsest', 'reverie', 'scintilla', 'tenacious',
+  'umbrage', 'verisimilitude', 'whimsical', 'zephyr', 'alacrity', 'bucolic',
+  'candor', 'dulcet', 'ephemera', 'furtive', 'gregarious', 'placid'
+];
+
+// Finished entries keyed by date; a day's word never changes once chosen
+const dailyCache = createCache('word-of-the-day', {
+  maxSize: 7,
+  ttl: 36 * 60 * 60 * 1000
+});
+
+/**
+ * UTC calendar date as YYYY-MM-DD
+ */
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the word for a date. Hashing the date (rather than indexing by day
+ * number) avoids walking the pool in order while staying deterministic
+ * across restarts and instances.
+ * @param {string} dateKey - YYYY-MM-DD
+ */
+function pickWordForDate(dateKey, pool = WORD_OF_THE_DAY_POOL) {
+  const digest = crypto.createHash('sha256').update(dateKey).digest();
+  return pool[digest.readUInt32BE(0) % pool.length];
+}
+
+/**
+ * Reduce a full lookup result to what the landing page card needs
+ */
+function toWordOfTheDay(dateKey, result) {
+  const meaning = result.meanings[0];
+  return {
+    date: dateKey,
+    word: result.word,
+    found: result.found,
+    phonetic: result.phonetic,
+    partOfSpeech: meaning?.partOfSpeech || null,
+    definition: meaning?.definitions?.[0]?.definition || null,
+    example: meaning?.definitions?.[0]?.example || null,
+    etymology: result.etymology
+  };
+}
+
+/**
+ * Word of the day for the given date. Looking it up goes through the normal
+ * word pipeline, so the dictionary entry and Gemini etymology are cached
+ * before anyone clicks through to /word-usage.
+ *
+ * @param {Date} date - Defaults to now (UTC)
+ * @returns {Promise<Object>} { date, word, found, phonetic, partOfSpeech, definition, example, etymology }
+ */
+async function getWordOfTheDay(date = new Date()) {
+  const dateKey = toDateKey(date);
+  const cached = dailyCache.get(dateKey);
+  if (cached) return cached;
+
+  const result = await lookupWord(pickWordForDate(dateKey));
+  const entry = toWordOfTheDay(dateKey, result);
+  // Only keep complete entries so a transient failure is retried; without
+  // an etymology, check back soon in case Gemini has recovered
+  if (entry.found) {
+    dailyCache.set(dateKey, entry, {
+      ttl: result.degraded || !entry.etymology ? DEGRADED_TTL : undefined
+    });
+  }
+  return entry;
+}
+
+/**
+ * Warm tomorrow's word in the background so the first visitor after
+ * midnight UTC doesn't wait on the dictionary and Gemini
+ */
+function prewarmNextWordOfTheDay(date = new Date()) {
+  const tomorrow = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+  return getWordOfTheDay(tomorrow).catch(error => {
+    console.error('Word of the day prewarm failed:', error.message);
+    return null;
+  });
+}
+
+module.exports = {
+  WORD_OF_THE_DAY_POOL,
+  pickWordForDate,
+  getWordOfTheDay,
+  prewarmNextWordOfTheDay
+};
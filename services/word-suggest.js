@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { createCache } = require('./cache');
+
+// Maximum edit distance for spelling corrections
+const MAX_EDIT_DISTANCE = 2;
+
+// Corrections are only worth computing once the user has typed a few letters
+const MIN_CORRECTION_LENGTH = 3;
+
+// Most words one correction compares against. The scan runs on the request
+// thread, so this bounds how long an uncached lookup can block it.
+const MAX_CORRECTION_CANDIDATES = 5000;
+
+const suggestionCache = createCache('word-suggestions', {
+  maxSize: 5000,
+  ttl: 24 * 60 * 60 * 1000
+});
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up early once `maxDistance` is exceeded
+ * @returns {number} The distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance = MAX_EDIT_DISTANCE) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Words bucketed by first letter and length, e.g. 'c|3' for cat
+function bucketKey(letter, length) {
+  return `${letter}|${length}`;
+}
+
+// Sorted word list supporting prefix search and spelling corrections
+class WordIndex {
+  /**
+   * @param {string[]} words
+   * @param {Object} options
+   * @param {number} options.maxCandidates - Most words one correction compares against
+   */
+  constructor(words, options = {}) {
+    this.words = [...new Set(words.map(word => String(word).trim().toLowerCase()).filter(Boolean))].sort();
+    this.wordSet = new Set(this.words);
+    this.maxCandidates = options.maxCandidates || MAX_CORRECTION_CANDIDATES;
+    this.buckets = new Map();
+    this.words.forEach(word => {
+      const key = bucketKey(word[0], word.length);
+      if (!this.buckets.has(key)) this.buckets.set(key, []);
+      this.buckets.get(key).push(word);
+    });
+  }
+
+  get size() {
+    return this.words.length;
+  }
+
+  has(word) {
+    return this.wordSet.has(word.toLowerCase());
+  }
+
+  /**
+   * Words starting with the prefix, shortest first (a rough proxy for
+   * how common a word is)
+   */
+  complete(prefix, limit = 8) {
+    const needle = prefix.toLowerCase();
+
+    // Binary search for the first word >= prefix
+    let low = 0;
+    let high = this.words.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.words[mid] < needle) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < this.words.length && this.words[i].startsWith(needle); i++) {
+      matches.push(this.words[i]);
+    }
+
+    return matches
+      .sort((a, b) => a.length - b.length || a.localeCompare(b))
+      .slice(0, limit);
+  }
+
+  /**
+   * Words a correction compares against, most likely first: words starting
+   * with the first letter, then with the second (a mistyped, missing or
+   * swapped first letter), each nearest in length first. Stops at
+   * maxCandidates.
+   */
+  candidates(needle, maxDistance = MAX_EDIT_DISTANCE) {
+    const lengths = [needle.length];
+    for (let offset = 1; offset <= maxDistance; offset++) {
+      lengths.push(needle.length - offset, needle.length + offset);
+    }
+
+    const candidates = [];
+    for (const letter of new Set(needle.slice(0, 2))) {
+      for (const length of lengths) {
+        for (const candidate of this.buckets.get(bucketKey(letter, length)) || []) {
+          if (candidates.length >= this.maxCandidates) return candidates;
+          candidates.push(candidate);
+        }
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Closest words by edit distance, preferring words that share the first letter
+   */
+  correct(word, limit = 5, maxDistance = MAX_EDIT_DISTANCE) {
+    const needle = word.toLowerCase();
+    const candidates = [];
+
+    this.candidates(needle, maxDistance).forEach(candidate => {
+      const distance = editDistance(needle, candidate, maxDistance);
+      if (distance <= maxDistance && candidate !== needle) {
+        candidates.push({ word: candidate, distance });
+      }
+    });
+
+    return candidates
+      .sort((a, b) =>
+        a.distance - b.distance ||
+        Number(b.word[0] === needle[0]) - Number(a.word[0] === needle[0]) ||
+        a.word.length - b.word.length ||
+        a.word.localeCompare(b.word))
+      .slice(0, limit);
+  }
+}
+
+let wordIndex = null;
+
+/**
+ * Load the word list once. SUGGEST_WORDLIST_PATH may point at a newline
+ * separated text file or a JSON array; otherwise the bundled English list
+ * from an-array-of-english-words is used.
+ */
+function getWordIndex() {
+  if (!wordIndex) {
+    const listPath = process.env.SUGGEST_WORDLIST_PATH;
+    let words;
+    if (listPath) {
+      const contents = fs.readFileSync(path.resolve(listPath), 'utf8');
+      words = listPath.endsWith('.json') ? JSON.parse(contents) : contents.split(/\r?\n/);
+    } else {
+      words = require('an-array-of-english-words');
+    }
+    wordIndex = new WordIndex(words);
+    console.log(`Word suggestion index loaded with ${wordIndex.size} words`);
+  }
+  return wordIndex;
+}
+
+/**
+ * Type-ahead completions for a prefix, plus spelling corrections when no
+ * known word starts with it
+ * @param {string} prefix - What the user has typed so far
+ * @param {Object} options
+ * @param {number} options.limit - Maximum completions to return
+ * @returns {{prefix: string, isWord: boolean, completions: string[], corrections: Object[]}}
+ */
+function suggestWords(prefix, { limit = 8 } = {}) {
+  const normalized = prefix.trim().toLowerCase();
+  const cacheKey = `${normalized}|${limit}`;
+  const cached = suggestionCache.get(cacheKey);
+  if (cached) return cached;
+
+  const index = getWordIndex();
+  const isWord = index.has(normalized);
+  const completions = index.complete(normalized, limit);
+  const corrections = completions.length === 0 && normalized.length >= MIN_CORRECTION_LENGTH
+    ? index.correct(normalized, Math.min(limit, 5))
+    : [];
+
+  const result = { prefix: normalized, isWord, completions, corrections };
+  suggestionCache.set(cacheKey, result);
+  return result;
+}
+
+module.exports = {
+  WordIndex,
+  editDistance,
+  getWordIndex,
+  suggestWords
+};
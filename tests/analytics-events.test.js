@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const {
+  PROPERTIES,
+  EVENT_CATALOG,
+  EVENTS,
+  validateEvent,
+  EventSchema,
+  createEventSchemaFromEnv,
+  setEventSchema,
+  renderEventCatalog
+} = require('../services/analytics-events');
+const { AnalyticsQueue, MemorySink, setAnalytics } = require('../services/analytics');
+const { AnalyticsPrivacy, RotatingSalt, setAnalyticsPrivacy } = require('../services/analytics-privacy');
+const { DOC_PATH } = require('../scripts/generate-event-docs');
+
+const ROUTES_PATH = path.join(__dirname, '..', 'routes', 'index.js');
+
+describe('Event catalog', () => {
+  test('every event should use defined properties and unique names', () => {
+    const entries = Object.values(EVENT_CATALOG);
+    for (const entry of entries) {
+      for (const field of [...entry.properties, ...(entry.required || [])]) {
+        expect([entry.name, field, Boolean(PROPERTIES[field])]).toEqual([entry.name, field, true]);
+      }
+    }
+    expect(new Set(entries.map(entry => entry.name)).size).toBe(entries.length);
+    expect(new Set(entries.map(entry => entry.eventType)).size).toBe(entries.length);
+  });
+
+  test('should keep the names dashboards already use', () => {
+    expect(EVENTS.PAGE_VIEW).toBe('Page Viewed');
+    expect(EVENTS.WORD_SEARCHED).toBe('Word Searched');
+    expect(EVENTS.JOKE_SUCCESS).toBe('JOKE_SUCCESS');
+  });
+
+  test('routes should only name catalogued events', () => {
+    const source = fs.readFileSync(ROUTES_PATH, 'utf8');
+    const calls = [...source.matchAll(/annotateRequest\(res, ([^,)]+)/g)].map(([, name]) => name);
+
+    expect(calls.length).toBeGreaterThan(40);
+    for (const name of calls) {
+      expect(name).toMatch(/^EVENTS\.[A-Z_]+$/);
+      expect(EVENT_CATALOG).toHaveProperty(name.slice('EVENTS.'.length));
+    }
+  });
+
+  test('docs/analytics-events.md should be up to date (npm run docs:events)', () => {
+    expect(fs.readFileSync(DOC_PATH, 'utf8')).toBe(renderEventCatalog());
+  });
+});
+
+describe('validateEvent', () => {
+  test('should accept catalogued properties and ignore absent ones', () => {
+    expect(validateEvent('JOKE_RATED', { jokeId: 'j1', rating: 'up', previousRating: null, model: undefined, eventType: 'joke_rating' }))
+      .toEqual({ known: true, problems: [], invalidFields: [] });
+  });
+
+  test('should report unknown, mistyped and out-of-range properties', () => {
+    const result = validateEvent('JOKE_RATED', { jokeId: 42, rating: 'meh', jokeRating: 'up', eventType: 'joke_rated' });
+
+    expect(result.invalidFields).toEqual(['jokeId', 'rating', 'jokeRating', 'eventType']);
+    expect(result.problems).toEqual([
+      "'jokeId' should be string, got number",
+      "'rating' should be one of up, down, got 'meh'",
+      "unknown property 'jokeRating'",
+      "eventType should be 'joke_rating', got 'joke_rated'"
+    ]);
+  });
+
+  test('should report missing required properties and unknown events', () => {
+    expect(validateEvent('JOKE_RATED', { rating: 'up' }).problems).toEqual(["missing required property 'jokeId'"]);
+    expect(validateEvent('JOKE_RATED_TYPO', {})).toEqual({ known: false, problems: ['not in the event catalog'], invalidFields: [] });
+  });
+});
+
+describe('EventSchema', () => {
+  beforeEach(() => {
+    console.warn.mockClear();
+  });
+
+  test('warn mode should log mismatches and send events unchanged', () => {
+    const schema = new EventSchema({ mode: 'warn' });
+
+    expect(schema.check('JOKE_RATED', { jokeId: 'j1', rating: 'up' })).toEqual({ eventType: 'joke_rating', jokeId: 'j1', rating: 'up' });
+    expect(console.warn).not.toHaveBeenCalled();
+
+    expect(schema.check('JOKE_RATED', { jokeId: 'j1', rating: 'up', stars: 5 })).toMatchObject({ stars: 5 });
+    expect(schema.check('NEW_EVENT', { a: 1 })).toEqual({ a: 1 });
+    expect(console.warn.mock.calls.map(([message]) => message)).toEqual([
+      "Analytics event 'JOKE_RATED' doesn't match the catalog: unknown property 'stars'",
+      "Analytics event 'NEW_EVENT' doesn't match the catalog: not in the event catalog"
+    ]);
+  });
+
+  test('drop mode should remove invalid properties and uncatalogued events, warning once per event', () => {
+    const schema = new EventSchema({ mode: 'drop' });
+
+    expect(schema.check('JOKE_RATED', { jokeId: 'j1', rating: 'up', stars: 5 })).toEqual({ eventType: 'joke_rating', jokeId: 'j1', rating: 'up' });
+    expect(schema.check('JOKE_RATED', { jokeId: 'j1', rating: 'sideways' })).toEqual({ eventType: 'joke_rating', jokeId: 'j1' });
+    expect(schema.check('NEW_EVENT', { a: 1 })).toBeNull();
+
+    expect(console.warn).toHaveBeenCalledTimes(2);
+    expect(schema.violations).toEqual(new Map([['JOKE_RATED', 2], ['NEW_EVENT', 1]]));
+  });
+
+  test('createEventSchemaFromEnv should drop in production and warn elsewhere', () => {
+    expect(createEventSchemaFromEnv({ NODE_ENV: 'production' }).mode).toBe('drop');
+    expect(createEventSchemaFromEnv({ NODE_ENV: 'development' }).mode).toBe('warn');
+    expect(createEventSchemaFromEnv({ NODE_ENV: 'production', ANALYTICS_SCHEMA_MODE: 'warn' }).mode).toBe('warn');
+    expect(() => createEventSchemaFromEnv({ ANALYTICS_SCHEMA_MODE: 'strict' })).toThrow('Expected warn or drop');
+  });
+});
+
+describe('Events from routes', () => {
+  let app;
+  let analytics;
+  let schema;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    analytics = new AnalyticsQueue({ sink: new MemorySink(), flushInterval: 0 });
+    schema = new EventSchema({ mode: 'drop' });
+    setAnalytics(analytics);
+    setAnalyticsPrivacy(new AnalyticsPrivacy({ mode: 'off', salt: new RotatingSalt({ secret: 'secret' }), flushInterval: 0 }));
+    setEventSchema(schema);
+  });
+
+  afterEach(() => {
+    setAnalytics(null);
+    setAnalyticsPrivacy(null);
+    setEventSchema(null);
+  });
+
+  test('page, joke and request events should match the catalog', async () => {
+    await request(app).get('/stickies');
+    await request(app).get('/pomodoro');
+    await request(app).get('/joke?topic=cats');
+    await request(app).get('/joke');
+    await analytics.flush();
+
+    expect(analytics.sink.events.map(({ event }) => event))
+      .toEqual(['STICKIES_PAGE_ACCESS', 'POMODORO_ACCESS', expect.stringMatching(/^JOKE_(SUCCESS|ERROR)$/), 'Request Completed']);
+    expect(schema.violations).toEqual(new Map());
+  });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const express = require('express');
+
+const mixpanel = require('../services/mixpanel');
+const {
+  AGGREGATE_EVENT,
+  getConsent,
+  truncateIp,
+  RotatingSalt,
+  AnalyticsPrivacy,
+  parseEventFields,
+  createAnalyticsPrivacyFromEnv,
+  setAnalyticsPrivacy
+} = require('../services/analytics-privacy');
+
+const HOUR = 60 * 60 * 1000;
+
+// Just enough of an Express request for the policy
+function fakeRequest(headers = {}, ip = '203.0.113.57') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip, get: name => lower[name.toLowerCase()] };
+}
+
+const PROFILE = {
+  deviceFingerprint: 'abc123',
+  ip: '203.0.113.57',
+  forwardedIps: '203.0.113.57, 10.0.0.1',
+  userAgentRaw: 'Mozilla/5.0 (Macintosh)',
+  browser: { name: 'chrome', version: '120' },
+  gclid: 'click-id',
+  memoryUsage: { rss: 1 },
+  searchTerm: 'my name',
+  eventType: 'joke_success',
+  jokeId: 'joke-1',
+  topic: 'cats'
+};
+
+describe('Consent', () => {
+  test('should read the consent cookie', () => {
+    expect(getConsent(fakeRequest({ Cookie: 'theme=dark; analytics_consent=granted' }))).toEqual({ status: 'granted', source: 'cookie' });
+    expect(getConsent(fakeRequest({ Cookie: 'analytics_consent=denied' })).status).toBe('denied');
+    expect(getConsent(fakeRequest({ Cookie: 'analytics_consent=maybe' })).status).toBe('unknown');
+    expect(getConsent(fakeRequest()).status).toBe('unknown');
+  });
+
+  test('should treat a cookie that cannot be decoded as unknown consent', () => {
+    expect(getConsent(fakeRequest({ Cookie: 'analytics_consent=%E0%A4%A' }))).toEqual({ status: 'unknown', source: null });
+  });
+
+  test('Global Privacy Control and Do Not Track should override the cookie', () => {
+    expect(getConsent(fakeRequest({ Cookie: 'analytics_consent=granted', 'Sec-GPC': '1' }))).toEqual({ status: 'denied', source: 'gpc' });
+    expect(getConsent(fakeRequest({ Cookie: 'analytics_consent=granted', DNT: '1' }))).toEqual({ status: 'denied', source: 'dnt' });
+  });
+});
+
+describe('Identifier minimization', () => {
+  test('truncateIp should drop the host part of the address', () => {
+    expect(truncateIp('203.0.113.57')).toBe('203.0.113.0');
+    expect(truncateIp('::ffff:203.0.113.57')).toBe('203.0.113.0');
+    expect(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::');
+    expect(truncateIp('2001:db8::1')).toBe('2001:db8::');
+    expect(truncateIp(undefined)).toBeNull();
+  });
+
+  test('RotatingSalt should give stable hashes within a period only', () => {
+    const now = () => now.time;
+    now.time = 0;
+    const salt = new RotatingSalt({ secret: 'secret', rotationMs: 24 * HOUR, now });
+
+    const first = salt.hash('visitor');
+    now.time += HOUR;
+    expect(salt.hash('visitor')).toBe(first);
+    expect(first).toMatch(/^[0-9a-f]{16}$/);
+
+    now.time += 24 * HOUR;
+    expect(salt.hash('visitor')).not.toBe(first);
+  });
+});
+
+describe('AnalyticsPrivacy', () => {
+  function policy(options = {}) {
+    const sent = [];
+    const privacy = new AnalyticsPrivacy({
+      salt: new RotatingSalt({ secret: 'secret' }),
+      send: (name, properties) => sent.push({ name, properties }),
+      flushInterval: 0,
+      ...options
+    });
+    return { privacy, sent };
+  }
+
+  test('should only send allowlisted fields and hashed identifiers with consent', () => {
+    const { privacy } = policy();
+    const req = fakeRequest({ Cookie: 'analytics_consent=granted' });
+
+    const properties = privacy.apply(req, 'JOKE_SUCCESS', PROFILE);
+
+    expect(properties).toEqual({
+      browser: { name: 'chrome', version: '120' },
+      eventType: 'joke_success',
+      jokeId: 'joke-1',
+      distinct_id: expect.stringMatching(/^[0-9a-f]{16}$/),
+      ip: '203.0.113.0',
+      localOnly: { topic: 'cats' }
+    });
+    expect(properties.distinct_id).not.toContain('abc123');
+  });
+
+  test('should apply extra fields configured per event', () => {
+    const eventFields = { '*': ['eventType'], JOKE_SUCCESS: ['topic'] };
+    const { privacy } = policy({ eventFields });
+    const req = fakeRequest({ Cookie: 'analytics_consent=granted' });
+
+    expect(Object.keys(privacy.apply(req, 'JOKE_SUCCESS', PROFILE))).toEqual(['eventType', 'topic', 'distinct_id', 'ip']);
+    expect(Object.keys(privacy.apply(req, 'PAGE', PROFILE))).toEqual(['eventType', 'distinct_id', 'ip']);
+  });
+
+  test('should keep local fields apart from the fields sent on', () => {
+    const { privacy } = policy({ localFields: { JOKE_ERROR: ['topic', 'model'] } });
+    const req = fakeRequest({ Cookie: 'analytics_consent=granted' });
+
+    expect(privacy.apply(req, 'JOKE_ERROR', PROFILE)).toMatchObject({ eventType: 'joke_success', localOnly: { topic: 'cats' } });
+    expect(privacy.apply(req, 'JOKE_ERROR', PROFILE).topic).toBeUndefined();
+    expect(privacy.apply(req, 'JOKE_SUCCESS', PROFILE).localOnly).toBeUndefined();
+    expect(privacy.apply(fakeRequest(), 'JOKE_ERROR', PROFILE)).toBeNull();
+  });
+
+  test('should only count events until there is consent', () => {
+    const { privacy, sent } = policy();
+
+    expect(privacy.apply(fakeRequest(), 'PAGE', PROFILE)).toBeNull();
+    expect(privacy.apply(fakeRequest({ 'Sec-GPC': '1' }), 'PAGE', PROFILE)).toBeNull();
+    expect(privacy.apply(fakeRequest({ Cookie: 'analytics_consent=denied' }), 'JOKE', PROFILE)).toBeNull();
+    privacy.flush();
+
+    expect(sent.map(({ name, properties }) => [name, properties.event, properties.count])).toEqual([
+      [AGGREGATE_EVENT, 'PAGE', 2],
+      [AGGREGATE_EVENT, 'JOKE', 1]
+    ]);
+    expect(Object.keys(sent[0].properties)).toEqual(['event', 'count', 'periodStart', 'periodEnd']);
+
+    privacy.flush();
+    expect(sent).toHaveLength(2);
+  });
+
+  test('should send full profiles when the privacy mode is off', () => {
+    const { privacy } = policy({ mode: 'off' });
+
+    expect(privacy.apply(fakeRequest(), 'PAGE', PROFILE)).toBe(PROFILE);
+  });
+
+  test('createAnalyticsPrivacyFromEnv should read the mode and extra fields', () => {
+    const privacy = createAnalyticsPrivacyFromEnv({
+      ANALYTICS_EVENT_FIELDS: '{"JOKE_SUCCESS": ["topic"]}',
+      ANALYTICS_AGGREGATE_FLUSH_MS: '0'
+    });
+
+    expect(privacy.mode).toBe('strict');
+    expect(privacy.allowedFields('JOKE_SUCCESS').has('jokeId')).toBe(true);
+    expect(privacy.allowedFields('JOKE_SUCCESS').has('topic')).toBe(true);
+    expect(() => createAnalyticsPrivacyFromEnv({ ANALYTICS_PRIVACY_MODE: 'loose' })).toThrow('Expected strict or off');
+    expect(() => parseEventFields('{"JOKE": "topic"}')).toThrow('Expected {"EVENT": ["field", ...]}');
+    expect(() => parseEventFields('not json')).toThrow('Invalid ANALYTICS_EVENT_FIELDS');
+  });
+});
+
+describe('Analytics from routes', () => {
+  let app;
+  let trackSpy;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    trackSpy = jest.spyOn(mixpanel, 'track').mockImplementation(() => {});
+    setAnalyticsPrivacy(new AnalyticsPrivacy({ salt: new RotatingSalt({ secret: 'secret' }), flushInterval: 0 }));
+  });
+
+  afterEach(() => {
+    trackSpy.mockRestore();
+    setAnalyticsPrivacy(null);
+  });
+
+  test('should not send events for visitors without consent', async () => {
+    await request(app).get('/stickies');
+
+    expect(trackSpy).not.toHaveBeenCalled();
+  });
+
+  test('should send minimized events for visitors who consented', async () => {
+    await request(app)
+      .get('/stickies?utm_source=newsletter&gclid=click-id')
+      .set('Cookie', 'analytics_consent=granted')
+      .set('User-Agent', 'Mozilla/5.0 Chrome/120.0');
+
+    expect(trackSpy).toHaveBeenCalledTimes(1);
+    const [eventName, properties] = trackSpy.mock.calls[0];
+    expect(eventName).toBe('STICKIES_PAGE_ACCESS');
+    expect(properties).toMatchObject({ page: 'stickies', utmSource: 'newsletter', browser: { name: 'chrome' } });
+    for (const field of ['userAgentRaw', 'forwardedIps', 'gclid', 'memoryUsage', 'deviceFingerprint', 'hostname', 'pid']) {
+      expect(properties).not.toHaveProperty(field);
+    }
+  });
+
+  test('joke requests should not log request headers', async () => {
+    console.log.mockClear();
+
+    await request(app)
+      .get('/joke?topic=cats')
+      .set('Cookie', 'analytics_consent=granted; session=secret-session')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .set('User-Agent', 'Mozilla/5.0 PrivateBrowser/1.0');
+
+    const logged = console.log.mock.calls.flat().map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join('\n');
+    for (const value of ['secret-session', '203.0.113.7', 'PrivateBrowser']) {
+      expect(logged).not.toContain(value);
+    }
+  });
+});
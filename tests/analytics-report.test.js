@@ -0,0 +1,213 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const { buildAnalyticsReport } = require('../services/analytics-report');
+const { EVENTS, EventSchema, setEventSchema } = require('../services/analytics-events');
+const { AnalyticsPrivacy, RotatingSalt, setAnalyticsPrivacy } = require('../services/analytics-privacy');
+const { AnalyticsQueue, JsonlFileSink, setAnalytics } = require('../services/analytics');
+const { trackEvent } = require('../services/request-tracking');
+
+const NOW = Date.parse('2025-03-10T15:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// Just enough of an Express request for trackEvent
+function fakeRequest(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip: '203.0.113.57', protocol: 'https', hostname: 'example.com', query: {}, get: name => lower[name.toLowerCase()] };
+}
+
+const CONSENTED = fakeRequest({ Cookie: 'analytics_consent=granted' });
+const ANONYMOUS = fakeRequest();
+
+// [request, event, properties, time]
+const TRACKED = [
+  [CONSENTED, EVENTS.WORD_SEARCHED, { word: 'serendipity' }],
+  [CONSENTED, EVENTS.WORD_SEARCHED, { word: 'serendipity' }],
+  [CONSENTED, EVENTS.WORD_SEARCHED, { word: 'hello' }],
+  [CONSENTED, EVENTS.WORD_NOT_FOUND, { word: 'asdfgh' }],
+  [CONSENTED, EVENTS.JOKE_SUCCESS, { jokeId: 'joke-1', topic: 'Cats', model: 'groq' }],
+  [CONSENTED, EVENTS.JOKE_SUCCESS, { jokeId: 'joke-2', topic: 'cats', model: 'gemini' }],
+  [CONSENTED, EVENTS.JOKE_ERROR, { topic: 'dogs', model: 'gemini', errorType: 'LLMResponseError' }, NOW - 2 * 24 * HOUR],
+  [CONSENTED, EVENTS.NETWORK_DNS_LOOKUP, { host: 'example.com' }],
+  [CONSENTED, EVENTS.NETWORK_DNS_LOOKUP_ERROR, { host: 'example.invalid' }],
+  [CONSENTED, EVENTS.TECH_NEWS_SUCCESS, {}],
+  [CONSENTED, EVENTS.TECH_NEWS_CACHE_HIT, {}],
+  [CONSENTED, EVENTS.TECH_NEWS_CACHE_HIT, {}],
+  [CONSENTED, EVENTS.TECH_NEWS_CACHE_HIT, {}],
+  [CONSENTED, EVENTS.REQUEST_COMPLETED, { statusCode: 500 }],
+  // Only counted, without the word
+  ...Array.from({ length: 4 }, () => [ANONYMOUS, EVENTS.WORD_NOT_FOUND, { word: 'unshared' }]),
+  // Before the period
+  [CONSENTED, EVENTS.WORD_SEARCHED, { word: 'ancient' }, NOW - 30 * 24 * HOUR]
+];
+
+// Write an event log the way the app does: trackEvent under the strict
+// privacy policy, queued for the jsonl sink
+async function writeEventLog(filePath, tracked) {
+  const analytics = new AnalyticsQueue({ sink: new JsonlFileSink({ filePath }), flushInterval: 0 });
+  const privacy = new AnalyticsPrivacy({ mode: 'strict', salt: new RotatingSalt({ secret: 'secret' }), flushInterval: 0 });
+  setAnalytics(analytics);
+  setAnalyticsPrivacy(privacy);
+  setEventSchema(new EventSchema({ mode: 'drop' }));
+
+  const clock = jest.spyOn(Date, 'now');
+  try {
+    tracked.forEach(([req, eventName, properties, time = NOW - HOUR]) => {
+      clock.mockReturnValue(time);
+      trackEvent(req, eventName, properties);
+    });
+    // Anonymous counts are stamped when they're sent
+    clock.mockReturnValue(NOW);
+    privacy.flush();
+  } finally {
+    clock.mockRestore();
+  }
+  await analytics.flush();
+
+  setAnalytics(null);
+  setAnalyticsPrivacy(null);
+  setEventSchema(null);
+}
+
+describe('AnalyticsReport', () => {
+  let dir;
+  let filePath;
+  let report;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-report-'));
+    filePath = path.join(dir, 'events.jsonl');
+    await writeEventLog(filePath, TRACKED);
+    report = await buildAnalyticsReport({ filePath, days: 7, now: NOW });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should not log words or topics from visitors without consent', () => {
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('unshared');
+  });
+
+  test('should cover whole UTC days ending today', () => {
+    expect(report).toMatchObject({ days: 7, since: '2025-03-04T00:00:00.000Z', generatedAt: '2025-03-10T15:00:00.000Z' });
+    expect(report.totals).toEqual({ events: 18, anonymousEvents: 4 });
+  });
+
+  test('should rank words and work out the not-found rate including anonymous counts', () => {
+    expect(report.words).toEqual({
+      searches: 8,
+      notFound: 5,
+      notFoundRate: 5 / 8,
+      top: [{ word: 'serendipity', count: 2 }, { word: 'asdfgh', count: 1 }, { word: 'hello', count: 1 }]
+    });
+  });
+
+  test('should split jokes by topic and provider', () => {
+    expect(report.jokes).toEqual({
+      requests: 3,
+      successes: 2,
+      errors: 1,
+      successRate: 2 / 3,
+      topTopics: [{ topic: 'cats', count: 2 }, { topic: 'dogs', count: 1 }],
+      byProvider: {
+        groq: { successes: 1, errors: 0, successRate: 1 },
+        gemini: { successes: 1, errors: 1, successRate: 0.5 }
+      }
+    });
+  });
+
+  test('should count network tools and tech news cache hits', () => {
+    expect(report.networkTools).toEqual({
+      dnsLookup: { uses: 2, errors: 1 },
+      reverseDns: { uses: 0, errors: 0 },
+      httpPing: { uses: 0, errors: 0 },
+      traceroute: { uses: 0, errors: 0 }
+    });
+    expect(report.techNews).toEqual({ requests: 4, cacheHits: 3, cacheHitRate: 0.75 });
+  });
+
+  test('should count error events and server errors per day', () => {
+    expect(report.errors.total).toBe(3);
+    expect(report.errors.byDay).toHaveLength(7);
+    expect(report.errors.byDay.filter(day => day.count > 0)).toEqual([
+      { date: '2025-03-08', count: 1 },
+      { date: '2025-03-10', count: 2 }
+    ]);
+    expect(report.errors.byEvent).toEqual({ JOKE_ERROR: 1, NETWORK_DNS_LOOKUP_ERROR: 1, 'Request Completed': 1 });
+  });
+});
+
+describe('Analytics dashboard', () => {
+  let dir;
+  let logPath;
+  let app;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-report-'));
+    logPath = path.join(dir, 'events.jsonl');
+    const now = Date.now();
+    await writeEventLog(logPath, [[CONSENTED, EVENTS.WORD_SEARCHED, { word: 'hello' }, now]]);
+    fs.appendFileSync(logPath, 'not json\n');
+    await writeEventLog(logPath, [[CONSENTED, EVENTS.WORD_NOT_FOUND, { word: 'qwerty' }, now]]);
+
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_PASSWORD;
+    delete process.env.ANALYTICS_LOG_PATH;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('buildAnalyticsReport should read the event log and skip lines that are not JSON', async () => {
+    const report = await buildAnalyticsReport({ filePath: logPath, days: 1 });
+
+    expect(report).toMatchObject({ logFound: true, skippedLines: 1, words: { searches: 2, notFound: 1 } });
+    expect(await buildAnalyticsReport({ filePath: path.join(dir, 'missing.jsonl') })).toMatchObject({
+      logFound: false,
+      totals: { events: 0 }
+    });
+  });
+
+  test('GET /api/admin/analytics should report on the jsonl sink\'s log', async () => {
+    process.env.ANALYTICS_LOG_PATH = logPath;
+
+    process.env.ADMIN_PASSWORD = 'secret';
+    const response = await request(app).get('/api/admin/analytics?days=500').auth('admin', 'secret');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.body).toMatchObject({ days: 90, logPath, words: { top: [{ word: 'hello', count: 1 }, { word: 'qwerty', count: 1 }] } });
+  });
+
+  test('the dashboard and its report should be closed when no admin password is set', async () => {
+    process.env.ANALYTICS_LOG_PATH = logPath;
+
+    const page = await request(app).get('/admin/analytics');
+    const report = await request(app).get('/api/admin/analytics');
+
+    expect(page.status).toBe(503);
+    expect(report.status).toBe(503);
+    expect(report.text).not.toContain('hello');
+  });
+
+  test('the dashboard should require the admin password when one is set', async () => {
+    process.env.ADMIN_PASSWORD = 'secret';
+
+    expect((await request(app).get('/admin/analytics')).status).toBe(401);
+    expect((await request(app).get('/api/admin/analytics').auth('admin', 'wrong')).status).toBe(401);
+
+    const page = await request(app).get('/admin/analytics').auth('admin', 'secret');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('/api/admin/analytics');
+  });
+});
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const mixpanel = require('../services/mixpanel');
+const {
+  MixpanelSink,
+  JsonlFileSink,
+  MemorySink,
+  FanoutSink,
+  NullSink,
+  AnalyticsQueue,
+  createSinkFromEnv,
+  createAnalyticsFromEnv,
+  setAnalytics
+} = require('../services/analytics');
+const { AnalyticsPrivacy, RotatingSalt, setAnalyticsPrivacy } = require('../services/analytics-privacy');
+
+// Fake fetch for the Mixpanel /track endpoint, answering with `result`
+function mixpanelFetch(result = { status: 1 }, status = 200) {
+  return jest.fn(async () => new Response(JSON.stringify(result), { status, headers: { 'content-type': 'application/json' } }));
+}
+
+// Sink whose sends stay pending until the test settles them
+function controlledSink() {
+  const sink = { name: 'controlled', batches: [], pending: [] };
+  sink.send = events => new Promise((resolve, reject) => {
+    sink.batches.push(events.map(({ event }) => event));
+    sink.pending.push({ resolve, reject });
+  });
+  return sink;
+}
+
+describe('AnalyticsQueue', () => {
+  function queue(options = {}) {
+    return new AnalyticsQueue({ sink: new MemorySink(), flushInterval: 0, ...options });
+  }
+
+  test('should hold events until flushed, then send them in batches', async () => {
+    const sink = controlledSink();
+    const analytics = queue({ sink, batchSize: 2 });
+
+    analytics.track('A', { n: 1 });
+    expect(sink.batches).toEqual([]);
+    analytics.track('B');
+    analytics.track('C');
+
+    // The second event fills a batch and starts sending without waiting
+    expect(sink.batches).toEqual([['A', 'B']]);
+
+    const flushed = analytics.flush();
+    sink.pending[0].resolve();
+    await new Promise(setImmediate);
+    expect(sink.batches).toEqual([['A', 'B'], ['C']]);
+    sink.pending[1].resolve();
+    await flushed;
+
+    expect(analytics.stats()).toEqual({ sink: 'controlled', queued: 0, sent: 3, dropped: 0, failed: 0 });
+  });
+
+  test('should drop new events when the queue is full', async () => {
+    const analytics = queue({ maxQueueSize: 2 });
+
+    expect(analytics.track('A')).toBe(true);
+    expect(analytics.track('B')).toBe(true);
+    expect(analytics.track('C')).toBe(false);
+    await analytics.flush();
+
+    expect(analytics.sink.events.map(({ event }) => event)).toEqual(['A', 'B']);
+    expect(analytics.stats()).toMatchObject({ sent: 2, dropped: 1 });
+  });
+
+  test('should count failed batches without throwing or retrying', async () => {
+    const sink = { name: 'broken', send: jest.fn(async () => { throw new Error('unreachable'); }) };
+    const analytics = queue({ sink });
+    console.error.mockClear();
+
+    analytics.track('A');
+    analytics.track('B');
+    await expect(analytics.flush()).resolves.toBeUndefined();
+    await analytics.flush();
+
+    expect(sink.send).toHaveBeenCalledTimes(1);
+    expect(analytics.stats()).toMatchObject({ queued: 0, sent: 0, failed: 2 });
+    expect(console.error).toHaveBeenCalledWith('Analytics: broken sink failed to send 2 events:', 'unreachable');
+  });
+});
+
+describe('Analytics sinks', () => {
+  test('JsonlFileSink should append one event per line', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    const filePath = path.join(dir, 'nested', 'events.jsonl');
+    const sink = new JsonlFileSink({ filePath });
+
+    await sink.send([{ event: 'A', properties: { n: 1 } }]);
+    await sink.send([{ event: 'B', properties: {} }, { event: 'C', properties: {} }]);
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      { event: 'A', properties: { n: 1 } },
+      { event: 'B', properties: {} },
+      { event: 'C', properties: {} }
+    ]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('only JsonlFileSink should write local-only properties', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    const filePath = path.join(dir, 'events.jsonl');
+    const fetch = mixpanelFetch();
+    const events = [{ event: 'Word Searched', properties: { found: true, localOnly: { word: 'hello' } } }];
+
+    await new FanoutSink({ sinks: [new MixpanelSink({ token: 'token', fetch }), new JsonlFileSink({ filePath })] }).send(events);
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual([{ event: 'Word Searched', properties: { found: true, token: 'token' } }]);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ event: 'Word Searched', properties: { found: true, word: 'hello' } });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('MixpanelSink should post batches to /track with the project token', async () => {
+    const fetch = mixpanelFetch();
+    const sink = new MixpanelSink({ token: 'token', fetch });
+
+    await sink.send([{ event: 'A', properties: { n: 1 } }, { event: 'B', properties: {} }]);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.mixpanel.com/track?ip=0&verbose=1');
+    expect(init).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' } });
+    expect(init.signal).toBeInstanceOf(AbortSignal);
+    expect(JSON.parse(init.body)).toEqual([
+      { event: 'A', properties: { n: 1, token: 'token' } },
+      { event: 'B', properties: { token: 'token' } }
+    ]);
+  });
+
+  test('MixpanelSink should reject batches Mixpanel refuses or fails', async () => {
+    const batch = [{ event: 'A', properties: {} }];
+
+    await expect(new MixpanelSink({ token: 'token', fetch: mixpanelFetch({ status: 0, error: 'bad batch' }) }).send(batch))
+      .rejects.toThrow('bad batch');
+    await expect(new MixpanelSink({ token: 'token', fetch: mixpanelFetch({}, 503) }).send(batch))
+      .rejects.toThrow('status 503');
+  });
+
+  test('FanoutSink should send to every sink and fail when one does', async () => {
+    const memory = new MemorySink();
+    const broken = { name: 'broken', send: jest.fn(async () => { throw new Error('unreachable'); }) };
+    const sink = new FanoutSink({ sinks: [memory, broken] });
+
+    expect(sink.name).toBe('memory+broken');
+    await expect(sink.send([{ event: 'A', properties: {} }])).rejects.toThrow('unreachable');
+    expect(memory.events).toHaveLength(1);
+    expect(broken.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('createSinkFromEnv should pick the sink from ANALYTICS_SINK', () => {
+    expect(createSinkFromEnv({})).toBeInstanceOf(NullSink);
+    expect(createSinkFromEnv({ MIXPANEL_TOKEN: 'token', MIXPANEL_ENABLED: 'true' })).toBeInstanceOf(MixpanelSink);
+    expect(createSinkFromEnv({ MIXPANEL_TOKEN: 'token', MIXPANEL_ENABLED: 'true', ANALYTICS_SINK: 'memory' })).toBeInstanceOf(MemorySink);
+    expect(createSinkFromEnv({ ANALYTICS_SINK: 'jsonl', ANALYTICS_LOG_PATH: '/tmp/events.jsonl' }).filePath).toBe('/tmp/events.jsonl');
+    expect(createSinkFromEnv({ MIXPANEL_TOKEN: 'token', ANALYTICS_SINK: 'mixpanel, jsonl' }).sinks.map(sink => sink.name)).toEqual(['mixpanel', 'jsonl']);
+    expect(() => createSinkFromEnv({ ANALYTICS_SINK: 'mixpanel' })).toThrow('requires MIXPANEL_TOKEN');
+    expect(() => createSinkFromEnv({ ANALYTICS_SINK: 'kafka' })).toThrow('Expected mixpanel, jsonl, memory or none');
+  });
+
+  test('createAnalyticsFromEnv should read the queue settings', () => {
+    const analytics = createAnalyticsFromEnv({ ANALYTICS_SINK: 'memory', ANALYTICS_BATCH_SIZE: '10', ANALYTICS_MAX_QUEUE_SIZE: '20', ANALYTICS_FLUSH_MS: '0' });
+
+    expect(analytics.sink).toBeInstanceOf(MemorySink);
+    expect(analytics.batchSize).toBe(10);
+    expect(analytics.maxQueueSize).toBe(20);
+  });
+});
+
+describe('Analytics from routes', () => {
+  let app;
+  let analytics;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    analytics = new AnalyticsQueue({ sink: new MemorySink(), flushInterval: 0 });
+    setAnalytics(analytics);
+    setAnalyticsPrivacy(new AnalyticsPrivacy({ salt: new RotatingSalt({ secret: 'secret' }), flushInterval: 0 }));
+  });
+
+  afterEach(() => {
+    setAnalytics(null);
+    setAnalyticsPrivacy(null);
+  });
+
+  test('events should reach the sink without being logged', async () => {
+    console.log.mockClear();
+
+    await request(app).get('/stickies').set('Cookie', 'analytics_consent=granted');
+    mixpanel.track('Direct Event', { secret: 'not-logged' });
+    await analytics.flush();
+
+    expect(analytics.sink.events.map(({ event }) => event)).toEqual(['STICKIES_PAGE_ACCESS', 'Direct Event']);
+    expect(analytics.sink.events[1].properties).toMatchObject({ secret: 'not-logged', environment: 'test', time: expect.any(Number) });
+    const logged = console.log.mock.calls.flat().map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join('\n');
+    expect(logged).not.toContain('not-logged');
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TTLCache, FileCacheStore, createCache, getCacheStats, flushPending } = require('../services/cache');
+
+describe('TTLCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should evict the least recently used entry when full', () => {
+    const cache = new TTLCache('lru', { maxSize: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // "b" is now least recently used
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.has('c')).toBe(true);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('should expire entries after their TTL', () => {
+    jest.useFakeTimers();
+    const cache = new TTLCache('ttl', { ttl: 1000 });
+    cache.set('word', 'value');
+    cache.set('long', 'value', { ttl: 5000 });
+
+    jest.advanceTimersByTime(1001);
+
+    expect(cache.get('word')).toBeUndefined();
+    expect(cache.get('long')).toBe('value');
+    expect(cache.getStats().expirations).toBe(1);
+  });
+
+  test('should use the negative TTL for not-found results', () => {
+    jest.useFakeTimers();
+    const cache = new TTLCache('negative', { ttl: 10000, negativeTtl: 100 });
+    cache.set('qwzx', { found: false }, { negative: true });
+
+    expect(cache.get('qwzx')).toEqual({ found: false });
+    expect(cache.getStats().negativeHits).toBe(1);
+
+    jest.advanceTimersByTime(101);
+    expect(cache.get('qwzx')).toBeUndefined();
+  });
+
+  test('should track hits, misses and hit rate', () => {
+    const cache = new TTLCache('metrics');
+    cache.set('a', 1);
+    cache.get('a');
+    cache.get('a');
+    cache.get('missing');
+
+    expect(cache.getStats()).toMatchObject({ name: 'metrics', size: 1, hits: 2, misses: 1, sets: 1 });
+    expect(cache.getStats().hitRate).toBeCloseTo(2 / 3);
+  });
+
+  test('should prune expired entries', () => {
+    jest.useFakeTimers();
+    const cache = new TTLCache('prune', { ttl: 100 });
+    cache.set('a', 1);
+    cache.set('b', 2, { ttl: 0 });
+
+    jest.advanceTimersByTime(200);
+
+    expect(cache.prune()).toBe(1);
+    expect(cache.size).toBe(1);
+  });
+});
+
+describe('FileCacheStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should restore live entries across instances', () => {
+    const filePath = path.join(dir, 'nested', 'cache.json');
+    const first = new TTLCache('words', { store: new FileCacheStore(filePath), ttl: 60000 });
+    first.set('hello', { found: true });
+    first.set('stale', { found: true }, { ttl: 1 });
+    first.flush();
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 10);
+    const second = new TTLCache('words', { store: new FileCacheStore(filePath), ttl: 60000 });
+    Date.now.mockRestore();
+
+    expect(second.get('hello')).toEqual({ found: true });
+    expect(second.has('stale')).toBe(false);
+  });
+
+  test('should keep namespaces separate in one file', () => {
+    const filePath = path.join(dir, 'cache.json');
+    const store = new FileCacheStore(filePath);
+    new TTLCache('a', { store }).set('key', 'from a').flush();
+    new TTLCache('b', { store }).set('key', 'from b').flush();
+
+    const reloaded = new FileCacheStore(filePath);
+    expect(new TTLCache('a', { store: reloaded }).get('key')).toBe('from a');
+    expect(new TTLCache('b', { store: reloaded }).get('key')).toBe('from b');
+  });
+
+  test('debounced writes should go through fs.promises and not block', async () => {
+    const filePath = path.join(dir, 'cache.json');
+    const writeFileSync = jest.spyOn(fs, 'writeFileSync');
+    try {
+      const cache = new TTLCache('words', { store: new FileCacheStore(filePath) });
+      cache.set('hello', 'world');
+      expect(cache.persistTimer).not.toBeNull();
+
+      await cache.persist();
+
+      expect(cache.persistTimer).toBeNull();
+      expect(writeFileSync).not.toHaveBeenCalled();
+      expect(new TTLCache('words', { store: new FileCacheStore(filePath) }).get('hello')).toBe('world');
+    } finally {
+      writeFileSync.mockRestore();
+    }
+  });
+
+  test('changes made during a background write should be written after it', async () => {
+    const filePath = path.join(dir, 'cache.json');
+    const store = new FileCacheStore(filePath);
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+    try {
+      const first = store.saveAsync('a', [['key', { value: 1, expiresAt: null }]]);
+      const second = store.saveAsync('b', [['key', { value: 2, expiresAt: null }]]);
+
+      expect(second).toBe(first);
+      await first;
+
+      expect(writeFile).toHaveBeenCalledTimes(2);
+      const reloaded = new FileCacheStore(filePath);
+      expect(reloaded.load('a')).toHaveLength(1);
+      expect(reloaded.load('b')).toHaveLength(1);
+      expect(store.writing).toBeNull();
+    } finally {
+      writeFile.mockRestore();
+    }
+  });
+
+  test('should start empty when the file is missing', () => {
+    const store = new FileCacheStore(path.join(dir, 'missing.json'));
+    expect(store.load('words')).toEqual([]);
+  });
+});
+
+describe('createCache', () => {
+  test('should return the same instance for a name and report its stats', () => {
+    const cache = createCache('registry-test', { maxSize: 5 });
+
+    expect(createCache('registry-test')).toBe(cache);
+    expect(getCacheStats().map(stats => stats.name)).toContain('registry-test');
+  });
+
+  test('should save pending writes on SIGTERM before the process stops', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    const filePath = path.join(dir, 'cache.json');
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    try {
+      const cache = createCache('signal-test', { store: new FileCacheStore(filePath) });
+      cache.set('hello', { found: true });
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      process.emit('SIGTERM', 'SIGTERM');
+
+      expect(new FileCacheStore(filePath).load('signal-test')).toEqual([['hello', expect.objectContaining({ value: { found: true } })]]);
+      expect(cache.persistTimer).toBeNull();
+      expect(kill).toHaveBeenCalledWith(process.pid, 'SIGTERM');
+    } finally {
+      kill.mockRestore();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('flushPending should only write caches with pending changes', () => {
+    const store = { load: () => [], save: jest.fn() };
+    createCache('pending-test', { store }).set('key', 'value');
+    createCache('idle-test', { store });
+
+    flushPending();
+
+    expect(store.save).toHaveBeenCalledTimes(1);
+    expect(store.save).toHaveBeenCalledWith('pending-test', [['key', expect.any(Object)]]);
+  });
+});
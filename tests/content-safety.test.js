@@ -0,0 +1,252 @@
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ContentModerator,
+  classifyProfanity,
+  parseBlocklist,
+  createLLMCheck,
+  createContentModeratorFromEnv
+} = require('../services/content-safety');
+const { LLMClient, ContentBlockedError, MockLLMProvider, setLLMClient } = require('../services/llm-client');
+const { ModelRouter, parseTargets, setModelRouter } = require('../services/model-router');
+
+// Answers with each response in turn, repeating the last one
+function scriptedProvider(name, responses) {
+  let calls = 0;
+  return new MockLLMProvider({ name, respond: () => responses[Math.min(calls++, responses.length - 1)] });
+}
+
+describe('classifyProfanity', () => {
+  test('should grade the most severe word found', () => {
+    expect(classifyProfanity('What the hell')).toEqual({ severity: 'mild', matches: ['hell'] });
+    expect(classifyProfanity('Damn, that sh1t is funny!').severity).toBe('strong');
+    expect(classifyProfanity('Oh sh!t').matches).toEqual(['shit']);
+    expect(classifyProfanity('Why did the f*cking chicken cross?').matches).toEqual(['f*cking']);
+    expect(classifyProfanity('Shitty bitches and assholes').matches).toEqual(['shitty', 'bitches', 'assholes']);
+  });
+
+  test('should not flag words that merely contain a swear word', () => {
+    expect(classifyProfanity('Hello class, pass the shell and the assignment').severity).toBeNull();
+    expect(classifyProfanity('Shiite Muslims').severity).toBeNull();
+    expect(classifyProfanity('shiitake mushrooms').severity).toBeNull();
+    expect(classifyProfanity('The word ass comes from Latin asinus').severity).toBeNull();
+    expect(classifyProfanity('I ass-ume').severity).toBeNull();
+    expect(classifyProfanity('').severity).toBeNull();
+  });
+});
+
+describe('parseBlocklist', () => {
+  test('should accept lines or commas and skip comments', () => {
+    expect(parseBlocklist('# slurs\nfoo bar\n\nbaz, qux')).toEqual(['foo bar', 'baz', 'qux']);
+  });
+});
+
+describe('ContentModerator', () => {
+  test('should block blocklisted phrases as whole words', () => {
+    const moderator = new ContentModerator({ blocklist: ['Cheese Head'] });
+
+    expect(moderator.scan('You are a cheese head!')).toEqual([
+      { check: 'blocklist', category: 'blocklist', detail: 'Cheese Head' }
+    ]);
+    expect(moderator.scan('cheese headline')).toEqual([]);
+  });
+
+  test('should only block profanity at or above the configured level', () => {
+    expect(new ContentModerator().scan('What the hell')).toEqual([]);
+    expect(new ContentModerator({ profanity: 'mild' }).scan('What the hell')).toHaveLength(1);
+    expect(new ContentModerator({ profanity: 'off' }).scan('Holy shit')).toEqual([]);
+    expect(new ContentModerator().scan('Shiite Muslims eat shiitake mushrooms')).toEqual([]);
+    expect(new ContentModerator().scan('The word ass comes from Latin asinus. I ass-ume so')).toEqual([]);
+    expect(() => new ContentModerator({ profanity: 'extreme' })).toThrow('Unknown profanity level');
+    expect(() => new ContentModerator({ policy: 'ignore' })).toThrow('Unknown content safety policy');
+  });
+
+  test('should run the LLM check only on text the fast checks allowed', async () => {
+    const llmCheck = jest.fn(async () => ({ allowed: false, reason: 'demeaning' }));
+    const moderator = new ContentModerator({ llmCheck });
+
+    expect(await moderator.check('Holy shit')).toEqual([{ check: 'profanity', category: 'strong', detail: 'shit' }]);
+    expect(llmCheck).not.toHaveBeenCalled();
+    expect(await moderator.check('A polite joke')).toEqual([{ check: 'llm', category: 'unsafe', detail: 'demeaning' }]);
+  });
+
+  test('should allow the text when the LLM check fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const moderator = new ContentModerator({ llmCheck: async () => { throw new Error('moderation model down'); } });
+
+    expect(await moderator.check('A polite joke')).toEqual([]);
+    console.error.mockRestore();
+  });
+
+  test('createLLMCheck should read the SAFE/UNSAFE verdict', async () => {
+    const complete = jest.fn()
+      .mockResolvedValueOnce({ text: 'SAFE' })
+      .mockResolvedValueOnce({ text: 'UNSAFE: mocks a group of people' });
+    const check = createLLMCheck(complete, 'groq');
+
+    expect(await check('first')).toEqual({ allowed: true });
+    expect(await check('second')).toEqual({ allowed: false, reason: 'mocks a group of people' });
+    expect(complete).toHaveBeenCalledWith(expect.objectContaining({ provider: 'groq', prompt: 'first' }));
+  });
+});
+
+describe('createContentModeratorFromEnv', () => {
+  test('should read the policy, profanity level and both blocklists', () => {
+    const file = path.join(os.tmpdir(), `blocklist-${process.pid}.txt`);
+    fs.writeFileSync(file, '# extra terms\nfrom file\n');
+
+    try {
+      const moderator = createContentModeratorFromEnv({
+        CONTENT_SAFETY_POLICY: 'refuse',
+        CONTENT_SAFETY_MAX_REGENERATIONS: '0',
+        CONTENT_SAFETY_PROFANITY: 'mild',
+        CONTENT_SAFETY_BLOCKLIST: 'from env',
+        CONTENT_SAFETY_BLOCKLIST_PATH: file,
+        CONTENT_SAFETY_LLM_CHECK: 'groq'
+      }, async () => ({ text: 'SAFE' }));
+
+      expect(moderator.policy).toBe('refuse');
+      expect(moderator.maxRegenerations).toBe(0);
+      expect(moderator.profanity).toBe('mild');
+      expect(moderator.blocklist.map(entry => entry.term)).toEqual(['from env', 'from file']);
+      expect(moderator.llmCheck).toEqual(expect.any(Function));
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('should be on by default and off when disabled', () => {
+    expect(createContentModeratorFromEnv({})).toMatchObject({ policy: 'regenerate', maxRegenerations: 2, llmCheck: null });
+    expect(createContentModeratorFromEnv({ CONTENT_SAFETY_ENABLED: 'false' })).toBeNull();
+  });
+});
+
+describe('LLMClient content safety', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('complete should regenerate a blocked answer', async () => {
+    const client = new LLMClient([scriptedProvider('groq', ['Holy shit, a joke', 'A clean joke'])], {
+      moderator: new ContentModerator()
+    });
+
+    const result = await client.complete({ provider: 'groq', prompt: 'joke' });
+
+    expect(result.text).toBe('A clean joke');
+    expect(result.attempts).toBe(2);
+  });
+
+  test('complete should throw once regenerations run out', async () => {
+    const client = new LLMClient([scriptedProvider('groq', ['Holy shit'])], {
+      moderator: new ContentModerator({ maxRegenerations: 1 })
+    });
+
+    const error = await client.complete({ provider: 'groq', prompt: 'joke' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ContentBlockedError);
+    expect(error.reasons).toEqual([{ check: 'profanity', category: 'strong', detail: 'shit' }]);
+  });
+
+  test('the refuse policy and moderate: false should skip regeneration', async () => {
+    const provider = scriptedProvider('groq', ['Holy shit', 'A clean joke']);
+    const client = new LLMClient([provider], { moderator: new ContentModerator({ policy: 'refuse' }) });
+
+    await expect(client.complete({ provider: 'groq', prompt: 'joke' })).rejects.toThrow(ContentBlockedError);
+    expect((await client.complete({ provider: 'groq', prompt: 'joke', moderate: false })).text).toBe('A clean joke');
+  });
+
+  test('stream should hold back a word split across chunks', async () => {
+    const client = new LLMClient([scriptedProvider('groq', [['Well sh', 'it happens'], ['A clean ', 'joke']])], {
+      moderator: new ContentModerator()
+    });
+    const tokens = [];
+    const onRetract = jest.fn();
+
+    const result = await client.stream({ provider: 'groq', prompt: 'joke', onToken: text => tokens.push(text), onRetract });
+
+    // "Well " went out before the blocked word finished arriving
+    expect(tokens).toEqual(['Well ', 'A clean ', 'joke']);
+    expect(onRetract).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ text: 'A clean joke', attempts: 2 });
+  });
+
+  test('stream should retract an answer the final check blocks', async () => {
+    const llmCheck = jest.fn()
+      .mockResolvedValueOnce({ allowed: false, reason: 'mean' })
+      .mockResolvedValueOnce({ allowed: true });
+    const client = new LLMClient([scriptedProvider('groq', [['A mean ', 'joke'], ['A kind ', 'joke']])], {
+      moderator: new ContentModerator({ llmCheck })
+    });
+    const events = [];
+
+    await client.stream({
+      provider: 'groq',
+      prompt: 'joke',
+      onToken: text => events.push(text),
+      onRetract: () => events.push('<retract>')
+    });
+
+    expect(events).toEqual(['A mean ', '<retract>', 'A kind ', 'joke']);
+  });
+});
+
+describe('Content safety in joke endpoints', () => {
+  let app;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setModelRouter('joke', new ModelRouter('joke', parseTargets('groq:llama-3.3-70b-versatile'), { policy: 'fallback' }));
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+    setLLMClient(null);
+    setModelRouter('joke', null);
+  });
+
+  test('GET /joke should return 422 when every answer is blocked', async () => {
+    setLLMClient(new LLMClient([scriptedProvider('groq', ['Holy shit'])], {
+      maxRetries: 0,
+      moderator: new ContentModerator({ policy: 'refuse' })
+    }));
+
+    const response = await request(app).get('/joke?topic=safety refused');
+
+    expect(response.status).toBe(422);
+    expect(response.text).toContain("couldn't come up with a clean joke");
+  });
+
+  test('GET /joke/stream should send retract before the regenerated joke', async () => {
+    const llmCheck = jest.fn()
+      .mockResolvedValueOnce({ allowed: false, reason: 'mean' })
+      .mockResolvedValueOnce({ allowed: true });
+    setLLMClient(new LLMClient([scriptedProvider('groq', [['Mean ', 'joke'], ['Kind ', 'joke']])], {
+      maxRetries: 0,
+      moderator: new ContentModerator({ llmCheck })
+    }));
+
+    const response = await request(app).get('/joke/stream?topic=safety retract');
+
+    const events = response.text.split('\n\n')
+      .filter(block => block.startsWith('event:'))
+      .map(block => block.split('\n')[0].slice('event: '.length));
+    expect(events).toEqual(['token', 'retract', 'token', 'token', 'done']);
+  });
+});
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  DictionaryProvider,
+  DictionaryApiProvider,
+  LocalWordListProvider,
+  WiktionaryDumpProvider,
+  DictionaryProviderChain,
+  createProviderChainFromEnv,
+  detectRegion
+} = require('../services/dictionary-providers');
+
+const WORDLIST_PATH = path.join(__dirname, 'fixtures/wordlist.json');
+const WIKTIONARY_PATH = path.join(__dirname, 'fixtures/wiktionary.jsonl');
+
+// Provider that fails or hangs on demand
+class StubProvider extends DictionaryProvider {
+  constructor(name, behavior, options) {
+    super(name, options);
+    this.behavior = behavior;
+    this.calls = 0;
+  }
+
+  async lookup(word, { signal } = {}) {
+    this.calls++;
+    if (this.behavior === 'fail') throw new Error('upstream down');
+    if (this.behavior === 'hang') {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+    }
+    return null;
+  }
+}
+
+describe('Dictionary Providers', () => {
+  describe('LocalWordListProvider', () => {
+    test('should return normalized entries from a JSON word list', async () => {
+      const provider = new LocalWordListProvider(WORDLIST_PATH);
+      const entry = await provider.lookup('Serendipity');
+
+      expect(entry.word).toBe('serendipity');
+      expect(entry.meanings[0].partOfSpeech).toBe('noun');
+      expect(entry.meanings[0].definitions[0].example).toBe('It was pure serendipity that we met.');
+    });
+
+    test('should return null for unknown words', async () => {
+      const provider = new LocalWordListProvider(WORDLIST_PATH);
+      expect(await provider.lookup('zzzz')).toBeNull();
+    });
+
+    test('should read the file once for concurrent lookups and retry after a failed read', async () => {
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+      try {
+        readFile.mockRejectedValueOnce(new Error('EIO'));
+        const provider = new LocalWordListProvider(WORDLIST_PATH);
+
+        await expect(provider.lookup('serendipity')).rejects.toThrow('EIO');
+        const entries = await Promise.all([provider.lookup('serendipity'), provider.lookup('zzzz')]);
+
+        expect(entries[0].word).toBe('serendipity');
+        expect(entries[1]).toBeNull();
+        expect(readFile).toHaveBeenCalledTimes(2);
+      } finally {
+        readFile.mockRestore();
+      }
+    });
+  });
+
+  describe('WiktionaryDumpProvider', () => {
+    test('should combine senses for every part of speech and skip malformed lines', async () => {
+      const provider = new WiktionaryDumpProvider(WIKTIONARY_PATH);
+      const entry = await provider.lookup('hello');
+
+      expect(entry.meanings.map(m => m.partOfSpeech)).toEqual(['intj', 'verb']);
+      expect(entry.phonetic).toBe('/hɛˈləʊ/');
+      expect(entry.phonetics).toEqual([
+        { text: '/hɛˈləʊ/', audio: null, region: 'UK', sourceUrl: null },
+        { text: null, audio: 'https://upload.wikimedia.org/en-us-hello.mp3', region: 'US', sourceUrl: null }
+      ]);
+      expect(entry.sourceUrls).toEqual(['https://en.wiktionary.org/wiki/hello']);
+      expect(await provider.lookup('quokka')).not.toBeNull();
+    });
+
+    test('should index entries by language', async () => {
+      const provider = new WiktionaryDumpProvider(WIKTIONARY_PATH);
+
+      expect(await provider.lookup('hola')).toBeNull();
+      const entry = await provider.lookup('hola', { lang: 'es' });
+      expect(entry.meanings[0].definitions[0].definition).toBe('hello');
+      expect(await provider.lookup('hello', { lang: 'es' })).toBeNull();
+    });
+  });
+
+  describe('detectRegion', () => {
+    test('should read the accent from dictionaryapi.dev audio file names', () => {
+      expect(detectRegion('https://api.dictionaryapi.dev/media/pronunciations/en/hello-uk.mp3')).toBe('UK');
+      expect(detectRegion('https://api.dictionaryapi.dev/media/pronunciations/en/hello-us.mp3')).toBe('US');
+      expect(detectRegion('https://api.dictionaryapi.dev/media/pronunciations/en/hello.mp3')).toBeNull();
+      expect(detectRegion(null)).toBeNull();
+    });
+  });
+
+  describe('DictionaryApiProvider', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should treat a 404 as an unknown word', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+      const provider = new DictionaryApiProvider();
+
+      expect(await provider.lookup('qwzx')).toBeNull();
+    });
+
+    test('should throw on server errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+      const provider = new DictionaryApiProvider();
+
+      await expect(provider.lookup('hello')).rejects.toThrow('status 503');
+    });
+
+    test('should request the entry in the given language', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+      const provider = new DictionaryApiProvider();
+
+      await provider.lookup('niño', { lang: 'es' });
+      await provider.lookup('hello');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://api.dictionaryapi.dev/api/v2/entries/es/ni%C3%B1o');
+      expect(global.fetch.mock.calls[1][0]).toBe('https://api.dictionaryapi.dev/api/v2/entries/en/hello');
+    });
+
+    test('should skip definitions without text in a malformed payload', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => [
+          { word: 'hello', meanings: [{ partOfSpeech: 'noun', definitions: [{ definition: 'A greeting.' }, { example: 'no text' }, null] }] },
+          { word: 'hello', meanings: [{ partOfSpeech: 'noun', definitions: [{ definition: 42 }, { definition: 'a greeting.' }, { definition: 'A call.' }] }] }
+        ]
+      });
+      const provider = new DictionaryApiProvider();
+
+      const entry = await provider.lookup('hello');
+
+      expect(entry.meanings).toHaveLength(1);
+      expect(entry.meanings[0].definitions.map(def => def.definition)).toEqual(['A greeting.', 'A call.']);
+    });
+  });
+
+  describe('DictionaryProviderChain', () => {
+    test('should fall back to the next provider when one fails', async () => {
+      const failing = new StubProvider('remote', 'fail');
+      const chain = new DictionaryProviderChain([failing, new LocalWordListProvider(WORDLIST_PATH)]);
+
+      const result = await chain.lookup('hello');
+
+      expect(failing.calls).toBe(1);
+      expect(result.providers).toEqual(['local']);
+      expect(result.errors).toEqual([{ provider: 'remote', message: 'upstream down' }]);
+      expect(result.entry.meanings).toHaveLength(2);
+    });
+
+    test('should abort providers that exceed their timeout', async () => {
+      const hanging = new StubProvider('slow', 'hang', { timeout: 20 });
+      const chain = new DictionaryProviderChain([hanging, new LocalWordListProvider(WORDLIST_PATH)]);
+
+      const result = await chain.lookup('serendipity');
+
+      expect(result.providers).toEqual(['local']);
+      expect(result.errors[0].message).toMatch(/timed out after 20ms/);
+    });
+
+    test('should stop at the first provider that knows the word', async () => {
+      const chain = new DictionaryProviderChain([
+        new LocalWordListProvider(WORDLIST_PATH),
+        new WiktionaryDumpProvider(WIKTIONARY_PATH)
+      ]);
+
+      const result = await chain.lookup('hello');
+
+      expect(result.providers).toEqual(['local']);
+    });
+
+    test('should merge entries from every provider when merging is enabled', async () => {
+      const chain = new DictionaryProviderChain([
+        new LocalWordListProvider(WORDLIST_PATH),
+        new WiktionaryDumpProvider(WIKTIONARY_PATH)
+      ], { mergeResults: true });
+
+      const result = await chain.lookup('hello');
+
+      expect(result.providers).toEqual(['local', 'wiktionary']);
+      expect(result.entry.phonetic).toBe('/həˈləʊ/');
+      expect(result.entry.meanings.map(m => m.partOfSpeech)).toEqual(['noun', 'interjection', 'intj', 'verb']);
+      expect(result.entry.sourceUrls).toEqual(['https://en.wiktionary.org/wiki/hello']);
+    });
+
+    test('should return a null entry when no provider knows the word', async () => {
+      const chain = new DictionaryProviderChain([new StubProvider('remote', 'fail'), new LocalWordListProvider(WORDLIST_PATH)]);
+
+      const result = await chain.lookup('qwzx');
+
+      expect(result.entry).toBeNull();
+      expect(result.providers).toEqual([]);
+    });
+
+    test('should throw when every provider fails', async () => {
+      const chain = new DictionaryProviderChain([new StubProvider('a', 'fail'), new StubProvider('b', 'fail')]);
+
+      await expect(chain.lookup('hello')).rejects.toThrow('All dictionary providers failed');
+    });
+  });
+
+  describe('createProviderChainFromEnv', () => {
+    test('should build the configured provider order', () => {
+      const chain = createProviderChainFromEnv({
+        DICTIONARY_PROVIDERS: 'local, dictionaryapi',
+        DICTIONARY_WORDLIST_PATH: WORDLIST_PATH,
+        DICTIONARY_PROVIDER_TIMEOUT_MS: '1500',
+        DICTIONARY_MERGE_RESULTS: 'true'
+      });
+
+      expect(chain.providers.map(p => p.name)).toEqual(['local', 'dictionaryapi']);
+      expect(chain.providers.every(p => p.timeout === 1500)).toBe(true);
+      expect(chain.mergeResults).toBe(true);
+    });
+
+    test('should default to dictionaryapi.dev only', () => {
+      const chain = createProviderChainFromEnv({});
+      expect(chain.providers.map(p => p.name)).toEqual(['dictionaryapi']);
+    });
+
+    test('should reject unknown providers and missing file paths', () => {
+      expect(() => createProviderChainFromEnv({ DICTIONARY_PROVIDERS: 'oxford' })).toThrow("Unknown dictionary provider 'oxford'");
+      expect(() => createProviderChainFromEnv({ DICTIONARY_PROVIDERS: 'local' })).toThrow('DICTIONARY_WORDLIST_PATH');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const express = require('express');
+const { JSDOM } = require('jsdom');
+const { html, raw, escapeHtml, renderMarkdown, MARKDOWN_ALLOWED_TAGS } = require('../services/html-template');
+
+jest.mock('../services/word-lookup', () => ({
+  lookupWord: jest.fn(),
+  isWordCached: jest.fn(() => false),
+  getCacheSize: jest.fn(() => 0)
+}));
+
+const { lookupWord } = require('../services/word-lookup');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+const HOSTILE_INPUTS = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '"><svg onload=alert(1)>',
+  "'; alert(1); '",
+  '<a href="javascript:alert(1)">click</a>'
+];
+
+// Every element in the rendered markup, excluding the page's own <style>/<script>
+function tagNames(markup) {
+  const dom = new JSDOM(`<body>${markup}</body>`);
+  return [...dom.window.document.body.querySelectorAll('*')].map(el => el.tagName.toLowerCase());
+}
+
+describe('HTML templating', () => {
+  test('escapeHtml should escape markup characters', () => {
+    expect(escapeHtml('<a href="x">\'&`</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#96;&lt;/a&gt;');
+  });
+
+  test('html should escape interpolated values but keep nested templates', () => {
+    const word = '<b>bold</b>';
+    const result = html`<h1>${word}</h1>${html`<p>${'a & b'}</p>`}${raw('<hr>')}`;
+
+    expect(result.toString()).toBe('<h1>&lt;b&gt;bold&lt;/b&gt;</h1><p>a &amp; b</p><hr>');
+  });
+
+  test('html should render arrays and skip empty values', () => {
+    const items = ['<one>', 'two'];
+    const result = html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>${null}${undefined}${false}`;
+
+    expect(result.toString()).toBe('<ul><li>&lt;one&gt;</li><li>two</li></ul>');
+  });
+
+  describe('renderMarkdown', () => {
+    test('should convert common LLM markdown', () => {
+      const result = renderMarkdown('**Hello** comes from *hāl*.\n\n- Old English\n- `hǣl`\n\n1. first\n2. second');
+
+      expect(result.toString()).toBe(
+        '<p><strong>Hello</strong> comes from <em>hāl</em>.</p>' +
+        '<ul><li>Old English</li><li><code>hǣl</code></li></ul>' +
+        '<ol><li>first</li><li>second</li></ol>'
+      );
+    });
+
+    test.each(HOSTILE_INPUTS)('should only emit allowlisted tags for %s', (input) => {
+      const result = renderMarkdown(`**Note:** ${input}\n\n- ${input}`).toString();
+
+      expect(tagNames(result).every(tag => MARKDOWN_ALLOWED_TAGS.includes(tag))).toBe(true);
+      expect(result).not.toMatch(/<(script|img|svg|a)\b/i);
+    });
+
+    test('should render nothing for empty input', () => {
+      expect(renderMarkdown(null).toString()).toBe('');
+    });
+  });
+});
+
+describe('Word page escaping', () => {
+  beforeEach(() => {
+    lookupWord.mockReset();
+  });
+
+  test.each(HOSTILE_INPUTS)('GET /word-usage should neutralize hostile input %s', async (input) => {
+    lookupWord.mockResolvedValue({
+      word: input,
+      found: true,
+      phonetic: null,
+      phonetics: [],
+      meanings: [{
+        partOfSpeech: input,
+        definitions: [{ definition: input, example: input, synonyms: [], antonyms: [] }],
+        synonyms: [],
+        antonyms: []
+      }],
+      sourceUrls: [],
+      providers: ['dictionaryapi'],
+      etymology: `Etymology: ${input}`,
+      suggestion: null,
+      cached: true
+    });
+
+    const response = await request(app).get('/word-usage').query({ word: input });
+
+    expect(response.status).toBe(200);
+    expect(response.text).not.toContain(input);
+    expect(response.text).toContain(escapeHtml(input));
+    const dom = new JSDOM(response.text);
+    expect(dom.window.document.querySelectorAll('script:not([src^="/js/"]), img, svg, a[href^="javascript"]')).toHaveLength(0);
+  });
+
+  test('GET /word-usage should escape the Groq suggestion for unknown words', async () => {
+    lookupWord.mockResolvedValue({
+      word: 'helo',
+      found: false,
+      phonetic: null,
+      phonetics: [],
+      meanings: [],
+      sourceUrls: [],
+      providers: [],
+      etymology: null,
+      suggestion: 'Did you mean **hello**? <script>steal()</script>',
+      cached: true
+    });
+
+    const response = await request(app).get('/word-usage?word=helo');
+
+    expect(response.text).toContain('<strong>hello</strong>');
+    expect(response.text).toContain('&lt;script&gt;steal()&lt;/script&gt;');
+    expect(response.text).not.toContain('<script>steal()');
+  });
+
+  test('GET /word-usage should escape upstream error messages', async () => {
+    lookupWord.mockRejectedValue(new Error('<img src=x onerror=alert(1)>'));
+
+    const response = await request(app).get('/word-usage?word=broken');
+
+    expect(response.status).toBe(500);
+    expect(response.text).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(response.text).not.toContain('<img');
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../services/word-lookup', () => ({
+  lookupWord: jest.fn(),
+  isWordCached: jest.fn(() => false),
+  getCacheSize: jest.fn(() => 0)
+}));
+
+const { lookupWord } = require('../services/word-lookup');
+const { contentEtag, cacheControl, WORD_PAGE_CACHE } = require('../services/http-cache');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+const helloEntry = {
+  word: 'hello',
+  found: true,
+  phonetic: '/həˈləʊ/',
+  phonetics: [],
+  meanings: [{
+    partOfSpeech: 'interjection',
+    definitions: [{ definition: 'A greeting.', example: null, synonyms: [], antonyms: [] }],
+    synonyms: [],
+    antonyms: []
+  }],
+  sourceUrls: [],
+  providers: ['dictionaryapi'],
+  lang: 'en',
+  langSource: 'default',
+  etymology: 'From Old English hāl.',
+  degraded: false,
+  suggestion: null,
+  cached: true
+};
+
+describe('HTTP cache helpers', () => {
+  test('contentEtag should be a strong ETag that follows the content', () => {
+    expect(contentEtag('<p>a</p>')).toMatch(/^"[\w-]{27}"$/);
+    expect(contentEtag('<p>a</p>')).toBe(contentEtag('<p>a</p>'));
+    expect(contentEtag('<p>a</p>')).not.toBe(contentEtag('<p>b</p>'));
+  });
+
+  test('cacheControl should include stale-while-revalidate only when set', () => {
+    expect(cacheControl({ maxAge: 60, staleWhileRevalidate: 600 })).toBe('public, max-age=60, stale-while-revalidate=600');
+    expect(cacheControl({ maxAge: 60, staleWhileRevalidate: 0 })).toBe('public, max-age=60');
+  });
+});
+
+describe('Word page caching', () => {
+  beforeEach(() => {
+    lookupWord.mockReset();
+    lookupWord.mockResolvedValue(helloEntry);
+  });
+
+  test('should send a content-hash ETag and a short max-age', async () => {
+    const response = await request(app).get('/word-usage?word=hello');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['etag']).toBe(contentEtag(response.text));
+    expect(response.headers['cache-control']).toBe(cacheControl(WORD_PAGE_CACHE));
+    expect(response.headers['expires']).toBeUndefined();
+  });
+
+  test('should answer a matching If-None-Match with 304', async () => {
+    const first = await request(app).get('/word-usage?word=hello');
+    const second = await request(app)
+      .get('/word-usage?word=hello')
+      .set('If-None-Match', first.headers['etag']);
+
+    expect(second.status).toBe(304);
+    expect(second.text).toBe('');
+  });
+
+  test('should change the ETag when the content changes', async () => {
+    const first = await request(app).get('/word-usage?word=hello');
+    lookupWord.mockResolvedValue({ ...helloEntry, etymology: 'A newer etymology.' });
+    const second = await request(app)
+      .get('/word-usage?word=hello')
+      .set('If-None-Match', first.headers['etag']);
+
+    expect(second.status).toBe(200);
+    expect(second.headers['etag']).not.toBe(first.headers['etag']);
+  });
+
+  test('should mark degraded pages no-store', async () => {
+    lookupWord.mockResolvedValue({ ...helloEntry, etymology: null, degraded: true });
+    const response = await request(app).get('/word-usage?word=hello');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('no-store');
+  });
+
+  test('should mark the Groq fallback page no-store', async () => {
+    lookupWord.mockResolvedValue({ ...helloEntry, found: false, meanings: [], suggestion: 'Did you mean "hello"?' });
+    const response = await request(app).get('/word-usage?word=helo');
+
+    expect(response.headers['cache-control']).toBe('no-store');
+  });
+
+  test('should mark error pages no-store', async () => {
+    lookupWord.mockRejectedValue(new Error('All dictionary providers failed'));
+    const response = await request(app).get('/word-usage?word=hello');
+
+    expect(response.status).toBe(500);
+    expect(response.headers['cache-control']).toBe('no-store');
+  });
+});
+
+describe('Homepage caching', () => {
+  test('should use a content-hash ETag and answer If-None-Match with 304', async () => {
+    const first = await request(app).get('/');
+
+    expect(first.status).toBe(200);
+    expect(first.headers['etag']).toBe(contentEtag(first.text));
+    expect(first.headers['etag']).not.toBe('"homepage-v1"');
+    expect(first.headers['cache-control']).toMatch(/^public, max-age=\d+, stale-while-revalidate=\d+$/);
+
+    const second = await request(app).get('/').set('If-None-Match', first.headers['etag']);
+    expect(second.status).toBe(304);
+  });
+});
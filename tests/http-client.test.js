@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const {
+  DEFAULT_ALLOWED_HOSTS,
+  EgressBlockedError,
+  HttpClient,
+  isHostAllowed,
+  scrubHeaders,
+  createHttpClientFromEnv,
+  setHttpClient
+} = require('../services/http-client');
+const { DictionaryApiProvider } = require('../services/dictionary-providers');
+const { GeminiProvider, GroqProvider } = require('../services/llm-client');
+const { StatusAggregator } = require('../services/status-aggregator');
+const { MixpanelSink } = require('../services/analytics');
+
+const ROOT = path.join(__dirname, '..');
+
+// Fake fetch that records every call and answers with an empty JSON body
+function recordingFetch(respond = () => ({})) {
+  return jest.fn(async (url, init) => {
+    const { status = 200, headers = {}, body = {} } = respond(url, init);
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+  });
+}
+
+// Server-side JavaScript: everything outside public/, tests and dependencies
+function serverSourceFiles(dir = ROOT) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (['node_modules', 'public', 'tests', 'coverage', '.git'].includes(entry.name)) return [];
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return serverSourceFiles(fullPath);
+    return /\.(js|ts)$/.test(entry.name) && !entry.name.endsWith('.test.js') ? [fullPath] : [];
+  });
+}
+
+describe('HttpClient', () => {
+  test('should refuse hosts that are not allowed without calling them', async () => {
+    const fetch = recordingFetch();
+    const client = new HttpClient({ allowedHosts: ['api.example.com'], fetch });
+
+    const error = await client.fetch('https://webhook.site/abc').catch(e => e);
+
+    expect(error).toBeInstanceOf(EgressBlockedError);
+    expect(error.host).toBe('webhook.site');
+    expect(fetch).not.toHaveBeenCalled();
+    expect((await client.fetch('https://api.example.com/x')).status).toBe(200);
+  });
+
+  test('should match subdomains for "*." entries only', () => {
+    expect(isHostAllowed('eu.api.example.com', ['*.example.com'])).toBe(true);
+    expect(isHostAllowed('API.example.com', ['api.example.com'])).toBe(true);
+    expect(isHostAllowed('evilexample.com', ['*.example.com'])).toBe(false);
+    expect(isHostAllowed('api.example.com.evil.net', ['api.example.com'])).toBe(false);
+  });
+
+  test('should remove headers that describe our visitors or deployment', async () => {
+    const fetch = recordingFetch();
+    const client = new HttpClient({ allowedHosts: ['api.example.com'], fetch });
+
+    await client.fetch('https://api.example.com/x', {
+      headers: { 'User-Agent': 'Dictionary/1.0', Host: 'our.site', 'X-Forwarded-Host': 'our.site', Cookie: 'session=1' }
+    });
+
+    expect(fetch.mock.calls[0][1].headers).toEqual({ 'User-Agent': 'Dictionary/1.0' });
+    expect(scrubHeaders(new Headers({ 'x-real-ip': '1.2.3.4', accept: 'text/html' }))).toEqual({ accept: 'text/html' });
+  });
+
+  test('should check every redirect against the allowlist', async () => {
+    const fetch = recordingFetch(url => (url.includes('/moved')
+      ? { status: 302, headers: { location: 'https://webhook.site/x' } }
+      : { status: 301, headers: { location: '/moved' } }));
+    const client = new HttpClient({ allowedHosts: ['api.example.com'], fetch });
+
+    await expect(client.fetch('https://api.example.com/old')).rejects.toThrow(EgressBlockedError);
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(['https://api.example.com/old', 'https://api.example.com/moved']);
+  });
+
+  test('should log each call without its query string', async () => {
+    const client = new HttpClient({ allowedHosts: ['api.example.com'], fetch: recordingFetch() });
+    console.log.mockClear();
+
+    await client.fetch('https://api.example.com/models?key=secret');
+
+    const logged = console.log.mock.calls.map(args => args.join(' ')).find(line => line.startsWith('Egress'));
+    expect(logged).toMatch(/^Egress GET api\.example\.com\/models 200 \d+ms$/);
+    expect(logged).not.toContain('secret');
+  });
+
+  test('should let unlisted hosts through when asked to, or when not enforcing', async () => {
+    const fetch = recordingFetch();
+
+    await new HttpClient({ allowedHosts: [], fetch }).fetch('https://example.org/', { method: 'HEAD', allowUnlisted: true });
+    await new HttpClient({ allowedHosts: [], fetch, enforce: false }).fetch('https://example.net/');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][1]).not.toHaveProperty('allowUnlisted');
+  });
+
+  test('createHttpClientFromEnv should add hosts to the defaults', () => {
+    const client = createHttpClientFromEnv({ EGRESS_ALLOWED_HOSTS: 'api.example.com, *.example.org', EGRESS_ENFORCE: 'false' });
+
+    expect(client.allowedHosts).toEqual([...DEFAULT_ALLOWED_HOSTS, 'api.example.com', '*.example.org']);
+    expect(client.enforce).toBe(false);
+  });
+});
+
+describe('Egress policy', () => {
+  let fetch;
+
+  beforeEach(() => {
+    fetch = recordingFetch();
+    setHttpClient(new HttpClient({ fetch }));
+    console.warn.mockClear();
+  });
+
+  afterEach(() => {
+    setHttpClient(null);
+  });
+
+  // Fails when a module calls a host that isn't allowed: the call is blocked
+  // before it reaches the fake fetch, and logged
+  function expectOnlyAllowedHosts() {
+    const blocked = console.warn.mock.calls.map(args => args.join(' ')).filter(line => line.startsWith('Egress blocked'));
+    expect(blocked).toEqual([]);
+    for (const [url] of fetch.mock.calls) {
+      expect(DEFAULT_ALLOWED_HOSTS).toContain(new URL(url).hostname);
+    }
+  }
+
+  test('no server module should call fetch() directly', () => {
+    const offenders = serverSourceFiles()
+      .filter(file => !file.endsWith(path.join('services', 'http-client.js')))
+      .filter(file => /(^|[^\w.])fetch\(/m.test(fs.readFileSync(file, 'utf8')))
+      .map(file => path.relative(ROOT, file));
+
+    expect(offenders).toEqual([]);
+  });
+
+  test('the old webhook.site beacons should be gone', () => {
+    const offenders = [...serverSourceFiles(), path.join(ROOT, 'public', 'javascript', 'stickies.js')]
+      .filter(file => fs.readFileSync(file, 'utf8').includes('webhook.site'));
+
+    expect(offenders).toEqual([]);
+  });
+
+  test('dictionary, LLM and status page calls should only reach allowed hosts', async () => {
+    await new DictionaryApiProvider().lookup('hello');
+    await new GeminiProvider({ apiKey: 'test' }).complete({ prompt: 'hi' }).catch(() => {});
+    await new GroqProvider({ apiKey: 'test' }).complete({ prompt: 'hi' }).catch(() => {});
+    await new StatusAggregator().getAggregatedStatus();
+
+    const hosts = new Set(fetch.mock.calls.map(([url]) => new URL(url).hostname));
+    expect(hosts).toEqual(new Set([
+      'api.dictionaryapi.dev',
+      'generativelanguage.googleapis.com',
+      'api.groq.com',
+      'status.openai.com',
+      'status.anthropic.com',
+      'www.cloudflarestatus.com'
+    ]));
+    expectOnlyAllowedHosts();
+  });
+
+  test('the mixpanel analytics sink should go through the egress client', async () => {
+    fetch = recordingFetch(() => ({ body: { status: 1 } }));
+    setHttpClient(new HttpClient({ fetch }));
+
+    await new MixpanelSink({ token: 'token' }).send([{ event: 'A', properties: {} }]);
+
+    expect(fetch.mock.calls.map(([url]) => new URL(url).hostname)).toEqual(['api.mixpanel.com']);
+    expectOnlyAllowedHosts();
+  });
+
+  test('geocoding and tech news routes should only reach allowed hosts', async () => {
+    const router = require('../routes/index');
+    const app = express();
+    app.use('/', router);
+
+    await request(app).get('/api/reverse-geocode?lat=51.5&lon=-0.12');
+    await request(app).get('/api/tech-news?refresh=true');
+
+    expect(fetch.mock.calls.length).toBeGreaterThan(5);
+    expectOnlyAllowedHosts();
+  });
+});
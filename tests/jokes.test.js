@@ -0,0 +1,163 @@
+const request = require('supertest');
+const express = require('express');
+
+const { LLMClient, MockLLMProvider, setLLMClient } = require('../services/llm-client');
+const { ModelRouter, parseTargets, setModelRouter } = require('../services/model-router');
+const { saveJoke, getTopicHistory, rateJoke, publicJoke } = require('../services/joke-store');
+const { getCompletionForWrongWord } = require('../services/groq-ai-client');
+
+describe('Joke store', () => {
+  test('should give served jokes an id and keep a per-topic history', () => {
+    const first = saveJoke({ topic: 'Store Cats', text: 'Cat joke 1', provider: 'groq', model: 'llama', target: 'groq:llama' });
+    const second = saveJoke({ topic: 'store  cats ', text: 'Cat joke 2', provider: 'groq', model: 'llama', target: 'groq:llama' });
+
+    expect(first.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(getTopicHistory('STORE CATS').map(joke => joke.text)).toEqual(['Cat joke 2', 'Cat joke 1']);
+    expect(second.topic).toBe('store cats');
+  });
+
+  test('should reuse the id when the same joke is served again', () => {
+    const first = saveJoke({ topic: 'store reuse', text: 'Same joke', provider: 'groq', model: 'llama', target: 'groq:llama' });
+    const again = saveJoke({ topic: 'store reuse', text: 'Same joke', provider: 'groq', model: 'llama', target: 'groq:llama' });
+
+    expect(again.id).toBe(first.id);
+    expect(getTopicHistory('store reuse')).toHaveLength(1);
+  });
+
+  test('should keep one vote per voter', () => {
+    const joke = saveJoke({ topic: 'store votes', text: 'Vote joke', provider: 'groq', model: 'llama', target: 'groq:llama' });
+
+    rateJoke(joke.id, 'alice', 'up');
+    rateJoke(joke.id, 'alice', 'up');
+    rateJoke(joke.id, 'bob', 'up');
+    const { previous } = rateJoke(joke.id, 'alice', 'down');
+
+    expect(previous).toBe('up');
+    expect(joke.ratings).toEqual({ up: 1, down: 1 });
+    expect(publicJoke(joke).votes).toBeUndefined();
+    expect(rateJoke('missing', 'alice', 'up')).toBeNull();
+  });
+});
+
+describe('Joke API', () => {
+  let app;
+  let prompts;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    prompts = [];
+    let count = 0;
+    setLLMClient(new LLMClient([
+      new MockLLMProvider({
+        name: 'groq',
+        respond: ({ prompt }) => {
+          prompts.push(prompt);
+          return `Joke number ${++count}`;
+        }
+      })
+    ], { maxRetries: 0 }));
+    setModelRouter('joke', new ModelRouter('joke', parseTargets('groq:llama-3.3-70b-versatile'), { policy: 'fallback' }));
+  });
+
+  afterEach(() => {
+    setLLMClient(null);
+    setModelRouter('joke', null);
+  });
+
+  test('GET /joke should return the joke id as a header, or JSON when asked', async () => {
+    const text = await request(app).get('/joke?topic=api ids');
+    expect(text.text).toBe('Joke number 1');
+    expect(text.headers['x-joke-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const json = await request(app).get('/joke?topic=api ids').set('Accept', 'application/json');
+    expect(json.body).toEqual({
+      id: text.headers['x-joke-id'],
+      topic: 'api ids',
+      text: 'Joke number 1',
+      provider: 'groq',
+      model: 'llama-3.3-70b-versatile',
+      target: 'groq:llama-3.3-70b-versatile',
+      template: 'joke@2',
+      createdAt: expect.any(String),
+      ratings: { up: 0, down: 0 }
+    });
+  });
+
+  test('GET /joke should share the cached joke between topics that differ in case', async () => {
+    const first = await request(app).get('/joke?topic=api Case');
+    const second = await request(app).get('/joke?topic=API case');
+
+    expect(second.text).toBe(first.text);
+    expect(prompts).toHaveLength(1);
+  });
+
+  test('another=true should skip the cache and list the jokes already shown', async () => {
+    await request(app).get('/joke?topic=api another');
+    const cached = await request(app).get('/joke?topic=api another');
+    expect(cached.text).toBe('Joke number 1');
+
+    const another = await request(app).get('/joke?topic=api another&another=true');
+    expect(another.text).toBe('Joke number 2');
+    expect(prompts[1]).toContain('Tell a different one:\n- <joke>Joke number 1</joke>');
+
+    const history = await request(app).get('/api/jokes?topic=API Another');
+    expect(history.body.jokes.map(joke => joke.text)).toEqual(['Joke number 2', 'Joke number 1']);
+  });
+
+  test('the stream done event should carry the joke id', async () => {
+    const response = await request(app).get('/joke/stream?topic=api stream id');
+
+    const done = response.text.split('\n\n').find(block => block.startsWith('event: done'));
+    const { id } = JSON.parse(done.split('\n')[1].slice('data: '.length));
+    expect(getTopicHistory('api stream id')[0].id).toBe(id);
+  });
+
+  test('POST /api/jokes/:id/rating should count the vote towards the serving model', async () => {
+    const jokeId = (await request(app).get('/joke?topic=api rating')).headers['x-joke-id'];
+
+    const response = await request(app).post(`/api/jokes/${jokeId}/rating`).send({ rating: 'up' });
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ id: jokeId, rating: 'up', ratings: { up: 1, down: 0 } });
+
+    // Changing your mind moves the vote instead of adding one
+    await request(app).post(`/api/jokes/${jokeId}/rating`).send({ rating: 'down' });
+
+    const stats = await request(app).get('/api/jokes/stats');
+    expect(stats.body).toEqual({
+      policy: 'fallback',
+      targets: [{
+        target: 'groq:llama-3.3-70b-versatile',
+        provider: 'groq',
+        model: 'llama-3.3-70b-versatile',
+        weight: 1,
+        served: 1,
+        failed: 0,
+        up: 0,
+        down: 1,
+        approval: 0
+      }]
+    });
+  });
+
+  test('POST /api/jokes/:id/rating should validate the rating and the joke', async () => {
+    expect((await request(app).post('/api/jokes/nope/rating').send({ rating: 'meh' })).status).toBe(400);
+    expect((await request(app).post('/api/jokes/nope/rating').send({ rating: 'up' })).status).toBe(404);
+  });
+
+  test('Groq spelling suggestions should share the cache entry between spellings that differ in case', async () => {
+    const first = await getCompletionForWrongWord('Jokeyy');
+    const second = await getCompletionForWrongWord('jokeyy');
+
+    expect(second.text).toBe(first.text);
+    expect(prompts).toHaveLength(1);
+  });
+
+  test('GET /api/jokes should require a topic', async () => {
+    expect((await request(app).get('/api/jokes')).status).toBe(400);
+  });
+});
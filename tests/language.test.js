@@ -0,0 +1,42 @@
+const { detectLanguage, normalizeLanguage, resolveLanguage } = require('../services/language');
+
+describe('Language detection', () => {
+  test.each([
+    ['niño', 'es'],
+    ['¿qué', 'es'],
+    ['straße', 'de'],
+    ['größe', 'de'],
+    ['garçon', 'fr'],
+    ['cœur', 'fr'],
+    ['não', 'pt-BR'],
+    ['değil', 'tr'],
+    ['città', 'it'],
+    ['привет', 'ru'],
+    ['مرحبا', 'ar'],
+    ['नमस्ते', 'hi'],
+    ['こんにちは', 'ja'],
+    ['안녕하세요', 'ko']
+  ])('should detect %s as %s', (word, lang) => {
+    expect(detectLanguage(word)).toBe(lang);
+  });
+
+  test('should not guess for plain ASCII words', () => {
+    expect(detectLanguage('hello')).toBeNull();
+    expect(detectLanguage('hola')).toBeNull();
+    expect(detectLanguage('')).toBeNull();
+  });
+
+  test('normalizeLanguage should accept any case and reject unknown codes', () => {
+    expect(normalizeLanguage('ES')).toBe('es');
+    expect(normalizeLanguage('pt-br')).toBe('pt-BR');
+    expect(normalizeLanguage('xx')).toBeNull();
+    expect(normalizeLanguage('')).toBeNull();
+  });
+
+  test('resolveLanguage should prefer the explicit language, then detection, then English', () => {
+    expect(resolveLanguage('niño', 'fr')).toEqual({ lang: 'fr', source: 'param' });
+    expect(resolveLanguage('niño')).toEqual({ lang: 'es', source: 'detected' });
+    expect(resolveLanguage('hello', 'unknown')).toEqual({ lang: 'en', source: 'default' });
+    expect(resolveLanguage('hello')).toEqual({ lang: 'en', source: 'default' });
+  });
+});
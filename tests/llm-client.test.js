@@ -0,0 +1,410 @@
+const request = require('supertest');
+const express = require('express');
+
+const {
+  LLMClient,
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMResponseError,
+  LLMProvider,
+  GeminiProvider,
+  GroqProvider,
+  MockLLMProvider,
+  createLLMClientFromEnv,
+  createThinkingFilter,
+  setLLMClient
+} = require('../services/llm-client');
+
+// Provider that fails with the given errors before answering
+class FlakyProvider extends LLMProvider {
+  constructor(errors) {
+    super('flaky');
+    this.errors = [...errors];
+    this.calls = 0;
+  }
+
+  async complete() {
+    this.calls++;
+    if (this.errors.length > 0) throw this.errors.shift();
+    return { text: 'ok', model: 'flaky-1', finishReason: 'stop', usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 } };
+  }
+}
+
+// Streaming provider that fails with `error` after yielding `chunks`
+class BrokenStreamProvider extends LLMProvider {
+  constructor(chunks, error) {
+    super('broken');
+    this.chunks = chunks;
+    this.error = error;
+    this.calls = 0;
+  }
+
+  async *stream() {
+    this.calls++;
+    for (const text of this.chunks) yield { text };
+    throw this.error;
+  }
+}
+
+async function collectTokens(client, request) {
+  const tokens = [];
+  const result = await client.stream({ ...request, onToken: text => tokens.push(text) });
+  return { tokens, result };
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    json: async () => body
+  };
+}
+
+describe('LLMClient', () => {
+  test('should return the common response shape', async () => {
+    const client = new LLMClient([new MockLLMProvider({ name: 'gemini', respond: () => 'A joke.' })]);
+    const response = await client.complete({ provider: 'gemini', prompt: 'Tell me a joke' });
+
+    expect(response).toMatchObject({
+      text: 'A joke.',
+      provider: 'gemini',
+      model: 'mock-1',
+      finishReason: 'stop',
+      attempts: 1
+    });
+    expect(response.usage.totalTokens).toBeGreaterThan(0);
+    expect(typeof response.latencyMs).toBe('number');
+  });
+
+  test('should strip <think> reasoning from the text', async () => {
+    const client = new LLMClient([new MockLLMProvider({ respond: () => '<think>pun time</think>\nWhy did the cache miss?' })]);
+    const response = await client.complete({ provider: 'mock', prompt: 'cache' });
+
+    expect(response.text).toBe('Why did the cache miss?');
+  });
+
+  test('should retry retryable errors with backoff', async () => {
+    const provider = new FlakyProvider([
+      new LLMRateLimitError('slow down', { provider: 'flaky', status: 429 }),
+      new Error('socket hang up')
+    ]);
+    const client = new LLMClient([provider], { maxRetries: 2, retryDelay: 0 });
+
+    const response = await client.complete({ provider: 'flaky', prompt: 'hi' });
+    expect(response.text).toBe('ok');
+    expect(response.attempts).toBe(3);
+  });
+
+  test('should not retry non-retryable errors', async () => {
+    const provider = new FlakyProvider([new LLMAuthError('bad key', { provider: 'flaky', status: 401 })]);
+    const client = new LLMClient([provider], { maxRetries: 2, retryDelay: 0 });
+
+    await expect(client.complete({ provider: 'flaky', prompt: 'hi' })).rejects.toBeInstanceOf(LLMAuthError);
+    expect(provider.calls).toBe(1);
+  });
+
+  test('should give up after maxRetries and wrap unknown errors', async () => {
+    const provider = new FlakyProvider([new Error('down'), new Error('down'), new Error('down')]);
+    const client = new LLMClient([provider], { maxRetries: 1, retryDelay: 0 });
+
+    const error = await client.complete({ provider: 'flaky', prompt: 'hi' }).catch(e => e);
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.message).toBe('flaky request failed: down');
+    expect(error.provider).toBe('flaky');
+    expect(provider.calls).toBe(2);
+  });
+
+  test('should time out slow attempts and abort them', async () => {
+    let signal;
+    const slow = new MockLLMProvider({
+      name: 'slow',
+      respond: (request) => {
+        signal = request.signal;
+        return new Promise(() => {});
+      }
+    });
+    const client = new LLMClient([slow], { timeout: 20, maxRetries: 0 });
+
+    await expect(client.complete({ provider: 'slow', prompt: 'hi' })).rejects.toBeInstanceOf(LLMTimeoutError);
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('should throw a config error for unknown providers', async () => {
+    const client = new LLMClient([]);
+    await expect(client.complete({ provider: 'gemini', prompt: 'hi' })).rejects.toBeInstanceOf(LLMConfigError);
+  });
+
+  test('createLLMClientFromEnv should register providers with API keys', () => {
+    const client = createLLMClientFromEnv({ GEMINI_API_KEY: 'key' });
+    expect(client.hasProvider('gemini')).toBe(true);
+    expect(client.hasProvider('groq')).toBe(false);
+
+    const mockClient = createLLMClientFromEnv({ LLM_MOCK: 'true' });
+    expect(mockClient.getProvider('groq')).toBeInstanceOf(MockLLMProvider);
+  });
+});
+
+describe('GeminiProvider', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should normalize text, model and usage', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, {
+      candidates: [{ content: { parts: [{ text: 'From Old English ' }, { text: 'hāl.' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 },
+      modelVersion: 'gemini-2.0-flash-001'
+    }));
+    const provider = new GeminiProvider({ apiKey: 'key' });
+
+    const result = await provider.complete({ prompt: 'hello', system: 'Be brief' });
+    expect(result).toEqual({
+      text: 'From Old English hāl.',
+      model: 'gemini-2.0-flash-001',
+      finishReason: 'STOP',
+      usage: { inputTokens: 12, outputTokens: 5, totalTokens: 17 }
+    });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=key');
+    expect(JSON.parse(init.body).system_instruction).toEqual({ parts: [{ text: 'Be brief' }] });
+  });
+
+  test('should map HTTP errors to typed errors', async () => {
+    const provider = new GeminiProvider({ apiKey: 'key' });
+
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(429, { error: { message: 'Quota exceeded' } }, { 'retry-after': '2' }));
+    const rateLimit = await provider.complete({ prompt: 'hi' }).catch(e => e);
+    expect(rateLimit).toBeInstanceOf(LLMRateLimitError);
+    expect(rateLimit.retryAfterMs).toBe(2000);
+    expect(rateLimit.message).toBe('Quota exceeded');
+
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(403, {}));
+    await expect(provider.complete({ prompt: 'hi' })).rejects.toBeInstanceOf(LLMAuthError);
+
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(503, {}));
+    const serverError = await provider.complete({ prompt: 'hi' }).catch(e => e);
+    expect(serverError.retryable).toBe(true);
+  });
+
+  test('should reject blocked responses', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { promptFeedback: { blockReason: 'SAFETY' } }));
+    const provider = new GeminiProvider({ apiKey: 'key' });
+
+    const error = await provider.complete({ prompt: 'hi' }).catch(e => e);
+    expect(error).toBeInstanceOf(LLMResponseError);
+    expect(error.message).toBe('Gemini returned no text (SAFETY)');
+  });
+});
+
+describe('GroqProvider', () => {
+  test('should normalize the completion', async () => {
+    const create = jest.fn().mockResolvedValue({
+      model: 'openai/gpt-oss-120b',
+      choices: [{ message: { content: '<think>pun time</think>\nWhy did the cache miss?' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 20, completion_tokens: 8, total_tokens: 28 }
+    });
+    const provider = new GroqProvider({ client: { chat: { completions: { create } } } });
+
+    const result = await provider.complete({ prompt: 'cache', system: 'Be funny', model: 'openai/gpt-oss-120b' });
+    expect(result).toEqual({
+      text: '<think>pun time</think>\nWhy did the cache miss?',
+      model: 'openai/gpt-oss-120b',
+      finishReason: 'stop',
+      usage: { inputTokens: 20, outputTokens: 8, totalTokens: 28 }
+    });
+    expect(create.mock.calls[0][0].messages).toEqual([
+      { role: 'system', content: 'Be funny' },
+      { role: 'user', content: 'cache' }
+    ]);
+  });
+
+  test('should map SDK errors with a status to typed errors', async () => {
+    const error = Object.assign(new Error('Rate limit reached'), { status: 429, headers: { 'retry-after': '1' } });
+    const create = jest.fn().mockRejectedValue(error);
+    const provider = new GroqProvider({ client: { chat: { completions: { create } } } });
+
+    const result = await provider.complete({ prompt: 'hi' }).catch(e => e);
+    expect(result).toBeInstanceOf(LLMRateLimitError);
+    expect(result.retryAfterMs).toBe(1000);
+  });
+});
+
+describe('createThinkingFilter', () => {
+  function filterChunks(chunks) {
+    const filter = createThinkingFilter();
+    return chunks.map(chunk => filter.push(chunk)).join('') + filter.flush();
+  }
+
+  test('should strip <think> blocks split across chunks', () => {
+    expect(filterChunks(['<thi', 'nk>let me', ' think</th', 'ink>\n\nWhy did ', 'the cat <', 'b>sit?'])).toBe('Why did the cat <b>sit?');
+  });
+
+  test('should hold back text that may start a tag until it is complete', () => {
+    const filter = createThinkingFilter();
+
+    expect(filter.push('A joke <')).toBe('A joke ');
+    expect(filter.push('th')).toBe('');
+    expect(filter.push('ink>hidden</think> ends')).toBe(' ends');
+    expect(filter.flush()).toBe('');
+  });
+
+  test('should drop an unterminated <think> block', () => {
+    expect(filterChunks(['Answer', '<think>never closed'])).toBe('Answer');
+  });
+});
+
+describe('LLMClient streaming', () => {
+  test('should stream visible tokens and return the full response', async () => {
+    const client = new LLMClient([new MockLLMProvider({
+      name: 'groq',
+      respond: () => ['<think>hm', 'm</think>', 'Why did ', 'the dog ', 'bark?']
+    })]);
+
+    const { tokens, result } = await collectTokens(client, { provider: 'groq', prompt: 'dogs', model: 'llama' });
+    expect(tokens.join('')).toBe('Why did the dog bark?');
+    expect(result).toMatchObject({
+      text: 'Why did the dog bark?',
+      provider: 'groq',
+      model: 'llama',
+      finishReason: 'stop',
+      attempts: 1
+    });
+  });
+
+  test('should fall back to one chunk for providers without streaming', async () => {
+    const client = new LLMClient([new FlakyProvider([])]);
+
+    const { tokens, result } = await collectTokens(client, { provider: 'flaky', prompt: 'hi' });
+    expect(tokens).toEqual(['ok']);
+    expect(result.text).toBe('ok');
+  });
+
+  test('should retry failures before the first token', async () => {
+    const provider = new FlakyProvider([new LLMTimeoutError('slow', { retryable: true })]);
+    const client = new LLMClient([provider], { retryDelay: 1 });
+
+    const { tokens } = await collectTokens(client, { provider: 'flaky', prompt: 'hi' });
+    expect(tokens).toEqual(['ok']);
+    expect(provider.calls).toBe(2);
+  });
+
+  test('should not retry once tokens have been sent', async () => {
+    const provider = new BrokenStreamProvider(['Half a '], new LLMError('connection reset', { retryable: true }));
+    const client = new LLMClient([provider], { retryDelay: 1 });
+    const tokens = [];
+
+    await expect(client.stream({ provider: 'broken', prompt: 'hi', onToken: text => tokens.push(text) }))
+      .rejects.toThrow('connection reset');
+    expect(tokens).toEqual(['Half a ']);
+    expect(provider.calls).toBe(1);
+  });
+
+  test('should time out when a chunk takes too long', async () => {
+    class StalledProvider extends LLMProvider {
+      async *stream({ signal }) {
+        yield { text: 'Once ' };
+        await new Promise(resolve => signal.addEventListener('abort', resolve));
+      }
+    }
+    const client = new LLMClient([new StalledProvider('stalled')], { timeout: 20, maxRetries: 0 });
+
+    await expect(client.stream({ provider: 'stalled', prompt: 'hi', onToken: () => {} }))
+      .rejects.toBeInstanceOf(LLMTimeoutError);
+  });
+
+  test('should reject streams without text', async () => {
+    const client = new LLMClient([new MockLLMProvider({ name: 'groq', respond: () => ['<think>only thoughts</think>'] })]);
+
+    await expect(client.stream({ provider: 'groq', prompt: 'hi', onToken: () => {} }))
+      .rejects.toBeInstanceOf(LLMResponseError);
+  });
+});
+
+describe('Provider streaming', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('GeminiProvider should parse the server-sent event body', async () => {
+    const encoder = new TextEncoder();
+    const events = [
+      { candidates: [{ content: { parts: [{ text: 'From Old ' }] } }], modelVersion: 'gemini-2.0-flash-001' },
+      { candidates: [{ content: { parts: [{ text: 'English hāl.' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 } }
+    ].map(event => `data: ${JSON.stringify(event)}\r\n\r\n`).join('');
+    // Split mid-event to check that lines are reassembled
+    const body = [encoder.encode(events.slice(0, 30)), encoder.encode(events.slice(30))];
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, body });
+    const provider = new GeminiProvider({ apiKey: 'key' });
+
+    const chunks = [];
+    for await (const chunk of provider.stream({ prompt: 'hello' })) chunks.push(chunk);
+
+    expect(chunks.map(chunk => chunk.text).join('')).toBe('From Old English hāl.');
+    expect(chunks[1]).toMatchObject({ finishReason: 'STOP', usage: { inputTokens: 12, outputTokens: 5, totalTokens: 17 } });
+    expect(global.fetch.mock.calls[0][0]).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse&key=key');
+  });
+
+  test('GroqProvider should request a stream and read deltas', async () => {
+    async function* completion() {
+      yield { model: 'llama-3.3-70b-versatile', choices: [{ delta: { content: 'Knock ' } }] };
+      yield { model: 'llama-3.3-70b-versatile', choices: [{ delta: { content: 'knock' }, finish_reason: 'stop' }], x_groq: { usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 } } };
+    }
+    const create = jest.fn().mockResolvedValue(completion());
+    const provider = new GroqProvider({ client: { chat: { completions: { create } } } });
+
+    const chunks = [];
+    for await (const chunk of provider.stream({ prompt: 'doors' })) chunks.push(chunk);
+
+    expect(create.mock.calls[0][0].stream).toBe(true);
+    expect(chunks.map(chunk => chunk.text).join('')).toBe('Knock knock');
+    expect(chunks[1].usage).toEqual({ inputTokens: 9, outputTokens: 2, totalTokens: 11 });
+  });
+});
+
+describe('GET /joke', () => {
+  let app;
+
+  beforeAll(() => {
+    setLLMClient(new LLMClient([
+      new MockLLMProvider({ name: 'gemini', respond: ({ prompt }) => `Gemini joke for ${prompt}` }),
+      new MockLLMProvider({ name: 'groq', respond: () => '<think>hmm</think>Groq joke' })
+    ], { maxRetries: 0 }));
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  afterAll(() => {
+    setLLMClient(null);
+  });
+
+  test('should return the joke text from Groq', async () => {
+    const response = await request(app).get('/joke?topic=cats&model=groq');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('Groq joke');
+  });
+
+  test('should return the joke text from Gemini', async () => {
+    const response = await request(app).get('/joke?topic=dogs&model=gemini');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('Gemini joke for Tell me a joke about this topic: <topic>dogs</topic>');
+    expect(response.headers['x-prompt-template']).toBe('joke@2');
+  });
+
+  test('should return 500 when the provider fails', async () => {
+    setLLMClient(new LLMClient([], { maxRetries: 0 }));
+    const response = await request(app).get('/joke?topic=birds');
+
+    expect(response.status).toBe(500);
+    expect(response.text).toBe('Failed to get a joke');
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const express = require('express');
+
+const { LLMClient, LLMProvider, LLMError, MockLLMProvider, setLLMClient } = require('../services/llm-client');
+const { ModelRouter, parseTargets, setModelRouter } = require('../services/model-router');
+
+// Parse a text/event-stream body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+// Gemini provider that streams part of an answer, then drops the connection
+class DroppingProvider extends LLMProvider {
+  constructor() {
+    super('gemini');
+  }
+
+  async *stream() {
+    yield { text: 'Why did the ' };
+    throw new LLMError('connection reset', { provider: 'gemini', retryable: true });
+  }
+}
+
+describe('Streaming endpoints', () => {
+  let app;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    setLLMClient(null);
+    setModelRouter('joke', null);
+  });
+
+  describe('GET /joke/stream', () => {
+    test('should stream tokens with <think> removed, then done', async () => {
+      setLLMClient(new LLMClient([
+        new MockLLMProvider({ name: 'groq', respond: () => ['<thi', 'nk>pun?</th', 'ink>Why did ', 'the owl ', 'hoot?'] })
+      ], { maxRetries: 0 }));
+
+      const response = await request(app).get('/joke/stream?topic=owls&model=groq:llama-3.3-70b-versatile');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+      expect(response.headers['cache-control']).toBe('no-store');
+      const events = parseEvents(response.text);
+      expect(events.filter(e => e.event === 'token').map(e => e.data.text).join('')).toBe('Why did the owl hoot?');
+      expect(events[events.length - 1]).toEqual({
+        event: 'done',
+        data: { id: expect.any(String), provider: 'groq', model: 'llama-3.3-70b-versatile', template: 'joke@2' }
+      });
+    });
+
+    test('should fall back to Gemini when Groq fails before the first token', async () => {
+      setLLMClient(new LLMClient([
+        new MockLLMProvider({ name: 'gemini', respond: () => ['Gemini ', 'joke'] })
+      ], { maxRetries: 0 }));
+      setModelRouter('joke', new ModelRouter('joke', parseTargets('groq:llama-3.3-70b-versatile,gemini:gemini-2.0-flash'), { policy: 'fallback' }));
+
+      const events = parseEvents((await request(app).get('/joke/stream?topic=stream-fallback')).text);
+
+      expect(events.filter(e => e.event === 'token').map(e => e.data.text).join('')).toBe('Gemini joke');
+      expect(events[events.length - 1].data).toMatchObject({ provider: 'gemini', model: 'gemini-2.0-flash' });
+    });
+
+    test('should send an error event instead of falling back mid-joke', async () => {
+      const groq = new MockLLMProvider({ name: 'groq', respond: () => 'Groq joke' });
+      const groqStream = jest.spyOn(groq, 'stream');
+      setLLMClient(new LLMClient([new DroppingProvider(), groq], { maxRetries: 0 }));
+      setModelRouter('joke', new ModelRouter('joke', parseTargets('gemini:gemini-2.0-flash,groq:llama-3.3-70b-versatile'), { policy: 'fallback' }));
+
+      const events = parseEvents((await request(app).get('/joke/stream?topic=stream-dropped')).text);
+
+      expect(events).toEqual([
+        { event: 'token', data: { text: 'Why did the ' } },
+        { event: 'error', data: { message: 'Failed to get a joke' } }
+      ]);
+      expect(groqStream).not.toHaveBeenCalled();
+    });
+
+    test('should validate the topic and model before streaming', async () => {
+      expect((await request(app).get('/joke/stream')).status).toBe(400);
+      expect((await request(app).get('/joke/stream?topic=cats&model=openai')).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/words/:word/etymology/stream', () => {
+    test('should stream the etymology and finish with rendered markdown', async () => {
+      setLLMClient(new LLMClient([
+        new MockLLMProvider({ name: 'gemini', respond: () => ['From **Old', ' English** <i>hāl</i>.'] })
+      ], { maxRetries: 0 }));
+
+      const response = await request(app).get('/api/words/whole/etymology/stream?lang=en');
+
+      const events = parseEvents(response.text);
+      expect(events.filter(e => e.event === 'token').map(e => e.data.text).join('')).toBe('From **Old English** <i>hāl</i>.');
+      expect(events[events.length - 1]).toEqual({
+        event: 'done',
+        data: { html: '<p>From <strong>Old English</strong> &lt;i&gt;hāl&lt;/i&gt;.</p>' }
+      });
+    });
+
+    test('should return 503 when Gemini is not configured', async () => {
+      setLLMClient(new LLMClient([]));
+
+      const response = await request(app).get('/api/words/whole/etymology/stream');
+
+      expect(response.status).toBe(503);
+      expect(response.body.error).toBe('Etymology unavailable');
+    });
+
+    test('should reject unsupported languages', async () => {
+      const response = await request(app).get('/api/words/whole/etymology/stream?lang=xx');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const express = require('express');
+
+const { LLMUsageStore, estimateCost, parseBudgets, createUsageStoreFromEnv } = require('../services/llm-usage');
+const { LLMClient, LLMBudgetError, LLMResponseError, LLMProvider, MockLLMProvider, setLLMClient } = require('../services/llm-client');
+const { ModelRouter, parseTargets, setModelRouter } = require('../services/model-router');
+const { saveJoke } = require('../services/joke-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Clock the tests can move forward
+function fakeClock(start = Date.parse('2025-03-01T12:00:00Z')) {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+}
+
+class FailingProvider extends LLMProvider {
+  constructor() {
+    super('groq', { defaultModel: 'llama-3.3-70b-versatile' });
+  }
+
+  async complete() {
+    throw new LLMResponseError('Groq returned no text', { provider: 'groq' });
+  }
+}
+
+describe('LLMUsageStore', () => {
+  test('estimateCost should price input and output tokens per million', () => {
+    expect(estimateCost('gemini-2.0-flash', { inputTokens: 1e6, outputTokens: 1e6 })).toBeCloseTo(0.5);
+    expect(estimateCost('unknown-model', { inputTokens: 10, outputTokens: 10 })).toBeNull();
+  });
+
+  test('should roll calls up per day by provider, model and route', () => {
+    const now = fakeClock();
+    const store = new LLMUsageStore({ now });
+    store.record({ provider: 'gemini', model: 'gemini-2.0-flash', usage: { inputTokens: 1000, outputTokens: 500 }, latencyMs: 100 });
+    store.record({ provider: 'groq', model: 'custom-model', usage: { inputTokens: 10, outputTokens: 5 }, latencyMs: 300, error: new Error('x') });
+    now.time += DAY;
+    store.record({ provider: 'gemini', model: 'gemini-2.0-flash', usage: { inputTokens: 1000, outputTokens: 0 }, latencyMs: 50 });
+
+    const summary = store.getSummary();
+
+    expect(summary.days.map(day => day.date)).toEqual(['2025-03-02', '2025-03-01']);
+    expect(summary.days[1].total).toEqual({
+      calls: 2,
+      errors: 1,
+      inputTokens: 1010,
+      outputTokens: 505,
+      totalTokens: 1515,
+      costUsd: 0.0003,
+      unpricedCalls: 1,
+      avgLatencyMs: 200
+    });
+    expect(summary.days[1].byProvider.groq.errors).toBe(1);
+    expect(summary.byModel['gemini:gemini-2.0-flash']).toMatchObject({ calls: 2, inputTokens: 2000, costUsd: 0.0004 });
+    // Calls made outside a request are grouped together
+    expect(summary.byRoute.other.calls).toBe(3);
+    expect(summary.recent[0]).toMatchObject({ provider: 'gemini', route: 'other', ok: true });
+  });
+
+  test('should only keep the configured number of days', () => {
+    const now = fakeClock();
+    const store = new LLMUsageStore({ now, retentionDays: 2 });
+    for (let i = 0; i < 3; i++) {
+      store.record({ provider: 'gemini', model: 'gemini-2.0-flash', usage: {} });
+      now.time += DAY;
+    }
+
+    expect([...store.days.keys()]).toEqual(['2025-03-02', '2025-03-03']);
+  });
+
+  test('should report provider and total budgets once they are used up', () => {
+    const now = fakeClock();
+    const store = new LLMUsageStore({ now, dailyBudget: 1, providerBudgets: { groq: 0.5 } });
+    store.record({ provider: 'groq', model: 'llama-3.3-70b-versatile', usage: { inputTokens: 1e6 } });
+
+    expect(store.exceededBudget('groq')).toEqual({ scope: 'groq', limitUsd: 0.5, spentUsd: 0.59 });
+    expect(store.exceededBudget('gemini')).toBeNull();
+
+    store.record({ provider: 'gemini', model: 'gemini-2.0-flash', usage: { outputTokens: 1e6 } });
+    expect(store.exceededBudget('gemini')).toBeNull();
+    store.record({ provider: 'gemini', model: 'gemini-2.0-flash', usage: { outputTokens: 1e5 } });
+    expect(store.exceededBudget('gemini')).toEqual({ scope: 'total', limitUsd: 1, spentUsd: 1.03 });
+    expect(store.getSummary().budgets.exceeded.map(b => b.scope)).toEqual(['groq', 'total']);
+
+    // Budgets are daily
+    now.time += DAY;
+    expect(store.exceededBudget('groq')).toBeNull();
+  });
+
+  test('createUsageStoreFromEnv should read the budgets', () => {
+    const store = createUsageStoreFromEnv({ LLM_DAILY_BUDGET_USD: '5', LLM_PROVIDER_BUDGETS_USD: 'gemini=2, groq=0.5' });
+
+    expect(store.dailyBudget).toBe(5);
+    expect(store.providerBudgets).toEqual({ gemini: 2, groq: 0.5 });
+    expect(createUsageStoreFromEnv({}).dailyBudget).toBeNull();
+    expect(() => parseBudgets('gemini')).toThrow('Expected provider=amount');
+  });
+});
+
+describe('LLMClient usage accounting', () => {
+  test('should record completed, streamed and failed calls', async () => {
+    const usage = new LLMUsageStore();
+    const client = new LLMClient([
+      new MockLLMProvider({ name: 'gemini', respond: () => 'An answer' }),
+      new FailingProvider()
+    ], { maxRetries: 0, usage });
+
+    await client.complete({ provider: 'gemini', prompt: 'hello', model: 'gemini-2.0-flash', template: 'joke@1' });
+    await client.stream({ provider: 'gemini', prompt: 'hello', model: 'gemini-2.0-flash', onToken: () => {} });
+    await expect(client.complete({ provider: 'groq', prompt: 'hello' })).rejects.toThrow(LLMResponseError);
+
+    const [failed, streamed, completed] = usage.recent;
+    expect(completed).toMatchObject({ provider: 'gemini', model: 'gemini-2.0-flash', template: 'joke@1', inputTokens: 2, ok: true });
+    expect(streamed).toMatchObject({ provider: 'gemini', model: 'gemini-2.0-flash', ok: true });
+    expect(failed).toMatchObject({ provider: 'groq', model: 'llama-3.3-70b-versatile', ok: false, error: 'LLMResponseError' });
+  });
+
+  test('should refuse calls once the budget is used up', async () => {
+    const usage = new LLMUsageStore({ providerBudgets: { gemini: 0 } });
+    const client = new LLMClient([new MockLLMProvider({ name: 'gemini' })], { usage });
+
+    const error = await client.complete({ provider: 'gemini', prompt: 'hello' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LLMBudgetError);
+    expect(error.budget).toEqual({ scope: 'gemini', limitUsd: 0, spentUsd: 0 });
+    expect(client.overBudget('gemini')).toBe(true);
+    expect(usage.recent).toHaveLength(0);
+  });
+});
+
+describe('LLM usage endpoints and budgets', () => {
+  let app;
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  beforeEach(() => {
+    setModelRouter('joke', new ModelRouter('joke', parseTargets('groq:llama-3.3-70b-versatile,gemini:gemini-2.0-flash'), { policy: 'fallback' }));
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setLLMClient(null);
+    setModelRouter('joke', null);
+  });
+
+  function useClient(usage) {
+    setLLMClient(new LLMClient([
+      new MockLLMProvider({ name: 'groq', respond: () => 'Groq joke' }),
+      new MockLLMProvider({ name: 'gemini', respond: () => 'Gemini etymology' })
+    ], { maxRetries: 0, usage }));
+  }
+
+  test('GET /api/admin/llm-usage should roll usage up per route', async () => {
+    useClient(new LLMUsageStore());
+    await request(app).get('/joke?topic=usage route');
+    await request(app).get('/joke/stream?topic=usage stream');
+
+    process.env.ADMIN_AUTH_DISABLED = 'true';
+    const response = await request(app).get('/api/admin/llm-usage?days=1');
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body.byRoute).sort()).toEqual(['GET /joke', 'GET /joke/stream']);
+    expect(response.body.byRoute['GET /joke']).toMatchObject({ calls: 1, errors: 0 });
+    expect(response.body.days[0].byProvider.groq.calls).toBe(2);
+    expect(response.body.recent[0].template).toBe('joke@2');
+  });
+
+  test('GET /api/admin/llm-usage should require the admin password when one is set', async () => {
+    process.env.ADMIN_PASSWORD = 'secret';
+
+    expect((await request(app).get('/api/admin/llm-usage')).status).toBe(401);
+    expect((await request(app).get('/api/admin/llm-usage').auth('admin', 'wrong')).status).toBe(401);
+    expect((await request(app).get('/api/admin/llm-usage').auth('admin', 'secret')).status).toBe(200);
+  });
+
+  test('GET /api/admin/llm-usage should be closed when no admin password is set', async () => {
+    delete process.env.ADMIN_PASSWORD;
+    delete process.env.ADMIN_AUTH_DISABLED;
+    expect((await request(app).get('/api/admin/llm-usage')).status).toBe(503);
+
+    process.env.ADMIN_AUTH_DISABLED = 'true';
+    process.env.NODE_ENV = 'production';
+    expect((await request(app).get('/api/admin/llm-usage')).status).toBe(503);
+
+    process.env.NODE_ENV = 'development';
+    expect((await request(app).get('/api/admin/llm-usage')).status).toBe(200);
+  });
+
+  test('/joke should repeat a joke for the topic once every budget is used up', async () => {
+    useClient(new LLMUsageStore({ dailyBudget: 0 }));
+    const told = saveJoke({ topic: 'usage budget', text: 'An old joke', provider: 'groq', model: 'llama', target: 'groq:llama' });
+
+    const response = await request(app).get('/joke?topic=usage budget');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('An old joke');
+    expect(response.headers['x-llm-budget']).toBe('exceeded');
+    expect(response.headers['x-joke-id']).toBe(told.id);
+  });
+
+  test('/joke/stream should send a stock joke without an id once the budget is used up', async () => {
+    useClient(new LLMUsageStore({ dailyBudget: 0 }));
+
+    const response = await request(app).get('/joke/stream?topic=usage never told');
+
+    const events = response.text.split('\n\n').filter(block => block.startsWith('event:'));
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatch(/^event: token/);
+    expect(events[1]).toBe('event: done\ndata: {"id":null,"fallback":true}');
+  });
+
+  test('/joke should fall back to the provider that still has budget', async () => {
+    useClient(new LLMUsageStore({ providerBudgets: { groq: 0 } }));
+
+    const response = await request(app).get('/joke?topic=usage provider budget');
+
+    expect(response.headers['x-llm-provider']).toBe('gemini');
+  });
+
+  test('the etymology stream should return 503 once the Gemini budget is used up', async () => {
+    useClient(new LLMUsageStore({ providerBudgets: { gemini: 0 } }));
+
+    const response = await request(app).get('/api/words/budget/etymology/stream');
+
+    expect(response.status).toBe(503);
+    expect(response.body.message).toContain('budget');
+  });
+});
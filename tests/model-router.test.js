@@ -0,0 +1,225 @@
+const request = require('supertest');
+const express = require('express');
+
+const {
+  ModelRouter,
+  parseTargets,
+  createRouterFromEnv,
+  setModelRouter
+} = require('../services/model-router');
+const {
+  LLMClient,
+  LLMConfigError,
+  LLMResponseError,
+  MockLLMProvider,
+  setLLMClient
+} = require('../services/llm-client');
+
+const TARGETS = 'groq:llama-3.3-70b-versatile=3,groq:openai/gpt-oss-120b=1,gemini:gemini-2.0-flash=1';
+
+describe('parseTargets', () => {
+  test('should parse provider, model and weight', () => {
+    expect(parseTargets('groq:openai/gpt-oss-120b=2, gemini:gemini-2.0-flash')).toEqual([
+      { provider: 'groq', model: 'openai/gpt-oss-120b', weight: 2, id: 'groq:openai/gpt-oss-120b' },
+      { provider: 'gemini', model: 'gemini-2.0-flash', weight: 1, id: 'gemini:gemini-2.0-flash' }
+    ]);
+  });
+
+  test('should reject malformed entries', () => {
+    expect(() => parseTargets('groq')).toThrow('Invalid model target');
+  });
+});
+
+describe('ModelRouter', () => {
+  const ids = plan => plan.targets.map(t => t.id);
+
+  test('should reject unknown policies and empty target lists', () => {
+    expect(() => new ModelRouter('joke', parseTargets(TARGETS), { policy: 'random' })).toThrow('Unknown routing policy');
+    expect(() => new ModelRouter('joke', [])).toThrow('at least one target');
+  });
+
+  test('weighted policy should pick the same target for the same key', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS));
+    const first = router.plan({ requestKey: 'cats' }).targets[0];
+
+    for (let i = 0; i < 5; i++) {
+      expect(router.plan({ requestKey: 'cats' }).targets[0]).toBe(first);
+    }
+  });
+
+  test('weighted policy should split keys roughly by weight', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS));
+    const counts = {};
+    for (let i = 0; i < 1000; i++) {
+      const { id } = router.plan({ requestKey: `topic-${i}` }).targets[0];
+      counts[id] = (counts[id] || 0) + 1;
+    }
+
+    expect(counts['groq:llama-3.3-70b-versatile']).toBeGreaterThan(500);
+    expect(counts['groq:openai/gpt-oss-120b']).toBeGreaterThan(100);
+    expect(counts['gemini:gemini-2.0-flash']).toBeGreaterThan(100);
+  });
+
+  test('sticky policy should keep a user on one target across requests', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { policy: 'sticky' });
+    const first = router.plan({ userKey: 'user-1', requestKey: 'cats' }).targets[0];
+
+    expect(router.plan({ userKey: 'user-1', requestKey: 'dogs' }).targets[0]).toBe(first);
+  });
+
+  test('cheapest policy should try targets from cheapest to most expensive', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { policy: 'cheapest' });
+
+    expect(ids(router.plan())).toEqual([
+      'gemini:gemini-2.0-flash',
+      'groq:openai/gpt-oss-120b',
+      'groq:llama-3.3-70b-versatile'
+    ]);
+  });
+
+  test('fallback policy should try other providers before other models', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { policy: 'fallback' });
+
+    expect(ids(router.plan())).toEqual([
+      'groq:llama-3.3-70b-versatile',
+      'gemini:gemini-2.0-flash',
+      'groq:openai/gpt-oss-120b'
+    ]);
+  });
+
+  test('should only plan one target when fallback is disabled', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { policy: 'fallback', fallback: false });
+
+    expect(ids(router.plan())).toEqual(['groq:llama-3.3-70b-versatile']);
+  });
+
+  test('should pin by target id or provider', () => {
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { pin: 'gemini' });
+
+    expect(router.plan()).toEqual({ policy: 'pinned', targets: [router.targets[2]] });
+    expect(ids(router.plan({ pin: 'groq:openai/gpt-oss-120b' }))).toEqual(['groq:openai/gpt-oss-120b']);
+    expect(() => router.plan({ pin: 'openai:gpt-4o' })).toThrow(LLMConfigError);
+  });
+
+  test('run should fall back to the next target when one fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { policy: 'fallback' });
+    const call = jest.fn(async target => {
+      if (target.provider === 'groq') throw new LLMResponseError('Groq is down', { provider: 'groq' });
+      return { text: `joke from ${target.model}` };
+    });
+
+    const { response, routing } = await router.run(call);
+
+    expect(response.text).toBe('joke from gemini-2.0-flash');
+    expect(routing).toMatchObject({ policy: 'fallback', provider: 'gemini', model: 'gemini-2.0-flash' });
+    expect(routing.failures).toEqual([
+      { target: 'groq:llama-3.3-70b-versatile', error: 'LLMResponseError', message: 'Groq is down' }
+    ]);
+    console.error.mockRestore();
+  });
+
+  test('run should throw the last error when every target fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const router = new ModelRouter('joke', parseTargets(TARGETS));
+    const call = jest.fn(async target => { throw new LLMResponseError(`${target.id} failed`); });
+
+    await expect(router.run(call, { requestKey: 'cats' })).rejects.toThrow(LLMResponseError);
+    expect(call).toHaveBeenCalledTimes(3);
+    console.error.mockRestore();
+  });
+});
+
+describe('ModelRouter stats', () => {
+  test('should count served and failed requests and ratings per target', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const router = new ModelRouter('joke', parseTargets(TARGETS), { policy: 'fallback' });
+    await router.run(async target => {
+      if (target.provider === 'groq') throw new LLMResponseError('down');
+      return { text: 'ok' };
+    });
+    router.recordRating('gemini:gemini-2.0-flash', 'up');
+    router.recordRating('gemini:gemini-2.0-flash', 'up');
+    router.recordRating('gemini:gemini-2.0-flash', 'down', 'up');
+    router.recordRating('unknown:model', 'up');
+
+    const stats = router.getStats();
+    expect(stats[0]).toMatchObject({ target: 'groq:llama-3.3-70b-versatile', served: 0, failed: 1, approval: null });
+    expect(stats[2]).toMatchObject({ target: 'gemini:gemini-2.0-flash', served: 1, failed: 0, up: 1, down: 1, approval: 0.5 });
+    console.error.mockRestore();
+  });
+});
+
+describe('createRouterFromEnv', () => {
+  test('should read targets, policy, fallback and pin for the task', () => {
+    const router = createRouterFromEnv('joke', {
+      JOKE_MODEL_TARGETS: 'gemini:gemini-2.0-flash',
+      JOKE_ROUTING_POLICY: 'cheapest',
+      JOKE_ROUTING_FALLBACK: 'false',
+      JOKE_MODEL_PIN: 'gemini'
+    });
+
+    expect(router.targets.map(t => t.id)).toEqual(['gemini:gemini-2.0-flash']);
+    expect(router.policy).toBe('cheapest');
+    expect(router.fallback).toBe(false);
+    expect(router.pin).toBe('gemini');
+  });
+
+  test('should default to the weighted joke targets', () => {
+    const router = createRouterFromEnv('joke', {});
+
+    expect(router.policy).toBe('weighted');
+    expect(router.targets).toHaveLength(4);
+  });
+});
+
+describe('GET /joke routing', () => {
+  let app;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  afterEach(() => {
+    setLLMClient(null);
+    setModelRouter('joke', null);
+  });
+
+  test('should fall back to Gemini when Groq fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Only Gemini is configured, so every Groq call fails
+    setLLMClient(new LLMClient([
+      new MockLLMProvider({ name: 'gemini', respond: () => 'Gemini joke' })
+    ], { maxRetries: 0 }));
+    setModelRouter('joke', new ModelRouter('joke', parseTargets(TARGETS), { policy: 'fallback' }));
+
+    const response = await request(app).get('/joke?topic=fallback');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('Gemini joke');
+    expect(response.headers['x-llm-provider']).toBe('gemini');
+    expect(response.headers['x-llm-model']).toBe('gemini-2.0-flash');
+    console.error.mockRestore();
+  });
+
+  test('should serve a pinned model', async () => {
+    setLLMClient(new LLMClient([
+      new MockLLMProvider({ name: 'groq', respond: ({ model }) => `Joke from ${model}` })
+    ], { maxRetries: 0 }));
+
+    const response = await request(app).get('/joke?topic=pinned&model=groq:openai/gpt-oss-120b');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('Joke from openai/gpt-oss-120b');
+    expect(response.headers['x-llm-model']).toBe('openai/gpt-oss-120b');
+  });
+
+  test('should return 400 for a model that is not configured', async () => {
+    const response = await request(app).get('/joke?topic=cats&model=openai:gpt-4o');
+
+    expect(response.status).toBe(400);
+    expect(response.text).toContain("Unknown model 'openai:gpt-4o'");
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  PromptRegistry,
+  PromptTemplateError,
+  loadTemplates,
+  parseVersionPins,
+  createPromptRegistryFromEnv,
+  setPromptRegistry
+} = require('../services/prompt-templates');
+const { LLMClient, MockLLMProvider, setLLMClient } = require('../services/llm-client');
+const { generateEtymology } = require('../services/gen-ai');
+const { evaluateTemplate } = require('../scripts/eval-prompts');
+
+function template(name, version, fields) {
+  return { name, version, id: `${name}@${version}`, system: null, ...fields };
+}
+
+const TEMPLATES = [
+  template('greeting', 1, { prompt: 'Hi {{name}}' }),
+  template('greeting', 2, {
+    system: 'Greet people from {{place}}',
+    prompt: 'Hello {{ name }}!{{#friends}} Say hi to:\n{{friends}}{{/friends}}'
+  })
+];
+
+describe('PromptRegistry', () => {
+  test('should render the newest version by default', () => {
+    const registry = new PromptRegistry(TEMPLATES);
+
+    expect(registry.render('greeting', { name: 'Ada', place: 'London' })).toEqual({
+      system: 'Greet people from London',
+      prompt: 'Hello Ada!',
+      template: 'greeting@2'
+    });
+  });
+
+  test('should render sections only when their variable is set, and lists as bullets', () => {
+    const registry = new PromptRegistry(TEMPLATES);
+
+    expect(registry.render('greeting', { name: 'Ada', place: 'London', friends: ['Grace', 'Alan'] }).prompt)
+      .toBe('Hello Ada! Say hi to:\n- Grace\n- Alan');
+    expect(registry.render('greeting', { name: 'Ada', place: 'London', friends: [] }).prompt).toBe('Hello Ada!');
+  });
+
+  test('should serve pinned or requested versions', () => {
+    const registry = new PromptRegistry(TEMPLATES, { versions: { greeting: 1 } });
+
+    expect(registry.render('greeting', { name: 'Ada' })).toEqual({ system: undefined, prompt: 'Hi Ada', template: 'greeting@1' });
+    expect(registry.render('greeting', { name: 'Ada', place: 'Paris' }, { version: 2 }).template).toBe('greeting@2');
+    expect(registry.listVersions('greeting')).toEqual([1, 2]);
+  });
+
+  test('should throw for missing variables and unknown templates or versions', () => {
+    const registry = new PromptRegistry(TEMPLATES);
+
+    expect(() => registry.render('greeting', { place: 'London' })).toThrow("needs the variable 'name'");
+    expect(() => registry.render('farewell')).toThrow(PromptTemplateError);
+    expect(() => registry.get('greeting', 3)).toThrow('Available versions: 1, 2');
+    expect(() => new PromptRegistry(TEMPLATES, { versions: { greeting: 5 } })).toThrow(PromptTemplateError);
+  });
+});
+
+describe('loadTemplates', () => {
+  test('should load every version of the bundled prompts', () => {
+    const ids = loadTemplates().map(t => t.id).sort();
+
+    expect(ids).toEqual(['etymology@1', 'etymology@2', 'etymology@3', 'joke@1', 'joke@2', 'wrong-word@1', 'wrong-word@2', 'wrong-word@3']);
+  });
+
+  test('should read templates from PROMPTS_DIR and apply PROMPT_VERSIONS', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    fs.mkdirSync(path.join(dir, 'greeting'));
+    fs.writeFileSync(path.join(dir, 'greeting', 'v1.json'), JSON.stringify({ prompt: 'Hi {{name}}' }));
+    fs.writeFileSync(path.join(dir, 'greeting', 'v2.json'), JSON.stringify({ prompt: 'Hello {{name}}' }));
+    fs.writeFileSync(path.join(dir, 'greeting', 'notes.md'), 'not a template');
+
+    try {
+      const registry = createPromptRegistryFromEnv({ PROMPTS_DIR: dir, PROMPT_VERSIONS: 'greeting=1' });
+      expect(registry.render('greeting', { name: 'Ada' }).prompt).toBe('Hi Ada');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('parseVersionPins should reject malformed pins', () => {
+    expect(parseVersionPins('joke=2, etymology=1')).toEqual({ joke: 2, etymology: 1 });
+    expect(() => parseVersionPins('joke')).toThrow('Expected name=version');
+  });
+});
+
+describe('Prompt templates in LLM calls', () => {
+  afterEach(() => {
+    setLLMClient(null);
+    setPromptRegistry(null);
+  });
+
+  test('responses should record the template version that produced them', async () => {
+    const prompts = [];
+    setLLMClient(new LLMClient([
+      new MockLLMProvider({ name: 'gemini', respond: ({ prompt }) => { prompts.push(prompt); return 'From Latin.'; } })
+    ], { maxRetries: 0 }));
+    setPromptRegistry(createPromptRegistryFromEnv({ PROMPT_VERSIONS: 'etymology=1' }));
+
+    const first = await generateEtymology('template', 'en');
+    expect(first.template).toBe('etymology@1');
+    expect(prompts[0]).toContain('For the English word template');
+
+    // A new version doesn't reuse answers cached for the old one
+    setPromptRegistry(createPromptRegistryFromEnv({}));
+    const second = await generateEtymology('template', 'en');
+    expect(second.template).toBe('etymology@3');
+    expect(prompts).toHaveLength(2);
+  });
+});
+
+describe('evaluateTemplate', () => {
+  test('should run every version over the fixtures and summarize them', async () => {
+    const client = new LLMClient([new MockLLMProvider({ name: 'mock', respond: ({ prompt }) => prompt.toUpperCase() })], { maxRetries: 0 });
+    const registry = new PromptRegistry(TEMPLATES);
+
+    const report = await evaluateTemplate({
+      registry,
+      client,
+      name: 'greeting',
+      fixtures: [{ name: 'Ada', place: 'London' }, { name: 'Grace' }]
+    });
+
+    expect(report.versions).toEqual([1, 2]);
+    expect(report.cases[0].results[1].text).toBe('HI ADA');
+    expect(report.cases[0].results[2].text).toBe('HELLO ADA!');
+    expect(report.cases[1].results[2].error).toContain("needs the variable 'place'");
+    expect(report.summary.map(s => [s.template, s.cases, s.errors])).toEqual([
+      ['greeting@1', 2, 0],
+      ['greeting@2', 2, 1]
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const express = require('express');
+
+const {
+  MemoryRateLimitStore,
+  RateLimiter,
+  parseRateLimits,
+  createRateLimiterFromEnv,
+  setRateLimiter,
+  rateLimit
+} = require('../services/rate-limit');
+
+// Clock the tests can move forward
+function fakeClock(start = Date.parse('2025-03-01T12:00:00Z')) {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+}
+
+describe('MemoryRateLimitStore', () => {
+  const limit = { capacity: 2, periodMs: 60 * 1000 };
+
+  test('should allow a burst up to the capacity, then refill over time', async () => {
+    const now = fakeClock();
+    const store = new MemoryRateLimitStore({ now });
+
+    expect(await store.take('a', limit)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect(await store.take('a', limit)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0 });
+    expect(await store.take('a', limit)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 30000 });
+
+    // Half the period refills one of the two tokens
+    now.time += 30 * 1000;
+    expect((await store.take('a', limit)).allowed).toBe(true);
+    expect((await store.take('a', limit)).allowed).toBe(false);
+  });
+
+  test('should take several tokens for costly requests, at most a full bucket', async () => {
+    const store = new MemoryRateLimitStore({ now: fakeClock() });
+    const bucket = { capacity: 10, periodMs: 60 * 1000 };
+
+    expect(await store.take('a', bucket, 7)).toEqual({ allowed: true, remaining: 3, retryAfterMs: 0 });
+    expect(await store.take('a', bucket, 4)).toEqual({ allowed: false, remaining: 3, retryAfterMs: 6000 });
+    expect((await store.take('b', bucket, 50)).allowed).toBe(true);
+    expect((await store.take('b', bucket)).allowed).toBe(false);
+  });
+
+  test('should keep separate buckets per key', async () => {
+    const store = new MemoryRateLimitStore({ now: fakeClock() });
+    await store.take('a', limit);
+    await store.take('a', limit);
+
+    expect((await store.take('a', limit)).allowed).toBe(false);
+    expect((await store.take('b', limit)).allowed).toBe(true);
+  });
+
+  test('should drop idle buckets', async () => {
+    const now = fakeClock();
+    const store = new MemoryRateLimitStore({ now });
+    await store.take('idle', limit);
+
+    now.time += 60 * 60 * 1000;
+    await store.take('active', limit);
+
+    expect([...store.buckets.keys()]).toEqual(['active']);
+  });
+});
+
+describe('Rate limit configuration', () => {
+  test('parseRateLimits should read requests per seconds', () => {
+    expect(parseRateLimits('llm=5/60, network=1/0.5')).toEqual({
+      llm: { capacity: 5, periodMs: 60000 },
+      network: { capacity: 1, periodMs: 500 }
+    });
+    expect(() => parseRateLimits('llm=5')).toThrow('Expected policy=requests/seconds');
+    expect(() => parseRateLimits('llm=0/60')).toThrow('Invalid rate limit');
+  });
+
+  test('createRateLimiterFromEnv should override the default limits', () => {
+    const limiter = createRateLimiterFromEnv({ RATE_LIMITS: 'llm=5/60' });
+
+    expect(limiter.limits.llm).toEqual({ capacity: 5, periodMs: 60000 });
+    expect(limiter.limits.network).toEqual({ capacity: 10, periodMs: 60000 });
+    expect(limiter.enabled).toBe(true);
+    expect(createRateLimiterFromEnv({ RATE_LIMIT_ENABLED: 'false' }).enabled).toBe(false);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  afterEach(() => {
+    setRateLimiter(null);
+  });
+
+  function appWith(...routes) {
+    const app = express();
+    for (const path of routes) {
+      app.get(path, rateLimit('test'), (req, res) => res.send('ok'));
+    }
+    return app;
+  }
+
+  test('should answer 429 with Retry-After once the bucket is empty', async () => {
+    setRateLimiter(new RateLimiter({ limits: { test: { capacity: 2, periodMs: 10 * 1000 } } }));
+    const app = appWith('/limited');
+
+    const first = await request(app).get('/limited');
+    await request(app).get('/limited');
+    const limited = await request(app).get('/limited');
+
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('5');
+    expect(limited.body).toMatchObject({ error: 'Too many requests', retryAfter: 5 });
+  });
+
+  test('should count each route and client IP separately', async () => {
+    setRateLimiter(new RateLimiter({ limits: { test: { capacity: 1, periodMs: 60 * 1000 } } }));
+    const app = appWith('/one', '/two');
+    app.set('trust proxy', true);
+
+    expect((await request(app).get('/one').set('X-Forwarded-For', '10.0.0.1')).status).toBe(200);
+    expect((await request(app).get('/one').set('X-Forwarded-For', '10.0.0.1')).status).toBe(429);
+    expect((await request(app).get('/two').set('X-Forwarded-For', '10.0.0.1')).status).toBe(200);
+    expect((await request(app).get('/one').set('X-Forwarded-For', '10.0.0.2')).status).toBe(200);
+  });
+
+  test('should let requests through when disabled or when the store fails', async () => {
+    const app = appWith('/limited');
+    setRateLimiter(new RateLimiter({ limits: { test: { capacity: 0, periodMs: 1000 } }, enabled: false }));
+    expect((await request(app).get('/limited')).status).toBe(200);
+
+    const brokenStore = { take: async () => { throw new Error('store down'); } };
+    setRateLimiter(new RateLimiter({ limits: { test: { capacity: 1, periodMs: 1000 } }, store: brokenStore }));
+    expect((await request(app).get('/limited')).status).toBe(200);
+  });
+});
+
+describe('Rate limited endpoints', () => {
+  let app;
+
+  beforeAll(() => {
+    const router = require('../routes/index');
+    app = express();
+    app.use('/', router);
+  });
+
+  afterEach(() => {
+    setRateLimiter(null);
+  });
+
+  test('network tools should be limited per client', async () => {
+    setRateLimiter(new RateLimiter({ limits: { network: { capacity: 2, periodMs: 60 * 1000 } } }));
+
+    // Invalid hosts fail fast without touching the network, but still count
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await request(app).get('/api/network/dns-lookup?host=not a host')).status);
+    }
+
+    expect(statuses).toEqual([400, 400, 429]);
+  });
+
+  test('/joke should be limited by the llm policy', async () => {
+    setRateLimiter(new RateLimiter({ limits: { llm: { capacity: 1, periodMs: 60 * 1000 } } }));
+
+    await request(app).get('/joke');
+    const response = await request(app).get('/joke');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('60');
+  });
+});
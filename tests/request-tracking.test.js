@@ -0,0 +1,135 @@
+const request = require('supertest');
+const express = require('express');
+
+const { trackRequests, annotateRequest, skipTracking, holdTracking } = require('../services/request-tracking');
+const { AnalyticsQueue, MemorySink, setAnalytics } = require('../services/analytics');
+const { AnalyticsPrivacy, RotatingSalt, setAnalyticsPrivacy } = require('../services/analytics-privacy');
+const { EventSchema, setEventSchema } = require('../services/analytics-events');
+
+// Clock the tests can move forward
+function fakeClock(start = Date.parse('2025-03-01T12:00:00Z')) {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+}
+
+describe('trackRequests', () => {
+  let analytics;
+  let now;
+  let router;
+  let app;
+
+  async function sentEvents() {
+    await analytics.flush();
+    return analytics.sink.events.map(({ event, properties }) => ({ event, ...properties }));
+  }
+
+  beforeEach(() => {
+    analytics = new AnalyticsQueue({ sink: new MemorySink(), flushInterval: 0 });
+    setAnalytics(analytics);
+    setAnalyticsPrivacy(new AnalyticsPrivacy({ mode: 'off', salt: new RotatingSalt({ secret: 'secret' }), flushInterval: 0 }));
+    setEventSchema(new EventSchema({ mode: 'drop' }));
+
+    now = fakeClock();
+    router = express.Router();
+    router.use(trackRequests({ now }));
+    app = express();
+    app.use('/api', router);
+  });
+
+  afterEach(() => {
+    setAnalytics(null);
+    setAnalyticsPrivacy(null);
+    setEventSchema(null);
+  });
+
+  test('should send Request Completed with the route pattern, status and latency', async () => {
+    router.get('/words/:word', (req, res) => {
+      now.time += 120;
+      res.status(201).send('ok');
+    });
+
+    await request(app).get('/api/words/hello');
+
+    expect(await sentEvents()).toEqual([expect.objectContaining({
+      event: 'Request Completed',
+      eventType: 'request_completed',
+      route: '/api/words/:word',
+      method: 'GET',
+      statusCode: 201,
+      responseTime: 120
+    })]);
+  });
+
+  test('should send the event the handler named, switching to the error event on failure', async () => {
+    router.get('/dns', (req, res) => {
+      annotateRequest(res, 'NETWORK_DNS_LOOKUP', { host: 'example.com', type: 'A' });
+      if (req.query.fail) {
+        res.locals.error = new TypeError('resolver exploded');
+        annotateRequest(res, 'NETWORK_DNS_LOOKUP_ERROR');
+        return res.status(500).end();
+      }
+      res.json({});
+    });
+
+    await request(app).get('/api/dns');
+    await request(app).get('/api/dns?fail=1');
+
+    const [success, failure] = await sentEvents();
+    expect(success).toMatchObject({ event: 'NETWORK_DNS_LOOKUP', eventType: 'dns_lookup', host: 'example.com', type: 'A' });
+    expect(success.errorType).toBeUndefined();
+    expect(failure).toMatchObject({
+      event: 'NETWORK_DNS_LOOKUP_ERROR',
+      eventType: 'dns_lookup_error',
+      host: 'example.com',
+      statusCode: 500,
+      errorType: 'TypeError',
+      errorMessage: 'resolver exploded'
+    });
+  });
+
+  test('should mark 304 responses as cache hits', async () => {
+    router.get('/page', (req, res) => res.status(304).end());
+
+    await request(app).get('/api/page');
+
+    expect(await sentEvents()).toEqual([expect.objectContaining({ statusCode: 304, cacheHit: true })]);
+  });
+
+  test('should skip routes with skipTracking and requests that matched no route', async () => {
+    router.get('/suggest', skipTracking, (req, res) => res.json([]));
+
+    await request(app).get('/api/suggest');
+    await request(app).get('/api/missing');
+
+    expect(await sentEvents()).toEqual([]);
+  });
+
+  test('should wait for holds before sending', async () => {
+    let release;
+    router.get('/stream', (req, res) => {
+      release = holdTracking(res);
+      res.send('done');
+    });
+
+    await request(app).get('/api/stream');
+    expect(await sentEvents()).toEqual([]);
+
+    now.time += 50;
+    release();
+    release();
+    expect(await sentEvents()).toEqual([expect.objectContaining({ route: '/api/stream', responseTime: 0 })]);
+  });
+
+  test('should record clients that disconnect before the response', async () => {
+    let closed;
+    router.get('/slow', (req, res) => {
+      closed = new Promise(resolve => res.on('close', resolve));
+    });
+
+    await expect(request(app).get('/api/slow').timeout(50)).rejects.toThrow();
+    await closed;
+
+    expect(await sentEvents()).toEqual([expect.objectContaining({ route: '/api/slow', clientDisconnected: true })]);
+  });
+});
@@ -3,6 +3,9 @@ jest.setTimeout(30000);
 
 // Mock environment variables
 process.env.NODE_ENV = 'test';
+process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'test-groq-key';
+// Suites call the same routes many times; rate-limit.test.js turns limits on
+process.env.RATE_LIMIT_ENABLED = 'false';
 
 // Silence console logs during tests
 if (process.env.DEBUG !== 'true') {
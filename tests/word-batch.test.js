@@ -0,0 +1,171 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../services/word-lookup', () => ({
+  lookupWord: jest.fn(),
+  isWordCached: jest.fn(() => false),
+  getCacheSize: jest.fn(() => 0)
+}));
+
+const { lookupWord } = require('../services/word-lookup');
+const { RateLimiter, setRateLimiter } = require('../services/rate-limit');
+const { parseWordList, mapWithConcurrency, batchResultsToCsv, BATCH_MAX_WORDS } = require('../services/word-batch');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+function foundEntry(word) {
+  return {
+    word,
+    found: true,
+    phonetic: `/${word}/`,
+    phonetics: [],
+    meanings: [{
+      partOfSpeech: 'noun',
+      definitions: [{ definition: `Definition of ${word}, with a comma`, example: null, synonyms: [], antonyms: [] }],
+      synonyms: ['alias'],
+      antonyms: []
+    }],
+    sourceUrls: [],
+    providers: ['dictionaryapi'],
+    etymology: null,
+    suggestion: null,
+    cached: false
+  };
+}
+
+function mockLookups() {
+  lookupWord.mockImplementation(async (word) => {
+    if (word === 'broken') throw new Error('All dictionary providers failed');
+    if (word === 'helo') {
+      return { ...foundEntry(word), found: false, meanings: [], phonetic: null, suggestion: 'Did you mean "hello"?' };
+    }
+    return foundEntry(word);
+  });
+}
+
+describe('Word batch helpers', () => {
+  test('parseWordList should split plain text and remove duplicates', () => {
+    expect(parseWordList('apple, Banana\napple;cherry\t\n\nbanana')).toEqual(['apple', 'Banana', 'cherry']);
+  });
+
+  test('parseWordList should use the first CSV column and skip the header', () => {
+    const csv = 'word,notes\n"serendipity","a nice one"\nquokka,animal\n';
+    expect(parseWordList(csv, { csv: true })).toEqual(['serendipity', 'quokka']);
+  });
+
+  test('parseWordList should accept arrays', () => {
+    expect(parseWordList([' hello ', '', 'HELLO', 'world'])).toEqual(['hello', 'world']);
+  });
+
+  test('mapWithConcurrency should keep order and never exceed the limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return ms * 2;
+    });
+
+    expect(results).toEqual([60, 20, 40, 10, 30]);
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('batchResultsToCsv should quote cells and neutralize formulas', () => {
+    const csv = batchResultsToCsv({
+      results: [
+        { ...foundEntry('apple'), status: 'found' },
+        { word: '=HYPERLINK("x")', status: 'error', error: 'bad "input"' }
+      ]
+    });
+
+    const lines = csv.trim().split('\r\n');
+    expect(lines[0]).toBe('word,status,phonetic,partsOfSpeech,definition,example,synonyms,suggestion,error');
+    expect(lines[1]).toBe('apple,found,/apple/,noun,"Definition of apple, with a comma",,alias,,');
+    expect(lines[2]).toBe('"\'=HYPERLINK(""x"")",error,,,,,,,"bad ""input"""');
+  });
+});
+
+describe('POST /api/words/batch', () => {
+  beforeEach(() => {
+    lookupWord.mockReset();
+    mockLookups();
+  });
+
+  test('should return per-word results with Groq suggestions for unknown words', async () => {
+    const response = await request(app)
+      .post('/api/words/batch')
+      .send({ words: ['apple', 'helo', 'broken', 'Apple'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ total: 3, found: 1, notFound: 1, failed: 1 });
+    expect(response.body.notFoundWords).toEqual([{ word: 'helo', suggestion: 'Did you mean "hello"?' }]);
+    expect(response.body.results.map(r => [r.word, r.status])).toEqual([
+      ['apple', 'found'],
+      ['helo', 'not_found'],
+      ['broken', 'error']
+    ]);
+    expect(response.body.results[2].error).toBe('All dictionary providers failed');
+  });
+
+  test('should accept a plain-text glossary', async () => {
+    const response = await request(app)
+      .post('/api/words/batch')
+      .set('Content-Type', 'text/plain')
+      .send('apple\ncherry');
+
+    expect(response.status).toBe(200);
+    expect(response.body.results.map(r => r.word)).toEqual(['apple', 'cherry']);
+  });
+
+  test('should accept a CSV upload and export CSV', async () => {
+    const response = await request(app)
+      .post('/api/words/batch?format=csv')
+      .set('Content-Type', 'text/csv')
+      .send('word,notes\napple,fruit\nhelo,typo\n');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment/);
+    const lines = response.text.trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toBe('helo,not_found,,,,,,"Did you mean ""hello""?",');
+  });
+
+  test('should reject empty and oversized batches', async () => {
+    const empty = await request(app).post('/api/words/batch').send({ words: [] });
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe('No words provided');
+
+    const words = Array.from({ length: BATCH_MAX_WORDS + 1 }, (_, i) => `word${i}`);
+    const tooMany = await request(app).post('/api/words/batch').send({ words });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.error).toBe('Too many words');
+    expect(lookupWord).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown export formats', async () => {
+    const response = await request(app).post('/api/words/batch?format=xml').send({ words: ['apple'] });
+    expect(response.status).toBe(400);
+  });
+
+  test('should use one rate limit token per word', async () => {
+    setRateLimiter(new RateLimiter({ limits: { batch: { capacity: 5, periodMs: 60 * 1000 } } }));
+
+    try {
+      const first = await request(app).post('/api/words/batch').send({ words: ['apple', 'cherry', 'pear'] });
+      const second = await request(app).post('/api/words/batch').send({ words: ['plum', 'fig', 'kiwi'] });
+      const third = await request(app).post('/api/words/batch').send({ words: ['plum', 'fig'] });
+
+      expect([first.status, first.headers['ratelimit-remaining']]).toEqual([200, '2']);
+      expect(second.status).toBe(429);
+      expect([third.status, third.headers['ratelimit-remaining']]).toEqual([200, '0']);
+      expect(lookupWord).toHaveBeenCalledTimes(5);
+    } finally {
+      setRateLimiter(null);
+    }
+  });
+});
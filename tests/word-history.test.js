@@ -0,0 +1,213 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../services/word-lookup', () => ({
+  DEGRADED_TTL: 10 * 60 * 1000,
+  lookupWord: jest.fn(),
+  isWordCached: jest.fn(() => false),
+  getCacheSize: jest.fn(() => 0)
+}));
+
+jest.mock('../services/firebase.service', () => ({
+  getSampleData: jest.fn(),
+  isFirebaseInitialized: jest.fn(() => true),
+  getWordLists: jest.fn(),
+  saveWordLists: jest.fn()
+}));
+
+const { lookupWord, DEGRADED_TTL } = require('../services/word-lookup');
+const { isFirebaseInitialized, getWordLists, saveWordLists } = require('../services/firebase.service');
+const { WORD_OF_THE_DAY_POOL, pickWordForDate, getWordOfTheDay } = require('../services/word-of-the-day');
+const { normalizeWordLists, mergeWordLists, HISTORY_LIMIT } = require('../services/word-lists');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+const SYNC_ID = '3b241101-e2bb-4255-8caf-4136c566a962';
+
+function foundEntry(word) {
+  return {
+    word,
+    found: true,
+    phonetic: `/${word}/`,
+    phonetics: [],
+    meanings: [{
+      partOfSpeech: 'noun',
+      definitions: [{ definition: `Definition of ${word}`, example: null, synonyms: [], antonyms: [] }],
+      synonyms: [],
+      antonyms: []
+    }],
+    sourceUrls: [],
+    providers: ['dictionaryapi'],
+    etymology: `Etymology of ${word}`,
+    suggestion: null,
+    cached: false
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  lookupWord.mockImplementation(async (word) => foundEntry(word));
+});
+
+describe('Word of the day', () => {
+  test('pickWordForDate should be deterministic and draw from the pool', () => {
+    expect(pickWordForDate('2026-10-19')).toBe(pickWordForDate('2026-10-19'));
+    expect(WORD_OF_THE_DAY_POOL).toContain(pickWordForDate('2026-10-19'));
+
+    const week = ['13', '14', '15', '16', '17', '18', '19'].map(day => pickWordForDate(`2026-10-${day}`));
+    expect(new Set(week).size).toBeGreaterThan(1);
+  });
+
+  test('getWordOfTheDay should look the word up once and cache it', async () => {
+    const date = new Date('2030-01-01T08:00:00Z');
+    const entry = await getWordOfTheDay(date);
+
+    expect(entry).toEqual({
+      date: '2030-01-01',
+      word: pickWordForDate('2030-01-01'),
+      found: true,
+      phonetic: `/${entry.word}/`,
+      partOfSpeech: 'noun',
+      definition: `Definition of ${entry.word}`,
+      example: null,
+      etymology: `Etymology of ${entry.word}`
+    });
+
+    await getWordOfTheDay(new Date('2030-01-01T23:59:00Z'));
+    expect(lookupWord).toHaveBeenCalledTimes(1);
+  });
+
+  test('getWordOfTheDay should only briefly cache a word without an etymology', async () => {
+    const date = new Date('2030-01-02T08:00:00Z');
+    lookupWord.mockImplementation(async (word) => ({ ...foundEntry(word), etymology: null, degraded: true }));
+    expect((await getWordOfTheDay(date)).etymology).toBeNull();
+
+    // Gemini recovers; the next lookup after the short TTL picks it up
+    lookupWord.mockImplementation(async (word) => foundEntry(word));
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now + DEGRADED_TTL + 1);
+    try {
+      const entry = await getWordOfTheDay(date);
+      expect(entry.etymology).toBe(`Etymology of ${entry.word}`);
+      expect(lookupWord).toHaveBeenCalledTimes(2);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+
+  // Runs before the success case, which caches today's word
+  test('GET /api/words/of-the-day should return 500 when the lookup fails', async () => {
+    lookupWord.mockRejectedValue(new Error('All dictionary providers failed'));
+    const response = await request(app).get('/api/words/of-the-day');
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe('All dictionary providers failed');
+  });
+
+  test('GET /api/words/of-the-day should return today\'s word and prewarm tomorrow\'s', async () => {
+    const response = await request(app).get('/api/words/of-the-day');
+
+    expect(response.status).toBe(200);
+    expect(response.body.date).toBe(new Date().toISOString().slice(0, 10));
+    expect(WORD_OF_THE_DAY_POOL).toContain(response.body.word);
+    expect(response.headers['cache-control']).toBe('public, max-age=600');
+    expect(lookupWord).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Word lists', () => {
+  test('normalizeWordLists should drop malformed entries and dedupe history', () => {
+    const lists = normalizeWordLists({
+      history: [
+        { word: 'apple', viewedAt: 1 },
+        { word: 'Apple', viewedAt: 5 },
+        { word: 42 },
+        { word: ' ', viewedAt: 3 },
+        { word: 'pear', viewedAt: 'not a date' }
+      ],
+      favorites: [{ word: 'kiwi', addedAt: 2 }, { word: 'KIWI', addedAt: 3 }, null],
+      favoritesUpdatedAt: 10,
+      extra: 'ignored'
+    });
+
+    expect(lists).toEqual({
+      history: [{ word: 'Apple', viewedAt: 5 }, { word: 'pear', viewedAt: 0 }],
+      favorites: [{ word: 'kiwi', addedAt: 2 }],
+      favoritesUpdatedAt: 10
+    });
+  });
+
+  test('normalizeWordLists should cap the history', () => {
+    const history = Array.from({ length: HISTORY_LIMIT + 10 }, (_, i) => ({ word: `word${i}`, viewedAt: i }));
+    const lists = normalizeWordLists({ history });
+
+    expect(lists.history).toHaveLength(HISTORY_LIMIT);
+    expect(lists.history[0].word).toBe(`word${HISTORY_LIMIT + 9}`);
+  });
+
+  test('mergeWordLists should union history and keep the newest favorites', () => {
+    const stored = normalizeWordLists({
+      history: [{ word: 'apple', viewedAt: 1 }, { word: 'fig', viewedAt: 4 }],
+      favorites: [{ word: 'apple', addedAt: 1 }, { word: 'fig', addedAt: 2 }],
+      favoritesUpdatedAt: 2
+    });
+    const incoming = normalizeWordLists({
+      history: [{ word: 'apple', viewedAt: 6 }],
+      favorites: [{ word: 'apple', addedAt: 1 }],
+      favoritesUpdatedAt: 7
+    });
+
+    expect(mergeWordLists(stored, incoming)).toEqual({
+      history: [{ word: 'apple', viewedAt: 6 }, { word: 'fig', viewedAt: 4 }],
+      favorites: [{ word: 'apple', addedAt: 1 }],
+      favoritesUpdatedAt: 7
+    });
+    expect(mergeWordLists(incoming, stored).favorites).toHaveLength(1);
+    expect(mergeWordLists(null, incoming)).toBe(incoming);
+  });
+
+  test('PUT /api/words/lists/:syncId should merge with and save the stored lists', async () => {
+    getWordLists.mockResolvedValue({
+      history: [{ word: 'fig', viewedAt: 4 }],
+      favorites: [{ word: 'fig', addedAt: 4 }],
+      favoritesUpdatedAt: 4
+    });
+
+    const response = await request(app)
+      .put(`/api/words/lists/${SYNC_ID}`)
+      .send({ history: [{ word: 'apple', viewedAt: 6 }], favorites: [], favoritesUpdatedAt: 0 });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      history: [{ word: 'apple', viewedAt: 6 }, { word: 'fig', viewedAt: 4 }],
+      favorites: [{ word: 'fig', addedAt: 4 }],
+      favoritesUpdatedAt: 4
+    });
+    expect(saveWordLists).toHaveBeenCalledWith(SYNC_ID, response.body);
+  });
+
+  test('GET /api/words/lists/:syncId should return empty lists for a new sync id', async () => {
+    getWordLists.mockResolvedValue(null);
+    const response = await request(app).get(`/api/words/lists/${SYNC_ID}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ history: [], favorites: [], favoritesUpdatedAt: 0 });
+  });
+
+  test('should reject sync ids that are not UUIDs', async () => {
+    const response = await request(app).get('/api/words/lists/not-a-uuid');
+
+    expect(response.status).toBe(400);
+    expect(getWordLists).not.toHaveBeenCalled();
+  });
+
+  test('should return 503 when Firebase is not configured', async () => {
+    isFirebaseInitialized.mockReturnValueOnce(false);
+    const response = await request(app).put(`/api/words/lists/${SYNC_ID}`).send({});
+
+    expect(response.status).toBe(503);
+    expect(saveWordLists).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const express = require('express');
+const { JSDOM } = require('jsdom');
+
+jest.mock('../services/word-lookup', () => ({
+  lookupWord: jest.fn(),
+  isWordCached: jest.fn(() => false),
+  getCacheSize: jest.fn(() => 0)
+}));
+
+const { lookupWord } = require('../services/word-lookup');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+const helloEntry = {
+  word: 'hello',
+  found: true,
+  phonetic: '/həˈləʊ/',
+  phonetics: [
+    { text: '/həˈləʊ/', audio: 'https://api.dictionaryapi.dev/media/pronunciations/en/hello-uk.mp3', region: 'UK', sourceUrl: null },
+    { text: '/hɛˈloʊ/', audio: 'https://api.dictionaryapi.dev/media/pronunciations/en/hello-us.mp3', region: 'US', sourceUrl: null },
+    { text: null, audio: 'javascript:alert(1)', region: null, sourceUrl: null }
+  ],
+  meanings: [{
+    partOfSpeech: 'interjection',
+    definitions: [
+      { definition: 'A greeting.', example: 'Hello, everyone.', synonyms: ['hi'], antonyms: [] }
+    ],
+    synonyms: ['greeting', 'hi'],
+    antonyms: ['goodbye']
+  }],
+  sourceUrls: ['https://en.wiktionary.org/wiki/hello', 'javascript:alert(1)'],
+  providers: ['dictionaryapi'],
+  lang: 'en',
+  langSource: 'default',
+  etymology: null,
+  suggestion: null,
+  cached: true
+};
+
+async function getWordPage(word, query = {}) {
+  const response = await request(app).get('/word-usage').query({ word, ...query });
+  return { response, document: new JSDOM(response.text).window.document };
+}
+
+describe('Word page', () => {
+  beforeEach(() => {
+    lookupWord.mockReset();
+    lookupWord.mockResolvedValue(helloEntry);
+  });
+
+  test('should show the IPA spelling and an audio player per regional variant', async () => {
+    const { response, document } = await getWordPage('hello');
+
+    expect(response.status).toBe(200);
+    expect(document.querySelector('header .phonetic').textContent).toBe('/həˈləʊ/');
+
+    const variants = [...document.querySelectorAll('.pronunciation')];
+    expect(variants.map(v => v.querySelector('.region-label')?.textContent)).toEqual(['UK', 'US']);
+    expect(variants[1].querySelector('.phonetic-text').textContent).toBe('/hɛˈloʊ/');
+
+    const audioSources = [...document.querySelectorAll('audio')].map(audio => audio.getAttribute('src'));
+    expect(audioSources).toEqual([
+      'https://api.dictionaryapi.dev/media/pronunciations/en/hello-uk.mp3',
+      'https://api.dictionaryapi.dev/media/pronunciations/en/hello-us.mp3'
+    ]);
+  });
+
+  test('should link synonyms and antonyms to their own word pages', async () => {
+    const { document } = await getWordPage('hello');
+
+    const relations = [...document.querySelectorAll('.word-relations')];
+    expect(relations).toHaveLength(2);
+    expect([...relations[0].querySelectorAll('.relation-chip')].map(a => a.textContent)).toEqual(['greeting', 'hi']);
+    expect(relations[1].querySelector('.relation-chip').getAttribute('href')).toBe('/word-usage?word=goodbye');
+  });
+
+  test('should list only http(s) source URLs', async () => {
+    const { document } = await getWordPage('hello');
+
+    const links = [...document.querySelectorAll('.sources a')].map(a => a.getAttribute('href'));
+    expect(links).toEqual(['https://en.wiktionary.org/wiki/hello']);
+  });
+
+  test('should omit the pronunciation block when there are no phonetics', async () => {
+    lookupWord.mockResolvedValue({ ...helloEntry, phonetic: null, phonetics: [], sourceUrls: [] });
+
+    const { document } = await getWordPage('hello');
+
+    expect(document.querySelector('.pronunciations')).toBeNull();
+    expect(document.querySelector('.sources')).toBeNull();
+  });
+
+  test('should label non-English words and keep the language in related links', async () => {
+    lookupWord.mockResolvedValue({ ...helloEntry, word: 'hola', lang: 'es', langSource: 'param' });
+
+    const { document } = await getWordPage('hola', { lang: 'es' });
+
+    expect(lookupWord).toHaveBeenCalledWith('hola', expect.objectContaining({ lang: 'es' }));
+    expect(document.querySelector('header .language-label').textContent).toBe('Spanish');
+    expect(document.querySelector('.relation-chip').getAttribute('href')).toBe('/word-usage?word=greeting&lang=es');
+  });
+
+  test('should not label English words', async () => {
+    const { document } = await getWordPage('hello');
+
+    expect(document.querySelector('.language-label')).toBeNull();
+  });
+
+  test('should reject unsupported languages', async () => {
+    const { response } = await getWordPage('hello', { lang: 'klingon' });
+
+    expect(response.status).toBe(400);
+    expect(lookupWord).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+
+process.env.SUGGEST_WORDLIST_PATH = path.join(__dirname, 'fixtures', 'suggest-words.txt');
+
+const { WordIndex, editDistance, suggestWords } = require('../services/word-suggest');
+const { RateLimiter, setRateLimiter } = require('../services/rate-limit');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+describe('editDistance', () => {
+  test('should count substitutions, insertions and deletions', () => {
+    expect(editDistance('hello', 'hello')).toBe(0);
+    expect(editDistance('helo', 'hello')).toBe(1);
+    expect(editDistance('hallo', 'hello')).toBe(1);
+    expect(editDistance('hellos', 'hello')).toBe(1);
+  });
+
+  test('should count an adjacent transposition as one edit', () => {
+    expect(editDistance('recieve', 'receive')).toBe(1);
+  });
+
+  test('should stop early once maxDistance is exceeded', () => {
+    expect(editDistance('cat', 'elephant')).toBe(3);
+    expect(editDistance('abcdef', 'uvwxyz', 2)).toBe(3);
+  });
+});
+
+describe('WordIndex', () => {
+  const index = new WordIndex(['Serene', 'serendipity', 'serenade', 'hello', 'halo', 'help', 'receive', 'relieve', 'hello']);
+
+  test('should normalise and de-duplicate words', () => {
+    expect(index.size).toBe(8);
+    expect(index.has('SERENE')).toBe(true);
+  });
+
+  test('complete should return prefix matches, shortest first', () => {
+    expect(index.complete('seren')).toEqual(['serene', 'serenade', 'serendipity']);
+    expect(index.complete('seren', 2)).toEqual(['serene', 'serenade']);
+    expect(index.complete('xyz')).toEqual([]);
+  });
+
+  test('correct should rank by distance and shared first letter', () => {
+    expect(index.correct('recieve')).toEqual([
+      { word: 'receive', distance: 1 },
+      { word: 'relieve', distance: 1 }
+    ]);
+    expect(index.correct('helo').map(c => c.word)).toEqual(['halo', 'help', 'hello']);
+  });
+
+  test('correct should look at words sharing the first or second letter, nearest length first', () => {
+    const index = new WordIndex(['then', 'the', 'tie', 'hat', 'ant']);
+
+    expect(index.candidates('hte')).toEqual(['hat', 'the', 'tie', 'then']);
+    expect(index.correct('hte')[0]).toEqual({ word: 'the', distance: 1 });
+  });
+
+  test('correct should stop comparing at maxCandidates', () => {
+    const capped = new WordIndex(['cat', 'cot', 'cut', 'cart', 'act'], { maxCandidates: 3 });
+
+    expect(capped.candidates('cit')).toEqual(['cat', 'cot', 'cut']);
+    expect(capped.correct('cit').map(c => c.word)).toEqual(['cat', 'cot', 'cut']);
+  });
+});
+
+describe('suggestWords', () => {
+  test('should only offer corrections when nothing starts with the prefix', () => {
+    expect(suggestWords('hel')).toEqual({
+      prefix: 'hel',
+      isWord: false,
+      completions: ['help', 'hello'],
+      corrections: []
+    });
+    expect(suggestWords('recieve').corrections[0]).toEqual({ word: 'receive', distance: 1 });
+  });
+});
+
+describe('GET /api/words/suggest', () => {
+  test('should return completions for a prefix', async () => {
+    const response = await request(app).get('/api/words/suggest?prefix=Seren&limit=2');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('public, max-age=86400');
+    expect(response.body).toEqual({
+      prefix: 'seren',
+      isWord: false,
+      completions: ['serene', 'serenade'],
+      corrections: []
+    });
+  });
+
+  test('should return spelling corrections for a misspelled word', async () => {
+    const response = await request(app).get('/api/words/suggest?prefix=recieve');
+
+    expect(response.status).toBe(200);
+    expect(response.body.completions).toEqual([]);
+    expect(response.body.corrections.map(c => c.word)).toContain('receive');
+  });
+
+  test('should be rate limited', async () => {
+    setRateLimiter(new RateLimiter({ limits: { suggest: { capacity: 1, periodMs: 60 * 1000 } } }));
+    try {
+      expect((await request(app).get('/api/words/suggest?prefix=hel')).status).toBe(200);
+      expect((await request(app).get('/api/words/suggest?prefix=help')).status).toBe(429);
+    } finally {
+      setRateLimiter(null);
+    }
+  });
+
+  test.each(['', '1abc', '<script>', 'a'.repeat(51)])('should reject prefix %p', async (prefix) => {
+    const response = await request(app).get('/api/words/suggest').query({ prefix });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid prefix');
+  });
+});
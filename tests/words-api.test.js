@@ -0,0 +1,198 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../services/gen-ai', () => ({
+  isGeminiConfigured: jest.fn(() => true),
+  isGeminiWithinBudget: jest.fn(() => true),
+  getCachedEtymology: jest.fn(() => null),
+  generateEtymology: jest.fn(),
+  generateJoke: jest.fn()
+}));
+
+jest.mock('../services/groq-ai-client', () => ({
+  getCompletionForWrongWord: jest.fn(),
+  getJokeFromGroq: jest.fn()
+}));
+
+const { generateEtymology, getCachedEtymology } = require('../services/gen-ai');
+const { LLMResponseError } = require('../services/llm-client');
+const { getCompletionForWrongWord } = require('../services/groq-ai-client');
+const router = require('../routes/index');
+
+const app = express();
+app.use('/', router);
+
+const dictionaryEntry = [{
+  word: 'hello',
+  phonetic: '/həˈləʊ/',
+  phonetics: [
+    { text: '/həˈləʊ/', audio: 'https://api.dictionaryapi.dev/media/pronunciations/en/hello-uk.mp3' }
+  ],
+  meanings: [{
+    partOfSpeech: 'noun',
+    definitions: [
+      { definition: '"Hello!" or an equivalent greeting.', example: 'She gave me a warm hello.', synonyms: [], antonyms: [] }
+    ],
+    synonyms: ['greeting'],
+    antonyms: []
+  }],
+  sourceUrls: ['https://en.wiktionary.org/wiki/hello']
+}];
+
+function mockFetchJson(body) {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+}
+
+describe('Word Lookup JSON API', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    generateEtymology.mockReset();
+    getCompletionForWrongWord.mockReset();
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('GET /api/words/:word returns merged dictionary and etymology data', async () => {
+    mockFetchJson(dictionaryEntry);
+    generateEtymology.mockResolvedValue({ text: 'From Old English hāl.', provider: 'gemini', model: 'gemini-2.0-flash' });
+
+    const response = await request(app).get('/api/words/hello');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/application\/json/);
+    expect(response.body).toMatchObject({
+      word: 'hello',
+      found: true,
+      phonetic: '/həˈləʊ/',
+      etymology: 'From Old English hāl.',
+      suggestion: null,
+      cached: false,
+      degraded: false,
+      providers: ['dictionaryapi'],
+      sourceUrls: ['https://en.wiktionary.org/wiki/hello']
+    });
+    expect(response.body.phonetics).toEqual([{
+      text: '/həˈləʊ/',
+      audio: 'https://api.dictionaryapi.dev/media/pronunciations/en/hello-uk.mp3',
+      region: 'UK',
+      sourceUrl: null
+    }]);
+    expect(response.body.meanings[0].synonyms).toEqual(['greeting']);
+    expect(response.body.meanings[0].definitions[0]).toEqual({
+      definition: '"Hello!" or an equivalent greeting.',
+      example: 'She gave me a warm hello.',
+      synonyms: [],
+      antonyms: []
+    });
+    expect(getCompletionForWrongWord).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/words/:word serves repeat lookups from the cache', async () => {
+    mockFetchJson(dictionaryEntry);
+
+    const response = await request(app).get('/api/words/hello');
+
+    expect(response.status).toBe(200);
+    expect(response.body.cached).toBe(true);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/words/:word shares the cache entry between spellings that differ in case', async () => {
+    mockFetchJson(dictionaryEntry);
+
+    for (const word of ['Hello', 'HELLO']) {
+      const response = await request(app).get(`/api/words/${word}`);
+      expect(response.body.cached).toBe(true);
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(generateEtymology).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/words/:word returns 404 with a Groq spelling suggestion for unknown words', async () => {
+    mockFetchJson({ title: 'No Definitions Found', message: 'Sorry pal', resolution: '' });
+    generateEtymology.mockRejectedValue(new LLMResponseError('Gemini returned no text (SAFETY)', { provider: 'gemini' }));
+    getCompletionForWrongWord.mockResolvedValue({ text: 'Did you mean "hello"?', provider: 'groq', model: 'llama-3.3-70b-versatile' });
+
+    const response = await request(app).get('/api/words/helo');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({
+      word: 'helo',
+      found: false,
+      meanings: [],
+      etymology: null,
+      suggestion: 'Did you mean "hello"?'
+    });
+  });
+
+  test('GET /api/words/:word looks words up in the requested language', async () => {
+    mockFetchJson([{ ...dictionaryEntry[0], word: 'gift' }]);
+    generateEtymology.mockRejectedValue(new LLMResponseError('Gemini returned no text (SAFETY)', { provider: 'gemini' }));
+
+    const response = await request(app).get('/api/words/gift?lang=de');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ word: 'gift', lang: 'de', langSource: 'param', cached: false });
+    // Gemini is configured but failed
+    expect(response.body.degraded).toBe(true);
+    expect(global.fetch.mock.calls[0][0]).toBe('https://api.dictionaryapi.dev/api/v2/entries/de/gift');
+    expect(generateEtymology).toHaveBeenCalledWith('gift', 'de');
+  });
+
+  test('GET /api/words/:word detects the language of accented words', async () => {
+    mockFetchJson([{ ...dictionaryEntry[0], word: 'niño' }]);
+    generateEtymology.mockRejectedValue(new LLMResponseError('Gemini returned no text (SAFETY)', { provider: 'gemini' }));
+
+    const response = await request(app).get(`/api/words/${encodeURIComponent('niño')}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ lang: 'es', langSource: 'detected' });
+    expect(global.fetch.mock.calls[0][0]).toContain('/entries/es/');
+    expect(getCompletionForWrongWord).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/words/:word rejects unsupported languages', async () => {
+    mockFetchJson(dictionaryEntry);
+
+    const response = await request(app).get('/api/words/hello?lang=xx');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unsupported language');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('word pages stream the etymology and the JSON API fills it in later', async () => {
+    mockFetchJson([{ ...dictionaryEntry[0], word: 'salve' }]);
+    generateEtymology.mockResolvedValue({ text: 'From Latin salvē.' });
+
+    const page = await request(app).get('/word-usage?word=salve');
+    expect(page.text).toContain('data-stream-url="/api/words/salve/etymology/stream?lang=en"');
+    expect(generateEtymology).not.toHaveBeenCalled();
+
+    const response = await request(app).get('/api/words/salve');
+    expect(response.body).toMatchObject({ etymology: 'From Latin salvē.', etymologyDeferred: false, degraded: false });
+  });
+
+  test('word pages render a cached etymology inline', async () => {
+    mockFetchJson([{ ...dictionaryEntry[0], word: 'ave' }]);
+    getCachedEtymology.mockReturnValueOnce('From Latin avē.');
+
+    const page = await request(app).get('/word-usage?word=ave');
+
+    expect(page.text).toContain('From Latin avē.');
+    expect(page.text).not.toContain('data-stream-url');
+  });
+
+  test('GET /api/words/:word returns 500 JSON when the dictionary API fails', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error('network down'));
+
+    const response = await request(app).get('/api/words/offline');
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Failed to fetch word data');
+    expect(response.body.message).toMatch(/network down/);
+  });
+});